@@ -0,0 +1,11 @@
+// Generate a key-directory signing key pair
+// Put DIRECTORY_* in the backend .env and the public key in the frontend
+// build as REACT_APP_DIRECTORY_PUBLIC_KEY / REACT_APP_DIRECTORY_SIGNATURE_ALGORITHM
+import { generateFalconKeys, DEFAULT_SIGNATURE_ALGORITHM } from '../src/crypto/pqc.js';
+
+const algorithm = process.argv[2] || DEFAULT_SIGNATURE_ALGORITHM;
+const { publicKey, secretKey } = await generateFalconKeys(algorithm);
+
+console.log(`DIRECTORY_SIGNATURE_ALGORITHM=${algorithm}`);
+console.log(`DIRECTORY_PUBLIC_KEY=${publicKey}`);
+console.log(`DIRECTORY_SECRET_KEY=${secretKey}`);
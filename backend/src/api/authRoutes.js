@@ -1,7 +1,20 @@
 import express from 'express';
 const router = express.Router();
 import { db } from '../database/db.js';
-import { generateKyberKeys, generateFalconKeys, signWithFalcon, verifyWithFalcon } from '../crypto/pqc.js';
+import {
+  verifyWithAlgorithm,
+  buildKeyRegistrationPayload,
+  isValidPublicKey,
+  isValidKemPublicKey,
+  isValidSignaturePublicKey,
+  isSupportedKemAlgorithm,
+  isSupportedSignatureAlgorithm,
+  DEFAULT_KEM_ALGORITHM,
+  DEFAULT_SIGNATURE_ALGORITHM,
+  X25519_PUBLIC_KEY_LENGTH
+} from '../crypto/pqc.js';
+import { signDirectoryEntry } from '../crypto/directory.js';
+import { logKeyChange } from '../database/transparency.js';
 import { generateToken } from '../middleware/authMiddleware.js';
 import crypto from 'crypto';
 import bcrypt from 'bcrypt';
@@ -9,35 +22,55 @@ import bcrypt from 'bcrypt';
 // ============================================================================
 // Helper: Build login response with explicit whitelist of safe fields
 // ============================================================================
-// SECURITY: Secret keys are included ONLY during initial login for client-side
-// storage in IndexedDB. They are NEVER stored server-side after this point.
+// SECURITY: Key pairs are generated client-side at registration; the server
+// only ever stores PUBLIC keys. Accounts created before that change still have
+// server-held secret keys in legacy_secret_keys. Those are returned ONCE so the
+// client can store them encrypted in IndexedDB and confirm custody via
+// POST /api/keys/migrate, which deletes the server copy.
 // Transport MUST use HTTPS to protect secret keys during transmission.
 // ============================================================================
-const buildLoginResponse = (user, token) => {
+const buildLoginResponse = async (user, token) => {
+  const keys = {
+    kyberPublicKey: user.kyber_public_key,
+    falconPublicKey: user.falcon_public_key,
+    x25519PublicKey: user.x25519_public_key || null,
+    kemAlgorithm: user.kem_algorithm,
+    signatureAlgorithm: user.signature_algorithm,
+    keyVersion: user.key_version
+  };
+
   // Whitelist of fields to expose in login response
   const safeFields = {
     message: 'Login successful',
     token,
     userId: user.id,
     username: user.username,
-    keys: {
-      kyberPublicKey: user.kyber_public_key,
-      falconPublicKey: user.falcon_public_key,
-      // Include secret keys for one-time retrieval at login
-      // Client will store them encrypted in IndexedDB
-      kyberSecretKey: user.kyber_secret_key,
-      falconSecretKey: user.falcon_secret_key
-    }
+    keys: { ...keys, directory: await signDirectoryEntry(user.id, keys) },
+    keyMigrationRequired: false
   };
+
+  if (user.legacy_kyber_secret_key || user.legacy_falcon_secret_key) {
+    safeFields.keyMigrationRequired = true;
+    safeFields.legacySecretKeys = {
+      kyberSecretKey: user.legacy_kyber_secret_key,
+      falconSecretKey: user.legacy_falcon_secret_key
+    };
+  }
   
   return safeFields;
 };
 
 // @route   POST api/auth/register
-// @desc    Register user
+// @desc    Register user with client-generated PUBLIC keys
 // @access  Public
+// @security The client proves possession of the signature secret key by signing
+//           buildKeyRegistrationPayload(username, { kemAlgorithm, kyberPublicKey,
+//           signatureAlgorithm, falconPublicKey, x25519PublicKey })
+//           kemAlgorithm/signatureAlgorithm default to ML-KEM-1024/Falcon-1024
 router.post('/register', async (req, res) => {
-  const { username, password } = req.body;
+  const { username, password, kyberPublicKey, falconPublicKey, x25519PublicKey, proofOfPossession } = req.body;
+  const kemAlgorithm = req.body.kemAlgorithm || DEFAULT_KEM_ALGORITHM;
+  const signatureAlgorithm = req.body.signatureAlgorithm || DEFAULT_SIGNATURE_ALGORITHM;
 
   if (!username || !password) {
     return res.status(400).json({ msg: 'Please provide username and password' });
@@ -51,18 +84,48 @@ router.post('/register', async (req, res) => {
     });
   }
 
-  let stmt;
+  if (!isSupportedKemAlgorithm(kemAlgorithm)) {
+    return res.status(400).json({ msg: `Unsupported kemAlgorithm: ${kemAlgorithm}` });
+  }
+  if (!isSupportedSignatureAlgorithm(signatureAlgorithm)) {
+    return res.status(400).json({ msg: `Unsupported signatureAlgorithm: ${signatureAlgorithm}` });
+  }
+
+  // Public keys are generated client-side; the server never sees secret keys
+  if (!isValidKemPublicKey(kemAlgorithm, kyberPublicKey)) {
+    return res.status(400).json({ msg: `kyberPublicKey must be a base64 ${kemAlgorithm} public key` });
+  }
+  if (!isValidSignaturePublicKey(signatureAlgorithm, falconPublicKey)) {
+    return res.status(400).json({ msg: `falconPublicKey must be a base64 ${signatureAlgorithm} public key` });
+  }
+  if (!isValidPublicKey(x25519PublicKey, X25519_PUBLIC_KEY_LENGTH)) {
+    return res.status(400).json({ msg: `x25519PublicKey must be a base64 X25519 public key (${X25519_PUBLIC_KEY_LENGTH} bytes)` });
+  }
+  if (typeof proofOfPossession !== 'string' || proofOfPossession.length === 0) {
+    return res.status(400).json({ msg: 'proofOfPossession signature is required' });
+  }
+
   try {
-    const kyberKeys = await generateKyberKeys();
-    const falconKeys = await generateFalconKeys();
+    const registrationPayload = buildKeyRegistrationPayload(username, {
+      kemAlgorithm,
+      kyberPublicKey,
+      signatureAlgorithm,
+      falconPublicKey,
+      x25519PublicKey
+    });
+    const possessionOk = await verifyWithAlgorithm(signatureAlgorithm, registrationPayload, proofOfPossession, falconPublicKey);
+    if (!possessionOk) {
+      return res.status(400).json({ msg: 'Invalid proof of possession for the submitted keys' });
+    }
+
     const saltRounds = 10;
     const passwordHash = await bcrypt.hash(password, saltRounds);
 
     // Use direct db.run for PostgreSQL compatibility (RETURNING clause)
     const result = await new Promise((resolve, reject) => {
       db.run(
-        'INSERT INTO users (username, kyber_public_key, falcon_public_key, kyber_secret_key, falcon_secret_key, password_hash) VALUES (?, ?, ?, ?, ?, ?) RETURNING id',
-        [username, kyberKeys.publicKey, falconKeys.publicKey, kyberKeys.secretKey, falconKeys.secretKey, passwordHash],
+        'INSERT INTO users (username, kyber_public_key, falcon_public_key, x25519_public_key, kem_algorithm, signature_algorithm, password_hash) VALUES (?, ?, ?, ?, ?, ?, ?) RETURNING id',
+        [username, kyberPublicKey, falconPublicKey, x25519PublicKey, kemAlgorithm, signatureAlgorithm, passwordHash],
         function(err, result) {
           if (err) {
             return reject(err);
@@ -74,11 +137,19 @@ router.post('/register', async (req, res) => {
       );
     });
 
+    await logKeyChange(result.userId, {
+      kyberPublicKey,
+      falconPublicKey,
+      x25519PublicKey,
+      kemAlgorithm,
+      signatureAlgorithm,
+      keyVersion: 1
+    });
+
     res.json({
       userId: result.userId,
       username,
-      message: 'Registration successful',
-      info: 'Please log in to retrieve your secret keys securely via the authenticated keys endpoint'
+      message: 'Registration successful'
     });
   } catch (e) {
     // Log error details for debugging, but do not expose sensitive data
@@ -89,7 +160,9 @@ router.post('/register', async (req, res) => {
     }
     res.status(500).json({ msg: 'Server error during registration' });
   }
-});// @route   POST api/auth/challenge
+});
+
+// @route   POST api/auth/challenge
 // @desc    Generate a challenge for login
 // @access  Public
 router.post('/challenge', (req, res) => {
@@ -120,7 +193,14 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ msg: 'Please provide username' });
     }
 
-    db.get('SELECT id, falcon_public_key, kyber_public_key, kyber_secret_key, falcon_secret_key, password_hash FROM users WHERE username = ?', [username], async (err, user) => {
+    const loginQuery = `SELECT u.id, u.username, u.falcon_public_key, u.kyber_public_key, u.x25519_public_key,
+        u.kem_algorithm, u.signature_algorithm, u.key_version, u.password_hash,
+        l.kyber_secret_key AS legacy_kyber_secret_key, l.falcon_secret_key AS legacy_falcon_secret_key
+      FROM users u
+      LEFT JOIN legacy_secret_keys l ON l.user_id = u.id
+      WHERE u.username = ?`;
+
+    db.get(loginQuery, [username], async (err, user) => {
         if (err || !user) {
             return res.status(400).json({ msg: 'User not found' });
         }
@@ -134,7 +214,7 @@ router.post('/login', async (req, res) => {
             }
             const token = generateToken(user.id, user.username);
             // Use whitelist helper to prevent secret key leakage
-            return res.json(buildLoginResponse(user, token));
+            return res.json(await buildLoginResponse(user, token));
           } catch (e) {
             // Log error details for debugging, but do not expose sensitive data
             console.error('Password auth error:', e.name, e.message.substring(0, 100));
@@ -147,14 +227,19 @@ router.post('/login', async (req, res) => {
           return res.status(400).json({ msg: 'Please provide password OR challenge and signature' });
         }
 
-        const isValid = verifyWithFalcon(challenge, signature, user.falcon_public_key);
+        try {
+          const isValid = await verifyWithAlgorithm(user.signature_algorithm, challenge, signature, user.falcon_public_key);
 
-        if (isValid) {
-            const token = generateToken(user.id, user.username);
-            // Use whitelist helper to prevent secret key leakage
-            res.json(buildLoginResponse(user, token));
-        } else {
-            res.status(401).json({ msg: 'Login failed: Invalid signature' });
+          if (isValid) {
+              const token = generateToken(user.id, user.username);
+              // Use whitelist helper to prevent secret key leakage
+              res.json(await buildLoginResponse(user, token));
+          } else {
+              res.status(401).json({ msg: 'Login failed: Invalid signature' });
+          }
+        } catch (e) {
+          console.error('Signature auth error:', e.name, e.message.substring(0, 100));
+          res.status(500).json({ msg: 'Server error during signature authentication' });
         }
     });
 });
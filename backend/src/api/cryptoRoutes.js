@@ -3,13 +3,15 @@
 // ============================================================================
 // Handles ONLY operations that involve PUBLIC data and AUTHENTICATED secret data:
 // - Kyber Encapsulation (uses only PUBLIC keys, safe server-side)
-// - Kyber Decapsulation (uses user's secret key from DB via JWT auth, never transmitted)
-// - Falcon Signing (uses user's secret key from DB via JWT auth, never transmitted)
+// - Kyber Decapsulation (LEGACY: user's secret key from DB via JWT auth, never transmitted)
+// - Falcon Signing (LEGACY: user's secret key from DB via JWT auth, never transmitted)
 // - Falcon Verification (uses only PUBLIC keys, safe server-side)
 //
 // CRITICAL SECURITY DECISIONS:
-// - Kyber DECAPSULATION: Server-side with DB-stored secret keys (like Falcon signing)
-// - Falcon SIGNING: Server-side with DB-stored secret keys
+// - Kyber DECAPSULATION and Falcon SIGNING run client-side by default; the
+//   server routes are RETIRED and answer 410 Gone
+// - Set ENABLE_LEGACY_SERVER_CRYPTO=true to re-enable them for old clients
+//   (server-side with DB-stored secret keys)
 // - Secret keys are ONLY fetched from DB, NEVER accepted in request bodies
 // - All operations with secret data use JWT auth to identify the user
 // ============================================================================
@@ -24,12 +26,26 @@
 
 import express from 'express';
 import rateLimit from 'express-rate-limit';
-import { kyberEncapsulate, kyberDecapsulate, verifyWithFalcon, signWithFalcon, generateFalconKeys } from '../crypto/pqc.js';
+import { kyberEncapsulate, kyberDecapsulate, verifyWithFalcon, signWithFalcon } from '../crypto/pqc.js';
 import { db } from '../database/db.js';
 import { verifyToken } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
+// Compatibility flag for clients that still decapsulate/sign through the server
+const LEGACY_SERVER_CRYPTO_ENABLED = process.env.ENABLE_LEGACY_SERVER_CRYPTO === 'true';
+
+// Gate for routes that require server-held secret keys
+const requireLegacyServerCrypto = (req, res, next) => {
+  if (!LEGACY_SERVER_CRYPTO_ENABLED) {
+    return res.status(410).json({
+      error: 'Server-side secret key operations are retired. Decapsulation and signing must be performed client-side.',
+      code: 'LEGACY_SERVER_CRYPTO_DISABLED'
+    });
+  }
+  next();
+};
+
 // Rate limiters for computationally expensive crypto operations
 // Stricter limits than general API to prevent DoS
 const encapsulateLimiter = rateLimit({
@@ -130,11 +146,12 @@ router.post('/kyber/encapsulate', encapsulateLimiter, async (req, res) => {
 // ============================================================================
 // Kyber Decapsulation
 // ============================================================================
+// LEGACY: Only available when ENABLE_LEGACY_SERVER_CRYPTO=true
 // Protected: Authentication required, rate limiting (20/min)
 // Uses the authenticated user's Kyber secret key from DB
 // Client provides ciphertext; server recovers the shared secret
 // Secret key never leaves server; decapsulation output is sent to client
-router.post('/kyber/decapsulate', decapsulateLimiter, async (req, res) => {
+router.post('/kyber/decapsulate', requireLegacyServerCrypto, decapsulateLimiter, async (req, res) => {
   try {
     const { ciphertext } = req.body;
 
@@ -143,12 +160,12 @@ router.post('/kyber/decapsulate', decapsulateLimiter, async (req, res) => {
       return res.status(400).json({ error: 'ciphertext must be a non-empty base64 string' });
     }
 
-    // Fetch user's Kyber secret key from DB (never from request body)
-    const row = await db.get('SELECT kyber_secret_key FROM users WHERE id = ?', [req.userId]);
+    // Fetch user's legacy Kyber secret key from DB (never from request body)
+    const row = await db.get('SELECT kyber_secret_key FROM legacy_secret_keys WHERE user_id = ?', [req.userId]);
 
     if (!row || !row.kyber_secret_key) {
       console.error(`Kyber secret key not found for user ${req.userId}`);
-      return res.status(500).json({ error: 'User Kyber keys not initialized' });
+      return res.status(404).json({ error: 'No server-held Kyber key for this account; decapsulate client-side' });
     }
 
     console.log(`Kyber decapsulation for user ${req.userId}`);
@@ -171,31 +188,25 @@ router.post('/kyber/decapsulate', decapsulateLimiter, async (req, res) => {
 // ============================================================================
 // Falcon Signing
 // ============================================================================
+// LEGACY: Only available when ENABLE_LEGACY_SERVER_CRYPTO=true
 // Protected: Authentication required, rate limiting (20/min)
 // Uses the authenticated user's Falcon secret key from DB
 // Client provides canonical JSON data to sign; server produces signature
 // Secret key never leaves server
-router.post('/falcon/sign', signLimiter, async (req, res) => {
+router.post('/falcon/sign', requireLegacyServerCrypto, signLimiter, async (req, res) => {
   try {
     const { data } = req.body;
     if (typeof data !== 'string' || !data.length) {
       return res.status(400).json({ error: 'data must be a non-empty string' });
     }
 
-    // Fetch user's Falcon secret key from DB (never from request)
-    let row = await db.get('SELECT falcon_secret_key FROM users WHERE id = ?', [req.userId]);
+    // Fetch user's legacy Falcon secret key from DB (never from request)
+    const row = await db.get('SELECT falcon_secret_key FROM legacy_secret_keys WHERE user_id = ?', [req.userId]);
 
-    // Lazy-generate Falcon keys if missing (backfill for legacy users)
+    // Never regenerate keys here: a new public key would silently break
+    // signature trust. Key changes go through POST /api/keys/rotate
     if (!row || !row.falcon_secret_key) {
-      try {
-        const { publicKey, secretKey } = await generateFalconKeys();
-        await db.run('UPDATE users SET falcon_public_key = ?, falcon_secret_key = ? WHERE id = ?', [publicKey, secretKey, req.userId]);
-        row = { falcon_secret_key: secretKey };
-        console.log(`Backfilled Falcon keys for user ${req.userId}`);
-      } catch (genErr) {
-        console.error('Failed to backfill Falcon keys:', genErr);
-        return res.status(500).json({ error: 'Unable to create signing keys for user' });
-      }
+      return res.status(409).json({ error: 'No server-held signing key for this account; sign client-side' });
     }
 
     const signature = await signWithFalcon(data, row.falcon_secret_key);
@@ -0,0 +1,175 @@
+import express from 'express';
+const router = express.Router();
+import { getRow } from '../database/db.js';
+import { verifyToken } from '../middleware/authMiddleware.js';
+import {
+  verifyWithAlgorithm,
+  buildDeviceRecordPayload,
+  isValidDeviceId,
+  isValidPublicKey,
+  isValidKemPublicKey,
+  isValidSignaturePublicKey,
+  PRIMARY_DEVICE_ID,
+  X25519_PUBLIC_KEY_LENGTH
+} from '../crypto/pqc.js';
+import {
+  MAX_LINKED_DEVICES,
+  getDevices,
+  createDeviceLink,
+  getDeviceLink,
+  addDevice,
+  revokeDevices,
+  notifyDevicesChanged
+} from '../database/devices.js';
+
+const MAX_DEVICE_NAME_LENGTH = 64;
+const DEVICE_SIGNATURE_MAX_SKEW_MS = 5 * 60 * 1000; // Accepted clock skew on signedAt
+
+// @route   GET api/devices
+// @desc    List the authenticated user's linked devices
+// @access  Private (requires valid JWT token)
+// @security The primary device (identity keys) is implicit and not listed
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    res.json({ devices: await getDevices(req.userId) });
+  } catch (err) {
+    console.error('Error listing devices for userId:', req.userId, err.message);
+    res.status(500).json({ msg: 'Server error listing devices' });
+  }
+});
+
+// @route   POST api/devices/link
+// @desc    Start linking a new device: store its public keys under a link code
+// @access  Private (requires valid JWT token)
+// @security Nothing is trusted until the primary device signs the device
+//           record with the identity key (POST api/devices/link/:code/approve)
+router.post('/link', verifyToken, async (req, res) => {
+  const { name, kemAlgorithm, kyberPublicKey, signatureAlgorithm, falconPublicKey, x25519PublicKey } = req.body;
+
+  if (typeof name !== 'string' || !name.trim() || name.length > MAX_DEVICE_NAME_LENGTH) {
+    return res.status(400).json({ msg: `name must be 1-${MAX_DEVICE_NAME_LENGTH} characters` });
+  }
+  if (!isValidKemPublicKey(kemAlgorithm, kyberPublicKey)) {
+    return res.status(400).json({ msg: 'kyberPublicKey must be a public key of a supported kemAlgorithm' });
+  }
+  if (!isValidSignaturePublicKey(signatureAlgorithm, falconPublicKey)) {
+    return res.status(400).json({ msg: 'falconPublicKey must be a public key of a supported signatureAlgorithm' });
+  }
+  if (x25519PublicKey && !isValidPublicKey(x25519PublicKey, X25519_PUBLIC_KEY_LENGTH)) {
+    return res.status(400).json({ msg: `x25519PublicKey must be a base64 X25519 public key (${X25519_PUBLIC_KEY_LENGTH} bytes)` });
+  }
+
+  try {
+    const link = await createDeviceLink(req.userId, name.trim(), {
+      kemAlgorithm, kyberPublicKey, signatureAlgorithm, falconPublicKey, x25519PublicKey
+    });
+    if (!link) {
+      return res.status(409).json({ msg: `At most ${MAX_LINKED_DEVICES} devices can be linked; revoke one first` });
+    }
+    res.status(201).json(link);
+  } catch (err) {
+    console.error('Error creating device link for userId:', req.userId, err.message);
+    res.status(500).json({ msg: 'Server error creating device link' });
+  }
+});
+
+// @route   GET api/devices/link/:code
+// @desc    Look up a pending device link: the primary device reviews the keys,
+//          the new device polls until `status` is 'approved'
+// @access  Private (requires valid JWT token, same account)
+router.get('/link/:code', verifyToken, async (req, res) => {
+  try {
+    const link = await getDeviceLink(req.userId, req.params.code);
+    if (!link) {
+      return res.status(404).json({ msg: 'Unknown or expired link code' });
+    }
+    const { device, ...request } = link;
+    res.json({ ...request, status: device ? 'approved' : 'pending', device });
+  } catch (err) {
+    console.error('Error reading device link for userId:', req.userId, err.message);
+    res.status(500).json({ msg: 'Server error reading device link' });
+  }
+});
+
+// @route   POST api/devices/link/:code/approve
+// @desc    Approve a device link with the identity key's signature
+// @access  Private (requires valid JWT token, same account)
+// @security identitySignature must verify over buildDeviceRecordPayload(userId, ...)
+//           with the account's CURRENT identity signature key
+router.post('/link/:code/approve', verifyToken, async (req, res) => {
+  const userId = req.userId;
+  const { signedAt, identitySignature } = req.body;
+
+  if (!Number.isInteger(signedAt) || Math.abs(Date.now() - signedAt) > DEVICE_SIGNATURE_MAX_SKEW_MS) {
+    return res.status(400).json({ msg: 'signedAt must be the current time in milliseconds' });
+  }
+  if (typeof identitySignature !== 'string' || !identitySignature) {
+    return res.status(400).json({ msg: 'identitySignature is required' });
+  }
+
+  try {
+    const link = await getDeviceLink(userId, req.params.code);
+    if (!link) {
+      return res.status(404).json({ msg: 'Unknown or expired link code' });
+    }
+    if (link.device) {
+      return res.status(409).json({ msg: 'Device is already linked' });
+    }
+
+    const user = await getRow('SELECT falcon_public_key, signature_algorithm FROM users WHERE id = ?', [userId]);
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+    const payload = buildDeviceRecordPayload(userId, { deviceId: link.deviceId, ...link.keys, signedAt });
+    const valid = await verifyWithAlgorithm(user.signature_algorithm, payload, identitySignature, user.falcon_public_key);
+    if (!valid) {
+      return res.status(400).json({ msg: 'Invalid identity signature over the device record' });
+    }
+
+    let device;
+    try {
+      device = await addDevice(userId, link, { signedAt, identitySignature });
+    } catch (err) {
+      return res.status(409).json({ msg: 'Device is already linked' });
+    }
+
+    console.log(`✓ Device ${device.deviceId} linked for user ${userId}`);
+    res.status(201).json({ message: 'Device linked', device });
+    await notifyDevicesChanged(req.app.get('io'), userId);
+  } catch (err) {
+    console.error('Error approving device link for userId:', userId, err.message);
+    if (!res.headersSent) {
+      res.status(500).json({ msg: 'Server error approving device link' });
+    }
+  }
+});
+
+// @route   DELETE api/devices/:deviceId
+// @desc    Revoke a linked device; its sockets are disconnected
+// @access  Private (requires valid JWT token)
+// @security Contacts stop encrypting to the device once they refresh the list
+//           (`devicesChanged` socket event)
+router.delete('/:deviceId', verifyToken, async (req, res) => {
+  const { deviceId } = req.params;
+  if (!isValidDeviceId(deviceId) || deviceId === PRIMARY_DEVICE_ID) {
+    return res.status(400).json({ msg: 'deviceId must name a linked device' });
+  }
+
+  try {
+    const io = req.app.get('io');
+    const revoked = await revokeDevices(io, req.userId, deviceId);
+    if (revoked.length === 0) {
+      return res.status(404).json({ msg: 'Device not found' });
+    }
+    console.log(`✓ Device ${deviceId} revoked for user ${req.userId}`);
+    res.json({ message: 'Device revoked' });
+    await notifyDevicesChanged(io, req.userId);
+  } catch (err) {
+    console.error('Error revoking device for userId:', req.userId, err.message);
+    if (!res.headersSent) {
+      res.status(500).json({ msg: 'Server error revoking device' });
+    }
+  }
+});
+
+export default router;
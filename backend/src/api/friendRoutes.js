@@ -2,6 +2,7 @@ import express from 'express';
 import rateLimit from 'express-rate-limit';
 import { db } from '../database/db.js';
 import { verifyToken } from '../middleware/authMiddleware.js';
+import { getPresenceFor } from '../database/presence.js';
 
 const router = express.Router();
 
@@ -198,6 +199,8 @@ router.post('/request/:request_id/reject', verifyToken, (req, res) => {
 });
 
 // Get list of friends for current user
+// With ?presence=true every friend also has `online` and `last_seen_at`
+// (both null when either side does not share presence)
 router.get('/list', verifyToken, (req, res) => {
   const user_id = req.user.id;
 
@@ -221,9 +224,25 @@ router.get('/list', verifyToken, (req, res) => {
       return res.status(500).json({ error: 'Database error' });
     }
 
-    res.json({
-      friends: friends || []
-    });
+    if (req.query.presence !== 'true' || !friends || friends.length === 0) {
+      return res.json({
+        friends: friends || []
+      });
+    }
+
+    getPresenceFor(req.app.get('io'), user_id, friends.map((friend) => Number(friend.friend_id)))
+      .then((presence) => {
+        res.json({
+          friends: friends.map((friend) => {
+            const { online, lastSeenAt } = presence.get(Number(friend.friend_id));
+            return { ...friend, online, last_seen_at: lastSeenAt };
+          })
+        });
+      })
+      .catch((presenceErr) => {
+        console.error('Failed to load presence for userId:', user_id, presenceErr.message);
+        res.status(500).json({ error: 'Database error' });
+      });
   });
 });
 
@@ -0,0 +1,336 @@
+import express from 'express';
+const router = express.Router();
+import { verifyToken } from '../middleware/authMiddleware.js';
+import { getFriendIds } from '../database/friends.js';
+import { MAX_LINKED_DEVICES, getDeviceSigningKey } from '../database/devices.js';
+import { verifyWithAlgorithm, buildGroupHandshakePayload, isValidDeviceId } from '../crypto/pqc.js';
+import { checkEnvelopeFreshness, registerEnvelopeNonces } from '../crypto/replay.js';
+import {
+  MAX_GROUP_MEMBERS,
+  MAX_GROUP_NAME_LENGTH,
+  GROUP_ADMIN,
+  getGroupsForUser,
+  getGroup,
+  getGroupMembership,
+  getGroupMemberIds,
+  createGroup,
+  addGroupMembers,
+  removeGroupMember,
+  storeGroupCommit,
+  getGroupHandshakes,
+  notifyGroupUpdated,
+  notifyGroupHandshake
+} from '../database/groups.js';
+
+// A commit welcomes at most every member device; the serialized commit
+// carries the public ratchet tree when it adds devices
+const MAX_GROUP_WELCOMES = MAX_GROUP_MEMBERS * (MAX_LINKED_DEVICES + 1);
+const MAX_COMMIT_LENGTH = 4 * 1024 * 1024;
+const WELCOME_FIELDS = ['suite', 'kyberCiphertext', 'ciphertext', 'iv', 'authTag', 'nonce', 'signature'];
+
+const parseGroupId = (value) => {
+  const groupId = parseInt(value, 10);
+  return Number.isInteger(groupId) && groupId > 0 ? groupId : null;
+};
+
+// Array of distinct positive user IDs, or null when malformed
+const parseUserIds = (value) => {
+  if (!Array.isArray(value) || !value.every((id) => Number.isInteger(id) && id > 0)) {
+    return null;
+  }
+  return [...new Set(value)];
+};
+
+// New members must be friends of whoever adds them
+const findNonFriends = async (userId, memberIds) => {
+  const friendIds = new Set(await getFriendIds(userId));
+  return memberIds.filter((id) => !friendIds.has(id));
+};
+
+// @route   GET api/groups
+// @desc    Groups the authenticated user belongs to
+// @access  Private (requires valid JWT token)
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    res.json({ groups: await getGroupsForUser(req.userId) });
+  } catch (err) {
+    console.error('Error listing groups for userId:', req.userId, err.message);
+    res.status(500).json({ msg: 'Server error listing groups' });
+  }
+});
+
+// @route   GET api/groups/:groupId
+// @desc    A group with its members and current epoch
+// @access  Private (members only)
+router.get('/:groupId', verifyToken, async (req, res) => {
+  const groupId = parseGroupId(req.params.groupId);
+  if (!groupId) {
+    return res.status(400).json({ msg: 'Invalid group ID' });
+  }
+
+  try {
+    if (!(await getGroupMembership(groupId, req.userId))) {
+      return res.status(404).json({ msg: 'Group not found' });
+    }
+    res.json(await getGroup(groupId));
+  } catch (err) {
+    console.error('Error reading group:', groupId, err.message);
+    res.status(500).json({ msg: 'Server error reading group' });
+  }
+});
+
+// @route   POST api/groups
+// @desc    Create a group ({ name, memberIds }); the creator becomes admin
+// @access  Private (requires valid JWT token)
+// @security Only friends of the creator can be added; group keys are created
+//           by the members' devices, the server never sees them
+router.post('/', verifyToken, async (req, res) => {
+  const { name } = req.body;
+  const memberIds = parseUserIds(req.body.memberIds);
+  const creatorId = parseInt(req.userId, 10);
+
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_GROUP_NAME_LENGTH) {
+    return res.status(400).json({ msg: `name must be 1-${MAX_GROUP_NAME_LENGTH} characters` });
+  }
+  if (!memberIds || memberIds.length === 0 || memberIds.includes(creatorId)) {
+    return res.status(400).json({ msg: 'memberIds must list at least one other user' });
+  }
+  if (memberIds.length + 1 > MAX_GROUP_MEMBERS) {
+    return res.status(400).json({ msg: `A group has at most ${MAX_GROUP_MEMBERS} members` });
+  }
+
+  try {
+    if ((await findNonFriends(creatorId, memberIds)).length > 0) {
+      return res.status(403).json({ msg: 'You can only add friends to a group' });
+    }
+    const groupId = await createGroup(creatorId, name.trim(), memberIds);
+    const group = await getGroup(groupId);
+    console.log(`✓ Group ${groupId} created by user ${creatorId} with ${group.members.length} members`);
+    notifyGroupUpdated(req.app.get('io'), groupId, [creatorId, ...memberIds], group.epoch);
+    res.status(201).json(group);
+  } catch (err) {
+    console.error('Error creating group for userId:', req.userId, err.message);
+    res.status(500).json({ msg: 'Server error creating group' });
+  }
+});
+
+// @route   POST api/groups/:groupId/members
+// @desc    Add members ({ userIds }); a member device then commits their
+//          devices to the ratchet tree
+// @access  Private (group admins only)
+// @security The commit starts a new epoch, so new members cannot read
+//           anything sent before they joined
+router.post('/:groupId/members', verifyToken, async (req, res) => {
+  const groupId = parseGroupId(req.params.groupId);
+  const userIds = parseUserIds(req.body.userIds);
+  if (!groupId) {
+    return res.status(400).json({ msg: 'Invalid group ID' });
+  }
+  if (!userIds || userIds.length === 0) {
+    return res.status(400).json({ msg: 'userIds must list at least one user' });
+  }
+
+  try {
+    const membership = await getGroupMembership(groupId, req.userId);
+    if (!membership) {
+      return res.status(404).json({ msg: 'Group not found' });
+    }
+    if (membership.role !== GROUP_ADMIN) {
+      return res.status(403).json({ msg: 'Only group admins can add members' });
+    }
+
+    const group = await getGroup(groupId);
+    const current = new Set(group.members.map((member) => member.userId));
+    const newIds = userIds.filter((id) => !current.has(id));
+    if (newIds.length === 0) {
+      return res.status(400).json({ msg: 'Everyone listed is already a member' });
+    }
+    if (current.size + newIds.length > MAX_GROUP_MEMBERS) {
+      return res.status(400).json({ msg: `A group has at most ${MAX_GROUP_MEMBERS} members` });
+    }
+    if ((await findNonFriends(parseInt(req.userId, 10), newIds)).length > 0) {
+      return res.status(403).json({ msg: 'You can only add friends to a group' });
+    }
+
+    await addGroupMembers(groupId, newIds);
+    const updated = await getGroup(groupId);
+    console.log(`✓ ${newIds.length} members added to group ${groupId}, epoch ${updated.epoch}`);
+    notifyGroupUpdated(req.app.get('io'), groupId, updated.members.map((member) => member.userId), updated.epoch);
+    res.json(updated);
+  } catch (err) {
+    console.error('Error adding group members:', groupId, err.message);
+    res.status(500).json({ msg: 'Server error adding group members' });
+  }
+});
+
+// @route   DELETE api/groups/:groupId/members/:userId
+// @desc    Remove a member (admins) or leave the group (own user ID)
+// @access  Private (group members)
+// @security A remaining member device commits the removal; the relay stops
+//           sending group messages to the removed member right away, and
+//           after the commit they cannot derive the keys anymore
+router.delete('/:groupId/members/:userId', verifyToken, async (req, res) => {
+  const groupId = parseGroupId(req.params.groupId);
+  const userId = parseInt(req.params.userId, 10);
+  if (!groupId || !Number.isInteger(userId) || userId <= 0) {
+    return res.status(400).json({ msg: 'Invalid group or user ID' });
+  }
+  const isLeaving = userId === parseInt(req.userId, 10);
+
+  try {
+    const membership = await getGroupMembership(groupId, req.userId);
+    if (!membership) {
+      return res.status(404).json({ msg: 'Group not found' });
+    }
+    if (!isLeaving && membership.role !== GROUP_ADMIN) {
+      return res.status(403).json({ msg: 'Only group admins can remove members' });
+    }
+    if (!isLeaving && !(await getGroupMembership(groupId, userId))) {
+      return res.status(404).json({ msg: 'User is not a member of this group' });
+    }
+
+    const deleted = await removeGroupMember(groupId, userId);
+    const updated = deleted ? null : await getGroup(groupId);
+    console.log(`✓ User ${userId} ${isLeaving ? 'left' : 'removed from'} group ${groupId}${deleted ? ' (group deleted)' : ''}`);
+
+    // Remaining members commit the removal; the removed member drops the group
+    const io = req.app.get('io');
+    if (updated) {
+      notifyGroupUpdated(io, groupId, updated.members.map((member) => member.userId), updated.epoch);
+    }
+    notifyGroupUpdated(io, groupId, [userId], null);
+    res.json({ deleted, group: isLeaving ? null : updated });
+  } catch (err) {
+    console.error('Error removing group member:', groupId, err.message);
+    res.status(500).json({ msg: 'Server error removing group member' });
+  }
+});
+
+// @route   GET api/groups/:groupId/handshakes?deviceId=&after=
+// @desc    Ratchet tree commits from epoch `after` on, and the welcomes held
+//          for one of the caller's devices; without `after`, commits start at
+//          the device's latest welcome
+// @access  Private (members only)
+// @security Welcomes are encrypted to the device; commits only carry public
+//           keys and encapsulations
+router.get('/:groupId/handshakes', verifyToken, async (req, res) => {
+  const groupId = parseGroupId(req.params.groupId);
+  const { deviceId } = req.query;
+  const after = req.query.after === undefined ? null : parseInt(req.query.after, 10);
+  if (!groupId || !isValidDeviceId(deviceId) || (after !== null && !(Number.isInteger(after) && after >= 0))) {
+    return res.status(400).json({ msg: 'Invalid group ID, deviceId or after' });
+  }
+
+  try {
+    const membership = await getGroupMembership(groupId, req.userId);
+    if (!membership) {
+      return res.status(404).json({ msg: 'Group not found' });
+    }
+    const handshakes = await getGroupHandshakes(groupId, parseInt(req.userId, 10), deviceId, after);
+    res.json({ epoch: membership.epoch, ...handshakes });
+  } catch (err) {
+    console.error('Error reading group handshakes:', groupId, err.message);
+    res.status(500).json({ msg: 'Server error reading group handshakes' });
+  }
+});
+
+// @route   POST api/groups/:groupId/commits
+// @desc    Relay a ratchet tree commit ({ epoch, senderDeviceId, body, sentAt,
+//          nonce, signature, welcomes }) and move the group to the next epoch
+// @access  Private (members only)
+// @security The commit is opaque; the relay checks the committing device's
+//           signature and replay fields, that welcomes go to members, and
+//           accepts one commit per epoch (409 with currentEpoch otherwise)
+router.post('/:groupId/commits', verifyToken, async (req, res) => {
+  const groupId = parseGroupId(req.params.groupId);
+  const { epoch, senderDeviceId, body, sentAt, nonce, signature } = req.body;
+  const welcomes = Array.isArray(req.body.welcomes) ? req.body.welcomes : [];
+  const senderId = parseInt(req.userId, 10);
+
+  if (!groupId || !Number.isInteger(epoch) || epoch < 0 || !isValidDeviceId(senderDeviceId) ||
+      typeof signature !== 'string') {
+    return res.status(400).json({ msg: 'Malformed commit' });
+  }
+  if (typeof body !== 'string' || !body || body.length > MAX_COMMIT_LENGTH) {
+    return res.status(400).json({ msg: `body must be a serialized commit of at most ${MAX_COMMIT_LENGTH} characters` });
+  }
+  if (welcomes.length > MAX_GROUP_WELCOMES) {
+    return res.status(400).json({ msg: `A commit has at most ${MAX_GROUP_WELCOMES} welcomes` });
+  }
+  const freshnessError = checkEnvelopeFreshness({ sentAt, nonce });
+  if (freshnessError) {
+    return res.status(400).json({ msg: freshnessError });
+  }
+
+  try {
+    const membership = await getGroupMembership(groupId, senderId);
+    if (!membership) {
+      return res.status(404).json({ msg: 'Group not found' });
+    }
+    if (membership.epoch !== epoch) {
+      return res.status(409).json({ msg: 'Another commit was accepted for this epoch', currentEpoch: membership.epoch });
+    }
+
+    const memberIds = new Set(await getGroupMemberIds(groupId));
+    const targets = new Set();
+    const storedWelcomes = [];
+    for (const welcome of welcomes) {
+      const userId = parseInt(welcome?.userId, 10);
+      const target = `${userId}_${welcome?.deviceId}`;
+      if (!memberIds.has(userId) || !isValidDeviceId(welcome?.deviceId) || targets.has(target) ||
+          !WELCOME_FIELDS.every((field) => typeof welcome[field] === 'string') || !Number.isInteger(welcome.sentAt)) {
+        return res.status(400).json({ msg: 'Welcome addressed to an invalid device or malformed' });
+      }
+      targets.add(target);
+      const { v, suite, kyberCiphertext, ephemeralPublicKey, ciphertext, iv, authTag } = welcome;
+      storedWelcomes.push({
+        userId,
+        deviceId: welcome.deviceId,
+        senderId,
+        senderDeviceId,
+        v,
+        suite,
+        kyberCiphertext,
+        ephemeralPublicKey,
+        ciphertext,
+        iv,
+        authTag,
+        sentAt: welcome.sentAt,
+        nonce: welcome.nonce,
+        signature: welcome.signature
+      });
+    }
+
+    const senderDevice = await getDeviceSigningKey(senderId, senderDeviceId);
+    if (!senderDevice) {
+      return res.status(403).json({ msg: 'Unknown sending device' });
+    }
+    const commit = { groupId, epoch, senderId, senderDeviceId, body, sentAt, nonce };
+    const isValid = await verifyWithAlgorithm(
+      senderDevice.signature_algorithm,
+      buildGroupHandshakePayload(commit),
+      signature,
+      senderDevice.falcon_public_key
+    );
+    if (!isValid) {
+      console.log('Group commit rejected: Invalid signature', { groupId, userId: senderId });
+      return res.status(403).json({ msg: 'Invalid commit signature' });
+    }
+    if (!registerEnvelopeNonces(senderId, senderDeviceId, [{ sentAt, nonce }])) {
+      return res.status(409).json({ msg: 'Replayed commit rejected' });
+    }
+
+    if (!(await storeGroupCommit(groupId, epoch, { senderId, senderDeviceId, body, sentAt, nonce, signature }, storedWelcomes))) {
+      const current = await getGroupMembership(groupId, senderId);
+      return res.status(409).json({ msg: 'Another commit was accepted for this epoch', currentEpoch: current?.epoch });
+    }
+    console.log(`✓ Group ${groupId} commit accepted, epoch ${epoch + 1} (${storedWelcomes.length} welcomes)`);
+    notifyGroupHandshake(req.app.get('io'), groupId, [...memberIds], epoch + 1);
+    res.status(201).json({ epoch: epoch + 1 });
+  } catch (err) {
+    console.error('Error relaying group commit:', groupId, err.message);
+    res.status(500).json({ msg: 'Server error relaying group commit' });
+  }
+});
+
+export default router;
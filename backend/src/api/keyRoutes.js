@@ -1,21 +1,45 @@
 import express from 'express';
 const router = express.Router();
-import { db } from '../database/db.js';
+import { db, getRow, runQuery } from '../database/db.js';
 import { verifyToken } from '../middleware/authMiddleware.js';
+import {
+  verifyWithAlgorithm,
+  buildKeyMigrationPayload,
+  buildHybridKeyPayload,
+  isValidPublicKey,
+  isValidKemPublicKey,
+  isValidPrekeyId,
+  buildSignedPrekeyPayload,
+  buildOneTimePrekeyPayload,
+  buildKeyTransitionPayload,
+  isValidSignaturePublicKey,
+  X25519_PUBLIC_KEY_LENGTH
+} from '../crypto/pqc.js';
+import { MAX_ONE_TIME_PREKEYS, getPrekeyStatus, getReplenishRequest, notifyPrekeyStatus } from '../database/prekeys.js';
+import { getFriendIds } from '../database/friends.js';
+import { revokeDevices, notifyDevicesChanged } from '../database/devices.js';
+import { signDirectoryEntry, getDirectoryPublicKey } from '../crypto/directory.js';
+import {
+  logKeyChange,
+  getSignedTreeHead,
+  getInclusionProof,
+  getConsistencyProof
+} from '../database/transparency.js';
 
 // @route   GET api/keys/my-keys
 // @desc    Retrieve authenticated user's PUBLIC cryptographic keys
 // @access  Private (requires valid JWT token)
-// @security Only returns PUBLIC keys for the authenticated user
+// @security Only returns PUBLIC keys for the authenticated user, with a
+//           directory signature over buildDirectoryEntryPayload
 // @security SECRET KEYS MUST NEVER BE TRANSMITTED - they are stored encrypted client-side
 router.get('/my-keys', verifyToken, (req, res) => {
   const userId = req.userId; // From verifyToken middleware
 
   // SECURITY: Only select public key columns - secret keys must NEVER be transmitted
   db.get(
-    'SELECT kyber_public_key, falcon_public_key FROM users WHERE id = ?',
+    'SELECT kyber_public_key, falcon_public_key, x25519_public_key, kem_algorithm, signature_algorithm, key_version FROM users WHERE id = ?',
     [userId],
-    (err, user) => {
+    async (err, user) => {
       if (err) {
         console.error('Error retrieving user public keys for userId:', userId);
         return res.status(500).json({ msg: 'Server error retrieving keys' });
@@ -27,14 +51,517 @@ router.get('/my-keys', verifyToken, (req, res) => {
 
       // SECURITY: Only return public keys
       // Secret keys are never transmitted; they are managed client-side with secure storage
-      res.json({
-        keys: {
-          kyberPublicKey: user.kyber_public_key,
-          falconPublicKey: user.falcon_public_key
+      const keys = {
+        kyberPublicKey: user.kyber_public_key,
+        falconPublicKey: user.falcon_public_key,
+        x25519PublicKey: user.x25519_public_key || null,
+        kemAlgorithm: user.kem_algorithm,
+        signatureAlgorithm: user.signature_algorithm,
+        keyVersion: user.key_version
+      };
+      try {
+        res.json({ keys: { ...keys, directory: await signDirectoryEntry(userId, keys) } });
+      } catch (signErr) {
+        console.error('Error signing directory entry for userId:', userId, signErr.message);
+        res.status(500).json({ msg: 'Server error retrieving keys' });
+      }
+    }
+  );
+});
+
+// @route   GET api/keys/directory-key
+// @desc    Public key the server signs key-directory entries with
+// @access  Public
+// @security Informational only: clients must pin this key at build time
+//           (REACT_APP_DIRECTORY_PUBLIC_KEY) rather than trust this response
+router.get('/directory-key', (req, res) => {
+  res.json(getDirectoryPublicKey());
+});
+
+// @route   POST api/keys/migrate
+// @desc    Confirm client custody of legacy server-held secret keys
+// @access  Private (requires valid JWT token)
+// @security Client signs buildKeyMigrationPayload(userId, falconPublicKey) with the
+//           Falcon secret key it stored locally; the server copy is then deleted
+router.post('/migrate', verifyToken, (req, res) => {
+  const userId = req.userId;
+  const { signature } = req.body;
+
+  if (typeof signature !== 'string' || signature.length === 0) {
+    return res.status(400).json({ msg: 'signature is required' });
+  }
+
+  db.get('SELECT falcon_public_key, signature_algorithm FROM users WHERE id = ?', [userId], async (err, user) => {
+    if (err) {
+      console.error('Error retrieving user for key migration, userId:', userId);
+      return res.status(500).json({ msg: 'Server error during key migration' });
+    }
+
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    const payload = buildKeyMigrationPayload(userId, user.falcon_public_key);
+    const isValid = await verifyWithAlgorithm(user.signature_algorithm, payload, signature, user.falcon_public_key);
+    if (!isValid) {
+      return res.status(400).json({ msg: 'Invalid custody signature' });
+    }
+
+    db.run('DELETE FROM legacy_secret_keys WHERE user_id = ?', [userId], (err) => {
+      if (err) {
+        console.error('Error deleting legacy secret keys for userId:', userId);
+        return res.status(500).json({ msg: 'Server error during key migration' });
+      }
+
+      console.log(`✓ Legacy secret keys deleted for user ${userId}`);
+      res.json({ message: 'Key migration complete', keyMigrationRequired: false });
+    });
+  });
+});
+
+// @route   POST api/keys/x25519
+// @desc    Add the X25519 public key used for hybrid key encapsulation
+// @access  Private (requires valid JWT token)
+// @security For accounts registered before hybrid KEM. The key must be signed
+//           with the account's signature key via buildHybridKeyPayload(userId, key)
+//           and can only be set once; later changes go through key rotation
+router.post('/x25519', verifyToken, (req, res) => {
+  const userId = req.userId;
+  const { x25519PublicKey, signature } = req.body;
+
+  if (!isValidPublicKey(x25519PublicKey, X25519_PUBLIC_KEY_LENGTH)) {
+    return res.status(400).json({ msg: `x25519PublicKey must be a base64 X25519 public key (${X25519_PUBLIC_KEY_LENGTH} bytes)` });
+  }
+  if (typeof signature !== 'string' || signature.length === 0) {
+    return res.status(400).json({ msg: 'signature is required' });
+  }
+
+  const userQuery = `SELECT kyber_public_key, falcon_public_key, x25519_public_key, kem_algorithm, signature_algorithm, key_version
+    FROM users WHERE id = ?`;
+  db.get(userQuery, [userId], async (err, user) => {
+    if (err) {
+      console.error('Error retrieving user for X25519 key upload, userId:', userId);
+      return res.status(500).json({ msg: 'Server error storing X25519 key' });
+    }
+
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    if (user.x25519_public_key) {
+      return res.status(409).json({ msg: 'X25519 key already registered for this account' });
+    }
+
+    const payload = buildHybridKeyPayload(userId, x25519PublicKey);
+    const isValid = await verifyWithAlgorithm(user.signature_algorithm, payload, signature, user.falcon_public_key);
+    if (!isValid) {
+      return res.status(400).json({ msg: 'Invalid X25519 key signature' });
+    }
+
+    db.run(
+      'UPDATE users SET x25519_public_key = ? WHERE id = ? AND x25519_public_key IS NULL',
+      [x25519PublicKey, userId],
+      async (err) => {
+        if (err) {
+          console.error('Error storing X25519 key for userId:', userId);
+          return res.status(500).json({ msg: 'Server error storing X25519 key' });
         }
+
+        await logKeyChange(userId, {
+          kyberPublicKey: user.kyber_public_key,
+          falconPublicKey: user.falcon_public_key,
+          x25519PublicKey,
+          kemAlgorithm: user.kem_algorithm,
+          signatureAlgorithm: user.signature_algorithm,
+          keyVersion: user.key_version
+        });
+        res.json({ message: 'X25519 key registered', x25519PublicKey });
+      }
+    );
+  });
+});
+
+// Shape check of an uploaded prekey; the signature is verified separately
+const isWellFormedPrekey = (prekey, kemAlgorithm) =>
+  !!prekey &&
+  isValidPrekeyId(prekey.keyId) &&
+  isValidKemPublicKey(kemAlgorithm, prekey.publicKey) &&
+  typeof prekey.signature === 'string' &&
+  prekey.signature.length > 0;
+
+// @route   GET api/keys/prekeys/status
+// @desc    Signed prekey age and number of one-time prekeys left
+// @access  Private (requires valid JWT token)
+router.get('/prekeys/status', verifyToken, async (req, res) => {
+  const userId = req.userId;
+
+  try {
+    const status = await getPrekeyStatus(userId);
+    if (!status) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    res.json({ ...status, replenish: getReplenishRequest(status), maxOneTimePrekeys: MAX_ONE_TIME_PREKEYS });
+  } catch (err) {
+    console.error('Error retrieving prekey status for userId:', userId);
+    res.status(500).json({ msg: 'Server error retrieving prekey status' });
+  }
+});
+
+// @route   POST api/keys/prekeys
+// @desc    Upload a new signed prekey and/or a batch of one-time prekeys
+// @access  Private (requires valid JWT token)
+// @security Every prekey must be a key of the account's registered KEM, signed
+//           with the account's signature key via buildSignedPrekeyPayload /
+//           buildOneTimePrekeyPayload. Only public keys are accepted
+//           replaceOneTimePrekeys drops the stored one-time prekeys first, for
+//           a device whose prekey secrets were lost (e.g. after a key restore)
+router.post('/prekeys', verifyToken, async (req, res) => {
+  const userId = req.userId;
+  const { signedPrekey, replaceOneTimePrekeys } = req.body;
+  const oneTimePrekeys = req.body.oneTimePrekeys || [];
+
+  if (!signedPrekey && oneTimePrekeys.length === 0 && !replaceOneTimePrekeys) {
+    return res.status(400).json({ msg: 'signedPrekey or oneTimePrekeys is required' });
+  }
+  if (!Array.isArray(oneTimePrekeys) || oneTimePrekeys.length > MAX_ONE_TIME_PREKEYS) {
+    return res.status(400).json({ msg: `oneTimePrekeys must be an array of at most ${MAX_ONE_TIME_PREKEYS} prekeys` });
+  }
+
+  try {
+    const user = await getRow('SELECT falcon_public_key, signature_algorithm FROM users WHERE id = ?', [userId]);
+    const status = await getPrekeyStatus(userId);
+    if (!user || !status) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+    const { kemAlgorithm } = status;
+
+    if (signedPrekey && !isWellFormedPrekey(signedPrekey, kemAlgorithm)) {
+      return res.status(400).json({ msg: `signedPrekey must be a signed ${kemAlgorithm} public key` });
+    }
+    if (!oneTimePrekeys.every((prekey) => isWellFormedPrekey(prekey, kemAlgorithm))) {
+      return res.status(400).json({ msg: `oneTimePrekeys must be signed ${kemAlgorithm} public keys` });
+    }
+    if (new Set(oneTimePrekeys.map((prekey) => prekey.keyId)).size !== oneTimePrekeys.length) {
+      return res.status(400).json({ msg: 'Duplicate one-time prekey id' });
+    }
+    const keptCount = replaceOneTimePrekeys ? 0 : status.oneTimePrekeyCount;
+    if (keptCount + oneTimePrekeys.length > MAX_ONE_TIME_PREKEYS) {
+      return res.status(400).json({ msg: `At most ${MAX_ONE_TIME_PREKEYS} one-time prekeys can be stored` });
+    }
+
+    // Verify every signature before storing anything
+    const uploads = [
+      ...(signedPrekey ? [{ prekey: signedPrekey, buildPayload: buildSignedPrekeyPayload }] : []),
+      ...oneTimePrekeys.map((prekey) => ({ prekey, buildPayload: buildOneTimePrekeyPayload }))
+    ];
+    for (const { prekey, buildPayload } of uploads) {
+      const payload = buildPayload(userId, { keyId: prekey.keyId, kemAlgorithm, publicKey: prekey.publicKey });
+      const isValid = await verifyWithAlgorithm(user.signature_algorithm, payload, prekey.signature, user.falcon_public_key);
+      if (!isValid) {
+        return res.status(400).json({ msg: `Invalid signature on prekey ${prekey.keyId}` });
+      }
+    }
+
+    if (replaceOneTimePrekeys) {
+      await runQuery('DELETE FROM one_time_prekeys WHERE user_id = ?', [userId]);
+    }
+    if (signedPrekey) {
+      await runQuery(
+        `INSERT INTO signed_prekeys (user_id, key_id, kem_algorithm, public_key, signature) VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT (user_id) DO UPDATE SET key_id = excluded.key_id, kem_algorithm = excluded.kem_algorithm,
+           public_key = excluded.public_key, signature = excluded.signature, created_at = CURRENT_TIMESTAMP`,
+        [userId, signedPrekey.keyId, kemAlgorithm, signedPrekey.publicKey, signedPrekey.signature]
+      );
+    }
+    for (const prekey of oneTimePrekeys) {
+      await runQuery(
+        `INSERT INTO one_time_prekeys (user_id, key_id, kem_algorithm, public_key, signature) VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT (user_id, key_id) DO NOTHING`,
+        [userId, prekey.keyId, kemAlgorithm, prekey.publicKey, prekey.signature]
+      );
+    }
+
+    const updated = await getPrekeyStatus(userId);
+    console.log(`✓ Prekeys uploaded for user ${userId}: ${oneTimePrekeys.length} one-time${signedPrekey ? ', new signed prekey' : ''}`);
+    res.json({ message: 'Prekeys stored', ...updated });
+  } catch (err) {
+    console.error('Error storing prekeys for userId:', userId, err.message);
+    res.status(500).json({ msg: 'Server error storing prekeys' });
+  }
+});
+
+const KEY_TRANSITION_MAX_SKEW_MS = 5 * 60 * 1000; // Accepted clock skew on transition timestamps
+
+// @route   POST api/keys/rotate
+// @desc    Rotate the account's long-term KEM, signature and X25519 keys
+// @access  Private (requires valid JWT token)
+// @security The transition record buildKeyTransitionPayload(userId, ...) must be
+//           signed by the CURRENT signature key (transitionSignature) and by the
+//           new one (newKeySignature). It is kept in key_history so peers can
+//           verify the chain from a key they already trust. Prekeys and linked
+//           devices signed by the old key are deleted; friends get a
+//           `keysRotated` socket event
+router.post('/rotate', verifyToken, async (req, res) => {
+  const userId = req.userId;
+  const {
+    kemAlgorithm,
+    kyberPublicKey,
+    signatureAlgorithm,
+    falconPublicKey,
+    x25519PublicKey,
+    timestamp,
+    transitionSignature,
+    newKeySignature
+  } = req.body;
+
+  if (!isValidKemPublicKey(kemAlgorithm, kyberPublicKey)) {
+    return res.status(400).json({ msg: 'kyberPublicKey must be a public key of a supported kemAlgorithm' });
+  }
+  if (!isValidSignaturePublicKey(signatureAlgorithm, falconPublicKey)) {
+    return res.status(400).json({ msg: 'falconPublicKey must be a public key of a supported signatureAlgorithm' });
+  }
+  if (x25519PublicKey && !isValidPublicKey(x25519PublicKey, X25519_PUBLIC_KEY_LENGTH)) {
+    return res.status(400).json({ msg: `x25519PublicKey must be a base64 X25519 public key (${X25519_PUBLIC_KEY_LENGTH} bytes)` });
+  }
+  if (!Number.isInteger(timestamp) || Math.abs(Date.now() - timestamp) > KEY_TRANSITION_MAX_SKEW_MS) {
+    return res.status(400).json({ msg: 'timestamp must be the current time in milliseconds' });
+  }
+  if (typeof transitionSignature !== 'string' || !transitionSignature || typeof newKeySignature !== 'string' || !newKeySignature) {
+    return res.status(400).json({ msg: 'transitionSignature and newKeySignature are required' });
+  }
+
+  try {
+    const user = await getRow(
+      'SELECT kyber_public_key, falcon_public_key, x25519_public_key, signature_algorithm, key_version FROM users WHERE id = ?',
+      [userId]
+    );
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+    if (kyberPublicKey === user.kyber_public_key || falconPublicKey === user.falcon_public_key ||
+        (x25519PublicKey && x25519PublicKey === user.x25519_public_key)) {
+      return res.status(400).json({ msg: 'New keys must differ from the current keys' });
+    }
+
+    const keyVersion = user.key_version + 1;
+    const payload = buildKeyTransitionPayload(userId, {
+      keyVersion,
+      previousSignatureAlgorithm: user.signature_algorithm,
+      previousFalconPublicKey: user.falcon_public_key,
+      kemAlgorithm,
+      kyberPublicKey,
+      signatureAlgorithm,
+      falconPublicKey,
+      x25519PublicKey,
+      timestamp
+    });
+
+    const vouched = await verifyWithAlgorithm(user.signature_algorithm, payload, transitionSignature, user.falcon_public_key);
+    if (!vouched) {
+      return res.status(400).json({ msg: 'Invalid transition signature from the current key' });
+    }
+    const possessed = await verifyWithAlgorithm(signatureAlgorithm, payload, newKeySignature, falconPublicKey);
+    if (!possessed) {
+      return res.status(400).json({ msg: 'Invalid signature from the new key' });
+    }
+
+    // UNIQUE(user_id, key_version) rejects a concurrent rotation
+    try {
+      await runQuery(
+        `INSERT INTO key_history (user_id, key_version, kem_algorithm, kyber_public_key, signature_algorithm,
+           falcon_public_key, x25519_public_key, previous_signature_algorithm, previous_falcon_public_key,
+           signed_at, transition_signature, new_key_signature)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [userId, keyVersion, kemAlgorithm, kyberPublicKey, signatureAlgorithm, falconPublicKey,
+          x25519PublicKey || null, user.signature_algorithm, user.falcon_public_key, timestamp,
+          transitionSignature, newKeySignature]
+      );
+    } catch (err) {
+      return res.status(409).json({ msg: 'Keys were rotated concurrently; fetch the current keys and retry' });
+    }
+
+    await runQuery(
+      `UPDATE users SET kyber_public_key = ?, falcon_public_key = ?, x25519_public_key = ?,
+         kem_algorithm = ?, signature_algorithm = ?, key_version = ? WHERE id = ?`,
+      [kyberPublicKey, falconPublicKey, x25519PublicKey || null, kemAlgorithm, signatureAlgorithm, keyVersion, userId]
+    );
+
+    // Material bound to the old keys
+    await runQuery('DELETE FROM signed_prekeys WHERE user_id = ?', [userId]);
+    await runQuery('DELETE FROM one_time_prekeys WHERE user_id = ?', [userId]);
+    await runQuery('DELETE FROM legacy_secret_keys WHERE user_id = ?', [userId]);
+
+    console.log(`✓ Keys rotated for user ${userId} (version ${keyVersion})`);
+    const keys = {
+      kyberPublicKey,
+      falconPublicKey,
+      x25519PublicKey: x25519PublicKey || null,
+      kemAlgorithm,
+      signatureAlgorithm,
+      keyVersion
+    };
+    await logKeyChange(userId, keys);
+    res.json({
+      message: 'Keys rotated',
+      keys: { ...keys, directory: await signDirectoryEntry(userId, keys) }
+    });
+
+    const io = req.app.get('io');
+    // Device records were signed by the old identity key: devices are relinked
+    if ((await revokeDevices(io, userId)).length > 0) {
+      await notifyDevicesChanged(io, userId);
+    }
+    if (io) {
+      const friendIds = await getFriendIds(userId);
+      [userId, ...friendIds].forEach((id) => {
+        io.to(`user_${id}`).emit('keysRotated', { userId: Number(userId), keyVersion });
       });
+      await notifyPrekeyStatus(io, userId);
+    }
+  } catch (err) {
+    console.error('Error rotating keys for userId:', userId, err.message);
+    if (!res.headersSent) {
+      res.status(500).json({ msg: 'Server error rotating keys' });
+    }
+  }
+});
+
+// ============================================================================
+// Key backups
+// ============================================================================
+// A client may park its passphrase-encrypted key backup on the server. The
+// blob is opaque here: wrapping, integrity checks and the recovery passphrase
+// all stay client-side (see createKeyBackup in the frontend crypto.js)
+
+const MAX_KEY_BACKUP_LENGTH = 64 * 1024;
+
+// @route   GET api/keys/backup
+// @desc    Fetch the authenticated user's encrypted key backup
+// @access  Private (requires valid JWT token)
+router.get('/backup', verifyToken, (req, res) => {
+  db.get('SELECT backup, updated_at FROM key_backups WHERE user_id = ?', [req.userId], (err, row) => {
+    if (err) {
+      console.error('Error retrieving key backup for userId:', req.userId);
+      return res.status(500).json({ msg: 'Server error retrieving key backup' });
+    }
+    if (!row) {
+      return res.status(404).json({ msg: 'No key backup stored for this account' });
+    }
+    res.json({ backup: row.backup, updatedAt: row.updated_at });
+  });
+});
+
+// @route   PUT api/keys/backup
+// @desc    Store (or replace) the authenticated user's encrypted key backup
+// @access  Private (requires valid JWT token)
+// @security The backup must already be encrypted under the user's recovery
+//           passphrase; the server never sees the passphrase or the keys
+router.put('/backup', verifyToken, (req, res) => {
+  const { backup } = req.body;
+  if (typeof backup !== 'string' || backup.length === 0 || backup.length > MAX_KEY_BACKUP_LENGTH) {
+    return res.status(400).json({ msg: `backup must be a string of at most ${MAX_KEY_BACKUP_LENGTH} characters` });
+  }
+
+  db.run(
+    `INSERT INTO key_backups (user_id, backup) VALUES (?, ?)
+     ON CONFLICT (user_id) DO UPDATE SET backup = excluded.backup, updated_at = CURRENT_TIMESTAMP`,
+    [req.userId, backup],
+    (err) => {
+      if (err) {
+        console.error('Error storing key backup for userId:', req.userId);
+        return res.status(500).json({ msg: 'Server error storing key backup' });
+      }
+      res.json({ message: 'Key backup stored' });
     }
   );
 });
 
+// @route   DELETE api/keys/backup
+// @desc    Delete the authenticated user's server-stored key backup
+// @access  Private (requires valid JWT token)
+router.delete('/backup', verifyToken, (req, res) => {
+  db.run('DELETE FROM key_backups WHERE user_id = ?', [req.userId], (err) => {
+    if (err) {
+      console.error('Error deleting key backup for userId:', req.userId);
+      return res.status(500).json({ msg: 'Server error deleting key backup' });
+    }
+    res.json({ message: 'Key backup deleted' });
+  });
+});
+
+// ============================================================================
+// Key transparency log
+// ============================================================================
+// Tree heads are signed with the directory key. Clients verify inclusion of
+// every key set they are served and consistency between the tree heads they
+// have seen (see database/transparency.js)
+
+const LEAF_HASH_LENGTH = 32; // SHA-256
+
+const parseTreeSize = (value) => {
+  const size = Number(value);
+  return Number.isSafeInteger(size) && size > 0 ? size : null;
+};
+
+// @route   GET api/keys/transparency/tree-head
+// @desc    Signed head of the current key transparency log
+// @access  Private (requires valid JWT token)
+router.get('/transparency/tree-head', verifyToken, async (req, res) => {
+  try {
+    res.json(await getSignedTreeHead());
+  } catch (err) {
+    console.error('Error building transparency tree head:', err.message);
+    res.status(500).json({ msg: 'Server error reading transparency log' });
+  }
+});
+
+// @route   GET api/keys/transparency/inclusion?leafHash=&treeSize=
+// @desc    Inclusion proof (audit path) of a leaf in the tree of the given size
+// @access  Private (requires valid JWT token)
+// @security Clients compute leafHash themselves from the keys they were served
+router.get('/transparency/inclusion', verifyToken, async (req, res) => {
+  const { leafHash } = req.query;
+  const treeSize = parseTreeSize(req.query.treeSize);
+  if (!isValidPublicKey(leafHash, LEAF_HASH_LENGTH)) {
+    return res.status(400).json({ msg: 'leafHash must be a base64 SHA-256 hash' });
+  }
+  if (!treeSize) {
+    return res.status(400).json({ msg: 'treeSize must be a positive integer' });
+  }
+
+  try {
+    const proof = await getInclusionProof(leafHash, treeSize);
+    if (!proof) {
+      return res.status(404).json({ msg: 'Leaf not included in a tree of this size' });
+    }
+    res.json(proof);
+  } catch (err) {
+    console.error('Error building transparency inclusion proof:', err.message);
+    res.status(500).json({ msg: 'Server error reading transparency log' });
+  }
+});
+
+// @route   GET api/keys/transparency/consistency?first=&second=
+// @desc    Consistency proof that tree `first` is a prefix of tree `second`
+// @access  Private (requires valid JWT token)
+router.get('/transparency/consistency', verifyToken, async (req, res) => {
+  const first = parseTreeSize(req.query.first);
+  const second = parseTreeSize(req.query.second);
+  if (!first || !second || first > second) {
+    return res.status(400).json({ msg: 'first and second must be tree sizes with 0 < first <= second' });
+  }
+
+  try {
+    const proof = await getConsistencyProof(first, second);
+    if (!proof) {
+      return res.status(404).json({ msg: 'Tree size exceeds the log' });
+    }
+    res.json(proof);
+  } catch (err) {
+    console.error('Error building transparency consistency proof:', err.message);
+    res.status(500).json({ msg: 'Server error reading transparency log' });
+  }
+});
+
 export default router;
@@ -0,0 +1,47 @@
+import express from 'express';
+const router = express.Router();
+import { verifyToken } from '../middleware/authMiddleware.js';
+import {
+  MAILBOX_TTL_MS,
+  isMailboxEnabled,
+  setMailboxEnabled,
+  countMailboxMessages
+} from '../database/mailbox.js';
+
+// @route   GET api/mailbox
+// @desc    Mailbox setting of the authenticated user and how many messages it holds
+// @access  Private (requires valid JWT token)
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const [enabled, held] = await Promise.all([
+      isMailboxEnabled(req.userId),
+      countMailboxMessages(req.userId)
+    ]);
+    res.json({ enabled, held, ttlMs: MAILBOX_TTL_MS });
+  } catch (err) {
+    console.error('Error reading mailbox setting for userId:', req.userId, err.message);
+    res.status(500).json({ msg: 'Server error reading mailbox setting' });
+  }
+});
+
+// @route   PUT api/mailbox
+// @desc    Opt in to or out of holding messages for offline devices
+// @access  Private (requires valid JWT token)
+// @security Only encrypted, signed envelopes are held; opting out deletes them
+router.put('/', verifyToken, async (req, res) => {
+  const { enabled } = req.body;
+  if (typeof enabled !== 'boolean') {
+    return res.status(400).json({ msg: 'enabled must be a boolean' });
+  }
+
+  try {
+    await setMailboxEnabled(req.userId, enabled);
+    console.log(`✓ Mailbox ${enabled ? 'enabled' : 'disabled'} for user ${req.userId}`);
+    res.json({ enabled });
+  } catch (err) {
+    console.error('Error updating mailbox setting for userId:', req.userId, err.message);
+    res.status(500).json({ msg: 'Server error updating mailbox setting' });
+  }
+});
+
+export default router;
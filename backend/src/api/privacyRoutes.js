@@ -0,0 +1,68 @@
+import express from 'express';
+const router = express.Router();
+import { verifyToken } from '../middleware/authMiddleware.js';
+import { getPrivacySettings, updatePrivacySettings } from '../database/privacy.js';
+import { notifyPresence } from '../database/presence.js';
+import { getDisappearingTimersForUser } from '../database/disappearing.js';
+
+// @route   GET api/privacy
+// @desc    Privacy settings of the authenticated user
+// @access  Private (requires valid JWT token)
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    res.json(await getPrivacySettings(req.userId));
+  } catch (err) {
+    console.error('Error reading privacy settings for userId:', req.userId, err.message);
+    res.status(500).json({ msg: 'Server error reading privacy settings' });
+  }
+});
+
+// @route   PUT api/privacy
+// @desc    Change privacy settings ({ readReceipts, presence, typingIndicators })
+// @access  Private (requires valid JWT token)
+// @security Read receipts and presence are reciprocal: turning one off also
+//           stops the relay from delivering other users' to this account
+router.put('/', verifyToken, async (req, res) => {
+  const { readReceipts, presence, typingIndicators } = req.body;
+  if (readReceipts !== undefined && typeof readReceipts !== 'boolean') {
+    return res.status(400).json({ msg: 'readReceipts must be a boolean' });
+  }
+  if (presence !== undefined && typeof presence !== 'boolean') {
+    return res.status(400).json({ msg: 'presence must be a boolean' });
+  }
+  if (typingIndicators !== undefined && typeof typingIndicators !== 'boolean') {
+    return res.status(400).json({ msg: 'typingIndicators must be a boolean' });
+  }
+
+  try {
+    const before = await getPrivacySettings(req.userId);
+    const settings = await updatePrivacySettings(req.userId, { readReceipts, presence, typingIndicators });
+    console.log(`✓ Privacy settings updated for user ${req.userId}`);
+    if (settings.presence !== before.presence) {
+      // Friends see this account appear or disappear
+      notifyPresence(req.app.get('io'), req.userId).catch((err) => {
+        console.error('Failed to notify presence for userId:', req.userId, err.message);
+      });
+    }
+    res.json(settings);
+  } catch (err) {
+    console.error('Error updating privacy settings for userId:', req.userId, err.message);
+    res.status(500).json({ msg: 'Server error updating privacy settings' });
+  }
+});
+
+// @route   GET api/privacy/timers
+// @desc    Disappearing timers of the authenticated user's conversations
+// @access  Private (requires valid JWT token)
+// @security Each timer is returned as the setting device signed it; clients
+//           verify it before applying it
+router.get('/timers', verifyToken, async (req, res) => {
+  try {
+    res.json({ timers: await getDisappearingTimersForUser(parseInt(req.userId, 10)) });
+  } catch (err) {
+    console.error('Error reading disappearing timers for userId:', req.userId, err.message);
+    res.status(500).json({ msg: 'Server error reading disappearing timers' });
+  }
+});
+
+export default router;
@@ -1,12 +1,16 @@
 import express from 'express';
 const router = express.Router();
-import { db } from '../database/db.js';
+import { db, getRow } from '../database/db.js';
 import { verifyToken } from '../middleware/authMiddleware.js';
 import { logger } from '../middleware/security.js';
+import { takeOneTimePrekey, notifyPrekeyStatus } from '../database/prekeys.js';
+import { signDirectoryEntry } from '../crypto/directory.js';
+import { getDevices } from '../database/devices.js';
 
 // @route   GET api/users/:userId/keys
 // @desc    Get user's public keys for encryption
 // @access  Private (requires JWT authentication)
+// @security Response carries a directory signature over buildDirectoryEntryPayload
 router.get('/:userId/keys', verifyToken, async (req, res) => {
   const { userId: userIdParam } = req.params;
   
@@ -25,16 +29,23 @@ router.get('/:userId/keys', verifyToken, async (req, res) => {
   
   try {
     // Use promise-based approach: db.prepare().get() returns a promise
-    const user = await db.prepare('SELECT kyber_public_key, falcon_public_key FROM users WHERE id = ?').get(userId);
+    const user = await db.prepare('SELECT kyber_public_key, falcon_public_key, x25519_public_key, kem_algorithm, signature_algorithm, key_version FROM users WHERE id = ?').get(userId);
     
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
     
-    res.json({
+    const keys = {
       kyberPublicKey: user.kyber_public_key,
-      falconPublicKey: user.falcon_public_key
-    });
+      falconPublicKey: user.falcon_public_key,
+      x25519PublicKey: user.x25519_public_key || null, // null: hybrid KEM not yet enabled
+      kemAlgorithm: user.kem_algorithm,
+      signatureAlgorithm: user.signature_algorithm,
+      keyVersion: user.key_version
+    };
+    // Directory signature binds the keys to this userId; clients verify it
+    // against the pinned directory key before encrypting to them
+    res.json({ ...keys, directory: await signDirectoryEntry(userId, keys) });
   } catch (err) {
     // Log error with structured logging (no sensitive data exposure)
     logger.error('Database error while retrieving user public keys', {
@@ -47,4 +58,150 @@ router.get('/:userId/keys', verifyToken, async (req, res) => {
   }
 });
 
+// @route   GET api/users/:userId/key-history
+// @desc    Get a user's signed key-transition records (oldest first)
+// @access  Private (requires JWT authentication)
+// @security Public data. Clients verify each record against the previous
+//           signature key, starting from a key they already trust
+router.get('/:userId/key-history', verifyToken, (req, res) => {
+  const userId = parseInt(req.params.userId, 10);
+  if (!Number.isInteger(userId) || userId <= 0) {
+    return res.status(400).json({
+      error: 'Invalid userId: must be a positive integer',
+      code: 'INVALID_INPUT'
+    });
+  }
+
+  db.all(
+    `SELECT key_version, kem_algorithm, kyber_public_key, signature_algorithm, falcon_public_key, x25519_public_key,
+       previous_signature_algorithm, previous_falcon_public_key, signed_at, transition_signature, new_key_signature
+     FROM key_history WHERE user_id = ? ORDER BY key_version`,
+    [userId],
+    (err, rows) => {
+      if (err) {
+        logger.error('Database error while retrieving key history', { userId, errorCode: err.code, errorMessage: err.message });
+        return res.status(500).json({ error: 'Failed to retrieve key history' });
+      }
+
+      res.json({
+        userId,
+        transitions: (rows || []).map((row) => ({
+          keyVersion: row.key_version,
+          kemAlgorithm: row.kem_algorithm,
+          kyberPublicKey: row.kyber_public_key,
+          signatureAlgorithm: row.signature_algorithm,
+          falconPublicKey: row.falcon_public_key,
+          x25519PublicKey: row.x25519_public_key || null,
+          previousSignatureAlgorithm: row.previous_signature_algorithm,
+          previousFalconPublicKey: row.previous_falcon_public_key,
+          timestamp: Number(row.signed_at),
+          transitionSignature: row.transition_signature,
+          newKeySignature: row.new_key_signature
+        }))
+      });
+    }
+  );
+});
+
+// @route   GET api/users/:userId/devices
+// @desc    Get a user's linked devices (the primary device uses the keys
+//          from GET api/users/:userId/keys)
+// @access  Private (requires JWT authentication)
+// @security Public data. Clients accept a device only if identitySignature
+//           verifies over buildDeviceRecordPayload with the user's
+//           directory-verified identity key
+router.get('/:userId/devices', verifyToken, async (req, res) => {
+  const userId = parseInt(req.params.userId, 10);
+  if (!Number.isInteger(userId) || userId <= 0) {
+    return res.status(400).json({
+      error: 'Invalid userId: must be a positive integer',
+      code: 'INVALID_INPUT'
+    });
+  }
+
+  try {
+    const devices = await getDevices(userId);
+    res.json({
+      userId,
+      devices: devices.map(({ lastSeenAt, ...device }) => device)
+    });
+  } catch (err) {
+    logger.error('Database error while retrieving user devices', {
+      userId,
+      errorCode: err.code,
+      errorMessage: err.message
+    });
+    return res.status(500).json({ error: 'Failed to retrieve devices' });
+  }
+});
+
+// @route   GET api/users/:userId/prekey-bundle
+// @desc    Get a user's signed prekey and one one-time prekey to start a
+//          session while they are offline
+// @access  Private (requires JWT authentication, friends only)
+// @security The one-time prekey is deleted as it is handed out, so fetching is
+//           limited to friends (the only users who can message this account).
+//           Prekey signatures are verified by the client against the
+//           account's signature key
+router.get('/:userId/prekey-bundle', verifyToken, async (req, res) => {
+  const userId = parseInt(req.params.userId, 10);
+  if (!Number.isInteger(userId) || userId <= 0) {
+    return res.status(400).json({
+      error: 'Invalid userId: must be a positive integer',
+      code: 'INVALID_INPUT'
+    });
+  }
+
+  try {
+    const friendship = await getRow(
+      'SELECT id FROM friendships WHERE user_id_1 = ? AND user_id_2 = ?',
+      [Math.min(req.userId, userId), Math.max(req.userId, userId)]
+    );
+    if (!friendship) {
+      return res.status(403).json({ error: 'Prekey bundles are only available for friends' });
+    }
+
+    const user = await getRow('SELECT kem_algorithm, signature_algorithm FROM users WHERE id = ?', [userId]);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const signedPrekey = await getRow(
+      'SELECT key_id, public_key, signature FROM signed_prekeys WHERE user_id = ? AND kem_algorithm = ?',
+      [userId, user.kem_algorithm]
+    );
+    if (!signedPrekey) {
+      return res.status(404).json({ error: 'User has not published prekeys' });
+    }
+
+    // Depleted pool: the bundle is still usable with the signed prekey alone
+    const oneTimePrekey = await takeOneTimePrekey(userId, user.kem_algorithm);
+
+    res.json({
+      userId,
+      kemAlgorithm: user.kem_algorithm,
+      signatureAlgorithm: user.signature_algorithm,
+      signedPrekey: {
+        keyId: signedPrekey.key_id,
+        publicKey: signedPrekey.public_key,
+        signature: signedPrekey.signature
+      },
+      oneTimePrekey: oneTimePrekey
+        ? { keyId: oneTimePrekey.key_id, publicKey: oneTimePrekey.public_key, signature: oneTimePrekey.signature }
+        : null
+    });
+
+    notifyPrekeyStatus(req.app.get('io'), userId).catch((err) => {
+      logger.error('Failed to check prekey status after bundle fetch', { userId, errorMessage: err.message });
+    });
+  } catch (err) {
+    logger.error('Database error while retrieving prekey bundle', {
+      userId,
+      errorCode: err.code,
+      errorMessage: err.message
+    });
+    return res.status(500).json({ error: 'Failed to retrieve prekey bundle' });
+  }
+});
+
 export default router;
@@ -0,0 +1,90 @@
+import {
+  generateFalconKeys,
+  signWithAlgorithm,
+  isSupportedSignatureAlgorithm,
+  isValidSignaturePublicKey,
+  buildDirectoryEntryPayload,
+  buildTreeHeadPayload,
+  DEFAULT_SIGNATURE_ALGORITHM
+} from './pqc.js';
+
+// ============================================================================
+// Key directory signing
+// ============================================================================
+// Every public key response (/api/users/:id/keys, /api/keys/my-keys, login,
+// rotation) carries a directory signature over buildDirectoryEntryPayload.
+// The same key signs the tree heads of the key transparency log.
+// Clients pin the directory public key (REACT_APP_DIRECTORY_PUBLIC_KEY), so a
+// key swapped in the database or in transit no longer verifies.
+//
+// Configure DIRECTORY_SIGNATURE_ALGORITHM, DIRECTORY_PUBLIC_KEY and
+// DIRECTORY_SECRET_KEY (generate with `npm run directory-key`). Outside
+// production an ephemeral key is generated when none is configured.
+
+let directoryKey = null; // { algorithm, publicKey, secretKey }
+
+const initDirectoryKey = async () => {
+  const algorithm = process.env.DIRECTORY_SIGNATURE_ALGORITHM || DEFAULT_SIGNATURE_ALGORITHM;
+  if (!isSupportedSignatureAlgorithm(algorithm)) {
+    throw new Error(`Unsupported DIRECTORY_SIGNATURE_ALGORITHM: ${algorithm}`);
+  }
+
+  const { DIRECTORY_PUBLIC_KEY: publicKey, DIRECTORY_SECRET_KEY: secretKey } = process.env;
+  if (publicKey && secretKey) {
+    if (!isValidSignaturePublicKey(algorithm, publicKey)) {
+      throw new Error(`DIRECTORY_PUBLIC_KEY is not a ${algorithm} public key`);
+    }
+    directoryKey = { algorithm, publicKey, secretKey };
+    return directoryKey;
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('DIRECTORY_PUBLIC_KEY and DIRECTORY_SECRET_KEY must be set in production');
+  }
+
+  const generated = await generateFalconKeys(algorithm);
+  directoryKey = { algorithm, ...generated };
+  console.warn('⚠️  No directory signing key configured; generated an ephemeral one for development');
+  console.warn(`   Pin it in the frontend with REACT_APP_DIRECTORY_PUBLIC_KEY=${generated.publicKey}`);
+  return directoryKey;
+};
+
+const getDirectoryPublicKey = () => {
+  if (!directoryKey) {
+    throw new Error('Directory key not initialized');
+  }
+  return { algorithm: directoryKey.algorithm, publicKey: directoryKey.publicKey };
+};
+
+/**
+ * Sign a user's current public keys for a directory response
+ * @param {number} userId - Key owner
+ * @param {object} keys - { kyberPublicKey, falconPublicKey, x25519PublicKey, kemAlgorithm, signatureAlgorithm, keyVersion }
+ * @returns {Promise<object>} { timestamp, signature }
+ */
+const signDirectoryEntry = async (userId, keys) => {
+  const timestamp = Date.now();
+  const signature = await signWithDirectoryKey(buildDirectoryEntryPayload({ userId, ...keys, timestamp }));
+  return { timestamp, signature };
+};
+
+/**
+ * Sign a tree head of the key transparency log
+ * @param {number} treeSize - Number of leaves
+ * @param {string} rootHash - Base64 Merkle root
+ * @returns {Promise<object>} { treeSize, rootHash, timestamp, signature }
+ */
+const signTreeHead = async (treeSize, rootHash) => {
+  const timestamp = Date.now();
+  const signature = await signWithDirectoryKey(buildTreeHeadPayload({ treeSize, rootHash, timestamp }));
+  return { treeSize, rootHash, timestamp, signature };
+};
+
+const signWithDirectoryKey = (payload) => {
+  if (!directoryKey) {
+    throw new Error('Directory key not initialized');
+  }
+  return signWithAlgorithm(directoryKey.algorithm, payload, directoryKey.secretKey);
+};
+
+export { initDirectoryKey, getDirectoryPublicKey, signDirectoryEntry, signTreeHead };
@@ -0,0 +1,82 @@
+import crypto from 'crypto';
+
+// ============================================================================
+// Merkle tree hashing (RFC 6962 / RFC 9162)
+// ============================================================================
+// Leaves and interior nodes are domain-separated with a 0x00 / 0x01 prefix so
+// a leaf can never be passed off as a node. Hashes are SHA-256, base64 encoded
+// at the API boundary. Must match frontend crypto.js (KEY TRANSPARENCY)
+
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+const sha256 = (...parts) => crypto.createHash('sha256').update(Buffer.concat(parts)).digest();
+
+/**
+ * Hash a log entry into a leaf
+ * @param {string} leafData - Canonical leaf payload
+ * @returns {string} Base64 leaf hash
+ */
+const hashLeaf = (leafData) => sha256(LEAF_PREFIX, Buffer.from(leafData, 'utf8')).toString('base64');
+
+const hashChildren = (left, right) => sha256(NODE_PREFIX, left, right);
+
+// Largest power of two strictly less than n (n > 1)
+const splitPoint = (n) => {
+  let k = 1;
+  while (k * 2 < n) k *= 2;
+  return k;
+};
+
+const subtreeHash = (leaves) => {
+  if (leaves.length === 0) return sha256();
+  if (leaves.length === 1) return leaves[0];
+  const k = splitPoint(leaves.length);
+  return hashChildren(subtreeHash(leaves.slice(0, k)), subtreeHash(leaves.slice(k)));
+};
+
+const auditPath = (index, leaves) => {
+  if (leaves.length <= 1) return [];
+  const k = splitPoint(leaves.length);
+  return index < k
+    ? [...auditPath(index, leaves.slice(0, k)), subtreeHash(leaves.slice(k))]
+    : [...auditPath(index - k, leaves.slice(k)), subtreeHash(leaves.slice(0, k))];
+};
+
+const subproof = (m, leaves, isCompleteSubtree) => {
+  if (m === leaves.length) {
+    return isCompleteSubtree ? [] : [subtreeHash(leaves)];
+  }
+  const k = splitPoint(leaves.length);
+  return m <= k
+    ? [...subproof(m, leaves.slice(0, k), isCompleteSubtree), subtreeHash(leaves.slice(k))]
+    : [...subproof(m - k, leaves.slice(k), false), subtreeHash(leaves.slice(0, k))];
+};
+
+const decode = (leafHashes) => leafHashes.map((hash) => Buffer.from(hash, 'base64'));
+const encode = (hashes) => hashes.map((hash) => hash.toString('base64'));
+
+/**
+ * Root hash of a tree
+ * @param {string[]} leafHashes - Base64 leaf hashes in log order
+ * @returns {string} Base64 root hash (SHA-256 of the empty string for an empty tree)
+ */
+const merkleRoot = (leafHashes) => subtreeHash(decode(leafHashes)).toString('base64');
+
+/**
+ * Inclusion proof (audit path) for one leaf
+ * @param {number} index - Leaf index, below leafHashes.length
+ * @param {string[]} leafHashes - Base64 leaf hashes of the tree the proof is for
+ * @returns {string[]} Base64 sibling hashes, leaf to root
+ */
+const inclusionProof = (index, leafHashes) => encode(auditPath(index, decode(leafHashes)));
+
+/**
+ * Consistency proof that the first `firstSize` leaves form a prefix of the tree
+ * @param {number} firstSize - Size of the older tree, 0 < firstSize <= leafHashes.length
+ * @param {string[]} leafHashes - Base64 leaf hashes of the newer tree
+ * @returns {string[]} Base64 proof hashes
+ */
+const consistencyProof = (firstSize, leafHashes) => encode(subproof(firstSize, decode(leafHashes), true));
+
+export { hashLeaf, merkleRoot, inclusionProof, consistencyProof };
@@ -1,89 +1,265 @@
 import crypto from 'crypto';
-import { createMLKEM1024, createFalcon1024 } from '@openforge-sh/liboqs';
+import {
+  createMLKEM768,
+  createMLKEM1024,
+  createFalcon512,
+  createFalcon1024,
+  createMLDSA65,
+  createMLDSA87,
+  createSlhDsaSha2128s,
+  createSlhDsaSha2256f
+} from '@openforge-sh/liboqs';
 
 // ============================================================================
 // REAL POST-QUANTUM CRYPTOGRAPHY IMPLEMENTATION
 // ============================================================================
-// Using @openforge-sh/liboqs for ML-KEM (Kyber) and Falcon
-// This provides NIST-standardized ML-KEM and Falcon algorithms
+// Using @openforge-sh/liboqs for ML-KEM (Kyber), Falcon, ML-DSA and SLH-DSA
+// This provides NIST-standardized post-quantum algorithms
 // ============================================================================
 
+// ----------------------------------------------------------------------------
+// ALGORITHM SUITE REGISTRY
+// ----------------------------------------------------------------------------
+// Every account registers one KEM and one signature algorithm. Message
+// envelopes name the pair they were built with in a signed `suite` header:
+//
+//   [X25519+]<KEM>/<SIGNATURE>   e.g. "X25519+ML-KEM-1024/Falcon-1024"
+//
+// The "X25519+" prefix marks the hybrid KEM. The kyber_public_key and
+// falcon_public_key columns hold keys for whichever algorithms the account
+// registered. Must match frontend crypto.js.
+
+const KEM_ALGORITHMS = {
+  'ML-KEM-768': { create: createMLKEM768, publicKeyLength: 1184 },
+  'ML-KEM-1024': { create: createMLKEM1024, publicKeyLength: 1568 }
+};
+
+const SIGNATURE_ALGORITHMS = {
+  'Falcon-512': { create: createFalcon512, publicKeyLength: 897 },
+  'Falcon-1024': { create: createFalcon1024, publicKeyLength: 1793 },
+  'ML-DSA-65': { create: createMLDSA65, publicKeyLength: 1952 },
+  'ML-DSA-87': { create: createMLDSA87, publicKeyLength: 2592 },
+  'SLH-DSA-SHA2-128s': { create: createSlhDsaSha2128s, publicKeyLength: 32 },
+  'SLH-DSA-SHA2-256f': { create: createSlhDsaSha2256f, publicKeyLength: 64 }
+};
+
+const DEFAULT_KEM_ALGORITHM = 'ML-KEM-1024';
+const DEFAULT_SIGNATURE_ALGORITHM = 'Falcon-1024';
+const HYBRID_KEM_PREFIX = 'X25519+';
+
+const isSupportedKemAlgorithm = (name) =>
+  Object.prototype.hasOwnProperty.call(KEM_ALGORITHMS, name);
+
+const isSupportedSignatureAlgorithm = (name) =>
+  Object.prototype.hasOwnProperty.call(SIGNATURE_ALGORITHMS, name);
+
+/**
+ * Build a suite identifier
+ * @param {object} suite - { kem, signature, hybrid }
+ * @returns {string} e.g. "X25519+ML-KEM-1024/Falcon-1024"
+ */
+const formatSuite = ({ kem, signature, hybrid }) =>
+  `${hybrid ? HYBRID_KEM_PREFIX : ''}${kem}/${signature}`;
+
+/**
+ * Parse a suite identifier against the registry
+ * @param {string} suite - Suite identifier from an envelope header
+ * @returns {object|null} { kem, signature, hybrid }, or null if unsupported
+ */
+const parseSuite = (suite) => {
+  if (typeof suite !== 'string') return null;
+  const parts = suite.split('/');
+  if (parts.length !== 2) return null;
+
+  const hybrid = parts[0].startsWith(HYBRID_KEM_PREFIX);
+  const kem = hybrid ? parts[0].slice(HYBRID_KEM_PREFIX.length) : parts[0];
+  const signature = parts[1];
+  if (!isSupportedKemAlgorithm(kem) || !isSupportedSignatureAlgorithm(signature)) {
+    return null;
+  }
+  return { kem, signature, hybrid };
+};
+
+// Run an operation on a fresh liboqs instance, always releasing it
+const withAlgorithm = async (registry, name, operation) => {
+  const entry = registry[name];
+  if (!entry) {
+    throw new Error(`Unsupported algorithm: ${name}`);
+  }
+  const instance = await entry.create();
+  try {
+    return await operation(instance);
+  } finally {
+    try {
+      if (instance && typeof instance.destroy === 'function') {
+        instance.destroy();
+      }
+    } catch (destroyErr) {
+      console.warn(`Error destroying ${name} instance:`, destroyErr);
+    }
+  }
+};
+
 // ----------------------------------------------------------------------------
 // KYBER KEY ENCAPSULATION MECHANISM (KEM) - REAL IMPLEMENTATION
 // ----------------------------------------------------------------------------
 
-const generateKyberKeys = async () => {
-  let kem;
+const generateKyberKeys = async (algorithm = DEFAULT_KEM_ALGORITHM) => {
   try {
-    kem = await createMLKEM1024();
-    const { publicKey, secretKey } = await kem.generateKeyPair();
-    
-    // publicKey and secretKey are Uint8Arrays
-    return {
-      publicKey: Buffer.from(publicKey).toString('base64'),
-      secretKey: Buffer.from(secretKey).toString('base64')
-    };
+    return await withAlgorithm(KEM_ALGORITHMS, algorithm, async (kem) => {
+      const { publicKey, secretKey } = await kem.generateKeyPair();
+
+      // publicKey and secretKey are Uint8Arrays
+      return {
+        publicKey: Buffer.from(publicKey).toString('base64'),
+        secretKey: Buffer.from(secretKey).toString('base64')
+      };
+    });
   } catch (error) {
     console.error('Error generating Kyber keys:', error);
     throw new Error('Failed to generate Kyber keys');
-  } finally {
-    kem?.destroy();
   }
 };
 // Kyber Encapsulation: Encrypt a symmetric key with receiver's public key
-const kyberEncapsulate = async (receiverPublicKeyBase64) => {
-  let kem;
+const kyberEncapsulate = async (receiverPublicKeyBase64, algorithm = DEFAULT_KEM_ALGORITHM) => {
   try {
-    kem = await createMLKEM1024();
-    // Ensure we convert base64 to Uint8Array correctly
-    const publicKey = new Uint8Array(Buffer.from(receiverPublicKeyBase64, 'base64'));
+    return await withAlgorithm(KEM_ALGORITHMS, algorithm, async (kem) => {
+      // Ensure we convert base64 to Uint8Array correctly
+      const publicKey = new Uint8Array(Buffer.from(receiverPublicKeyBase64, 'base64'));
 
-    const { ciphertext, sharedSecret } = await kem.encapsulate(publicKey);
+      const { ciphertext, sharedSecret } = await kem.encapsulate(publicKey);
 
-    return {
-      ciphertext: Buffer.from(ciphertext).toString('base64'), // Send to receiver
-      sharedSecret: Buffer.from(sharedSecret) // Use for AES encryption
-    };
+      return {
+        ciphertext: Buffer.from(ciphertext).toString('base64'), // Send to receiver
+        sharedSecret: Buffer.from(sharedSecret) // Use for AES encryption
+      };
+    });
   } catch (error) {
     console.error('Error in Kyber encapsulation:', error);
     // Keep existing behavior: wrap with a generic error
     throw new Error('Failed to encapsulate with Kyber');
-  } finally {
-    try {
-      if (kem && typeof kem.destroy === 'function') {
-        kem.destroy();
-      }
-    } catch (destroyErr) {
-      console.warn('Error destroying MLKEM instance:', destroyErr);
-    }
   }
 };
 
 // Kyber Decapsulation: Decrypt the symmetric key with your secret key
-const kyberDecapsulate = async (ciphertextBase64, secretKeyBase64) => {
-  let kem;
+const kyberDecapsulate = async (ciphertextBase64, secretKeyBase64, algorithm = DEFAULT_KEM_ALGORITHM) => {
   try {
-    kem = await createMLKEM1024();
-    const ciphertext = new Uint8Array(Buffer.from(ciphertextBase64, 'base64'));
-    const secretKey = new Uint8Array(Buffer.from(secretKeyBase64, 'base64'));
+    return await withAlgorithm(KEM_ALGORITHMS, algorithm, async (kem) => {
+      const ciphertext = new Uint8Array(Buffer.from(ciphertextBase64, 'base64'));
+      const secretKey = new Uint8Array(Buffer.from(secretKeyBase64, 'base64'));
 
-    const sharedSecret = await kem.decapsulate(ciphertext, secretKey);
-    return Buffer.from(sharedSecret); // Buffer (32 bytes for ML-KEM-1024)
+      const sharedSecret = await kem.decapsulate(ciphertext, secretKey);
+      return Buffer.from(sharedSecret); // Buffer (32 bytes for ML-KEM)
+    });
   } catch (error) {
     console.error('Error in Kyber decapsulation:', error);
     // Rethrow original error to preserve stack/context
     throw error;
-  } finally {
-    try {
-      if (kem && typeof kem.destroy === 'function') {
-        kem.destroy(); // Ensure cleanup even on failure
-      }
-    } catch (destroyErr) {
-      console.warn('Error destroying MLKEM instance:', destroyErr);
-    }
   }
 };
 
+// ----------------------------------------------------------------------------
+// HYBRID X25519 + ML-KEM-1024 KEY ENCAPSULATION
+// ----------------------------------------------------------------------------
+// Envelope v1: raw ML-KEM-1024 shared secret used directly as the AES key
+// Envelope v2: X25519 and ML-KEM-1024 shared secrets combined with
+//              HKDF-SHA-384, bound to a hash of the KEM transcript. Both
+//              primitives must be broken to recover the message key.
+// Envelope v3: algorithms named by a signed `suite` header (see registry);
+//              the hybrid derivation is the same as v2 for any ML-KEM size
+// Envelope v4: ratchet session message. The message key comes from the
+//              sender's chain; the signed `ratchet` header carries the
+//              handshake and KEM ratchet steps (frontend crypto.js). The
+//              server only relays and verifies it.
+// Must match frontend crypto.js
+
+const LEGACY_ENVELOPE_VERSION = 1;
+const HYBRID_ENVELOPE_VERSION = 2;
+const SUITE_ENVELOPE_VERSION = 3;
+const RATCHET_ENVELOPE_VERSION = 4;
+const X25519_PUBLIC_KEY_LENGTH = 32;
+const HYBRID_KDF_SALT = Buffer.from('QuantumShield hybrid KEM v2', 'utf8');
+
+// DER prefixes for wrapping raw X25519 keys (RFC 8410)
+const X25519_SPKI_PREFIX = Buffer.from('302a300506032b656e032100', 'hex');
+
+const generateX25519Keys = () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('x25519');
+  const spki = publicKey.export({ type: 'spki', format: 'der' });
+
+  return {
+    publicKey: spki.subarray(X25519_SPKI_PREFIX.length).toString('base64'), // raw 32 bytes
+    secretKey: privateKey.export({ type: 'pkcs8', format: 'der' }).toString('base64') // PKCS#8
+  };
+};
+
+const x25519SharedSecret = (secretKeyBase64, peerPublicKeyBase64) => {
+  const privateKey = crypto.createPrivateKey({
+    key: Buffer.from(secretKeyBase64, 'base64'),
+    format: 'der',
+    type: 'pkcs8'
+  });
+  const publicKey = crypto.createPublicKey({
+    key: Buffer.concat([X25519_SPKI_PREFIX, Buffer.from(peerPublicKeyBase64, 'base64')]),
+    format: 'der',
+    type: 'spki'
+  });
+  return crypto.diffieHellman({ privateKey, publicKey });
+};
+
+/**
+ * Combine both shared secrets into the AES-256 message key
+ * Transcript: ML-KEM ciphertext || ephemeral X25519 key || receiver X25519 key
+ * || receiver ML-KEM key (all fixed length, so plain concatenation is unambiguous)
+ */
+const deriveHybridKey = (x25519Secret, kyberSecret, transcript) => {
+  const transcriptHash = crypto
+    .createHash('sha384')
+    .update(Buffer.concat(transcript.map((part) => Buffer.from(part, 'base64'))))
+    .digest();
+  const key = crypto.hkdfSync(
+    'sha384',
+    Buffer.concat([x25519Secret, kyberSecret]),
+    HYBRID_KDF_SALT,
+    transcriptHash,
+    32
+  );
+  return Buffer.from(key);
+};
+
+// Hybrid encapsulation to a receiver's ML-KEM and X25519 public keys
+const hybridEncapsulate = async (receiverKyberPublicKey, receiverX25519PublicKey, kemAlgorithm = DEFAULT_KEM_ALGORITHM) => {
+  const { ciphertext: kyberCiphertext, sharedSecret: kyberSecret } = await kyberEncapsulate(receiverKyberPublicKey, kemAlgorithm);
+  const ephemeral = generateX25519Keys();
+  const x25519Secret = x25519SharedSecret(ephemeral.secretKey, receiverX25519PublicKey);
+  const sharedSecret = deriveHybridKey(x25519Secret, kyberSecret, [
+    kyberCiphertext,
+    ephemeral.publicKey,
+    receiverX25519PublicKey,
+    receiverKyberPublicKey
+  ]);
+
+  return { kyberCiphertext, ephemeralPublicKey: ephemeral.publicKey, sharedSecret };
+};
+
+/**
+ * Hybrid decapsulation
+ * @param {object} envelope - { kyberCiphertext, ephemeralPublicKey }
+ * @param {object} receiverKeys - { kyberSecretKey, x25519SecretKey, kyberPublicKey, x25519PublicKey }
+ * @param {string} [kemAlgorithm] - ML-KEM parameter set from the suite
+ * @returns {Promise<Buffer>} 32-byte AES key
+ */
+const hybridDecapsulate = async ({ kyberCiphertext, ephemeralPublicKey }, receiverKeys, kemAlgorithm = DEFAULT_KEM_ALGORITHM) => {
+  const kyberSecret = await kyberDecapsulate(kyberCiphertext, receiverKeys.kyberSecretKey, kemAlgorithm);
+  const x25519Secret = x25519SharedSecret(receiverKeys.x25519SecretKey, ephemeralPublicKey);
+  return deriveHybridKey(x25519Secret, kyberSecret, [
+    kyberCiphertext,
+    ephemeralPublicKey,
+    receiverKeys.x25519PublicKey,
+    receiverKeys.kyberPublicKey
+  ]);
+};
+
 // ----------------------------------------------------------------------------
 // AES-256-GCM SYMMETRIC ENCRYPTION (REAL IMPLEMENTATION)
 // ----------------------------------------------------------------------------
@@ -140,76 +316,450 @@ const decryptMessage = (ciphertext, sharedSecret, iv, authTag) => {
 // FALCON DIGITAL SIGNATURES - REAL IMPLEMENTATION
 // ----------------------------------------------------------------------------
 
-const generateFalconKeys = async () => {
-  let sig;
+const generateFalconKeys = async (algorithm = DEFAULT_SIGNATURE_ALGORITHM) => {
   try {
-    // Create instance before performing operations
-    sig = await createFalcon1024();
-    const { publicKey, secretKey } = await sig.generateKeyPair();
+    return await withAlgorithm(SIGNATURE_ALGORITHMS, algorithm, async (sig) => {
+      const { publicKey, secretKey } = await sig.generateKeyPair();
 
-    return {
-      publicKey: Buffer.from(publicKey).toString('base64'),
-      secretKey: Buffer.from(secretKey).toString('base64')
-    };
+      return {
+        publicKey: Buffer.from(publicKey).toString('base64'),
+        secretKey: Buffer.from(secretKey).toString('base64')
+      };
+    });
   } catch (error) {
     console.error('Error generating Falcon keys:', error);
     throw new Error('Failed to generate Falcon keys');
-  } finally {
-    try {
-      if (sig && typeof sig.destroy === 'function') {
-        sig.destroy();
-      }
-    } catch (destroyErr) {
-      console.warn('Error destroying Falcon instance:', destroyErr);
-    }
   }
 };
 
-const signWithFalcon = async (data, secretKeyBase64) => {
-  let sig;
+const signWithFalcon = async (data, secretKeyBase64, algorithm = DEFAULT_SIGNATURE_ALGORITHM) => {
   try {
-    sig = await createFalcon1024();
-    const secretKey = new Uint8Array(Buffer.from(secretKeyBase64, 'base64'));
-    const message = Buffer.from(data, 'utf8');
+    return await withAlgorithm(SIGNATURE_ALGORITHMS, algorithm, async (sig) => {
+      const secretKey = new Uint8Array(Buffer.from(secretKeyBase64, 'base64'));
+      const message = new Uint8Array(Buffer.from(data, 'utf8'));
 
-    const signature = await sig.sign(message, secretKey);
-    return Buffer.from(signature).toString('base64');
+      const signature = await sig.sign(message, secretKey);
+      return Buffer.from(signature).toString('base64');
+    });
   } catch (error) {
-    console.error('Error signing with Falcon:', error);
-    throw new Error('Failed to sign with Falcon');
-  } finally {
-    try {
-      if (sig && typeof sig.destroy === 'function') {
-        sig.destroy();
-      }
-    } catch (destroyErr) {
-      console.warn('Error destroying Falcon instance:', destroyErr);
-    }
+    console.error(`Error signing with ${algorithm}:`, error);
+    throw new Error(`Failed to sign with ${algorithm}`);
   }
 };
 
-const verifyWithFalcon = async (data, signatureBase64, publicKeyBase64) => {
-  let sig;
+const verifyWithFalcon = async (data, signatureBase64, publicKeyBase64, algorithm = DEFAULT_SIGNATURE_ALGORITHM) => {
   try {
-    sig = await createFalcon1024();
-    const signatureBytes = new Uint8Array(Buffer.from(signatureBase64, 'base64'));
-    const publicKey = new Uint8Array(Buffer.from(publicKeyBase64, 'base64'));
-    const message = Buffer.from(data, 'utf8');
+    return await withAlgorithm(SIGNATURE_ALGORITHMS, algorithm, async (sig) => {
+      const signatureBytes = new Uint8Array(Buffer.from(signatureBase64, 'base64'));
+      const publicKey = new Uint8Array(Buffer.from(publicKeyBase64, 'base64'));
+      const message = new Uint8Array(Buffer.from(data, 'utf8'));
 
-    const isValid = await sig.verify(message, signatureBytes, publicKey);
-    return isValid;
+      return await sig.verify(message, signatureBytes, publicKey);
+    });
   } catch (error) {
-    console.error('Error verifying Falcon signature:', error);
+    console.error(`Error verifying ${algorithm} signature:`, error);
     return false;
-  } finally {
-    try {
-      if (sig && typeof sig.destroy === 'function') {
-        sig.destroy();
+  }
+};
+
+// Algorithm-neutral names for the same operations
+const signWithAlgorithm = (algorithm, data, secretKeyBase64) =>
+  signWithFalcon(data, secretKeyBase64, algorithm);
+
+const verifyWithAlgorithm = (algorithm, data, signatureBase64, publicKeyBase64) =>
+  verifyWithFalcon(data, signatureBase64, publicKeyBase64, algorithm);
+
+// ----------------------------------------------------------------------------
+// KEY REGISTRATION PROOFS
+// ----------------------------------------------------------------------------
+// Clients generate their key pairs locally and prove possession of the
+// signature secret key by signing these canonical payloads. Must match
+// frontend crypto.js.
+
+/**
+ * Canonical payload signed at registration (proof of possession)
+ * Binds the chosen algorithms so they cannot be swapped after signing
+ * @param {string} username - Account being registered
+ * @param {object} keys - { kemAlgorithm, kyberPublicKey, signatureAlgorithm, falconPublicKey, x25519PublicKey } (keys base64)
+ * @returns {string} Canonical JSON string
+ */
+const buildKeyRegistrationPayload = (username, { kemAlgorithm, kyberPublicKey, signatureAlgorithm, falconPublicKey, x25519PublicKey }) =>
+  JSON.stringify({
+    p: 'qs-register-v2',
+    u: username,
+    ka: kemAlgorithm,
+    k: kyberPublicKey,
+    sa: signatureAlgorithm,
+    f: falconPublicKey,
+    x: x25519PublicKey
+  });
+
+/**
+ * Canonical payload signed when a legacy account takes custody of its
+ * server-held secret keys, after which the server copy is deleted
+ * @param {number} userId - Account being migrated
+ * @param {string} falconPublicKey - Falcon-1024 public key (base64)
+ * @returns {string} Canonical JSON string
+ */
+const buildKeyMigrationPayload = (userId, falconPublicKey) =>
+  JSON.stringify({ p: 'qs-migrate-v1', u: Number(userId), f: falconPublicKey });
+
+/**
+ * Canonical payload signed when an existing account adds its X25519 key
+ * @param {number} userId - Account adding the key
+ * @param {string} x25519PublicKey - X25519 public key (base64)
+ * @returns {string} Canonical JSON string
+ */
+const buildHybridKeyPayload = (userId, x25519PublicKey) =>
+  JSON.stringify({ p: 'qs-x25519-v1', u: Number(userId), x: x25519PublicKey });
+
+// ----------------------------------------------------------------------------
+// PREKEYS
+// ----------------------------------------------------------------------------
+// Prekeys are KEM public keys of the account's registered KEM algorithm that
+// let a sender start a ratchet session while the receiver is offline. Each is
+// signed with the account's signature key so the server cannot substitute
+// its own. The signed prekey is medium-term; one-time prekeys are handed out
+// at most once. Must match frontend crypto.js.
+
+const PREKEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const buildPrekeyPayload = (purpose, userId, { keyId, kemAlgorithm, publicKey }) =>
+  JSON.stringify({ p: purpose, u: Number(userId), id: keyId, ka: kemAlgorithm, k: publicKey });
+
+/**
+ * Canonical payload signed for the medium-term signed prekey
+ * @param {number} userId - Owner of the prekey
+ * @param {object} prekey - { keyId, kemAlgorithm, publicKey } (key base64)
+ * @returns {string} Canonical JSON string
+ */
+const buildSignedPrekeyPayload = (userId, prekey) =>
+  buildPrekeyPayload('qs-signed-prekey-v1', userId, prekey);
+
+/**
+ * Canonical payload signed for each one-time prekey
+ * @param {number} userId - Owner of the prekey
+ * @param {object} prekey - { keyId, kemAlgorithm, publicKey } (key base64)
+ * @returns {string} Canonical JSON string
+ */
+const buildOneTimePrekeyPayload = (userId, prekey) =>
+  buildPrekeyPayload('qs-one-time-prekey-v1', userId, prekey);
+
+const isValidPrekeyId = (keyId) => typeof keyId === 'string' && PREKEY_ID_PATTERN.test(keyId);
+
+// ----------------------------------------------------------------------------
+// LINKED DEVICES
+// ----------------------------------------------------------------------------
+// The account's keys in `users` are its identity keys and belong to the
+// primary device. Every linked device has its own KEM and signature keys; a
+// device record binding them to the account is signed with the identity
+// signature key, so the server cannot add devices of its own. Must match
+// frontend crypto.js.
+
+const PRIMARY_DEVICE_ID = 'primary';
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Canonical payload of a device record, signed by the identity key
+ * @param {number} userId - Account owning the device
+ * @param {object} device - { deviceId, kemAlgorithm, kyberPublicKey, signatureAlgorithm,
+ *   falconPublicKey, x25519PublicKey, signedAt } (keys base64)
+ * @returns {string} Canonical JSON string
+ */
+const buildDeviceRecordPayload = (userId, device) =>
+  JSON.stringify({
+    p: 'qs-device-v1',
+    u: Number(userId),
+    d: device.deviceId,
+    ka: device.kemAlgorithm,
+    k: device.kyberPublicKey,
+    sa: device.signatureAlgorithm,
+    f: device.falconPublicKey,
+    x: device.x25519PublicKey || null,
+    t: Number(device.signedAt)
+  });
+
+const isValidDeviceId = (deviceId) => typeof deviceId === 'string' && DEVICE_ID_PATTERN.test(deviceId);
+
+/**
+ * Canonical payload of a key-transition record (long-term key rotation)
+ * Signed by the previous signature key (vouching for the new keys) and by
+ * the new one (proof of possession), so peers can follow the chain from a
+ * key they already trust
+ * @param {number} userId - Account rotating its keys
+ * @param {object} transition - { keyVersion, previousSignatureAlgorithm, previousFalconPublicKey,
+ *   kemAlgorithm, kyberPublicKey, signatureAlgorithm, falconPublicKey, x25519PublicKey, timestamp }
+ * @returns {string} Canonical JSON string
+ */
+const buildKeyTransitionPayload = (userId, transition) =>
+  JSON.stringify({
+    p: 'qs-key-transition-v1',
+    u: Number(userId),
+    n: Number(transition.keyVersion),
+    psa: transition.previousSignatureAlgorithm,
+    pf: transition.previousFalconPublicKey,
+    ka: transition.kemAlgorithm,
+    k: transition.kyberPublicKey,
+    sa: transition.signatureAlgorithm,
+    f: transition.falconPublicKey,
+    x: transition.x25519PublicKey || null,
+    t: Number(transition.timestamp)
+  });
+
+/**
+ * Canonical payload of a signed key-directory entry
+ * The server signs this with its directory key on every public key response;
+ * clients verify it against the pinned directory key
+ * @param {object} entry - { userId, kyberPublicKey, falconPublicKey, x25519PublicKey,
+ *   kemAlgorithm, signatureAlgorithm, keyVersion, timestamp }
+ * @returns {string} Canonical JSON string
+ */
+const buildDirectoryEntryPayload = (entry) =>
+  JSON.stringify({
+    p: 'qs-directory-v1',
+    u: Number(entry.userId),
+    ka: entry.kemAlgorithm,
+    k: entry.kyberPublicKey,
+    sa: entry.signatureAlgorithm,
+    f: entry.falconPublicKey,
+    x: entry.x25519PublicKey || null,
+    n: Number(entry.keyVersion || 1),
+    t: Number(entry.timestamp)
+  });
+
+/**
+ * Canonical leaf of the key transparency log
+ * Deterministic in the published keys, so a client can recompute the leaf for
+ * the keys it was served and ask for an inclusion proof
+ * @param {number} userId - Key owner
+ * @param {object} keys - { kyberPublicKey, falconPublicKey, x25519PublicKey, kemAlgorithm, signatureAlgorithm, keyVersion }
+ * @returns {string} Canonical JSON string
+ */
+const buildTransparencyLeafPayload = (userId, keys) =>
+  JSON.stringify({
+    p: 'qs-key-log-v1',
+    u: Number(userId),
+    n: Number(keys.keyVersion || 1),
+    ka: keys.kemAlgorithm,
+    k: keys.kyberPublicKey,
+    sa: keys.signatureAlgorithm,
+    f: keys.falconPublicKey,
+    x: keys.x25519PublicKey || null
+  });
+
+/**
+ * Canonical payload of a signed tree head of the key transparency log
+ * @param {object} treeHead - { treeSize, rootHash, timestamp }
+ * @returns {string} Canonical JSON string
+ */
+const buildTreeHeadPayload = ({ treeSize, rootHash, timestamp }) =>
+  JSON.stringify({ p: 'qs-tree-head-v1', n: Number(treeSize), r: rootHash, t: Number(timestamp) });
+
+/**
+ * Check that a base64 public key decodes to the expected length
+ * @param {string} keyBase64 - Public key (base64)
+ * @param {number} expectedLength - Expected decoded length in bytes
+ * @returns {boolean}
+ */
+const isValidPublicKey = (keyBase64, expectedLength) => {
+  if (typeof keyBase64 !== 'string' || keyBase64.length === 0) return false;
+  const base64Regex = /^[A-Za-z0-9+/]+={0,2}$/;
+  if (!base64Regex.test(keyBase64) || keyBase64.length % 4 !== 0) return false;
+  return Buffer.from(keyBase64, 'base64').length === expectedLength;
+};
+
+// Public key length checks against the registry
+const isValidKemPublicKey = (algorithm, keyBase64) =>
+  isSupportedKemAlgorithm(algorithm) && isValidPublicKey(keyBase64, KEM_ALGORITHMS[algorithm].publicKeyLength);
+
+const isValidSignaturePublicKey = (algorithm, keyBase64) =>
+  isSupportedSignatureAlgorithm(algorithm) && isValidPublicKey(keyBase64, SIGNATURE_ALGORITHMS[algorithm].publicKeyLength);
+
+// ----------------------------------------------------------------------------
+// ENVELOPE HEADERS
+// ----------------------------------------------------------------------------
+
+/**
+ * Resolve the algorithms used by an envelope
+ * v1/v2 envelopes predate the suite header and imply ML-KEM-1024 + Falcon-1024
+ * @param {number} v - Envelope version (undefined for the oldest clients)
+ * @param {string} suite - Suite identifier (v3+)
+ * @returns {object} { version, suite: { kem, signature, hybrid } } or { error }
+ */
+const resolveEnvelopeSuite = (v, suite) => {
+  const version = v === undefined || v === null ? LEGACY_ENVELOPE_VERSION : Number(v);
+  if (version === LEGACY_ENVELOPE_VERSION || version === HYBRID_ENVELOPE_VERSION) {
+    return {
+      version,
+      suite: {
+        kem: DEFAULT_KEM_ALGORITHM,
+        signature: DEFAULT_SIGNATURE_ALGORITHM,
+        hybrid: version === HYBRID_ENVELOPE_VERSION
       }
-    } catch (destroyErr) {
-      console.warn('Error destroying Falcon instance:', destroyErr);
+    };
+  }
+  if (version === SUITE_ENVELOPE_VERSION || version === RATCHET_ENVELOPE_VERSION) {
+    const parsed = parseSuite(suite);
+    if (!parsed) {
+      return { error: `Unsupported algorithm suite: ${suite}` };
     }
+    return { version, suite: parsed };
+  }
+  return { error: `Unsupported envelope version: ${v}` };
+};
+
+// Envelope signatures cover the header, the KEM material, the ciphertext and
+// the routing metadata (sender and receiving device, conversation peer, send
+// time, random nonce), so a signed envelope cannot be re-addressed, re-wrapped
+// with another KEM ciphertext or replayed outside its window. Fields are
+// length-prefixed with their UTF-8 byte length.
+const ENVELOPE_SIGNATURE_CONTEXT = 'qs-envelope-sig-v1';
+const ENVELOPE_NONCE_BYTES = 16;
+
+const lengthPrefixed = (fields) => fields
+  .map((field) => {
+    const value = field === undefined || field === null ? '' : String(field);
+    return `${Buffer.byteLength(value, 'utf8')}:${value}`;
+  })
+  .join('');
+
+/**
+ * Canonical payload the sending device signs
+ * Must match frontend crypto.js.
+ * @param {object} envelope - { kind ('message' | 'file' | 'groupWelcome'), v, suite, ratchet, senderId,
+ *   senderDeviceId, receiverId, recipientUserId, recipientDeviceId, sentAt, nonce,
+ *   messageId, kyberCiphertext, ephemeralPublicKey, ciphertext, iv, authTag }
+ *   receiverId is the conversation peer; recipientUserId/recipientDeviceId the
+ *   device the copy is encrypted for (the sender's own device for sync copies);
+ *   messageId is the sender's stable ID of a chat message (none for files)
+ * @returns {string} Length-prefixed payload
+ */
+const buildSignaturePayload = (envelope) => lengthPrefixed([
+  ENVELOPE_SIGNATURE_CONTEXT,
+  envelope.kind,
+  Number(envelope.v),
+  envelope.suite,
+  Number(envelope.senderId),
+  envelope.senderDeviceId || PRIMARY_DEVICE_ID,
+  Number(envelope.receiverId),
+  Number(envelope.recipientUserId),
+  envelope.recipientDeviceId || PRIMARY_DEVICE_ID,
+  Number(envelope.sentAt),
+  envelope.nonce,
+  envelope.messageId,
+  envelope.kyberCiphertext,
+  envelope.ephemeralPublicKey,
+  envelope.ratchet ? JSON.stringify(envelope.ratchet) : null,
+  envelope.ciphertext,
+  envelope.iv,
+  envelope.authTag
+]);
+
+// Group messages are encrypted with the sending device's sender chain, which
+// every member device can derive from the epoch secret, so only this
+// signature tells members which device sent a message. Covers the group, its
+// epoch, the sender key and its chain iteration, the message ID, replay
+// fields and the ciphertext.
+const GROUP_MESSAGE_SIGNATURE_CONTEXT = 'qs-group-sig-v1';
+const SENDER_KEY_ID_PATTERN = /^[A-Za-z0-9+/]{16}$/; // 12 bytes, base64
+
+// Ratchet tree commits are opaque to the relay; it checks this signature of
+// the committing device over the group, the epoch the commit was made in,
+// replay fields and the serialized commit.
+const GROUP_HANDSHAKE_SIGNATURE_CONTEXT = 'qs-group-handshake-v1';
+
+// A conversation's disappearing timer is a control message signed by the
+// device that set it, over both friends, the timer and when it was set; the
+// newest setting wins, so it needs no nonce.
+const DISAPPEARING_TIMER_SIGNATURE_CONTEXT = 'qs-timer-sig-v1';
+
+/**
+ * Canonical payload of a group message signature
+ * Must match frontend crypto.js.
+ * @param {object} message - { groupId, epoch, senderId, senderDeviceId, messageId, keyId,
+ *   iteration, sentAt, nonce, ciphertext, iv, authTag }
+ * @returns {string} Length-prefixed payload
+ */
+const buildGroupMessagePayload = (message) => lengthPrefixed([
+  GROUP_MESSAGE_SIGNATURE_CONTEXT,
+  Number(message.groupId),
+  Number(message.epoch),
+  Number(message.senderId),
+  message.senderDeviceId || PRIMARY_DEVICE_ID,
+  message.messageId,
+  message.keyId,
+  Number(message.iteration),
+  Number(message.sentAt),
+  message.nonce,
+  message.ciphertext,
+  message.iv,
+  message.authTag
+]);
+
+/**
+ * Canonical payload of a ratchet tree commit signature
+ * Must match frontend crypto.js.
+ * @param {object} commit - { groupId, epoch, senderId, senderDeviceId, sentAt, nonce, body }
+ * @returns {string} Length-prefixed payload
+ */
+const buildGroupHandshakePayload = (commit) => lengthPrefixed([
+  GROUP_HANDSHAKE_SIGNATURE_CONTEXT,
+  Number(commit.groupId),
+  Number(commit.epoch),
+  Number(commit.senderId),
+  commit.senderDeviceId || PRIMARY_DEVICE_ID,
+  Number(commit.sentAt),
+  commit.nonce,
+  commit.body
+]);
+
+/**
+ * Canonical payload of a disappearing timer signature
+ * Must match frontend crypto.js.
+ * @param {object} timer - { senderId, senderDeviceId, receiverId, ttlMs, setAt }
+ * @returns {string} Length-prefixed payload
+ */
+const buildDisappearingTimerPayload = (timer) => lengthPrefixed([
+  DISAPPEARING_TIMER_SIGNATURE_CONTEXT,
+  Number(timer.senderId),
+  timer.senderDeviceId || PRIMARY_DEVICE_ID,
+  Number(timer.receiverId),
+  Number(timer.ttlMs),
+  Number(timer.setAt)
+]);
+
+const isValidSenderKeyId = (keyId) => typeof keyId === 'string' && SENDER_KEY_ID_PATTERN.test(keyId);
+
+const isValidEnvelopeNonce = (nonce) =>
+  typeof nonce === 'string' && /^[A-Za-z0-9+/]+={0,2}$/.test(nonce) &&
+  Buffer.from(nonce, 'base64').length === ENVELOPE_NONCE_BYTES;
+
+// init.prekey / init.oneTimePrekey: { id, ct } encapsulations to the
+// receiver's prekeys when the session was started from a prekey bundle
+const isValidPrekeyEncapsulation = (value) =>
+  value === undefined || (isValidPrekeyId(value?.id) && typeof value?.ct === 'string');
+
+/**
+ * Structural check of a v4 ratchet header
+ * { id, c, n, pn, a, k?: { ct, t }, pk?, init?: { kyberCiphertext, ephemeralPublicKey?, prekey?, oneTimePrekey? } }
+ * @param {object} ratchet - Header from the envelope
+ * @returns {boolean}
+ */
+const isValidRatchetHeader = (ratchet) => {
+  if (!ratchet || typeof ratchet !== 'object' || Array.isArray(ratchet)) return false;
+  if (typeof ratchet.id !== 'string' || typeof ratchet.c !== 'string') return false;
+  if (!Number.isInteger(ratchet.n) || ratchet.n < 0) return false;
+  if (!Number.isInteger(ratchet.pn) || ratchet.pn < 0) return false;
+  if (ratchet.a !== null && typeof ratchet.a !== 'string') return false;
+  if (ratchet.k !== undefined && (typeof ratchet.k?.ct !== 'string' || typeof ratchet.k?.t !== 'string')) return false;
+  if (ratchet.pk !== undefined && typeof ratchet.pk !== 'string') return false;
+  if (ratchet.init !== undefined) {
+    if (typeof ratchet.init?.kyberCiphertext !== 'string') return false;
+    if (!isValidPrekeyEncapsulation(ratchet.init.prekey)) return false;
+    if (!isValidPrekeyEncapsulation(ratchet.init.oneTimePrekey)) return false;
+    if (ratchet.init.oneTimePrekey && !ratchet.init.prekey) return false;
   }
+  return true;
 };
 
 // ----------------------------------------------------------------------------
@@ -218,58 +768,129 @@ const verifyWithFalcon = async (data, signatureBase64, publicKeyBase64) => {
 
 /**
  * Complete message encryption flow:
- * 1. Generate ephemeral symmetric key using Kyber KEM
+ * 1. Derive ephemeral symmetric key (hybrid X25519 + ML-KEM when the receiver
+ *    has an X25519 key, otherwise ML-KEM only)
  * 2. Encrypt message with AES-256-GCM
- * 3. Sign encrypted message with Falcon
+ * 3. Sign the header and encrypted message
  * 
  * @param {string} plaintext - Message to encrypt
- * @param {string} receiverKyberPublicKey - Receiver's Kyber public key (base64)
- * @param {string} senderFalconSecretKey - Sender's Falcon private key (base64)
+ * @param {object} receiverPublicKeys - { kyberPublicKey, x25519PublicKey, kemAlgorithm } (keys base64)
+ * @param {string} senderFalconSecretKey - Sender's signature secret key (base64)
+ * @param {object} route - { senderId, senderDeviceId, receiverId, recipientUserId, recipientDeviceId }
+ * @param {string} [signatureAlgorithm] - Sender's registered signature algorithm
  * @returns {Promise<object>} Encrypted message bundle
  */
-const encryptAndSignMessage = async (plaintext, receiverKyberPublicKey, senderFalconSecretKey) => {
-  // Step 1: Kyber KEM - Generate shared secret
-  const { ciphertext: kyberCiphertext, sharedSecret } = await kyberEncapsulate(receiverKyberPublicKey);
+const encryptAndSignMessage = async (
+  plaintext,
+  receiverPublicKeys,
+  senderFalconSecretKey,
+  route,
+  signatureAlgorithm = DEFAULT_SIGNATURE_ALGORITHM
+) => {
+  const { kyberPublicKey, x25519PublicKey } = receiverPublicKeys;
+  const kemAlgorithm = receiverPublicKeys.kemAlgorithm || DEFAULT_KEM_ALGORITHM;
+
+  // Step 1: Key encapsulation - Generate shared secret
+  let envelope;
+  if (x25519PublicKey) {
+    envelope = await hybridEncapsulate(kyberPublicKey, x25519PublicKey, kemAlgorithm);
+  } else {
+    const { ciphertext: kyberCiphertext, sharedSecret } = await kyberEncapsulate(kyberPublicKey, kemAlgorithm);
+    envelope = { kyberCiphertext, sharedSecret };
+  }
+  const header = {
+    v: SUITE_ENVELOPE_VERSION,
+    suite: formatSuite({ kem: kemAlgorithm, signature: signatureAlgorithm, hybrid: !!x25519PublicKey })
+  };
   
   // Step 2: AES-256-GCM encryption
-  const { ciphertext: encryptedMessage, iv, authTag } = encryptMessage(plaintext, sharedSecret);
+  const { ciphertext: encryptedMessage, iv, authTag } = encryptMessage(plaintext, envelope.sharedSecret);
   
-  // Step 3: Falcon signature (sign the encrypted message)
-  const dataToSign = encryptedMessage + iv + authTag;
-  const signature = await signWithFalcon(dataToSign, senderFalconSecretKey);
+  // Step 3: Signature over the header, KEM material, encrypted message and route
+  const sentAt = Date.now();
+  const nonce = crypto.randomBytes(ENVELOPE_NONCE_BYTES).toString('base64');
+  const dataToSign = buildSignaturePayload({
+    ...header,
+    ...route,
+    kind: 'message',
+    sentAt,
+    nonce,
+    kyberCiphertext: envelope.kyberCiphertext,
+    ephemeralPublicKey: envelope.ephemeralPublicKey,
+    ciphertext: encryptedMessage,
+    iv,
+    authTag
+  });
+  const signature = await signWithAlgorithm(signatureAlgorithm, dataToSign, senderFalconSecretKey);
   
   return {
-    kyberCiphertext,      // Send to receiver to get shared secret
+    v: header.v,                                  // Envelope version
+    suite: header.suite,                          // Algorithm suite (signed)
+    kyberCiphertext: envelope.kyberCiphertext,    // Send to receiver to get shared secret
+    ephemeralPublicKey: envelope.ephemeralPublicKey, // X25519 ephemeral key (hybrid only)
     encryptedMessage,     // AES-GCM encrypted message
     iv,                   // Initialization vector
     authTag,              // GCM authentication tag
-    signature             // Falcon signature
+    sentAt,               // Send time (signed, checked against the replay window)
+    nonce,                // Random nonce (signed, accepted once)
+    signature             // Signature over header + KEM material + ciphertext + route
   };
 };
 
 /**
  * Complete message decryption flow:
- * 1. Verify Falcon signature
- * 2. Decrypt Kyber ciphertext to get shared secret
+ * 1. Resolve the suite and verify the signature with its algorithm
+ * 2. Decapsulate (hybrid or ML-KEM only, as the suite says)
  * 3. Decrypt message with AES-256-GCM
  * 
-  // Step 1: Verify Falcon signature
-  const dataToVerify = kyberCiphertext + encryptedMessage + iv + authTag;
-  const isValid = await verifyWithFalcon(dataToVerify, signature, senderFalconPublicKey); * @returns {Promise<string>} Decrypted plaintext
+ * @param {object} messageBundle - Encrypted message bundle
+ * @param {object} receiverKeys - { kyberSecretKey, x25519SecretKey, kyberPublicKey, x25519PublicKey }
+ * @param {string} senderFalconPublicKey - Sender's signature public key (base64)
+ * @param {object} route - Expected { senderId, senderDeviceId, receiverId, recipientUserId, recipientDeviceId }
+ * @param {string} [senderSignatureAlgorithm] - Sender's registered signature algorithm
+ * @returns {Promise<string>} Decrypted plaintext
  */
-const verifyAndDecryptMessage = async (messageBundle, receiverKyberSecretKey, senderFalconPublicKey) => {
-  const { kyberCiphertext, encryptedMessage, iv, authTag, signature } = messageBundle;
+const verifyAndDecryptMessage = async (
+  messageBundle,
+  receiverKeys,
+  senderFalconPublicKey,
+  route,
+  senderSignatureAlgorithm = DEFAULT_SIGNATURE_ALGORITHM
+) => {
+  const { v, suite, kyberCiphertext, ephemeralPublicKey, encryptedMessage, iv, authTag, sentAt, nonce, signature } = messageBundle;
+
+  const envelope = resolveEnvelopeSuite(v, suite);
+  if (envelope.error) {
+    throw new Error(envelope.error);
+  }
+  if (envelope.suite.signature !== senderSignatureAlgorithm) {
+    throw new Error('Envelope suite does not match the sender\'s signature algorithm');
+  }
   
-  // Step 1: Verify Falcon signature
-  const dataToVerify = encryptedMessage + iv + authTag;
-  const isValid = await verifyWithFalcon(dataToVerify, signature, senderFalconPublicKey);
+  // Step 1: Verify signature (replay checks are up to the caller)
+  const dataToVerify = buildSignaturePayload({
+    ...route,
+    kind: 'message',
+    v: envelope.version,
+    suite,
+    sentAt,
+    nonce,
+    kyberCiphertext,
+    ephemeralPublicKey,
+    ciphertext: encryptedMessage,
+    iv,
+    authTag
+  });
+  const isValid = await verifyWithAlgorithm(envelope.suite.signature, dataToVerify, signature, senderFalconPublicKey);
   
   if (!isValid) {
     throw new Error('Signature verification failed - message may be tampered');
   }
   
-  // Step 2: Kyber decapsulation - Recover shared secret
-  const sharedSecret = await kyberDecapsulate(kyberCiphertext, receiverKyberSecretKey);
+  // Step 2: Recover shared secret
+  const sharedSecret = envelope.suite.hybrid
+    ? await hybridDecapsulate({ kyberCiphertext, ephemeralPublicKey }, receiverKeys, envelope.suite.kem)
+    : await kyberDecapsulate(kyberCiphertext, receiverKeys.kyberSecretKey, envelope.suite.kem);
   
   // Step 3: AES-256-GCM decryption
   const plaintext = decryptMessage(encryptedMessage, sharedSecret, iv, authTag);
@@ -285,10 +906,64 @@ export {
   // Low-level operations
   kyberEncapsulate,
   kyberDecapsulate,
+  generateX25519Keys,
+  hybridEncapsulate,
+  hybridDecapsulate,
   encryptMessage,
   decryptMessage,
   signWithFalcon,
   verifyWithFalcon,
+  signWithAlgorithm,
+  verifyWithAlgorithm,
+
+  // Algorithm suites
+  KEM_ALGORITHMS,
+  SIGNATURE_ALGORITHMS,
+  DEFAULT_KEM_ALGORITHM,
+  DEFAULT_SIGNATURE_ALGORITHM,
+  isSupportedKemAlgorithm,
+  isSupportedSignatureAlgorithm,
+  formatSuite,
+  parseSuite,
+
+  // Envelope versions and headers
+  LEGACY_ENVELOPE_VERSION,
+  HYBRID_ENVELOPE_VERSION,
+  SUITE_ENVELOPE_VERSION,
+  RATCHET_ENVELOPE_VERSION,
+  resolveEnvelopeSuite,
+  buildSignaturePayload,
+  isValidEnvelopeNonce,
+  isValidRatchetHeader,
+
+  // Key registration
+  X25519_PUBLIC_KEY_LENGTH,
+  buildKeyRegistrationPayload,
+  buildKeyMigrationPayload,
+  buildHybridKeyPayload,
+  buildKeyTransitionPayload,
+  buildDirectoryEntryPayload,
+  buildTransparencyLeafPayload,
+  buildTreeHeadPayload,
+  isValidPublicKey,
+  isValidKemPublicKey,
+  isValidSignaturePublicKey,
+
+  // Prekeys
+  buildSignedPrekeyPayload,
+  buildOneTimePrekeyPayload,
+  isValidPrekeyId,
+
+  // Linked devices
+  PRIMARY_DEVICE_ID,
+  buildDeviceRecordPayload,
+  isValidDeviceId,
+
+  // Group messages
+  buildGroupMessagePayload,
+  buildGroupHandshakePayload,
+  buildDisappearingTimerPayload,
+  isValidSenderKeyId,
   
   // High-level operations (recommended for use)
   encryptAndSignMessage,
@@ -0,0 +1,70 @@
+import { isValidEnvelopeNonce } from './pqc.js';
+
+// ============================================================================
+// Envelope replay protection
+// ============================================================================
+// Every envelope carries a signed send time and a random nonce. The relay
+// only accepts envelopes sent within REPLAY_WINDOW_MS of its own clock and
+// each (sending device, nonce) pair once; nonces are forgotten once their
+// envelope has left the window, so the cache stays bounded by the traffic of
+// one window. Receiving clients keep their own cache, since they cannot trust
+// the relay to do this.
+//
+// The cache is per process: with several instances, pin each sending device
+// to one instance (sticky sessions) or replace this with a shared store.
+
+const REPLAY_WINDOW_MS = 5 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+const seenNonces = new Map(); // `${userId}:${deviceId}:${nonce}` -> expiry
+
+const pruneSeenNonces = () => {
+  const now = Date.now();
+  seenNonces.forEach((expiresAt, key) => {
+    if (expiresAt < now) {
+      seenNonces.delete(key);
+    }
+  });
+};
+
+setInterval(pruneSeenNonces, PRUNE_INTERVAL_MS).unref();
+
+/**
+ * Check the replay fields of an envelope before its signature is verified
+ * @param {object} envelope - { sentAt, nonce }
+ * @returns {string|null} Error message, or null when the envelope is fresh
+ */
+const checkEnvelopeFreshness = ({ sentAt, nonce }) => {
+  if (!Number.isInteger(sentAt) || !isValidEnvelopeNonce(nonce)) {
+    return 'Envelope must carry a signed sentAt and nonce';
+  }
+  if (Math.abs(Date.now() - sentAt) > REPLAY_WINDOW_MS) {
+    return 'Envelope is outside the replay window; check the device clock';
+  }
+  return null;
+};
+
+/**
+ * Record the nonces of verified envelopes
+ * All or nothing: when any nonce was already seen, none is recorded
+ * @param {number} userId - Sending account
+ * @param {string} deviceId - Sending device
+ * @param {object[]} envelopes - [{ sentAt, nonce }] with valid signatures
+ * @returns {boolean} False when an envelope is a replay
+ */
+const registerEnvelopeNonces = (userId, deviceId, envelopes) => {
+  const keys = envelopes.map(({ nonce }) => `${userId}:${deviceId}:${nonce}`);
+  if (new Set(keys).size !== keys.length || keys.some((key) => seenNonces.has(key))) {
+    return false;
+  }
+  keys.forEach((key, index) => {
+    seenNonces.set(key, envelopes[index].sentAt + REPLAY_WINDOW_MS);
+  });
+  return true;
+};
+
+export {
+  REPLAY_WINDOW_MS,
+  checkEnvelopeFreshness,
+  registerEnvelopeNonces
+};
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { REPLAY_WINDOW_MS, checkEnvelopeFreshness, registerEnvelopeNonces } from './replay.js';
+
+const newNonce = () => crypto.randomBytes(16).toString('base64');
+
+const envelopeAt = (sentAt, nonce = newNonce()) => ({ sentAt, nonce });
+
+test('accepts envelopes sent within the window', () => {
+  const now = Date.now();
+  assert.equal(checkEnvelopeFreshness(envelopeAt(now)), null);
+  assert.equal(checkEnvelopeFreshness(envelopeAt(now - REPLAY_WINDOW_MS + 1000)), null);
+  assert.equal(checkEnvelopeFreshness(envelopeAt(now + REPLAY_WINDOW_MS - 1000)), null);
+});
+
+test('rejects envelopes outside the window', () => {
+  const now = Date.now();
+  assert.match(checkEnvelopeFreshness(envelopeAt(now - REPLAY_WINDOW_MS - 1000)), /outside the replay window/);
+  assert.match(checkEnvelopeFreshness(envelopeAt(now + REPLAY_WINDOW_MS + 1000)), /outside the replay window/);
+});
+
+test('rejects envelopes without a send time or a valid nonce', () => {
+  const now = Date.now();
+  assert.match(checkEnvelopeFreshness({ nonce: newNonce() }), /signed sentAt and nonce/);
+  assert.match(checkEnvelopeFreshness({ sentAt: String(now), nonce: newNonce() }), /signed sentAt and nonce/);
+  assert.match(checkEnvelopeFreshness({ sentAt: now }), /signed sentAt and nonce/);
+  assert.match(checkEnvelopeFreshness(envelopeAt(now, crypto.randomBytes(8).toString('base64'))), /signed sentAt and nonce/);
+});
+
+test('accepts each nonce once per sending device', () => {
+  const envelope = envelopeAt(Date.now());
+  assert.equal(registerEnvelopeNonces(1, 'primary', [envelope]), true);
+  assert.equal(registerEnvelopeNonces(1, 'primary', [envelope]), false);
+  // Another device or account may use the same nonce
+  assert.equal(registerEnvelopeNonces(1, 'laptop', [envelope]), true);
+  assert.equal(registerEnvelopeNonces(2, 'primary', [envelope]), true);
+});
+
+test('records a batch all or nothing', () => {
+  const now = Date.now();
+  const seen = envelopeAt(now);
+  const fresh = envelopeAt(now);
+  assert.equal(registerEnvelopeNonces(3, 'primary', [seen]), true);
+
+  // A replay in the batch records none of it
+  assert.equal(registerEnvelopeNonces(3, 'primary', [fresh, seen]), false);
+  // Nor does a nonce repeated within the batch
+  const repeated = envelopeAt(now);
+  assert.equal(registerEnvelopeNonces(3, 'primary', [repeated, { ...repeated }]), false);
+
+  assert.equal(registerEnvelopeNonces(3, 'primary', [fresh, repeated]), true);
+});
@@ -10,6 +10,12 @@ const usePostgres = !!process.env.DATABASE_URL;
 let db; // unified db interface
 let pool; // pg pool when using Postgres
 
+// Helper to convert ? placeholders to $1, $2, etc.
+const convertPlaceholders = (text) => {
+  let index = 0;
+  return text.replace(/\?/g, () => `$${++index}`);
+};
+
 if (usePostgres) {
   // Initialize PostgreSQL pool with free-tier optimized settings
   // Production: Always validates SSL certificates (enforced)
@@ -37,12 +43,6 @@ if (usePostgres) {
     console.log('Database pool closed');
   });
   
-  // Helper to convert ? placeholders to $1, $2, etc.
-  const convertPlaceholders = (text) => {
-    let index = 0;
-    return text.replace(/\?/g, () => `$${++index}`);
-  };
-  
   db = {
     // Direct methods (sqlite3 API compatibility, supports both callback and promise)
     get: (text, params, cb) => {
@@ -159,7 +159,7 @@ if (usePostgres) {
   console.log('Connected to PostgreSQL (Neon) database.');
 } else {
   const { verbose } = sqlite3;
-  db = new (verbose()).Database('./quantumshield.db', (err) => {
+  db = new (verbose()).Database(process.env.DB_PATH || './quantumshield.db', (err) => {
     if (err) {
       console.error(err.message);
     }
@@ -167,6 +167,180 @@ if (usePostgres) {
   });
 }
 
+// Promise helpers over both drivers, for the schema migrations and the
+// modules that query the database
+const getRow = (text, params = []) => {
+  if (usePostgres) {
+    return pool.query(convertPlaceholders(text), params).then((res) => res.rows[0]);
+  }
+  return new Promise((resolve, reject) => {
+    db.get(text, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+};
+
+const getRows = (text, params = []) => {
+  if (usePostgres) {
+    return pool.query(convertPlaceholders(text), params).then((res) => res.rows);
+  }
+  return new Promise((resolve, reject) => {
+    db.all(text, params, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+  });
+};
+
+const runQuery = (text, params = []) => {
+  if (usePostgres) {
+    return pool.query(convertPlaceholders(text), params);
+  }
+  return new Promise((resolve, reject) => {
+    db.run(text, params, (err) => (err ? reject(err) : resolve()));
+  });
+};
+
+// Number of rows changed
+const updateRows = (text, params = []) => {
+  if (usePostgres) {
+    return pool.query(convertPlaceholders(text), params).then((res) => res.rowCount);
+  }
+  return new Promise((resolve, reject) => {
+    db.run(text, params, function(err) {
+      return err ? reject(err) : resolve(this.changes);
+    });
+  });
+};
+
+// Id of the inserted row: from RETURNING id for PostgreSQL, this.lastID for SQLite
+const insertRow = (text, params = []) => {
+  if (usePostgres) {
+    return pool.query(convertPlaceholders(text), params).then((res) => res.rows[0]?.id);
+  }
+  return new Promise((resolve, reject) => {
+    db.run(text, params, function(err) {
+      return err ? reject(err) : resolve(this.lastID);
+    });
+  });
+};
+
+const getTableColumns = async (table) => {
+  if (usePostgres) {
+    const rows = await getRows('SELECT column_name FROM information_schema.columns WHERE table_name = ?', [table]);
+    return rows.map((r) => r.column_name);
+  }
+  const rows = await getRows(`PRAGMA table_info(${table})`);
+  return rows.map((r) => r.name);
+};
+
+// ============================================================================
+// Migration: move server-held secret keys out of the users table
+// ============================================================================
+// Accounts registered before client-side key generation have kyber_secret_key
+// and falcon_secret_key columns on users. Copy them into legacy_secret_keys
+// (handed to the client once at login, then deleted) and drop the columns.
+const migrateLegacySecretKeys = async () => {
+  const columns = await getTableColumns('users');
+  if (!columns.includes('kyber_secret_key') && !columns.includes('falcon_secret_key')) {
+    return;
+  }
+
+  await runQuery(
+    `INSERT INTO legacy_secret_keys (user_id, kyber_secret_key, falcon_secret_key)
+     SELECT id, kyber_secret_key, falcon_secret_key FROM users
+     WHERE kyber_secret_key IS NOT NULL OR falcon_secret_key IS NOT NULL
+     ON CONFLICT (user_id) DO NOTHING`
+  );
+  for (const column of ['kyber_secret_key', 'falcon_secret_key']) {
+    if (columns.includes(column)) {
+      await runQuery(`ALTER TABLE users DROP COLUMN ${column}`);
+    }
+  }
+  console.log('Migrated server-held secret keys to legacy_secret_keys');
+};
+
+// ============================================================================
+// Migration: X25519 public key for hybrid key encapsulation
+// ============================================================================
+// Nullable: accounts without one keep receiving v1 (ML-KEM only) envelopes
+// until the client uploads a key via POST /api/keys/x25519
+const migrateHybridKeyColumn = async () => {
+  const columns = await getTableColumns('users');
+  if (!columns.includes('x25519_public_key')) {
+    await runQuery('ALTER TABLE users ADD COLUMN x25519_public_key TEXT');
+    console.log('Added x25519_public_key column to users');
+  }
+};
+
+// Accounts created before algorithm agility used ML-KEM-1024 and Falcon-1024
+const migrateAlgorithmColumns = async () => {
+  const columns = await getTableColumns('users');
+  if (!columns.includes('kem_algorithm')) {
+    await runQuery("ALTER TABLE users ADD COLUMN kem_algorithm TEXT NOT NULL DEFAULT 'ML-KEM-1024'");
+    console.log('Added kem_algorithm column to users');
+  }
+  if (!columns.includes('signature_algorithm')) {
+    await runQuery("ALTER TABLE users ADD COLUMN signature_algorithm TEXT NOT NULL DEFAULT 'Falcon-1024'");
+    console.log('Added signature_algorithm column to users');
+  }
+};
+
+// Accounts created before key rotation are on their first key version
+const migrateKeyVersionColumn = async () => {
+  const columns = await getTableColumns('users');
+  if (!columns.includes('key_version')) {
+    await runQuery('ALTER TABLE users ADD COLUMN key_version INTEGER NOT NULL DEFAULT 1');
+    console.log('Added key_version column to users');
+  }
+};
+
+// Opt-in store-and-forward mailbox, off for existing accounts
+const migrateMailboxColumn = async () => {
+  const columns = await getTableColumns('users');
+  if (!columns.includes('mailbox_enabled')) {
+    await runQuery('ALTER TABLE users ADD COLUMN mailbox_enabled INTEGER NOT NULL DEFAULT 0');
+    console.log('Added mailbox_enabled column to users');
+  }
+};
+
+// Privacy settings, on for existing accounts, and the last seen time
+const migratePrivacyColumns = async () => {
+  const columns = await getTableColumns('users');
+  if (!columns.includes('read_receipts_enabled')) {
+    await runQuery('ALTER TABLE users ADD COLUMN read_receipts_enabled INTEGER NOT NULL DEFAULT 1');
+    console.log('Added read_receipts_enabled column to users');
+  }
+  if (!columns.includes('presence_enabled')) {
+    await runQuery('ALTER TABLE users ADD COLUMN presence_enabled INTEGER NOT NULL DEFAULT 1');
+    console.log('Added presence_enabled column to users');
+  }
+  if (!columns.includes('typing_indicators_enabled')) {
+    await runQuery('ALTER TABLE users ADD COLUMN typing_indicators_enabled INTEGER NOT NULL DEFAULT 1');
+    console.log('Added typing_indicators_enabled column to users');
+  }
+  if (!columns.includes('last_seen_at')) {
+    await runQuery(`ALTER TABLE users ADD COLUMN last_seen_at ${usePostgres ? 'BIGINT' : 'INTEGER'}`);
+    console.log('Added last_seen_at column to users');
+  }
+};
+
+// Conversation peer of mailbox copies, so disappearing timers reach every
+// copy. Own-device copies held before the column existed are left to expire
+const migrateMailboxPeerColumn = async () => {
+  const columns = await getTableColumns('mailbox_messages');
+  if (!columns.includes('peer_id')) {
+    await runQuery('ALTER TABLE mailbox_messages ADD COLUMN peer_id INTEGER');
+    await runQuery('UPDATE mailbox_messages SET peer_id = sender_id WHERE user_id <> sender_id');
+    console.log('Added peer_id column to mailbox_messages');
+  }
+};
+
+const runMigrations = async () => {
+  await migrateLegacySecretKeys();
+  await migrateHybridKeyColumn();
+  await migrateAlgorithmColumns();
+  await migrateKeyVersionColumn();
+  await migrateMailboxColumn();
+  await migratePrivacyColumns();
+  await migrateMailboxPeerColumn();
+};
+
 const initDb = () => {
   return new Promise((resolve, reject) => {
     if (usePostgres) {
@@ -177,8 +351,15 @@ const initDb = () => {
           username TEXT UNIQUE NOT NULL,
           kyber_public_key TEXT NOT NULL,
           falcon_public_key TEXT NOT NULL,
-          kyber_secret_key TEXT NOT NULL,
-          falcon_secret_key TEXT NOT NULL,
+          x25519_public_key TEXT,
+          kem_algorithm TEXT NOT NULL DEFAULT 'ML-KEM-1024',
+          signature_algorithm TEXT NOT NULL DEFAULT 'Falcon-1024',
+          key_version INTEGER NOT NULL DEFAULT 1,
+          mailbox_enabled INTEGER NOT NULL DEFAULT 0,
+          read_receipts_enabled INTEGER NOT NULL DEFAULT 1,
+          presence_enabled INTEGER NOT NULL DEFAULT 1,
+          typing_indicators_enabled INTEGER NOT NULL DEFAULT 1,
+          last_seen_at BIGINT,
           password_hash TEXT NOT NULL,
           created_at TIMESTAMPTZ DEFAULT NOW()
         );`,
@@ -197,6 +378,130 @@ const initDb = () => {
           user_id_2 INTEGER NOT NULL REFERENCES users(id),
           created_at TIMESTAMPTZ DEFAULT NOW(),
           CONSTRAINT unique_friendship UNIQUE(user_id_1, user_id_2)
+        );`,
+        `CREATE TABLE IF NOT EXISTS legacy_secret_keys (
+          user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+          kyber_secret_key TEXT,
+          falcon_secret_key TEXT,
+          created_at TIMESTAMPTZ DEFAULT NOW()
+        );`,
+        `CREATE TABLE IF NOT EXISTS signed_prekeys (
+          user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+          key_id TEXT NOT NULL,
+          kem_algorithm TEXT NOT NULL,
+          public_key TEXT NOT NULL,
+          signature TEXT NOT NULL,
+          created_at TIMESTAMPTZ DEFAULT NOW()
+        );`,
+        `CREATE TABLE IF NOT EXISTS one_time_prekeys (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          key_id TEXT NOT NULL,
+          kem_algorithm TEXT NOT NULL,
+          public_key TEXT NOT NULL,
+          signature TEXT NOT NULL,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          CONSTRAINT unique_one_time_prekey UNIQUE(user_id, key_id)
+        );`,
+        `CREATE TABLE IF NOT EXISTS key_history (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          key_version INTEGER NOT NULL,
+          kem_algorithm TEXT NOT NULL,
+          kyber_public_key TEXT NOT NULL,
+          signature_algorithm TEXT NOT NULL,
+          falcon_public_key TEXT NOT NULL,
+          x25519_public_key TEXT,
+          previous_signature_algorithm TEXT NOT NULL,
+          previous_falcon_public_key TEXT NOT NULL,
+          signed_at BIGINT NOT NULL,
+          transition_signature TEXT NOT NULL,
+          new_key_signature TEXT NOT NULL,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          CONSTRAINT unique_key_version UNIQUE(user_id, key_version)
+        );`,
+        `CREATE TABLE IF NOT EXISTS transparency_log (
+          leaf_index INTEGER PRIMARY KEY,
+          user_id INTEGER NOT NULL,
+          leaf_data TEXT NOT NULL,
+          leaf_hash TEXT NOT NULL UNIQUE,
+          created_at TIMESTAMPTZ DEFAULT NOW()
+        );`,
+        `CREATE TABLE IF NOT EXISTS key_backups (
+          user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+          backup TEXT NOT NULL,
+          updated_at TIMESTAMPTZ DEFAULT NOW()
+        );`,
+        `CREATE TABLE IF NOT EXISTS devices (
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          device_id TEXT NOT NULL,
+          name TEXT NOT NULL,
+          kem_algorithm TEXT NOT NULL,
+          kyber_public_key TEXT NOT NULL,
+          signature_algorithm TEXT NOT NULL,
+          falcon_public_key TEXT NOT NULL,
+          x25519_public_key TEXT,
+          signed_at BIGINT NOT NULL,
+          identity_signature TEXT NOT NULL,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          last_seen_at TIMESTAMPTZ,
+          PRIMARY KEY (user_id, device_id)
+        );`,
+        `CREATE TABLE IF NOT EXISTS device_links (
+          link_code TEXT PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          device_id TEXT NOT NULL,
+          name TEXT NOT NULL,
+          kem_algorithm TEXT NOT NULL,
+          kyber_public_key TEXT NOT NULL,
+          signature_algorithm TEXT NOT NULL,
+          falcon_public_key TEXT NOT NULL,
+          x25519_public_key TEXT,
+          expires_at BIGINT NOT NULL
+        );`,
+        `CREATE TABLE IF NOT EXISTS mailbox_messages (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          device_id TEXT NOT NULL,
+          sender_id INTEGER NOT NULL,
+          peer_id INTEGER,
+          payload TEXT NOT NULL,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          expires_at BIGINT NOT NULL
+        );`,
+        `CREATE TABLE IF NOT EXISTS groups (
+          id SERIAL PRIMARY KEY,
+          name TEXT NOT NULL,
+          created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          epoch INTEGER NOT NULL DEFAULT 0,
+          created_at TIMESTAMPTZ DEFAULT NOW()
+        );`,
+        `CREATE TABLE IF NOT EXISTS group_members (
+          group_id INTEGER NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          role TEXT NOT NULL DEFAULT 'member',
+          joined_at TIMESTAMPTZ DEFAULT NOW(),
+          PRIMARY KEY (group_id, user_id)
+        );`,
+        `CREATE TABLE IF NOT EXISTS group_handshakes (
+          id SERIAL PRIMARY KEY,
+          group_id INTEGER NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+          epoch INTEGER NOT NULL,
+          kind TEXT NOT NULL,
+          user_id INTEGER,
+          device_id TEXT,
+          payload TEXT NOT NULL,
+          created_at TIMESTAMPTZ DEFAULT NOW()
+        );`,
+        `CREATE TABLE IF NOT EXISTS disappearing_timers (
+          user_id_1 INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          user_id_2 INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          ttl_ms BIGINT NOT NULL,
+          set_by INTEGER NOT NULL,
+          set_by_device TEXT NOT NULL,
+          set_at BIGINT NOT NULL,
+          signature TEXT NOT NULL,
+          PRIMARY KEY (user_id_1, user_id_2)
         );`
       ];
 
@@ -204,7 +509,11 @@ const initDb = () => {
         `CREATE INDEX IF NOT EXISTS idx_friend_requests_receiver ON friend_requests(receiver_id);`,
         `CREATE INDEX IF NOT EXISTS idx_friend_requests_sender ON friend_requests(sender_id);`,
         `CREATE INDEX IF NOT EXISTS idx_friendships_user1 ON friendships(user_id_1);`,
-        `CREATE INDEX IF NOT EXISTS idx_friendships_user2 ON friendships(user_id_2);`
+        `CREATE INDEX IF NOT EXISTS idx_friendships_user2 ON friendships(user_id_2);`,
+        `CREATE INDEX IF NOT EXISTS idx_one_time_prekeys_user ON one_time_prekeys(user_id);`,
+        `CREATE INDEX IF NOT EXISTS idx_mailbox_messages_device ON mailbox_messages(user_id, device_id);`,
+        `CREATE INDEX IF NOT EXISTS idx_group_members_user ON group_members(user_id);`,
+        `CREATE INDEX IF NOT EXISTS idx_group_handshakes_group ON group_handshakes(group_id, epoch);`
       ];
 
       (async () => {
@@ -215,6 +524,7 @@ const initDb = () => {
           for (const q of indexQueries) {
             await pool.query(q);
           }
+          await runMigrations();
           console.log('PostgreSQL tables and indexes initialized successfully');
           resolve();
         } catch (err) {
@@ -231,8 +541,15 @@ const initDb = () => {
           username TEXT UNIQUE NOT NULL,
           kyber_public_key TEXT NOT NULL,
           falcon_public_key TEXT NOT NULL,
-          kyber_secret_key TEXT NOT NULL,
-          falcon_secret_key TEXT NOT NULL,
+          x25519_public_key TEXT,
+          kem_algorithm TEXT NOT NULL DEFAULT 'ML-KEM-1024',
+          signature_algorithm TEXT NOT NULL DEFAULT 'Falcon-1024',
+          key_version INTEGER NOT NULL DEFAULT 1,
+          mailbox_enabled INTEGER NOT NULL DEFAULT 0,
+          read_receipts_enabled INTEGER NOT NULL DEFAULT 1,
+          presence_enabled INTEGER NOT NULL DEFAULT 1,
+          typing_indicators_enabled INTEGER NOT NULL DEFAULT 1,
+          last_seen_at INTEGER,
           password_hash TEXT NOT NULL,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP
         )`, (err) => {
@@ -267,7 +584,202 @@ const initDb = () => {
           if (err) { errors.push({ table: 'friendships', error: err.message }); }
         });
 
-        // Indexes - capture errors for all four index creation calls
+        // Server-held secret keys of accounts created before client-side key
+        // generation; rows are deleted once the client takes custody
+        db.run(`CREATE TABLE IF NOT EXISTS legacy_secret_keys (
+          user_id INTEGER PRIMARY KEY,
+          kyber_secret_key TEXT,
+          falcon_secret_key TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        )`, (err) => {
+          if (err) { errors.push({ table: 'legacy_secret_keys', error: err.message }); }
+        });
+
+        // Prekeys for asynchronous session setup: one medium-term signed
+        // prekey per user plus one-time prekeys deleted as they are handed out
+        db.run(`CREATE TABLE IF NOT EXISTS signed_prekeys (
+          user_id INTEGER PRIMARY KEY,
+          key_id TEXT NOT NULL,
+          kem_algorithm TEXT NOT NULL,
+          public_key TEXT NOT NULL,
+          signature TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        )`, (err) => {
+          if (err) { errors.push({ table: 'signed_prekeys', error: err.message }); }
+        });
+
+        db.run(`CREATE TABLE IF NOT EXISTS one_time_prekeys (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          key_id TEXT NOT NULL,
+          kem_algorithm TEXT NOT NULL,
+          public_key TEXT NOT NULL,
+          signature TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+          UNIQUE(user_id, key_id)
+        )`, (err) => {
+          if (err) { errors.push({ table: 'one_time_prekeys', error: err.message }); }
+        });
+
+        // Signed key-transition records, one per long-term key rotation
+        db.run(`CREATE TABLE IF NOT EXISTS key_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          key_version INTEGER NOT NULL,
+          kem_algorithm TEXT NOT NULL,
+          kyber_public_key TEXT NOT NULL,
+          signature_algorithm TEXT NOT NULL,
+          falcon_public_key TEXT NOT NULL,
+          x25519_public_key TEXT,
+          previous_signature_algorithm TEXT NOT NULL,
+          previous_falcon_public_key TEXT NOT NULL,
+          signed_at INTEGER NOT NULL,
+          transition_signature TEXT NOT NULL,
+          new_key_signature TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+          UNIQUE(user_id, key_version)
+        )`, (err) => {
+          if (err) { errors.push({ table: 'key_history', error: err.message }); }
+        });
+
+        // Append-only Merkle log of published keys; no foreign key so entries
+        // outlive deleted accounts
+        db.run(`CREATE TABLE IF NOT EXISTS transparency_log (
+          leaf_index INTEGER PRIMARY KEY,
+          user_id INTEGER NOT NULL,
+          leaf_data TEXT NOT NULL,
+          leaf_hash TEXT NOT NULL UNIQUE,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`, (err) => {
+          if (err) { errors.push({ table: 'transparency_log', error: err.message }); }
+        });
+
+        // Passphrase-encrypted key backups; opaque to the server
+        db.run(`CREATE TABLE IF NOT EXISTS key_backups (
+          user_id INTEGER PRIMARY KEY,
+          backup TEXT NOT NULL,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        )`, (err) => {
+          if (err) { errors.push({ table: 'key_backups', error: err.message }); }
+        });
+
+        // Linked devices: each has its own keys, signed by the account's
+        // identity (users) signature key
+        db.run(`CREATE TABLE IF NOT EXISTS devices (
+          user_id INTEGER NOT NULL,
+          device_id TEXT NOT NULL,
+          name TEXT NOT NULL,
+          kem_algorithm TEXT NOT NULL,
+          kyber_public_key TEXT NOT NULL,
+          signature_algorithm TEXT NOT NULL,
+          falcon_public_key TEXT NOT NULL,
+          x25519_public_key TEXT,
+          signed_at INTEGER NOT NULL,
+          identity_signature TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          last_seen_at DATETIME,
+          PRIMARY KEY (user_id, device_id),
+          FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        )`, (err) => {
+          if (err) { errors.push({ table: 'devices', error: err.message }); }
+        });
+
+        // Pending device link requests, approved from the primary device
+        db.run(`CREATE TABLE IF NOT EXISTS device_links (
+          link_code TEXT PRIMARY KEY,
+          user_id INTEGER NOT NULL,
+          device_id TEXT NOT NULL,
+          name TEXT NOT NULL,
+          kem_algorithm TEXT NOT NULL,
+          kyber_public_key TEXT NOT NULL,
+          signature_algorithm TEXT NOT NULL,
+          falcon_public_key TEXT NOT NULL,
+          x25519_public_key TEXT,
+          expires_at INTEGER NOT NULL,
+          FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        )`, (err) => {
+          if (err) { errors.push({ table: 'device_links', error: err.message }); }
+        });
+
+        // Opt-in mailbox: encrypted, signed envelopes held for offline
+        // devices until acknowledged or expired; opaque to the server
+        db.run(`CREATE TABLE IF NOT EXISTS mailbox_messages (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          device_id TEXT NOT NULL,
+          sender_id INTEGER NOT NULL,
+          peer_id INTEGER,
+          payload TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          expires_at INTEGER NOT NULL,
+          FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        )`, (err) => {
+          if (err) { errors.push({ table: 'mailbox_messages', error: err.message }); }
+        });
+
+        // Group conversations; the epoch counts ratchet tree commits
+        db.run(`CREATE TABLE IF NOT EXISTS groups (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          created_by INTEGER,
+          epoch INTEGER NOT NULL DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+        )`, (err) => {
+          if (err) { errors.push({ table: 'groups', error: err.message }); }
+        });
+
+        db.run(`CREATE TABLE IF NOT EXISTS group_members (
+          group_id INTEGER NOT NULL,
+          user_id INTEGER NOT NULL,
+          role TEXT NOT NULL DEFAULT 'member',
+          joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (group_id, user_id),
+          FOREIGN KEY (group_id) REFERENCES groups (id) ON DELETE CASCADE,
+          FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        )`, (err) => {
+          if (err) { errors.push({ table: 'group_members', error: err.message }); }
+        });
+
+        // Ratchet tree commits (for every member) and welcomes (for one
+        // device), stored as the committing device signed them
+        db.run(`CREATE TABLE IF NOT EXISTS group_handshakes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          group_id INTEGER NOT NULL,
+          epoch INTEGER NOT NULL,
+          kind TEXT NOT NULL,
+          user_id INTEGER,
+          device_id TEXT,
+          payload TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (group_id) REFERENCES groups (id) ON DELETE CASCADE
+        )`, (err) => {
+          if (err) { errors.push({ table: 'group_handshakes', error: err.message }); }
+        });
+
+        // Disappearing message timer per conversation (user_id_1 < user_id_2),
+        // kept as the device that set it signed it
+        db.run(`CREATE TABLE IF NOT EXISTS disappearing_timers (
+          user_id_1 INTEGER NOT NULL,
+          user_id_2 INTEGER NOT NULL,
+          ttl_ms INTEGER NOT NULL,
+          set_by INTEGER NOT NULL,
+          set_by_device TEXT NOT NULL,
+          set_at INTEGER NOT NULL,
+          signature TEXT NOT NULL,
+          PRIMARY KEY (user_id_1, user_id_2),
+          FOREIGN KEY (user_id_1) REFERENCES users (id) ON DELETE CASCADE,
+          FOREIGN KEY (user_id_2) REFERENCES users (id) ON DELETE CASCADE
+        )`, (err) => {
+          if (err) { errors.push({ table: 'disappearing_timers', error: err.message }); }
+        });
+
+        // Indexes - capture errors for all index creation calls
         db.run(`CREATE INDEX IF NOT EXISTS idx_friend_requests_receiver ON friend_requests(receiver_id)`, (err) => {
           if (err) { errors.push({ type: 'index', sql: 'idx_friend_requests_receiver', error: err.message }); }
         });
@@ -279,6 +791,18 @@ const initDb = () => {
         });
         db.run(`CREATE INDEX IF NOT EXISTS idx_friendships_user2 ON friendships(user_id_2)`, (err) => {
           if (err) { errors.push({ type: 'index', sql: 'idx_friendships_user2', error: err.message }); }
+        });
+        db.run(`CREATE INDEX IF NOT EXISTS idx_one_time_prekeys_user ON one_time_prekeys(user_id)`, (err) => {
+          if (err) { errors.push({ type: 'index', sql: 'idx_one_time_prekeys_user', error: err.message }); }
+        });
+        db.run(`CREATE INDEX IF NOT EXISTS idx_group_members_user ON group_members(user_id)`, (err) => {
+          if (err) { errors.push({ type: 'index', sql: 'idx_group_members_user', error: err.message }); }
+        });
+        db.run(`CREATE INDEX IF NOT EXISTS idx_group_handshakes_group ON group_handshakes(group_id, epoch)`, (err) => {
+          if (err) { errors.push({ type: 'index', sql: 'idx_group_handshakes_group', error: err.message }); }
+        });
+        db.run(`CREATE INDEX IF NOT EXISTS idx_mailbox_messages_device ON mailbox_messages(user_id, device_id)`, (err) => {
+          if (err) { errors.push({ type: 'index', sql: 'idx_mailbox_messages_device', error: err.message }); }
           
           // Final callback: check all errors (tables + indexes) after last index creation completes
           if (errors.length > 0) {
@@ -291,8 +815,12 @@ const initDb = () => {
             }).join('; ');
             reject(new Error(`Database initialization failed: ${errorSummary}`));
           } else {
-            console.log('SQLite tables and indexes initialized successfully');
-            resolve();
+            runMigrations()
+              .then(() => {
+                console.log('SQLite tables and indexes initialized successfully');
+                resolve();
+              })
+              .catch(reject);
           }
         });
       });
@@ -300,4 +828,4 @@ const initDb = () => {
   });
 };
 
-export { db, initDb };
+export { db, initDb, getRow, getRows, runQuery, updateRows, insertRow };
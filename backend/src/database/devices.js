@@ -0,0 +1,228 @@
+import crypto from 'crypto';
+import { getRow, getRows, runQuery } from './db.js';
+import { PRIMARY_DEVICE_ID } from '../crypto/pqc.js';
+import { getFriendIds } from './friends.js';
+
+// ============================================================================
+// Linked devices
+// ============================================================================
+// The primary device holds the account's identity keys (the `users` row).
+// Other devices are linked from it: the new device uploads its public keys as
+// a link request and shows the link code; the primary device signs the device
+// record with the identity key and the record moves to `devices`. Sockets of
+// a device join `device_${userId}_${deviceId}` so every message copy is
+// delivered only to the device it was encrypted for.
+
+const MAX_LINKED_DEVICES = 5;
+const DEVICE_LINK_TTL_MS = 10 * 60 * 1000;
+const LINK_CODE_LENGTH = 8;
+const LINK_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I/L to misread
+
+const deviceRoom = (userId, deviceId) => `device_${userId}_${deviceId}`;
+
+// Whether any socket of a device is connected (io: Socket.IO server)
+const isDeviceOnline = (io, userId, deviceId) => {
+  const sockets = io.sockets.adapter.rooms.get(deviceRoom(userId, deviceId));
+  return !!sockets && sockets.size > 0;
+};
+
+const generateLinkCode = () =>
+  Array.from({ length: LINK_CODE_LENGTH }, () => LINK_CODE_ALPHABET[crypto.randomInt(LINK_CODE_ALPHABET.length)]).join('');
+
+const toDeviceKeys = (row) => ({
+  kemAlgorithm: row.kem_algorithm,
+  kyberPublicKey: row.kyber_public_key,
+  signatureAlgorithm: row.signature_algorithm,
+  falconPublicKey: row.falcon_public_key,
+  x25519PublicKey: row.x25519_public_key || null
+});
+
+const toDevice = (row) => ({
+  deviceId: row.device_id,
+  name: row.name,
+  ...toDeviceKeys(row),
+  signedAt: Number(row.signed_at),
+  identitySignature: row.identity_signature,
+  createdAt: row.created_at,
+  lastSeenAt: row.last_seen_at || null
+});
+
+/**
+ * Linked devices of a user (the primary device is not listed)
+ * @param {number} userId - Account owning the devices
+ * @returns {Promise<object[]>} Device records with their identity signatures
+ */
+const getDevices = async (userId) => {
+  const rows = await getRows('SELECT * FROM devices WHERE user_id = ? ORDER BY created_at', [userId]);
+  return rows.map(toDevice);
+};
+
+/**
+ * Signature key a device signs its messages with
+ * @param {number} userId - Account owning the device
+ * @param {string} deviceId - Device ID (PRIMARY_DEVICE_ID for the identity keys)
+ * @returns {Promise<object|null>} { falcon_public_key, signature_algorithm, username } or null
+ */
+const getDeviceSigningKey = (userId, deviceId) => {
+  if (deviceId === PRIMARY_DEVICE_ID) {
+    return getRow('SELECT falcon_public_key, signature_algorithm, username FROM users WHERE id = ?', [userId]);
+  }
+  return getRow(
+    `SELECT d.falcon_public_key, d.signature_algorithm, u.username
+     FROM devices d JOIN users u ON u.id = d.user_id
+     WHERE d.user_id = ? AND d.device_id = ?`,
+    [userId, deviceId]
+  );
+};
+
+const isLinkedDevice = async (userId, deviceId) =>
+  !!(await getRow('SELECT device_id FROM devices WHERE user_id = ? AND device_id = ?', [userId, deviceId]));
+
+const touchDevice = (userId, deviceId) =>
+  runQuery('UPDATE devices SET last_seen_at = CURRENT_TIMESTAMP WHERE user_id = ? AND device_id = ?', [userId, deviceId]);
+
+/**
+ * Store a link request from a new device
+ * @param {number} userId - Account the device joins
+ * @param {string} name - Display name of the device
+ * @param {object} keys - { kemAlgorithm, kyberPublicKey, signatureAlgorithm, falconPublicKey, x25519PublicKey }
+ * @returns {Promise<object|null>} { linkCode, deviceId, expiresAt }, or null when MAX_LINKED_DEVICES are linked
+ */
+const createDeviceLink = async (userId, name, keys) => {
+  await runQuery('DELETE FROM device_links WHERE expires_at < ?', [Date.now()]);
+
+  const linked = await getRow('SELECT COUNT(*) AS count FROM devices WHERE user_id = ?', [userId]);
+  if (Number(linked?.count || 0) >= MAX_LINKED_DEVICES) {
+    return null;
+  }
+
+  const linkCode = generateLinkCode();
+  const deviceId = crypto.randomBytes(12).toString('base64url');
+  const expiresAt = Date.now() + DEVICE_LINK_TTL_MS;
+  await runQuery(
+    `INSERT INTO device_links (link_code, user_id, device_id, name, kem_algorithm, kyber_public_key,
+       signature_algorithm, falcon_public_key, x25519_public_key, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [linkCode, userId, deviceId, name, keys.kemAlgorithm, keys.kyberPublicKey, keys.signatureAlgorithm,
+      keys.falconPublicKey, keys.x25519PublicKey || null, expiresAt]
+  );
+  return { linkCode, deviceId, expiresAt };
+};
+
+/**
+ * Look up an unexpired link request of a user
+ * @param {number} userId - Account the device joins
+ * @param {string} linkCode - Code shown on the new device
+ * @returns {Promise<object|null>} { linkCode, deviceId, name, keys, expiresAt, device } where
+ *   device is the approved device record, or null when the request is unknown or expired
+ */
+const getDeviceLink = async (userId, linkCode) => {
+  const row = await getRow(
+    'SELECT * FROM device_links WHERE link_code = ? AND user_id = ? AND expires_at >= ?',
+    [String(linkCode).toUpperCase(), userId, Date.now()]
+  );
+  if (!row) {
+    return null;
+  }
+  const device = await getRow('SELECT * FROM devices WHERE user_id = ? AND device_id = ?', [userId, row.device_id]);
+  return {
+    linkCode: row.link_code,
+    deviceId: row.device_id,
+    name: row.name,
+    keys: toDeviceKeys(row),
+    expiresAt: Number(row.expires_at),
+    device: device ? toDevice(device) : null
+  };
+};
+
+/**
+ * Add a device whose record the identity key signed
+ * The caller verifies identitySignature over buildDeviceRecordPayload
+ * @param {number} userId - Account owning the device
+ * @param {object} link - Output of getDeviceLink
+ * @param {object} signature - { signedAt, identitySignature }
+ * @returns {Promise<object>} Device record
+ */
+const addDevice = async (userId, link, { signedAt, identitySignature }) => {
+  const { keys } = link;
+  await runQuery(
+    `INSERT INTO devices (user_id, device_id, name, kem_algorithm, kyber_public_key, signature_algorithm,
+       falcon_public_key, x25519_public_key, signed_at, identity_signature)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [userId, link.deviceId, link.name, keys.kemAlgorithm, keys.kyberPublicKey, keys.signatureAlgorithm,
+      keys.falconPublicKey, keys.x25519PublicKey, signedAt, identitySignature]
+  );
+  return toDevice(await getRow('SELECT * FROM devices WHERE user_id = ? AND device_id = ?', [userId, link.deviceId]));
+};
+
+/**
+ * Remove linked devices and disconnect them
+ * @param {object} io - Socket.IO server (may be undefined outside a request)
+ * @param {number} userId - Account owning the devices
+ * @param {string} [deviceId] - Device to remove; all linked devices when omitted
+ * @returns {Promise<string[]>} IDs of the removed devices
+ */
+const revokeDevices = async (io, userId, deviceId) => {
+  if (deviceId === undefined) {
+    // Drop pending requests too; devices are relinked under the new identity key
+    await runQuery('DELETE FROM device_links WHERE user_id = ?', [userId]);
+  }
+  const rows = deviceId === undefined
+    ? await getRows('SELECT device_id FROM devices WHERE user_id = ?', [userId])
+    : await getRows('SELECT device_id FROM devices WHERE user_id = ? AND device_id = ?', [userId, deviceId]);
+  const deviceIds = rows.map((row) => row.device_id);
+  if (deviceIds.length === 0) {
+    return deviceIds;
+  }
+
+  if (deviceId === undefined) {
+    await runQuery('DELETE FROM devices WHERE user_id = ?', [userId]);
+  } else {
+    await runQuery('DELETE FROM devices WHERE user_id = ? AND device_id = ?', [userId, deviceId]);
+  }
+  // Mailbox messages held for the devices can no longer be fetched
+  await runQuery(
+    `DELETE FROM mailbox_messages WHERE user_id = ? AND device_id IN (${deviceIds.map(() => '?').join(', ')})`,
+    [userId, ...deviceIds]
+  );
+
+  if (io) {
+    deviceIds.forEach((id) => {
+      io.to(deviceRoom(userId, id)).emit('deviceRevoked', { deviceId: id });
+      io.in(deviceRoom(userId, id)).disconnectSockets(true);
+    });
+  }
+  return deviceIds;
+};
+
+/**
+ * Tell a user's sockets and their friends that the device list changed
+ * Friends encrypt to every device, so they refetch the list
+ * @param {object} io - Socket.IO server (may be undefined outside a request)
+ * @param {number} userId - Account whose devices changed
+ * @returns {Promise<void>}
+ */
+const notifyDevicesChanged = async (io, userId) => {
+  if (!io) {
+    return;
+  }
+  const friendIds = await getFriendIds(userId);
+  [userId, ...friendIds].forEach((id) => {
+    io.to(`user_${id}`).emit('devicesChanged', { userId: Number(userId) });
+  });
+};
+
+export {
+  MAX_LINKED_DEVICES,
+  deviceRoom,
+  isDeviceOnline,
+  getDevices,
+  getDeviceSigningKey,
+  isLinkedDevice,
+  touchDevice,
+  createDeviceLink,
+  getDeviceLink,
+  addDevice,
+  revokeDevices,
+  notifyDevicesChanged
+};
@@ -0,0 +1,94 @@
+import { getRow, getRows, runQuery, updateRows } from './db.js';
+
+// ============================================================================
+// Disappearing messages
+// ============================================================================
+// Either friend can set a timer for their conversation. The setting is a
+// control message signed by the device that changed it (see frontend crypto.js
+// signDisappearingTimer); the server keeps the latest one so devices that
+// were offline pick it up, and both clients verify the signature before they
+// apply it. The server enforces the timer on what it holds: mailbox copies of
+// the conversation's messages expire after it.
+
+const DISAPPEARING_TIMERS_MS = [
+  0, // Off
+  5 * 60 * 1000,
+  60 * 60 * 1000,
+  24 * 60 * 60 * 1000,
+  7 * 24 * 60 * 60 * 1000
+]; // Must match frontend crypto.js
+
+const toTimer = (row) => ({
+  ttlMs: Number(row.ttl_ms),
+  senderId: Number(row.set_by),
+  senderDeviceId: row.set_by_device,
+  receiverId: Number(row.set_by) === Number(row.user_id_1) ? Number(row.user_id_2) : Number(row.user_id_1),
+  setAt: Number(row.set_at),
+  signature: row.signature
+});
+
+/**
+ * Current timer of a conversation
+ * @param {number} userA - One friend
+ * @param {number} userB - The other friend
+ * @returns {Promise<object|null>} Signed timer { ttlMs, senderId, senderDeviceId,
+ *   receiverId, setAt, signature }, or null when none was ever set
+ */
+const getDisappearingTimer = async (userA, userB) => {
+  const row = await getRow(
+    'SELECT * FROM disappearing_timers WHERE user_id_1 = ? AND user_id_2 = ?',
+    [Math.min(userA, userB), Math.max(userA, userB)]
+  );
+  return row ? toTimer(row) : null;
+};
+
+/**
+ * Timers of all conversations of a user
+ * @param {number} userId - User
+ * @returns {Promise<object[]>} Signed timers, as getDisappearingTimer returns them
+ */
+const getDisappearingTimersForUser = async (userId) => {
+  const rows = await getRows(
+    'SELECT * FROM disappearing_timers WHERE user_id_1 = ? OR user_id_2 = ?',
+    [userId, userId]
+  );
+  return rows.map(toTimer);
+};
+
+/**
+ * Store a signed timer unless a newer one is already set, and shorten the
+ * expiry of every mailbox copy of the conversation, including the copies
+ * synced to the sender's own devices
+ * @param {object} timer - { ttlMs, senderId, senderDeviceId, receiverId, setAt, signature },
+ *   signature already verified
+ * @returns {Promise<boolean>} False when a timer set at or after setAt exists
+ */
+const setDisappearingTimer = async ({ ttlMs, senderId, senderDeviceId, receiverId, setAt, signature }) => {
+  const changed = await updateRows(
+    `INSERT INTO disappearing_timers (user_id_1, user_id_2, ttl_ms, set_by, set_by_device, set_at, signature)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT (user_id_1, user_id_2) DO UPDATE SET ttl_ms = excluded.ttl_ms, set_by = excluded.set_by,
+       set_by_device = excluded.set_by_device, set_at = excluded.set_at, signature = excluded.signature
+     WHERE disappearing_timers.set_at < excluded.set_at`,
+    [Math.min(senderId, receiverId), Math.max(senderId, receiverId), ttlMs, senderId, senderDeviceId, setAt, signature]
+  );
+  if (changed === 0) {
+    return false;
+  }
+  if (ttlMs > 0) {
+    const expiresAt = Date.now() + ttlMs;
+    await runQuery(
+      `UPDATE mailbox_messages SET expires_at = ?
+       WHERE expires_at > ? AND ((user_id = ? AND peer_id = ?) OR (user_id = ? AND peer_id = ?))`,
+      [expiresAt, expiresAt, senderId, receiverId, receiverId, senderId]
+    );
+  }
+  return true;
+};
+
+export {
+  DISAPPEARING_TIMERS_MS,
+  getDisappearingTimer,
+  getDisappearingTimersForUser,
+  setDisappearingTimer
+};
@@ -0,0 +1,108 @@
+import { test, before, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { initDb } from './db.js';
+import { createUser } from '../testing/users.js';
+import { MAILBOX_TTL_MS, storeMailboxMessage, getMailboxMessages } from './mailbox.js';
+import {
+  DISAPPEARING_TIMERS_MS,
+  getDisappearingTimer,
+  getDisappearingTimersForUser,
+  setDisappearingTimer
+} from './disappearing.js';
+
+// Runs against a fresh in-memory SQLite database (npm test sets DB_PATH)
+
+const FIVE_MINUTES = DISAPPEARING_TIMERS_MS[1];
+const ONE_DAY = DISAPPEARING_TIMERS_MS[3];
+
+const timer = (senderId, receiverId, ttlMs, setAt) =>
+  ({ ttlMs, senderId, senderDeviceId: 'primary', receiverId, setAt, signature: `signed at ${setAt}` });
+
+const payload = (senderId, receiverId, text) => ({ senderId, receiverId, messageId: text, envelopes: [text] });
+
+before(async () => {
+  await initDb();
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('either friend sets the timer of their conversation', async () => {
+  const [alice, bob, carol] = [await createUser(), await createUser(), await createUser()];
+  assert.equal(await getDisappearingTimer(alice, bob), null);
+
+  assert.equal(await setDisappearingTimer(timer(bob, alice, ONE_DAY, 1000)), true);
+  assert.deepEqual(await getDisappearingTimer(alice, bob), timer(bob, alice, ONE_DAY, 1000));
+  assert.deepEqual(await getDisappearingTimer(bob, alice), timer(bob, alice, ONE_DAY, 1000));
+
+  assert.equal(await setDisappearingTimer(timer(alice, bob, 0, 2000)), true);
+  assert.deepEqual(await getDisappearingTimer(bob, alice), timer(alice, bob, 0, 2000));
+
+  await setDisappearingTimer(timer(carol, alice, FIVE_MINUTES, 1500));
+  assert.deepEqual(
+    (await getDisappearingTimersForUser(alice)).map((entry) => [entry.senderId, entry.receiverId, entry.ttlMs]).sort(),
+    [[alice, bob, 0], [carol, alice, FIVE_MINUTES]].sort()
+  );
+  assert.deepEqual(await getDisappearingTimersForUser(bob), [timer(alice, bob, 0, 2000)]);
+});
+
+test('a timer set before the current one is ignored', async () => {
+  const [alice, bob] = [await createUser(), await createUser()];
+  await setDisappearingTimer(timer(alice, bob, ONE_DAY, 2000));
+  assert.equal(await setDisappearingTimer(timer(bob, alice, FIVE_MINUTES, 1000)), false);
+  assert.equal(await setDisappearingTimer(timer(bob, alice, FIVE_MINUTES, 2000)), false);
+  assert.deepEqual(await getDisappearingTimer(alice, bob), timer(alice, bob, ONE_DAY, 2000));
+});
+
+test('held messages of the conversation expire after the new timer', async () => {
+  const [alice, bob, carol] = [await createUser(), await createUser(), await createUser()];
+  const storedAt = Date.now();
+  await storeMailboxMessage(bob, 'primary', payload(alice, bob, 'to bob'));
+  await storeMailboxMessage(alice, 'primary', payload(bob, alice, 'to alice'));
+  await storeMailboxMessage(bob, 'primary', payload(carol, bob, 'from carol'));
+
+  await setDisappearingTimer(timer(alice, bob, FIVE_MINUTES, storedAt));
+  mock.method(Date, 'now', () => storedAt + FIVE_MINUTES + 1000);
+  assert.deepEqual((await getMailboxMessages(bob, 'primary')).map((message) => message.messageId), ['from carol']);
+  assert.deepEqual(await getMailboxMessages(alice, 'primary'), []);
+});
+
+test('copies synced to the senders\' own devices expire with the timer too', async () => {
+  const [alice, bob, carol] = [await createUser(), await createUser(), await createUser()];
+  const storedAt = Date.now();
+  await storeMailboxMessage(bob, 'laptop', payload(alice, bob, 'to bob'));
+  await storeMailboxMessage(alice, 'laptop', payload(alice, bob, 'to bob'));
+  await storeMailboxMessage(bob, 'tablet', payload(bob, alice, 'to alice'));
+  await storeMailboxMessage(alice, 'tablet', payload(alice, carol, 'to carol'));
+
+  await setDisappearingTimer(timer(bob, alice, FIVE_MINUTES, storedAt));
+  mock.method(Date, 'now', () => storedAt + FIVE_MINUTES + 1000);
+  assert.deepEqual(await getMailboxMessages(bob, 'laptop'), []);
+  assert.deepEqual(await getMailboxMessages(alice, 'laptop'), []);
+  assert.deepEqual(await getMailboxMessages(bob, 'tablet'), []);
+  assert.deepEqual((await getMailboxMessages(alice, 'tablet')).map((message) => message.messageId), ['to carol']);
+});
+
+test('turning a timer off or lengthening it keeps earlier expiries', async () => {
+  const [alice, bob] = [await createUser(), await createUser()];
+  const storedAt = Date.now();
+  await storeMailboxMessage(bob, 'primary', payload(alice, bob, 'short'), FIVE_MINUTES);
+  await setDisappearingTimer(timer(alice, bob, ONE_DAY, storedAt));
+  await setDisappearingTimer(timer(alice, bob, 0, storedAt + 1));
+
+  mock.method(Date, 'now', () => storedAt + FIVE_MINUTES + 1000);
+  assert.deepEqual(await getMailboxMessages(bob, 'primary'), []);
+});
+
+test('new messages are held for the timer, at most the mailbox TTL', async () => {
+  const [alice, bob] = [await createUser(), await createUser()];
+  const storedAt = Date.now();
+  await storeMailboxMessage(bob, 'primary', payload(alice, bob, 'five minutes'), FIVE_MINUTES);
+  await storeMailboxMessage(bob, 'primary', payload(alice, bob, 'capped'), MAILBOX_TTL_MS * 2);
+
+  mock.method(Date, 'now', () => storedAt + FIVE_MINUTES + 1000);
+  assert.deepEqual((await getMailboxMessages(bob, 'primary')).map((message) => message.messageId), ['capped']);
+  mock.method(Date, 'now', () => storedAt + MAILBOX_TTL_MS + 1000);
+  assert.deepEqual(await getMailboxMessages(bob, 'primary'), []);
+});
@@ -0,0 +1,18 @@
+import { getRows } from './db.js';
+
+/**
+ * IDs of a user's friends
+ * Used to fan out socket notifications (e.g. key rotation) to friends only
+ * @param {number} userId - User whose friends to list
+ * @returns {Promise<number[]>} Friend user IDs
+ */
+const getFriendIds = async (userId) => {
+  const rows = await getRows(
+    `SELECT CASE WHEN user_id_1 = ? THEN user_id_2 ELSE user_id_1 END AS friend_id
+     FROM friendships WHERE user_id_1 = ? OR user_id_2 = ?`,
+    [userId, userId, userId]
+  );
+  return rows.map((row) => Number(row.friend_id));
+};
+
+export { getFriendIds };
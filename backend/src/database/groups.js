@@ -0,0 +1,293 @@
+import { getRow, getRows, runQuery, updateRows, insertRow } from './db.js';
+
+// ============================================================================
+// Group conversations
+// ============================================================================
+// The server only knows who is in a group. The members' devices agree on the
+// group's keys with a ratchet tree (TreeKEM in the style of MLS, see frontend
+// crypto.js): a commit adds and removes devices and refreshes the committing
+// device's path to the root with ML-KEM encapsulations, about log2(n) of them
+// per commit. Commits and the welcomes for added devices are relayed as
+// opaque handshake messages; the epoch counts accepted commits, and the
+// server accepts exactly one commit per epoch so every device applies the
+// same sequence. Messages are encrypted once with the sending device's sender
+// chain derived from the epoch secret; the relay rejects group messages of an
+// older epoch.
+
+const MAX_GROUP_MEMBERS = 32;
+const MAX_GROUP_NAME_LENGTH = 64;
+const GROUP_ADMIN = 'admin';
+const GROUP_MEMBER = 'member';
+const MAX_STORED_COMMITS = 100; // Per group; devices further behind ask to be welcomed again
+const HANDSHAKE_COMMIT = 'commit';
+const HANDSHAKE_WELCOME = 'welcome';
+
+const toMember = (row) => ({
+  userId: Number(row.user_id),
+  username: row.username,
+  role: row.role,
+  joinedAt: row.joined_at
+});
+
+/**
+ * Groups a user belongs to
+ * @param {number} userId - Member
+ * @returns {Promise<object[]>} [{ id, name, epoch, role, memberCount }]
+ */
+const getGroupsForUser = async (userId) => {
+  const rows = await getRows(
+    `SELECT g.id, g.name, g.epoch, m.role,
+       (SELECT COUNT(*) FROM group_members c WHERE c.group_id = g.id) AS member_count
+     FROM groups g JOIN group_members m ON m.group_id = g.id
+     WHERE m.user_id = ?
+     ORDER BY g.created_at, g.id`,
+    [userId]
+  );
+  return rows.map((row) => ({
+    id: Number(row.id),
+    name: row.name,
+    epoch: Number(row.epoch),
+    role: row.role,
+    memberCount: Number(row.member_count)
+  }));
+};
+
+/**
+ * A group with its members, oldest member first
+ * @param {number} groupId - Group
+ * @returns {Promise<object|null>} { id, name, epoch, createdBy, createdAt, members }
+ */
+const getGroup = async (groupId) => {
+  const group = await getRow('SELECT * FROM groups WHERE id = ?', [groupId]);
+  if (!group) {
+    return null;
+  }
+  const members = await getRows(
+    `SELECT m.user_id, m.role, m.joined_at, u.username
+     FROM group_members m JOIN users u ON u.id = m.user_id
+     WHERE m.group_id = ?
+     ORDER BY m.joined_at, m.user_id`,
+    [groupId]
+  );
+  return {
+    id: Number(group.id),
+    name: group.name,
+    epoch: Number(group.epoch),
+    createdBy: group.created_by === null || group.created_by === undefined ? null : Number(group.created_by),
+    createdAt: group.created_at,
+    members: members.map(toMember)
+  };
+};
+
+/**
+ * A user's membership of a group
+ * @param {number} groupId - Group
+ * @param {number} userId - User
+ * @returns {Promise<object|null>} { role, epoch }, or null when not a member
+ */
+const getGroupMembership = async (groupId, userId) => {
+  const row = await getRow(
+    `SELECT m.role, g.epoch FROM group_members m JOIN groups g ON g.id = m.group_id
+     WHERE m.group_id = ? AND m.user_id = ?`,
+    [groupId, userId]
+  );
+  return row ? { role: row.role, epoch: Number(row.epoch) } : null;
+};
+
+/**
+ * IDs of a group's members
+ * @param {number} groupId - Group
+ * @returns {Promise<number[]>}
+ */
+const getGroupMemberIds = async (groupId) => {
+  const rows = await getRows('SELECT user_id FROM group_members WHERE group_id = ?', [groupId]);
+  return rows.map((row) => Number(row.user_id));
+};
+
+/**
+ * Create a group; the creator becomes its admin
+ * @param {number} creatorId - Creating user
+ * @param {string} name - Display name
+ * @param {number[]} memberIds - Other members (the caller checks they are friends of the creator)
+ * @returns {Promise<number>} Group ID
+ */
+const createGroup = async (creatorId, name, memberIds) => {
+  const groupId = Number(await insertRow(
+    'INSERT INTO groups (name, created_by) VALUES (?, ?) RETURNING id',
+    [name, creatorId]
+  ));
+  await runQuery(
+    'INSERT INTO group_members (group_id, user_id, role) VALUES (?, ?, ?)',
+    [groupId, creatorId, GROUP_ADMIN]
+  );
+  for (const userId of memberIds) {
+    await runQuery(
+      'INSERT INTO group_members (group_id, user_id, role) VALUES (?, ?, ?)',
+      [groupId, userId, GROUP_MEMBER]
+    );
+  }
+  return groupId;
+};
+
+/**
+ * Add members; their devices join the ratchet tree with the next commit
+ * @param {number} groupId - Group
+ * @param {number[]} userIds - New members, none of them in the group yet
+ * @returns {Promise<void>}
+ */
+const addGroupMembers = async (groupId, userIds) => {
+  for (const userId of userIds) {
+    await runQuery(
+      'INSERT INTO group_members (group_id, user_id, role) VALUES (?, ?, ?)',
+      [groupId, userId, GROUP_MEMBER]
+    );
+  }
+};
+
+/**
+ * Remove a member; the next commit removes their devices from the ratchet tree
+ * The group is deleted with its last member; when the last admin leaves, the
+ * longest-standing member becomes admin
+ * @param {number} groupId - Group
+ * @param {number} userId - Member to remove
+ * @returns {Promise<boolean>} True when the group was deleted
+ */
+const removeGroupMember = async (groupId, userId) => {
+  await runQuery('DELETE FROM group_members WHERE group_id = ? AND user_id = ?', [groupId, userId]);
+  await runQuery('DELETE FROM group_handshakes WHERE group_id = ? AND user_id = ?', [groupId, userId]);
+
+  const remaining = await getRows(
+    'SELECT user_id, role FROM group_members WHERE group_id = ? ORDER BY joined_at, user_id',
+    [groupId]
+  );
+  if (remaining.length === 0) {
+    await runQuery('DELETE FROM group_handshakes WHERE group_id = ?', [groupId]);
+    await runQuery('DELETE FROM groups WHERE id = ?', [groupId]);
+    return true;
+  }
+  if (!remaining.some((member) => member.role === GROUP_ADMIN)) {
+    await runQuery(
+      'UPDATE group_members SET role = ? WHERE group_id = ? AND user_id = ?',
+      [GROUP_ADMIN, groupId, remaining[0].user_id]
+    );
+  }
+  return false;
+};
+
+/**
+ * Accept a commit made in the group's current epoch and move to the next one
+ * Of concurrent commits for the same epoch only the first is stored
+ * @param {number} groupId - Group
+ * @param {number} epoch - Epoch the commit was made in
+ * @param {object} commit - Signed commit { senderId, senderDeviceId, body, sentAt, nonce, signature }
+ * @param {object[]} welcomes - Signed welcome envelopes, each with the { userId, deviceId } it is for
+ * @returns {Promise<boolean>} False when the epoch already moved on
+ */
+const storeGroupCommit = async (groupId, epoch, commit, welcomes) => {
+  const advanced = await updateRows(
+    'UPDATE groups SET epoch = epoch + 1 WHERE id = ? AND epoch = ?',
+    [groupId, epoch]
+  );
+  if (advanced === 0) {
+    return false;
+  }
+
+  await runQuery(
+    'INSERT INTO group_handshakes (group_id, epoch, kind, payload) VALUES (?, ?, ?, ?)',
+    [groupId, epoch, HANDSHAKE_COMMIT, JSON.stringify(commit)]
+  );
+  for (const { userId, deviceId, ...welcome } of welcomes) {
+    await runQuery(
+      'INSERT INTO group_handshakes (group_id, epoch, kind, user_id, device_id, payload) VALUES (?, ?, ?, ?, ?, ?)',
+      [groupId, epoch, HANDSHAKE_WELCOME, userId, deviceId, JSON.stringify(welcome)]
+    );
+  }
+  await runQuery(
+    'DELETE FROM group_handshakes WHERE group_id = ? AND epoch <= ?',
+    [groupId, epoch - MAX_STORED_COMMITS]
+  );
+  return true;
+};
+
+/**
+ * Handshake messages a device needs to catch up with a group
+ * Without `after`, commits start at the device's latest welcome (or at the
+ * current epoch when it has none)
+ * @param {number} groupId - Group
+ * @param {number} userId - Member
+ * @param {string} deviceId - Member's device
+ * @param {number|null} after - First epoch whose commit is wanted
+ * @returns {Promise<object>} { commits, welcomes }, each entry with the epoch it was made in
+ */
+const getGroupHandshakes = async (groupId, userId, deviceId, after) => {
+  const welcomeRows = await getRows(
+    `SELECT epoch, payload FROM group_handshakes
+     WHERE group_id = ? AND kind = ? AND user_id = ? AND device_id = ?
+     ORDER BY epoch`,
+    [groupId, HANDSHAKE_WELCOME, userId, deviceId]
+  );
+  let from = after;
+  if (from === null) {
+    from = welcomeRows.length > 0
+      ? Number(welcomeRows[welcomeRows.length - 1].epoch)
+      : Number((await getRow('SELECT epoch FROM groups WHERE id = ?', [groupId]))?.epoch || 0);
+  }
+  const commitRows = await getRows(
+    `SELECT epoch, payload FROM group_handshakes
+     WHERE group_id = ? AND kind = ? AND epoch >= ?
+     ORDER BY epoch`,
+    [groupId, HANDSHAKE_COMMIT, from]
+  );
+  const toHandshake = (row) => ({ epoch: Number(row.epoch), ...JSON.parse(row.payload) });
+  return { commits: commitRows.map(toHandshake), welcomes: welcomeRows.map(toHandshake) };
+};
+
+const notifyMembers = (io, event, groupId, userIds, epoch) => {
+  if (!io) {
+    return;
+  }
+  new Set(userIds.map(Number)).forEach((id) => {
+    io.to(`user_${id}`).emit(event, { groupId: Number(groupId), epoch });
+  });
+};
+
+/**
+ * Tell members that a group changed so their devices refetch it and commit
+ * the membership change to the ratchet tree
+ * @param {object} io - Socket.IO server (may be undefined outside a request)
+ * @param {number} groupId - Group
+ * @param {number[]} userIds - Current members plus anyone who was removed
+ * @param {number|null} epoch - Current epoch, or null for users no longer in the group
+ * @returns {void}
+ */
+const notifyGroupUpdated = (io, groupId, userIds, epoch) =>
+  notifyMembers(io, 'groupUpdated', groupId, userIds, epoch);
+
+/**
+ * Tell members that a commit moved the group to a new epoch, so their
+ * devices fetch and apply it
+ * @param {object} io - Socket.IO server (may be undefined outside a request)
+ * @param {number} groupId - Group
+ * @param {number[]} userIds - Current members
+ * @param {number} epoch - New epoch
+ * @returns {void}
+ */
+const notifyGroupHandshake = (io, groupId, userIds, epoch) =>
+  notifyMembers(io, 'groupHandshake', groupId, userIds, epoch);
+
+export {
+  MAX_GROUP_MEMBERS,
+  MAX_GROUP_NAME_LENGTH,
+  GROUP_ADMIN,
+  getGroupsForUser,
+  getGroup,
+  getGroupMembership,
+  getGroupMemberIds,
+  createGroup,
+  addGroupMembers,
+  removeGroupMember,
+  storeGroupCommit,
+  getGroupHandshakes,
+  notifyGroupUpdated,
+  notifyGroupHandshake
+};
@@ -0,0 +1,116 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { initDb } from './db.js';
+import { createUser } from '../testing/users.js';
+import {
+  GROUP_ADMIN,
+  getGroupsForUser,
+  getGroup,
+  getGroupMembership,
+  getGroupMemberIds,
+  createGroup,
+  addGroupMembers,
+  removeGroupMember,
+  storeGroupCommit,
+  getGroupHandshakes,
+  notifyGroupUpdated
+} from './groups.js';
+
+// Runs against a fresh in-memory SQLite database (npm test sets DB_PATH)
+
+const createUsers = async (count) => {
+  const userIds = [];
+  for (let i = 0; i < count; i += 1) {
+    userIds.push(await createUser());
+  }
+  return userIds;
+};
+
+before(async () => {
+  await initDb();
+});
+
+test('the creator of a group is its admin', async () => {
+  const [alice, bob, carol] = await createUsers(3);
+  const groupId = await createGroup(alice, 'Friends', [bob, carol]);
+
+  const group = await getGroup(groupId);
+  assert.equal(group.name, 'Friends');
+  assert.equal(group.createdBy, alice);
+  assert.deepEqual(group.members.map((member) => [member.userId, member.role]), [
+    [alice, GROUP_ADMIN], [bob, 'member'], [carol, 'member']
+  ]);
+  assert.deepEqual(await getGroupMembership(groupId, bob), { role: 'member', epoch: group.epoch });
+  assert.equal(await getGroupMembership(groupId, await createUser()), null);
+
+  assert.deepEqual(await getGroupsForUser(bob), [
+    { id: groupId, name: 'Friends', epoch: group.epoch, role: 'member', memberCount: 3 }
+  ]);
+  assert.equal(await getGroup(groupId + 1000), null);
+});
+
+const commit = (senderId, body) => ({ senderId, senderDeviceId: 'primary', body, sentAt: 1, nonce: body, signature: body });
+const welcome = (userId, deviceId, body) => ({ userId, deviceId, ciphertext: body });
+
+test('membership changes leave the epoch to the next commit', async () => {
+  const [alice, bob, carol] = await createUsers(3);
+  const groupId = await createGroup(alice, 'Project', [bob]);
+  const { epoch } = await getGroup(groupId);
+
+  await addGroupMembers(groupId, [carol]);
+  assert.equal((await getGroup(groupId)).epoch, epoch);
+  assert.deepEqual((await getGroupMemberIds(groupId)).sort(), [alice, bob, carol].sort());
+
+  assert.equal(await removeGroupMember(groupId, bob), false);
+  assert.equal((await getGroup(groupId)).epoch, epoch);
+  assert.equal(await getGroupMembership(groupId, bob), null);
+});
+
+test('the server accepts one commit per epoch', async () => {
+  const [alice, bob] = await createUsers(2);
+  const groupId = await createGroup(alice, 'Commits', [bob]);
+
+  assert.equal(await storeGroupCommit(groupId, 0, commit(alice, 'first'), [welcome(bob, 'primary', 'for bob')]), true);
+  assert.equal(await storeGroupCommit(groupId, 0, commit(bob, 'concurrent'), []), false);
+  assert.equal((await getGroup(groupId)).epoch, 1);
+  assert.equal(await storeGroupCommit(groupId, 1, commit(bob, 'second'), []), true);
+
+  const forBob = await getGroupHandshakes(groupId, bob, 'primary', null);
+  assert.deepEqual(forBob.welcomes, [{ epoch: 0, ciphertext: 'for bob' }]);
+  assert.deepEqual(forBob.commits.map((entry) => [entry.epoch, entry.body]), [[0, 'first'], [1, 'second']]);
+  // Without a welcome, a device starts at the current epoch
+  assert.deepEqual(await getGroupHandshakes(groupId, bob, 'laptop', null), { commits: [], welcomes: [] });
+  assert.deepEqual((await getGroupHandshakes(groupId, alice, 'primary', 1)).commits.map((entry) => entry.body), ['second']);
+
+  // A removed member's welcomes go with them
+  await removeGroupMember(groupId, bob);
+  assert.deepEqual((await getGroupHandshakes(groupId, bob, 'primary', null)).welcomes, []);
+});
+
+test('the longest-standing member takes over from the last admin', async () => {
+  const [alice, bob, carol] = await createUsers(3);
+  const groupId = await createGroup(alice, 'Book club', [bob, carol]);
+
+  await removeGroupMember(groupId, alice);
+  assert.equal((await getGroupMembership(groupId, bob)).role, GROUP_ADMIN);
+  assert.equal((await getGroupMembership(groupId, carol)).role, 'member');
+});
+
+test('a group is deleted with its last member', async () => {
+  const [alice, bob] = await createUsers(2);
+  const groupId = await createGroup(alice, 'Pair', [bob]);
+
+  assert.equal(await removeGroupMember(groupId, bob), false);
+  assert.equal(await removeGroupMember(groupId, alice), true);
+  assert.equal(await getGroup(groupId), null);
+  assert.deepEqual(await getGroupsForUser(alice), []);
+});
+
+test('members and removed users are told about a change once each', () => {
+  const emitted = [];
+  const io = { to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) }) };
+  notifyGroupUpdated(io, '7', [1, 2, '2', 3], 4);
+  assert.deepEqual(emitted.map((entry) => entry.room), ['user_1', 'user_2', 'user_3']);
+  assert.deepEqual(emitted[0], { room: 'user_1', event: 'groupUpdated', payload: { groupId: 7, epoch: 4 } });
+  notifyGroupUpdated(undefined, 7, [1], null);
+});
@@ -0,0 +1,130 @@
+import { getRow, getRows, runQuery } from './db.js';
+
+// ============================================================================
+// Store-and-forward mailbox
+// ============================================================================
+// Opt-in per account (users.mailbox_enabled). When a message copy is
+// addressed to a device that is offline, the relay keeps the envelope exactly
+// as it would have been delivered: already encrypted and signed, so the
+// server learns nothing it did not see in transit. The device fetches its
+// mailbox with `getUnreadMessages` after connecting and acknowledges each
+// message with `mailboxAck`, which deletes it. Unacknowledged messages expire
+// after MAILBOX_TTL_MS, or sooner in conversations with a disappearing timer
+// (see disappearing.js).
+
+const MAILBOX_TTL_MS = 7 * 24 * 60 * 60 * 1000; // Must match frontend crypto.js
+const MAX_MAILBOX_MESSAGES = 500; // Per device
+const MAILBOX_PURGE_INTERVAL_MS = 5 * 60 * 1000; // Shortest disappearing timer
+
+/**
+ * Whether an account opted in to the mailbox
+ * @param {number} userId - Account
+ * @returns {Promise<boolean>}
+ */
+const isMailboxEnabled = async (userId) => {
+  const row = await getRow('SELECT mailbox_enabled FROM users WHERE id = ?', [userId]);
+  return Number(row?.mailbox_enabled || 0) === 1;
+};
+
+/**
+ * Opt in to or out of the mailbox; opting out deletes held messages
+ * @param {number} userId - Account
+ * @param {boolean} enabled - New setting
+ * @returns {Promise<void>}
+ */
+const setMailboxEnabled = async (userId, enabled) => {
+  await runQuery('UPDATE users SET mailbox_enabled = ? WHERE id = ?', [enabled ? 1 : 0, userId]);
+  if (!enabled) {
+    await runQuery('DELETE FROM mailbox_messages WHERE user_id = ?', [userId]);
+  }
+};
+
+/**
+ * Number of messages held for an account's devices
+ * @param {number} userId - Account
+ * @returns {Promise<number>}
+ */
+const countMailboxMessages = async (userId) => {
+  const row = await getRow(
+    'SELECT COUNT(*) AS count FROM mailbox_messages WHERE user_id = ? AND expires_at >= ?',
+    [userId, Date.now()]
+  );
+  return Number(row?.count || 0);
+};
+
+/**
+ * Hold a message for an offline device
+ * @param {number} userId - Account owning the device
+ * @param {string} deviceId - Device the copy is encrypted for
+ * @param {object} payload - `receiveMessage` payload as it would have been emitted
+ * @param {number} ttlMs - Conversation's disappearing timer, 0 when off
+ * @returns {Promise<boolean>} False when the device's mailbox is full
+ */
+const storeMailboxMessage = async (userId, deviceId, payload, ttlMs = 0) => {
+  const held = await getRow(
+    'SELECT COUNT(*) AS count FROM mailbox_messages WHERE user_id = ? AND device_id = ?',
+    [userId, deviceId]
+  );
+  if (Number(held?.count || 0) >= MAX_MAILBOX_MESSAGES) {
+    return false;
+  }
+  // The other friend of the conversation; for copies synced to the sender's
+  // own devices that is the receiver
+  const peerId = Number(payload.senderId) === Number(userId) ? payload.receiverId : payload.senderId;
+  await runQuery(
+    'INSERT INTO mailbox_messages (user_id, device_id, sender_id, peer_id, payload, expires_at) VALUES (?, ?, ?, ?, ?, ?)',
+    [userId, deviceId, payload.senderId, peerId, JSON.stringify(payload), Date.now() + (ttlMs > 0 ? Math.min(ttlMs, MAILBOX_TTL_MS) : MAILBOX_TTL_MS)]
+  );
+  return true;
+};
+
+/**
+ * Unexpired messages held for a device, oldest first
+ * @param {number} userId - Account owning the device
+ * @param {string} deviceId - Device
+ * @returns {Promise<object[]>} `receiveMessage` payloads with their mailboxId
+ */
+const getMailboxMessages = async (userId, deviceId) => {
+  const rows = await getRows(
+    'SELECT id, payload FROM mailbox_messages WHERE user_id = ? AND device_id = ? AND expires_at >= ? ORDER BY id',
+    [userId, deviceId, Date.now()]
+  );
+  return rows.map((row) => ({ ...JSON.parse(row.payload), mailboxId: Number(row.id) }));
+};
+
+/**
+ * Delete acknowledged messages of a device
+ * @param {number} userId - Account owning the device
+ * @param {string} deviceId - Device that acknowledged them
+ * @param {number[]} ids - Mailbox IDs
+ * @returns {Promise<void>}
+ */
+const deleteMailboxMessages = async (userId, deviceId, ids) => {
+  if (ids.length === 0) {
+    return;
+  }
+  await runQuery(
+    `DELETE FROM mailbox_messages WHERE user_id = ? AND device_id = ? AND id IN (${ids.map(() => '?').join(', ')})`,
+    [userId, deviceId, ...ids]
+  );
+};
+
+const purgeExpiredMailboxMessages = () =>
+  runQuery('DELETE FROM mailbox_messages WHERE expires_at < ?', [Date.now()]);
+
+setInterval(() => {
+  purgeExpiredMailboxMessages().catch((err) => {
+    console.error('Failed to purge expired mailbox messages:', err.message);
+  });
+}, MAILBOX_PURGE_INTERVAL_MS).unref();
+
+export {
+  MAILBOX_TTL_MS,
+  MAX_MAILBOX_MESSAGES,
+  isMailboxEnabled,
+  setMailboxEnabled,
+  countMailboxMessages,
+  storeMailboxMessage,
+  getMailboxMessages,
+  deleteMailboxMessages
+};
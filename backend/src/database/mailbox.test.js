@@ -0,0 +1,82 @@
+import { test, before, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { initDb } from './db.js';
+import { createUser } from '../testing/users.js';
+import {
+  MAILBOX_TTL_MS,
+  MAX_MAILBOX_MESSAGES,
+  isMailboxEnabled,
+  setMailboxEnabled,
+  countMailboxMessages,
+  storeMailboxMessage,
+  getMailboxMessages,
+  deleteMailboxMessages
+} from './mailbox.js';
+
+// Runs against a fresh in-memory SQLite database (npm test sets DB_PATH)
+
+const payloadFrom = (senderId, text) => ({ senderId, messageId: text, envelopes: [text] });
+
+before(async () => {
+  await initDb();
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('the mailbox is opt-in and opting out drops held messages', async () => {
+  const userId = await createUser();
+  assert.equal(await isMailboxEnabled(userId), false);
+
+  await setMailboxEnabled(userId, true);
+  assert.equal(await isMailboxEnabled(userId), true);
+  await storeMailboxMessage(userId, 'primary', payloadFrom(7, 'hello'));
+  assert.equal(await countMailboxMessages(userId), 1);
+
+  await setMailboxEnabled(userId, false);
+  assert.equal(await isMailboxEnabled(userId), false);
+  assert.equal(await countMailboxMessages(userId), 0);
+});
+
+test('each device fetches its own messages until it acknowledges them', async () => {
+  const userId = await createUser();
+  await storeMailboxMessage(userId, 'primary', payloadFrom(7, 'first'));
+  await storeMailboxMessage(userId, 'primary', payloadFrom(7, 'second'));
+  await storeMailboxMessage(userId, 'laptop', payloadFrom(7, 'laptop'));
+
+  const held = await getMailboxMessages(userId, 'primary');
+  assert.deepEqual(held.map((message) => message.messageId), ['first', 'second']);
+  assert.deepEqual(held[0].envelopes, ['first']);
+  assert.equal(typeof held[0].mailboxId, 'number');
+
+  // Another device's acknowledgement deletes nothing
+  await deleteMailboxMessages(userId, 'laptop', [held[0].mailboxId]);
+  assert.equal((await getMailboxMessages(userId, 'primary')).length, 2);
+
+  await deleteMailboxMessages(userId, 'primary', [held[0].mailboxId]);
+  assert.deepEqual((await getMailboxMessages(userId, 'primary')).map((message) => message.messageId), ['second']);
+  assert.deepEqual((await getMailboxMessages(userId, 'laptop')).map((message) => message.messageId), ['laptop']);
+});
+
+test('messages expire after the mailbox TTL', async () => {
+  const userId = await createUser();
+  const storedAt = Date.now();
+  await storeMailboxMessage(userId, 'primary', payloadFrom(7, 'old'));
+
+  mock.method(Date, 'now', () => storedAt + MAILBOX_TTL_MS - 1000);
+  assert.equal((await getMailboxMessages(userId, 'primary')).length, 1);
+
+  mock.method(Date, 'now', () => storedAt + MAILBOX_TTL_MS + 1000);
+  assert.equal((await getMailboxMessages(userId, 'primary')).length, 0);
+  assert.equal(await countMailboxMessages(userId), 0);
+});
+
+test('a full mailbox refuses further messages for that device', async () => {
+  const userId = await createUser();
+  for (let i = 0; i < MAX_MAILBOX_MESSAGES; i += 1) {
+    assert.equal(await storeMailboxMessage(userId, 'primary', payloadFrom(7, `m${i}`)), true);
+  }
+  assert.equal(await storeMailboxMessage(userId, 'primary', payloadFrom(7, 'overflow')), false);
+  assert.equal(await storeMailboxMessage(userId, 'laptop', payloadFrom(7, 'laptop')), true);
+});
@@ -0,0 +1,110 @@
+import { getRow } from './db.js';
+import { PRIMARY_DEVICE_ID } from '../crypto/pqc.js';
+import { deviceRoom } from './devices.js';
+
+// ============================================================================
+// Prekey store
+// ============================================================================
+// Each user has one medium-term signed prekey and a pool of one-time prekeys.
+// A bundle fetch hands out (and deletes) one one-time prekey; once the pool
+// runs low or the signed prekey gets old, the owner receives a
+// `replenishPrekeys` socket event and uploads fresh keys.
+
+const MAX_ONE_TIME_PREKEYS = 100; // Pool size a client tops up to
+const PREKEY_REPLENISH_THRESHOLD = 20; // Ask for more below this many
+const SIGNED_PREKEY_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // Rotate weekly
+
+// SQLite CURRENT_TIMESTAMP is UTC without a zone suffix; pg returns a Date
+const toTimestamp = (value) => {
+  if (value instanceof Date) return value.getTime();
+  return new Date(`${String(value).replace(' ', 'T')}Z`).getTime();
+};
+
+/**
+ * Current prekey state of a user
+ * Only prekeys for the account's registered KEM count
+ * @param {number} userId - Owner of the prekeys
+ * @returns {Promise<object>} { kemAlgorithm, signedPrekey: { keyId, createdAt } | null, oneTimePrekeyCount }
+ */
+const getPrekeyStatus = async (userId) => {
+  const user = await getRow('SELECT kem_algorithm FROM users WHERE id = ?', [userId]);
+  if (!user) {
+    return null;
+  }
+
+  const signed = await getRow(
+    'SELECT key_id, created_at FROM signed_prekeys WHERE user_id = ? AND kem_algorithm = ?',
+    [userId, user.kem_algorithm]
+  );
+  const pool = await getRow(
+    'SELECT COUNT(*) AS count FROM one_time_prekeys WHERE user_id = ? AND kem_algorithm = ?',
+    [userId, user.kem_algorithm]
+  );
+
+  return {
+    kemAlgorithm: user.kem_algorithm,
+    signedPrekey: signed ? { keyId: signed.key_id, createdAt: toTimestamp(signed.created_at) } : null,
+    oneTimePrekeyCount: Number(pool?.count || 0)
+  };
+};
+
+/**
+ * Work the owner needs to do for a prekey status, if any
+ * @param {object} status - Output of getPrekeyStatus
+ * @returns {object|null} { oneTimePrekeyCount, requested, rotateSignedPrekey } or null when nothing is needed
+ */
+const getReplenishRequest = (status) => {
+  if (!status) {
+    return null;
+  }
+  const rotateSignedPrekey = !status.signedPrekey ||
+    Date.now() - status.signedPrekey.createdAt > SIGNED_PREKEY_MAX_AGE_MS;
+  const lowOnPrekeys = status.oneTimePrekeyCount < PREKEY_REPLENISH_THRESHOLD;
+  if (!rotateSignedPrekey && !lowOnPrekeys) {
+    return null;
+  }
+
+  return {
+    oneTimePrekeyCount: status.oneTimePrekeyCount,
+    requested: lowOnPrekeys ? MAX_ONE_TIME_PREKEYS - status.oneTimePrekeyCount : 0,
+    rotateSignedPrekey
+  };
+};
+
+/**
+ * Hand out one one-time prekey, deleting it so no other sender gets it
+ * @param {number} userId - Owner of the prekey
+ * @param {string} kemAlgorithm - Owner's registered KEM
+ * @returns {Promise<object|null>} Row { key_id, public_key, signature } or null when depleted
+ */
+const takeOneTimePrekey = (userId, kemAlgorithm) =>
+  getRow(
+    `DELETE FROM one_time_prekeys WHERE id = (
+       SELECT id FROM one_time_prekeys WHERE user_id = ? AND kem_algorithm = ? ORDER BY id LIMIT 1
+     ) RETURNING key_id, public_key, signature`,
+    [userId, kemAlgorithm]
+  );
+
+/**
+ * Send a `replenishPrekeys` event to the owner's primary device when needed
+ * (prekeys are signed with the identity key it holds)
+ * @param {object} io - Socket.IO server
+ * @param {number} userId - Owner of the prekeys
+ * @returns {Promise<void>}
+ */
+const notifyPrekeyStatus = async (io, userId) => {
+  const request = getReplenishRequest(await getPrekeyStatus(userId));
+  if (request && io) {
+    io.to(deviceRoom(userId, PRIMARY_DEVICE_ID)).emit('replenishPrekeys', request);
+  }
+};
+
+export {
+  MAX_ONE_TIME_PREKEYS,
+  PREKEY_REPLENISH_THRESHOLD,
+  SIGNED_PREKEY_MAX_AGE_MS,
+  getPrekeyStatus,
+  getReplenishRequest,
+  takeOneTimePrekey,
+  notifyPrekeyStatus
+};
@@ -0,0 +1,99 @@
+import { getRows, runQuery } from './db.js';
+import { getFriendIds } from './friends.js';
+
+// ============================================================================
+// Presence
+// ============================================================================
+// A user is online while any of their sockets is in `user_${userId}`. Friends
+// get a `presence` event when that changes and can ask for presence with the
+// friends list. When a user's last socket disconnects, users.last_seen_at is
+// set. Presence is shared only between friends who both have it turned on
+// (privacy.js); everyone else sees { online: null, lastSeenAt: null }.
+
+const HIDDEN_PRESENCE = { online: null, lastSeenAt: null };
+
+/**
+ * Whether any socket of a user is connected
+ * @param {object} io - Socket.IO server
+ * @param {number} userId - User
+ * @returns {boolean}
+ */
+const isUserOnline = (io, userId) => {
+  const sockets = io?.sockets.adapter.rooms.get(`user_${userId}`);
+  return !!sockets && sockets.size > 0;
+};
+
+/**
+ * Record that a user's last socket disconnected
+ * @param {number} userId - User
+ * @returns {Promise<void>}
+ */
+const recordLastSeen = (userId) =>
+  runQuery('UPDATE users SET last_seen_at = ? WHERE id = ?', [Date.now(), userId]);
+
+/**
+ * Presence settings and last seen times of users
+ * @param {number[]} userIds - Users
+ * @returns {Promise<Map>} userId -> { enabled, lastSeenAt }
+ */
+const getPresenceRows = async (userIds) => {
+  if (userIds.length === 0) {
+    return new Map();
+  }
+  const rows = await getRows(
+    `SELECT id, presence_enabled, last_seen_at FROM users WHERE id IN (${userIds.map(() => '?').join(', ')})`,
+    userIds
+  );
+  return new Map(rows.map((row) => [Number(row.id), {
+    enabled: Number(row.presence_enabled ?? 1) === 1,
+    lastSeenAt: row.last_seen_at === null || row.last_seen_at === undefined ? null : Number(row.last_seen_at)
+  }]));
+};
+
+/**
+ * Presence of users as one viewer may see it
+ * @param {object} io - Socket.IO server
+ * @param {number} viewerId - User asking (must be friends with every user)
+ * @param {number[]} userIds - Users to describe
+ * @returns {Promise<Map>} userId -> { online, lastSeenAt } (null when hidden)
+ */
+const getPresenceFor = async (io, viewerId, userIds) => {
+  const rows = await getPresenceRows([viewerId, ...userIds]);
+  const viewerShares = rows.get(Number(viewerId))?.enabled;
+  return new Map(userIds.map((userId) => {
+    const row = rows.get(Number(userId));
+    if (!viewerShares || !row?.enabled) {
+      return [Number(userId), HIDDEN_PRESENCE];
+    }
+    const online = isUserOnline(io, userId);
+    return [Number(userId), { online, lastSeenAt: online ? null : row.lastSeenAt }];
+  }));
+};
+
+/**
+ * Send a user's current presence to each friend, as that friend may see it
+ * @param {object} io - Socket.IO server (may be undefined outside a request)
+ * @param {number} userId - User whose presence changed
+ * @returns {Promise<void>}
+ */
+const notifyPresence = async (io, userId) => {
+  if (!io) {
+    return;
+  }
+  const friendIds = await getFriendIds(userId);
+  const rows = await getPresenceRows([Number(userId), ...friendIds]);
+  const subject = rows.get(Number(userId));
+  const online = isUserOnline(io, userId);
+  const presence = { online, lastSeenAt: online ? null : subject?.lastSeenAt ?? null };
+  friendIds.forEach((friendId) => {
+    const visible = subject?.enabled && rows.get(friendId)?.enabled;
+    io.to(`user_${friendId}`).emit('presence', { userId: Number(userId), ...(visible ? presence : HIDDEN_PRESENCE) });
+  });
+};
+
+export {
+  isUserOnline,
+  recordLastSeen,
+  getPresenceFor,
+  notifyPresence
+};
@@ -0,0 +1,91 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { initDb } from './db.js';
+import { createUser, befriend } from '../testing/users.js';
+import { updatePrivacySettings } from './privacy.js';
+import { isUserOnline, recordLastSeen, getPresenceFor, notifyPresence } from './presence.js';
+
+// Runs against a fresh in-memory SQLite database (npm test sets DB_PATH)
+
+const HIDDEN = { online: null, lastSeenAt: null };
+
+// Socket.IO server stand-in: connected users and what was emitted to rooms
+const createIo = (onlineUserIds = []) => {
+  const emitted = [];
+  const rooms = new Map(onlineUserIds.map((userId) => [`user_${userId}`, new Set([`socket${userId}`])]));
+  return {
+    emitted,
+    rooms,
+    sockets: { adapter: { rooms } },
+    to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) })
+  };
+};
+
+// Alice with two friends, Bob and Carol
+const createFriends = async () => {
+  const [alice, bob, carol] = [await createUser(), await createUser(), await createUser()];
+  await befriend(alice, bob);
+  await befriend(carol, alice);
+  return { alice, bob, carol };
+};
+
+before(async () => {
+  await initDb();
+});
+
+test('a user is online while any socket is in their room', () => {
+  const io = createIo([1]);
+  assert.equal(isUserOnline(io, 1), true);
+  assert.equal(isUserOnline(io, 2), false);
+  io.rooms.set('user_2', new Set());
+  assert.equal(isUserOnline(io, 2), false);
+  assert.equal(isUserOnline(undefined, 1), false);
+});
+
+test('friends see whether a user is online, or when they were last seen', async () => {
+  const { alice, bob, carol } = await createFriends();
+  const io = createIo([bob]);
+  const recordedAfter = Date.now();
+  await recordLastSeen(carol);
+
+  const presence = await getPresenceFor(io, alice, [bob, carol]);
+  assert.deepEqual(presence.get(bob), { online: true, lastSeenAt: null });
+  assert.equal(presence.get(carol).online, false);
+  assert.ok(presence.get(carol).lastSeenAt >= recordedAfter);
+});
+
+test('presence is hidden unless both users share it', async () => {
+  const { alice, bob, carol } = await createFriends();
+  const io = createIo([bob, carol]);
+  await updatePrivacySettings(bob, { presence: false });
+
+  let presence = await getPresenceFor(io, alice, [bob, carol]);
+  assert.deepEqual(presence.get(bob), HIDDEN);
+  assert.deepEqual(presence.get(carol), { online: true, lastSeenAt: null });
+
+  // A user who hides their own presence does not see anyone's
+  await updatePrivacySettings(alice, { presence: false });
+  presence = await getPresenceFor(io, alice, [carol]);
+  assert.deepEqual(presence.get(carol), HIDDEN);
+});
+
+test('a change is sent to each friend as that friend may see it', async () => {
+  const { alice, bob, carol } = await createFriends();
+  await updatePrivacySettings(carol, { presence: false });
+  await recordLastSeen(alice);
+  const io = createIo();
+
+  await notifyPresence(io, alice);
+  const byRoom = new Map(io.emitted.map((entry) => [entry.room, entry]));
+  assert.equal(io.emitted.length, 2);
+  assert.equal(byRoom.get(`user_${bob}`).event, 'presence');
+  assert.equal(byRoom.get(`user_${bob}`).payload.userId, alice);
+  assert.equal(byRoom.get(`user_${bob}`).payload.online, false);
+  assert.equal(typeof byRoom.get(`user_${bob}`).payload.lastSeenAt, 'number');
+  assert.deepEqual(byRoom.get(`user_${carol}`).payload, { userId: alice, ...HIDDEN });
+
+  io.rooms.set(`user_${alice}`, new Set(['socket']));
+  await notifyPresence(io, alice);
+  const toBob = io.emitted.filter((entry) => entry.room === `user_${bob}`);
+  assert.deepEqual(toBob.at(-1).payload, { userId: alice, online: true, lastSeenAt: null });
+});
@@ -0,0 +1,50 @@
+import { getRow, runQuery } from './db.js';
+
+// ============================================================================
+// Privacy settings
+// ============================================================================
+// Per-account switches stored on the `users` row. Read receipts and presence
+// (online status and last seen, see presence.js) are reciprocal: an account
+// that does not share them does not see them. Typing indicators are only an
+// opt-out of sending them.
+
+/**
+ * Privacy settings of an account
+ * @param {number} userId - Account
+ * @returns {Promise<object>} { readReceipts, presence, typingIndicators }
+ */
+const getPrivacySettings = async (userId) => {
+  const row = await getRow(
+    'SELECT read_receipts_enabled, presence_enabled, typing_indicators_enabled FROM users WHERE id = ?',
+    [userId]
+  );
+  return {
+    readReceipts: Number(row?.read_receipts_enabled ?? 1) === 1,
+    presence: Number(row?.presence_enabled ?? 1) === 1,
+    typingIndicators: Number(row?.typing_indicators_enabled ?? 1) === 1
+  };
+};
+
+/**
+ * Change privacy settings; omitted settings are kept
+ * @param {number} userId - Account
+ * @param {object} settings - { readReceipts?, presence?, typingIndicators? }
+ * @returns {Promise<object>} Settings after the change
+ */
+const updatePrivacySettings = async (userId, { readReceipts, presence, typingIndicators }) => {
+  if (readReceipts !== undefined) {
+    await runQuery('UPDATE users SET read_receipts_enabled = ? WHERE id = ?', [readReceipts ? 1 : 0, userId]);
+  }
+  if (presence !== undefined) {
+    await runQuery('UPDATE users SET presence_enabled = ? WHERE id = ?', [presence ? 1 : 0, userId]);
+  }
+  if (typingIndicators !== undefined) {
+    await runQuery('UPDATE users SET typing_indicators_enabled = ? WHERE id = ?', [typingIndicators ? 1 : 0, userId]);
+  }
+  return getPrivacySettings(userId);
+};
+
+export {
+  getPrivacySettings,
+  updatePrivacySettings
+};
@@ -0,0 +1,42 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { initDb } from './db.js';
+import { createUser } from '../testing/users.js';
+import { getPrivacySettings, updatePrivacySettings } from './privacy.js';
+
+// Runs against a fresh in-memory SQLite database (npm test sets DB_PATH)
+
+before(async () => {
+  await initDb();
+});
+
+test('read receipts are on by default', async () => {
+  const userId = await createUser();
+  assert.deepEqual(await getPrivacySettings(userId), { readReceipts: true, presence: true, typingIndicators: true });
+});
+
+test('read receipts can be turned off and on again', async () => {
+  const userId = await createUser();
+  const other = await createUser();
+  assert.deepEqual(await updatePrivacySettings(userId, { readReceipts: false }), { readReceipts: false, presence: true, typingIndicators: true });
+  assert.deepEqual(await getPrivacySettings(userId), { readReceipts: false, presence: true, typingIndicators: true });
+  // Other accounts keep their setting
+  assert.deepEqual(await getPrivacySettings(other), { readReceipts: true, presence: true, typingIndicators: true });
+
+  assert.deepEqual(await updatePrivacySettings(userId, { readReceipts: true, presence: true, typingIndicators: true }), { readReceipts: true, presence: true, typingIndicators: true });
+});
+
+test('omitted settings are kept', async () => {
+  const userId = await createUser();
+  await updatePrivacySettings(userId, { readReceipts: false });
+  assert.deepEqual(await updatePrivacySettings(userId, {}), { readReceipts: false, presence: true, typingIndicators: true });
+});
+
+test('typing indicators can be turned off', async () => {
+  const userId = await createUser();
+  assert.deepEqual(
+    await updatePrivacySettings(userId, { typingIndicators: false }),
+    { readReceipts: true, presence: true, typingIndicators: false }
+  );
+  assert.equal((await getPrivacySettings(userId)).typingIndicators, false);
+});
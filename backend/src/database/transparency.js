@@ -0,0 +1,152 @@
+import { getRow, getRows, runQuery } from './db.js';
+import { buildTransparencyLeafPayload } from '../crypto/pqc.js';
+import { hashLeaf, merkleRoot, inclusionProof, consistencyProof } from '../crypto/merkle.js';
+import { signTreeHead } from '../crypto/directory.js';
+
+// ============================================================================
+// Key transparency log
+// ============================================================================
+// Every set of public keys the server publishes (registration, X25519
+// upgrade, rotation) is appended as a leaf of an append-only Merkle log.
+// Clients check that the keys they are served are included under a signed
+// tree head and that successive tree heads are consistent, so serving
+// different keys to different users leaves evidence in the log.
+//
+// Trees are rebuilt from the stored leaf hashes per request, which is fine at
+// this deployment's scale. Appends are serialized within the process; the
+// leaf_index primary key rejects a concurrent append from a second instance.
+
+let appendQueue = Promise.resolve();
+
+const getTreeSize = async () => {
+  const row = await getRow('SELECT COUNT(*) AS count FROM transparency_log', []);
+  return Number(row?.count || 0);
+};
+
+/**
+ * Leaf hashes of the first `treeSize` entries, in log order
+ * @param {number} [treeSize] - Defaults to the whole log
+ * @returns {Promise<string[]>} Base64 leaf hashes
+ */
+const getLeafHashes = async (treeSize) => {
+  const rows = treeSize === undefined
+    ? await getRows('SELECT leaf_hash FROM transparency_log ORDER BY leaf_index', [])
+    : await getRows('SELECT leaf_hash FROM transparency_log WHERE leaf_index < ? ORDER BY leaf_index', [treeSize]);
+  return rows.map((row) => row.leaf_hash);
+};
+
+/**
+ * Append a user's published keys to the log
+ * Keys already in the log are not appended again
+ * @param {number} userId - Key owner
+ * @param {object} keys - { kyberPublicKey, falconPublicKey, x25519PublicKey, kemAlgorithm, signatureAlgorithm, keyVersion }
+ * @returns {Promise<number>} Leaf index
+ */
+const appendKeyLeaf = (userId, keys) => {
+  const leafData = buildTransparencyLeafPayload(userId, keys);
+  const leafHash = hashLeaf(leafData);
+
+  const append = appendQueue.then(async () => {
+    const existing = await getRow('SELECT leaf_index FROM transparency_log WHERE leaf_hash = ?', [leafHash]);
+    if (existing) {
+      return Number(existing.leaf_index);
+    }
+    const leafIndex = await getTreeSize();
+    await runQuery(
+      'INSERT INTO transparency_log (leaf_index, user_id, leaf_data, leaf_hash) VALUES (?, ?, ?, ?)',
+      [leafIndex, userId, leafData, leafHash]
+    );
+    return leafIndex;
+  });
+  // Keep the queue going after a failed append
+  appendQueue = append.catch(() => {});
+  return append;
+};
+
+/**
+ * Log a key change without failing the request that made it
+ * Keys that could not be logged are appended by backfillTransparencyLog at the next start
+ * @param {number} userId - Key owner
+ * @param {object} keys - Published keys (see appendKeyLeaf)
+ * @returns {Promise<void>}
+ */
+const logKeyChange = async (userId, keys) => {
+  try {
+    const leafIndex = await appendKeyLeaf(userId, keys);
+    console.log(`✓ Keys of user ${userId} logged at transparency leaf ${leafIndex}`);
+  } catch (err) {
+    console.error('Error appending to key transparency log for userId:', userId, err.message);
+  }
+};
+
+/**
+ * Append the current keys of every user missing from the log
+ * Covers accounts created before the log existed
+ * @returns {Promise<number>} Number of leaves appended
+ */
+const backfillTransparencyLog = async () => {
+  const sizeBefore = await getTreeSize();
+  const users = await getRows(
+    `SELECT id, kyber_public_key, falcon_public_key, x25519_public_key, kem_algorithm, signature_algorithm, key_version
+     FROM users ORDER BY id`,
+    []
+  );
+  for (const user of users) {
+    await appendKeyLeaf(user.id, {
+      kyberPublicKey: user.kyber_public_key,
+      falconPublicKey: user.falcon_public_key,
+      x25519PublicKey: user.x25519_public_key,
+      kemAlgorithm: user.kem_algorithm,
+      signatureAlgorithm: user.signature_algorithm,
+      keyVersion: user.key_version
+    });
+  }
+  return (await getTreeSize()) - sizeBefore;
+};
+
+/**
+ * Signed head of the current log
+ * @returns {Promise<object>} { treeSize, rootHash, timestamp, signature }
+ */
+const getSignedTreeHead = async () => {
+  const leafHashes = await getLeafHashes();
+  return signTreeHead(leafHashes.length, merkleRoot(leafHashes));
+};
+
+/**
+ * Inclusion proof of a leaf in the tree of a given size
+ * @param {string} leafHash - Base64 leaf hash
+ * @param {number} treeSize - Size of a tree head the client holds
+ * @returns {Promise<object|null>} { leafIndex, treeSize, auditPath } or null when not included
+ */
+const getInclusionProof = async (leafHash, treeSize) => {
+  const leafHashes = await getLeafHashes(treeSize);
+  const leafIndex = leafHashes.indexOf(leafHash);
+  if (leafHashes.length !== treeSize || leafIndex === -1) {
+    return null;
+  }
+  return { leafIndex, treeSize, auditPath: inclusionProof(leafIndex, leafHashes) };
+};
+
+/**
+ * Consistency proof between two tree sizes
+ * @param {number} first - Older tree size (> 0)
+ * @param {number} second - Newer tree size (>= first)
+ * @returns {Promise<object|null>} { first, second, proof } or null when second exceeds the log
+ */
+const getConsistencyProof = async (first, second) => {
+  const leafHashes = await getLeafHashes(second);
+  if (leafHashes.length !== second) {
+    return null;
+  }
+  return { first, second, proof: consistencyProof(first, leafHashes) };
+};
+
+export {
+  appendKeyLeaf,
+  logKeyChange,
+  backfillTransparencyLog,
+  getSignedTreeHead,
+  getInclusionProof,
+  getConsistencyProof
+};
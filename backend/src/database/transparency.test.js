@@ -0,0 +1,89 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { initDb } from './db.js';
+import { initDirectoryKey, getDirectoryPublicKey } from '../crypto/directory.js';
+import { buildTransparencyLeafPayload, buildTreeHeadPayload, verifyWithAlgorithm } from '../crypto/pqc.js';
+import { hashLeaf } from '../crypto/merkle.js';
+import {
+  appendKeyLeaf,
+  getSignedTreeHead,
+  getInclusionProof,
+  getConsistencyProof
+} from './transparency.js';
+
+// Runs against a fresh in-memory SQLite database (npm test sets DB_PATH)
+
+const keysOf = (userId, keyVersion = 1) => ({
+  kyberPublicKey: `kyber-${userId}-${keyVersion}`,
+  falconPublicKey: `falcon-${userId}-${keyVersion}`,
+  x25519PublicKey: null,
+  kemAlgorithm: 'ML-KEM-1024',
+  signatureAlgorithm: 'Falcon-1024',
+  keyVersion
+});
+
+const leafHashOf = (userId, keyVersion) => hashLeaf(buildTransparencyLeafPayload(userId, keysOf(userId, keyVersion)));
+
+const nodeHash = (left, right) => crypto.createHash('sha256')
+  .update(Buffer.concat([Buffer.from([0x01]), Buffer.from(left, 'base64'), Buffer.from(right, 'base64')]))
+  .digest('base64');
+
+before(async () => {
+  await initDb();
+  await initDirectoryKey();
+});
+
+test('appends leaves in order and logs the same keys once', async () => {
+  assert.equal(await appendKeyLeaf(1, keysOf(1)), 0);
+  assert.equal(await appendKeyLeaf(2, keysOf(2)), 1);
+  assert.equal(await appendKeyLeaf(1, keysOf(1)), 0);
+  // Concurrent appends are serialized
+  assert.deepEqual(await Promise.all([appendKeyLeaf(1, keysOf(1, 2)), appendKeyLeaf(3, keysOf(3))]), [2, 3]);
+});
+
+test('signs tree heads with the directory key', async () => {
+  const head = await getSignedTreeHead();
+  assert.equal(head.treeSize, 4);
+  assert.equal(
+    head.rootHash,
+    nodeHash(nodeHash(leafHashOf(1, 1), leafHashOf(2, 1)), nodeHash(leafHashOf(1, 2), leafHashOf(3, 1)))
+  );
+  const { algorithm, publicKey } = getDirectoryPublicKey();
+  assert.equal(await verifyWithAlgorithm(algorithm, buildTreeHeadPayload(head), head.signature, publicKey), true);
+  assert.equal(
+    await verifyWithAlgorithm(algorithm, buildTreeHeadPayload({ ...head, treeSize: 3 }), head.signature, publicKey),
+    false
+  );
+});
+
+test('proves inclusion in a tree of a given size', async () => {
+  assert.deepEqual(await getInclusionProof(leafHashOf(2, 1), 2), {
+    leafIndex: 1,
+    treeSize: 2,
+    auditPath: [leafHashOf(1, 1)]
+  });
+  assert.deepEqual(await getInclusionProof(leafHashOf(1, 1), 3), {
+    leafIndex: 0,
+    treeSize: 3,
+    auditPath: [leafHashOf(2, 1), leafHashOf(1, 2)]
+  });
+  // Not yet in the tree of that size, unknown, or a size beyond the log
+  assert.equal(await getInclusionProof(leafHashOf(3, 1), 3), null);
+  assert.equal(await getInclusionProof(leafHashOf(4, 1), 4), null);
+  assert.equal(await getInclusionProof(leafHashOf(1, 1), 5), null);
+});
+
+test('proves consistency between tree sizes', async () => {
+  assert.deepEqual(await getConsistencyProof(1, 3), {
+    first: 1,
+    second: 3,
+    proof: [leafHashOf(2, 1), leafHashOf(1, 2)]
+  });
+  assert.deepEqual(await getConsistencyProof(2, 4), {
+    first: 2,
+    second: 4,
+    proof: [nodeHash(leafHashOf(1, 2), leafHashOf(3, 1))]
+  });
+  assert.equal(await getConsistencyProof(2, 5), null);
+});
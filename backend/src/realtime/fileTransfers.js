@@ -0,0 +1,351 @@
+import { deviceRoom, isDeviceOnline } from '../database/devices.js';
+
+// ============================================================================
+// Chunked file transfers
+// ============================================================================
+// `sendFile` only carries the signed per-device envelopes; the encrypted file
+// key and file name are inside them. The file itself follows as `fileChunk`
+// events of at most FILE_CHUNK_SIZE plaintext bytes (STREAM construction, see
+// frontend crypto.js), encrypted once and relayed to every accepted device.
+// Receivers acknowledge each chunk and the sender keeps a bounded window of
+// unacknowledged chunks, so neither the relay nor a slow receiver buffers more
+// than the window. Nothing is stored: a transfer lives in memory only.
+//
+// A transfer runs while nobody holds it. The sender or a receiving device
+// holds it by pausing, or by going offline; an offline party has
+// FILE_TRANSFER_RESUME_MS to reconnect and send `fileTransferResume`. Every
+// resume restarts the sender after the last chunk all devices acknowledged,
+// since chunks relayed while a device was offline are lost; devices skip the
+// chunks they already have.
+//
+// The event handlers below take the Socket.IO server and the calling socket
+// (authenticated userId and deviceId).
+// Must match frontend crypto.js
+const FILE_CHUNK_SIZE = 256 * 1024;
+const FILE_CHUNK_TAG_LENGTH = 16;
+const MAX_FILE_SIZE = 500 * 1024 * 1024;
+const MAX_ACTIVE_TRANSFERS = 4; // Per sending device
+const FILE_TRANSFER_IDLE_MS = 2 * 60 * 1000; // Running without any acknowledgement
+const FILE_TRANSFER_RESUME_MS = 2 * 60 * 1000; // Offline party may reconnect
+const FILE_TRANSFER_PAUSE_MS = 30 * 60 * 1000; // Paused by a user
+const TRANSFER_ID_PATTERN = /^[A-Za-z0-9_-]{22}$/; // 16 random bytes, base64url
+const SENDER_PARTY = 'sender';
+
+const fileTransfers = new Map(); // transferId -> transfer
+
+const expectedChunkCount = (fileSize) => Math.max(1, Math.ceil(fileSize / FILE_CHUNK_SIZE));
+
+const targetKey = (userId, deviceId) => `${userId}_${deviceId}`;
+
+const hasFileTransfer = (transferId) => fileTransfers.has(transferId);
+
+const countSenderTransfers = (userId, deviceId) =>
+  [...fileTransfers.values()].filter((transfer) =>
+    transfer.senderId === userId && transfer.senderDeviceId === deviceId).length;
+
+// Lowest chunk index every remaining device has acknowledged
+const minAckedChunk = (transfer) =>
+  Math.min(...[...transfer.targets.values()].map((target) => target.acked));
+
+const hasReceivingDevice = (transfer) =>
+  [...transfer.targets.values()].some((target) => !target.isOwnDevice);
+
+// Emit to the sender's socket and every receiving device of a transfer
+const emitToTransfer = (io, transfer, event, payload) => {
+  if (transfer.senderSocketId) {
+    io.to(transfer.senderSocketId).emit(event, payload);
+  }
+  transfer.targets.forEach((target) => {
+    io.to(deviceRoom(target.userId, target.deviceId)).emit(event, payload);
+  });
+};
+
+// Remove a transfer; when it failed, the devices discard what they received
+// and the sender gets `fileError` (unless the sender cancelled it)
+const endFileTransfer = (io, transfer, error, { notifySender = true } = {}) => {
+  fileTransfers.delete(transfer.transferId);
+  if (!error) {
+    return;
+  }
+  transfer.targets.forEach((target) => {
+    io.to(deviceRoom(target.userId, target.deviceId)).emit('fileTransferCancelled', {
+      transferId: transfer.transferId,
+      reason: error
+    });
+  });
+  if (notifySender && transfer.senderSocketId) {
+    io.to(transfer.senderSocketId).emit('fileError', { transferId: transfer.transferId, error });
+  }
+};
+
+// Tell both parties how far every device got; completes the transfer after
+// the final chunk is acknowledged
+const reportTransferProgress = (io, transfer) => {
+  const acked = minAckedChunk(transfer);
+  if (acked <= transfer.reportedAck) {
+    return;
+  }
+  transfer.reportedAck = acked;
+  emitToTransfer(io, transfer, 'fileTransferProgress', {
+    transferId: transfer.transferId,
+    acked,
+    chunkCount: transfer.chunkCount
+  });
+  if (acked === transfer.chunkCount - 1) {
+    endFileTransfer(io, transfer);
+    const timestamp = new Date().toISOString();
+    if (transfer.senderSocketId) {
+      io.to(transfer.senderSocketId).emit('fileDelivered', {
+        fileId: transfer.transferId,
+        transferId: transfer.transferId,
+        status: 'Delivered',
+        timestamp
+      });
+    }
+    console.log('✓ File delivered (peer-to-peer, no storage)', {
+      transferId: transfer.transferId,
+      senderId: transfer.senderId,
+      receiverId: transfer.receiverId,
+      fileSize: transfer.fileSize,
+      devices: transfer.targets.size
+    });
+  }
+};
+
+// A device that left no longer holds back the sender's window; the transfer
+// fails once no device of the receiver is left (the sender's own devices
+// alone do not keep it alive)
+const removeTransferTarget = (io, transfer, key, error) => {
+  transfer.targets.delete(key);
+  transfer.holds.delete(key);
+  if (!hasReceivingDevice(transfer)) {
+    endFileTransfer(io, transfer, error);
+    return;
+  }
+  reportTransferProgress(io, transfer);
+  updateTransferHold(io, transfer);
+};
+
+// Broadcast a change between running and held; resuming restarts the
+// sender after the last chunk every device acknowledged
+const updateTransferHold = (io, transfer) => {
+  if (!fileTransfers.has(transfer.transferId)) {
+    return;
+  }
+  const running = transfer.holds.size === 0;
+  if (running === transfer.running) {
+    return;
+  }
+  transfer.running = running;
+  transfer.lastActivity = Date.now();
+  if (running) {
+    transfer.nextIndex = minAckedChunk(transfer) + 1;
+    emitToTransfer(io, transfer, 'fileTransferResumed', { transferId: transfer.transferId, resumeFrom: transfer.nextIndex });
+    return;
+  }
+  const reasons = [...transfer.holds.values()].map((hold) => hold.reason);
+  emitToTransfer(io, transfer, 'fileTransferPaused', {
+    transferId: transfer.transferId,
+    reason: reasons.includes('offline') ? 'offline' : 'paused'
+  });
+};
+
+const holdTransfer = (io, transfer, party, reason) => {
+  transfer.holds.set(party, { reason, since: Date.now() });
+  updateTransferHold(io, transfer);
+};
+
+// Party of a socket in a transfer: SENDER_PARTY, a target key, or null
+const transferParty = (transfer, socket) => {
+  if (transfer.senderId === socket.userId && transfer.senderDeviceId === socket.deviceId) {
+    return SENDER_PARTY;
+  }
+  const key = targetKey(socket.userId, socket.deviceId);
+  return transfer.targets.has(key) ? key : null;
+};
+
+/**
+ * Start relaying a transfer whose envelopes were delivered
+ * @param {object} socket - Sending socket
+ * @param {object} transfer - { transferId, receiverId, fileSize, chunkCount, targets }
+ *   targets: Map targetKey -> { userId, deviceId, isOwnDevice, acked: -1 }
+ */
+const openFileTransfer = (socket, { transferId, receiverId, fileSize, chunkCount, targets }) => {
+  fileTransfers.set(transferId, {
+    transferId,
+    senderId: socket.userId,
+    senderDeviceId: socket.deviceId,
+    senderSocketId: socket.id,
+    receiverId,
+    fileSize,
+    chunkCount,
+    targets,
+    holds: new Map(), // party -> { reason: 'paused' | 'offline', since }
+    running: true,
+    nextIndex: 0,
+    reportedAck: -1,
+    lastActivity: Date.now()
+  });
+};
+
+// One encrypted chunk of a running transfer, relayed in order to every
+// receiving device. The sender only sends chunk n once chunk n - window is
+// acknowledged; chunks still in flight when the transfer was paused or
+// rewound are dropped by index
+const relayFileChunk = (io, socket, data) => {
+  const transfer = fileTransfers.get(data?.transferId);
+  if (!transfer || transfer.senderSocketId !== socket.id) {
+    return socket.emit('fileError', { transferId: data?.transferId, error: 'Unknown file transfer' });
+  }
+  const { index, chunk } = data;
+  if (!transfer.running || index !== transfer.nextIndex) {
+    return;
+  }
+  // Every chunk but the last holds exactly FILE_CHUNK_SIZE plaintext bytes
+  const isFinal = index === transfer.chunkCount - 1;
+  const maxLength = FILE_CHUNK_SIZE + FILE_CHUNK_TAG_LENGTH;
+  if (index >= transfer.chunkCount || !Buffer.isBuffer(chunk) || chunk.length < FILE_CHUNK_TAG_LENGTH ||
+      chunk.length > maxLength || (!isFinal && chunk.length !== maxLength)) {
+    return endFileTransfer(io, transfer, 'Invalid file chunk');
+  }
+
+  transfer.nextIndex += 1;
+  transfer.lastActivity = Date.now();
+  transfer.targets.forEach((target) => {
+    io.to(deviceRoom(target.userId, target.deviceId)).emit('fileChunk', {
+      transferId: transfer.transferId,
+      index,
+      chunk
+    });
+  });
+};
+
+// A receiving device decrypted chunk `index`
+const acknowledgeFileChunk = (io, socket, data) => {
+  const transfer = fileTransfers.get(data?.transferId);
+  const target = transfer?.targets.get(targetKey(socket.userId, socket.deviceId));
+  if (!target || !Number.isInteger(data.index) || data.index <= target.acked || data.index >= transfer.nextIndex) {
+    return;
+  }
+  target.acked = data.index;
+  transfer.lastActivity = Date.now();
+  reportTransferProgress(io, transfer);
+};
+
+// Sender or a receiving device pauses the transfer for everyone
+const pauseFileTransfer = (io, socket, data) => {
+  const transfer = fileTransfers.get(data?.transferId);
+  const party = transfer && transferParty(transfer, socket);
+  if (!party) {
+    return;
+  }
+  holdTransfer(io, transfer, party, 'paused');
+};
+
+// Release this party's hold: a user resuming a pause, or (with `reattach`)
+// a device that reconnected resuming where it went offline
+const resumeFileTransfer = (io, socket, data) => {
+  const transfer = fileTransfers.get(data?.transferId);
+  const party = transfer && transferParty(transfer, socket);
+  if (!party) {
+    return socket.emit('fileTransferCancelled', { transferId: data?.transferId, reason: 'File transfer expired' });
+  }
+  if (party === SENDER_PARTY) {
+    transfer.senderSocketId = socket.id;
+  }
+  const hold = transfer.holds.get(party);
+  if (hold && (hold.reason === 'offline' || !data.reattach)) {
+    transfer.holds.delete(party);
+  }
+  if (transfer.holds.size > 0) {
+    // Still held by someone else; bring this socket up to date
+    return socket.emit('fileTransferPaused', { transferId: transfer.transferId, reason: 'paused' });
+  }
+  if (transfer.running && data.reattach) {
+    // The relay may not have noticed the old socket leave; chunks it
+    // missed are re-sent from the last chunk every device acknowledged
+    transfer.nextIndex = minAckedChunk(transfer) + 1;
+    transfer.lastActivity = Date.now();
+    return emitToTransfer(io, transfer, 'fileTransferResumed', { transferId: transfer.transferId, resumeFrom: transfer.nextIndex });
+  }
+  updateTransferHold(io, transfer);
+};
+
+// Sender cancels a transfer, or a receiving device cancels or declines it
+const cancelFileTransfer = (io, socket, data) => {
+  const transfer = fileTransfers.get(data?.transferId);
+  const party = transfer && transferParty(transfer, socket);
+  if (!party) {
+    return;
+  }
+  if (party === SENDER_PARTY) {
+    console.log('File transfer cancelled by sender', { transferId: transfer.transferId, senderId: transfer.senderId });
+    return endFileTransfer(io, transfer, 'Sender cancelled the file transfer', { notifySender: false });
+  }
+  removeTransferTarget(io, transfer, party, 'Recipient cancelled the file transfer');
+};
+
+// Transfers of a disconnected socket wait for it to reconnect; the sender's
+// own other devices are dropped instead, they only receive a copy
+const leaveFileTransfers = (io, socket) => {
+  const key = targetKey(socket.userId, socket.deviceId);
+  fileTransfers.forEach((transfer) => {
+    if (transfer.senderSocketId === socket.id) {
+      transfer.senderSocketId = null;
+      holdTransfer(io, transfer, SENDER_PARTY, 'offline');
+    } else if (transfer.targets.has(key) && !isDeviceOnline(io, socket.userId, socket.deviceId)) {
+      if (transfer.targets.get(key).isOwnDevice) {
+        removeTransferTarget(io, transfer, key, 'Recipient went offline');
+      } else {
+        holdTransfer(io, transfer, key, 'offline');
+      }
+    }
+  });
+};
+
+// End transfers that stalled while running, and holds that ran out
+const expireFileTransfers = (io) => {
+  const now = Date.now();
+  fileTransfers.forEach((transfer) => {
+    if (transfer.running && now - transfer.lastActivity > FILE_TRANSFER_IDLE_MS) {
+      console.log('✗ File transfer timed out', { transferId: transfer.transferId, senderId: transfer.senderId });
+      return endFileTransfer(io, transfer, 'File transfer timed out');
+    }
+    transfer.holds.forEach((hold, party) => {
+      if (!fileTransfers.has(transfer.transferId)) {
+        return;
+      }
+      const limit = hold.reason === 'offline' ? FILE_TRANSFER_RESUME_MS : FILE_TRANSFER_PAUSE_MS;
+      if (now - hold.since <= limit) {
+        return;
+      }
+      if (party === SENDER_PARTY) {
+        endFileTransfer(io, transfer, hold.reason === 'offline' ? 'Sender did not reconnect' : 'File transfer paused for too long');
+      } else {
+        removeTransferTarget(io, transfer, party, 'Recipient did not resume the file transfer');
+      }
+    });
+  });
+};
+
+export {
+  FILE_CHUNK_SIZE,
+  MAX_FILE_SIZE,
+  MAX_ACTIVE_TRANSFERS,
+  FILE_TRANSFER_IDLE_MS,
+  FILE_TRANSFER_RESUME_MS,
+  FILE_TRANSFER_PAUSE_MS,
+  TRANSFER_ID_PATTERN,
+  expectedChunkCount,
+  targetKey,
+  hasFileTransfer,
+  countSenderTransfers,
+  openFileTransfer,
+  relayFileChunk,
+  acknowledgeFileChunk,
+  pauseFileTransfer,
+  resumeFileTransfer,
+  cancelFileTransfer,
+  leaveFileTransfers,
+  expireFileTransfers
+};
@@ -0,0 +1,245 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import {
+  FILE_CHUNK_SIZE,
+  FILE_TRANSFER_RESUME_MS,
+  targetKey,
+  hasFileTransfer,
+  openFileTransfer,
+  relayFileChunk,
+  acknowledgeFileChunk,
+  pauseFileTransfer,
+  resumeFileTransfer,
+  cancelFileTransfer,
+  leaveFileTransfers,
+  expireFileTransfers
+} from './fileTransfers.js';
+
+// Alice (user 1) sends to Bob (user 2); her laptop gets a copy too
+
+const FULL_CHUNK = Buffer.alloc(FILE_CHUNK_SIZE + 16);
+const LAST_CHUNK = Buffer.alloc(100);
+
+const createIo = () => {
+  const emitted = [];
+  const rooms = new Map([['device_2_primary', new Set(['bob'])], ['device_1_laptop', new Set(['laptop'])]]);
+  return {
+    emitted,
+    rooms,
+    sockets: { adapter: { rooms } },
+    to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) }),
+    // Events of one transfer in order; transfers left open by other tests
+    // emit through the same module state
+    events: (event, transferId) => emitted.filter((entry) =>
+      entry.event === event && entry.payload.transferId === transferId)
+  };
+};
+
+const createSocket = (id, userId, deviceId) => ({
+  id,
+  userId,
+  deviceId,
+  emitted: [],
+  emit(event, payload) {
+    this.emitted.push({ event, payload });
+  }
+});
+
+const alice = createSocket('alice', 1, 'primary');
+const bob = createSocket('bob', 2, 'primary');
+const laptop = createSocket('laptop', 1, 'laptop');
+
+// A three-chunk transfer to Bob's phone and Alice's laptop
+const openTransfer = () => {
+  const transferId = crypto.randomBytes(16).toString('base64url');
+  const targets = new Map([
+    [targetKey(2, 'primary'), { userId: 2, deviceId: 'primary', isOwnDevice: false, acked: -1 }],
+    [targetKey(1, 'laptop'), { userId: 1, deviceId: 'laptop', isOwnDevice: true, acked: -1 }]
+  ]);
+  openFileTransfer(alice, { transferId, receiverId: 2, fileSize: 2 * FILE_CHUNK_SIZE + 100, chunkCount: 3, targets });
+  return transferId;
+};
+
+const chunkOf = (index) => (index === 2 ? LAST_CHUNK : FULL_CHUNK);
+
+const relay = (io, transferId, index, socket = alice) =>
+  relayFileChunk(io, socket, { transferId, index, chunk: chunkOf(index) });
+
+const ackAll = (io, transferId, index) => {
+  acknowledgeFileChunk(io, bob, { transferId, index });
+  acknowledgeFileChunk(io, laptop, { transferId, index });
+};
+
+const relayedIndexes = (io, transferId) => io.events('fileChunk', transferId)
+  .filter((entry) => entry.room === 'device_2_primary')
+  .map((entry) => entry.payload.index);
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('relays chunks in order and completes after the final acknowledgement', () => {
+  const io = createIo();
+  const transferId = openTransfer();
+
+  relay(io, transferId, 0);
+  relay(io, transferId, 0);
+  relay(io, transferId, 2);
+  relay(io, transferId, 1);
+  assert.deepEqual(relayedIndexes(io, transferId), [0, 1]);
+
+  acknowledgeFileChunk(io, bob, { transferId, index: 1 });
+  // Progress waits for every device
+  assert.equal(io.events('fileTransferProgress', transferId).length, 0);
+  acknowledgeFileChunk(io, laptop, { transferId, index: 1 });
+  assert.deepEqual(io.events('fileTransferProgress', transferId).at(-1).payload, { transferId, acked: 1, chunkCount: 3 });
+
+  relay(io, transferId, 2);
+  ackAll(io, transferId, 2);
+  assert.equal(io.events('fileDelivered', transferId)[0].room, 'alice');
+  assert.equal(hasFileTransfer(transferId), false);
+});
+
+test('ends the transfer on a chunk of the wrong size', () => {
+  const io = createIo();
+  const transferId = openTransfer();
+  relayFileChunk(io, alice, { transferId, index: 0, chunk: LAST_CHUNK });
+  assert.equal(hasFileTransfer(transferId), false);
+  assert.deepEqual(io.events('fileTransferCancelled', transferId)[0].payload, { transferId, reason: 'Invalid file chunk' });
+  assert.equal(io.events('fileError', transferId)[0].room, 'alice');
+});
+
+test('only the sending socket may relay chunks', () => {
+  const io = createIo();
+  const transferId = openTransfer();
+  relay(io, transferId, 0, bob);
+  assert.equal(bob.emitted.at(-1).payload.error, 'Unknown file transfer');
+  assert.deepEqual(relayedIndexes(io, transferId), []);
+});
+
+test('a pause holds the transfer until the pausing party resumes', () => {
+  const io = createIo();
+  const transferId = openTransfer();
+  relay(io, transferId, 0);
+  ackAll(io, transferId, 0);
+  relay(io, transferId, 1);
+
+  pauseFileTransfer(io, bob, { transferId });
+  assert.deepEqual(io.events('fileTransferPaused', transferId).map((entry) => entry.room), ['alice', 'device_2_primary', 'device_1_laptop']);
+  assert.equal(io.events('fileTransferPaused', transferId)[0].payload.reason, 'paused');
+  relay(io, transferId, 2);
+  assert.deepEqual(relayedIndexes(io, transferId), [0, 1]);
+
+  // Alice cannot release Bob's pause
+  resumeFileTransfer(io, alice, { transferId });
+  assert.deepEqual(alice.emitted.at(-1), { event: 'fileTransferPaused', payload: { transferId, reason: 'paused' } });
+  assert.equal(io.events('fileTransferResumed', transferId).length, 0);
+
+  // Chunk 1 was relayed but not acknowledged, so the sender restarts there
+  resumeFileTransfer(io, bob, { transferId });
+  assert.deepEqual(io.events('fileTransferResumed', transferId)[0].payload, { transferId, resumeFrom: 1 });
+  relay(io, transferId, 1);
+  assert.deepEqual(relayedIndexes(io, transferId), [0, 1, 1]);
+});
+
+test('a receiver that goes offline holds the transfer until it reattaches', () => {
+  const io = createIo();
+  const transferId = openTransfer();
+  relay(io, transferId, 0);
+  ackAll(io, transferId, 0);
+
+  io.rooms.delete('device_2_primary');
+  leaveFileTransfers(io, bob);
+  assert.equal(io.events('fileTransferPaused', transferId)[0].payload.reason, 'offline');
+  relay(io, transferId, 1);
+  assert.deepEqual(relayedIndexes(io, transferId), [0]);
+
+  io.rooms.set('device_2_primary', new Set(['bob2']));
+  resumeFileTransfer(io, { ...bob, id: 'bob2' }, { transferId, reattach: true });
+  assert.deepEqual(io.events('fileTransferResumed', transferId)[0].payload, { transferId, resumeFrom: 1 });
+  relay(io, transferId, 1);
+  assert.deepEqual(relayedIndexes(io, transferId), [0, 1]);
+});
+
+test('a reattaching device rewinds a running transfer to the last acknowledged chunk', () => {
+  const io = createIo();
+  const transferId = openTransfer();
+  relay(io, transferId, 0);
+  ackAll(io, transferId, 0);
+  relay(io, transferId, 1);
+
+  // Bob's new socket connected before the relay saw the old one leave
+  resumeFileTransfer(io, bob, { transferId, reattach: true });
+  assert.deepEqual(io.events('fileTransferResumed', transferId)[0].payload, { transferId, resumeFrom: 1 });
+  relay(io, transferId, 1);
+  assert.deepEqual(relayedIndexes(io, transferId), [0, 1, 1]);
+});
+
+test('a sender that reconnects resumes from its new socket', () => {
+  const io = createIo();
+  const transferId = openTransfer();
+  relay(io, transferId, 0);
+  ackAll(io, transferId, 0);
+
+  leaveFileTransfers(io, alice);
+  assert.deepEqual(io.events('fileTransferPaused', transferId).map((entry) => entry.room), ['device_2_primary', 'device_1_laptop']);
+
+  const reconnected = createSocket('alice2', 1, 'primary');
+  relay(io, transferId, 1, reconnected);
+  assert.equal(reconnected.emitted.at(-1).payload.error, 'Unknown file transfer');
+
+  resumeFileTransfer(io, reconnected, { transferId, reattach: true });
+  assert.equal(io.events('fileTransferResumed', transferId)[0].room, 'alice2');
+  relay(io, transferId, 1, reconnected);
+  assert.deepEqual(relayedIndexes(io, transferId), [0, 1]);
+});
+
+test('the sender\'s own devices do not hold a transfer', () => {
+  const io = createIo();
+  const transferId = openTransfer();
+  relay(io, transferId, 0);
+  acknowledgeFileChunk(io, bob, { transferId, index: 0 });
+
+  io.rooms.delete('device_1_laptop');
+  leaveFileTransfers(io, laptop);
+  assert.equal(io.events('fileTransferPaused', transferId).length, 0);
+  // The laptop no longer holds back the acknowledged chunks
+  assert.equal(io.events('fileTransferProgress', transferId)[0].payload.acked, 0);
+  relay(io, transferId, 1);
+  assert.deepEqual(relayedIndexes(io, transferId), [0, 1]);
+});
+
+test('an offline party that does not return ends the transfer', () => {
+  const io = createIo();
+  const transferId = openTransfer();
+  io.rooms.delete('device_2_primary');
+  leaveFileTransfers(io, bob);
+
+  const heldAt = Date.now();
+  mock.method(Date, 'now', () => heldAt + FILE_TRANSFER_RESUME_MS - 1000);
+  expireFileTransfers(io);
+  assert.equal(hasFileTransfer(transferId), true);
+
+  mock.method(Date, 'now', () => heldAt + FILE_TRANSFER_RESUME_MS + 1000);
+  expireFileTransfers(io);
+  assert.equal(hasFileTransfer(transferId), false);
+  assert.equal(io.events('fileError', transferId)[0].payload.error, 'Recipient did not resume the file transfer');
+});
+
+test('a cancelled transfer ends for everyone', () => {
+  const io = createIo();
+  const transferId = openTransfer();
+  cancelFileTransfer(io, bob, { transferId });
+  assert.equal(hasFileTransfer(transferId), false);
+  assert.deepEqual(io.events('fileError', transferId)[0].payload, { transferId, error: 'Recipient cancelled the file transfer' });
+
+  const other = openTransfer();
+  cancelFileTransfer(io, alice, { transferId: other });
+  assert.equal(hasFileTransfer(other), false);
+  // The sender is not told about its own cancellation
+  assert.equal(io.events('fileError', other).length, 0);
+
+  resumeFileTransfer(io, bob, { transferId });
+  assert.deepEqual(bob.emitted.at(-1), { event: 'fileTransferCancelled', payload: { transferId, reason: 'File transfer expired' } });
+});
@@ -3,15 +3,63 @@ import http from 'http';
 import { Server } from 'socket.io';
 import cors from 'cors';
 import jwt from 'jsonwebtoken';
-import { initDb, db } from './database/db.js';
+import { initDb, db, getRow } from './database/db.js';
 import { 
-  signWithFalcon, 
-  verifyWithFalcon,
-  encryptAndSignMessage,
-  verifyAndDecryptMessage 
+  verifyWithAlgorithm,
+  resolveEnvelopeSuite,
+  buildSignaturePayload,
+  isValidRatchetHeader,
+  isValidDeviceId,
+  buildGroupMessagePayload,
+  buildDisappearingTimerPayload,
+  isValidSenderKeyId,
+  RATCHET_ENVELOPE_VERSION,
+  PRIMARY_DEVICE_ID
 } from './crypto/pqc.js';
 import { verifyToken } from './middleware/authMiddleware.js';
 import { helmet, authLimiter, apiLimiter, errorHandler } from './middleware/security.js';
+import { notifyPrekeyStatus } from './database/prekeys.js';
+import { initDirectoryKey } from './crypto/directory.js';
+import { REPLAY_WINDOW_MS, checkEnvelopeFreshness, registerEnvelopeNonces } from './crypto/replay.js';
+import { backfillTransparencyLog } from './database/transparency.js';
+import {
+  MAX_LINKED_DEVICES,
+  deviceRoom,
+  isDeviceOnline,
+  getDeviceSigningKey,
+  isLinkedDevice,
+  touchDevice
+} from './database/devices.js';
+import {
+  FILE_CHUNK_SIZE,
+  MAX_FILE_SIZE,
+  MAX_ACTIVE_TRANSFERS,
+  FILE_TRANSFER_IDLE_MS,
+  TRANSFER_ID_PATTERN,
+  expectedChunkCount,
+  targetKey,
+  hasFileTransfer,
+  countSenderTransfers,
+  openFileTransfer,
+  relayFileChunk,
+  acknowledgeFileChunk,
+  pauseFileTransfer,
+  resumeFileTransfer,
+  cancelFileTransfer,
+  leaveFileTransfers,
+  expireFileTransfers
+} from './realtime/fileTransfers.js';
+import {
+  MAX_MAILBOX_MESSAGES,
+  isMailboxEnabled,
+  storeMailboxMessage,
+  getMailboxMessages,
+  deleteMailboxMessages
+} from './database/mailbox.js';
+import { getPrivacySettings } from './database/privacy.js';
+import { isUserOnline, recordLastSeen, notifyPresence } from './database/presence.js';
+import { getGroupMembership, getGroupMemberIds } from './database/groups.js';
+import { DISAPPEARING_TIMERS_MS, getDisappearingTimer, setDisappearingTimer } from './database/disappearing.js';
 
 // Load environment variables
 import dotenv from 'dotenv';
@@ -35,6 +83,10 @@ import userRoutes from './api/userRoutes.js';
 import friendRoutes from './api/friendRoutes.js';
 import cryptoRoutes from './api/cryptoRoutes.js';
 import keyRoutes from './api/keyRoutes.js';
+import deviceRoutes from './api/deviceRoutes.js';
+import mailboxRoutes from './api/mailboxRoutes.js';
+import privacyRoutes from './api/privacyRoutes.js';
+import groupRoutes from './api/groupRoutes.js';
 import { initializeDatabase } from './config/database.js';
 
 const app = express();
@@ -87,6 +139,7 @@ const server = http.createServer(app);
 // 1. Authentication: JWT token verified during handshake (io.use middleware)
 //    - Token must be provided in socket.handshake.auth.token or query.token
 //    - UserId must match the JWT payload (decoded.id === userId)
+//    - auth.deviceId names a linked device of that user (default: primary)
 //    - Failed auth rejects the connection before any events can be processed
 //
 // 2. Authorization: All event handlers validate socket.userId
@@ -99,8 +152,9 @@ const server = http.createServer(app);
 //    - Credentials required for cross-origin requests
 //
 // 4. Room-based messaging: Prevents broadcast eavesdropping
-//    - Each user in private room: user_${userId}
-//    - Messages targeted to specific receiver room only
+//    - Each user in private room: user_${userId} (notifications)
+//    - Each device in private room: device_${userId}_${deviceId}
+//    - Message copies targeted to the device they were encrypted for only
 // ============================================================================
 
 // Socket.IO with strict CORS and authentication
@@ -113,10 +167,14 @@ const io = new Server(server, {
   }
 });
 
+// Routes that notify users over their sockets (e.g. prekey depletion)
+app.set('io', io);
+
 // Socket.IO authentication middleware - all connections must provide valid JWT
 io.use((socket, next) => {
   const token = socket.handshake.auth.token || socket.handshake.query.token;
   const userId = socket.handshake.auth.userId || socket.handshake.query.userId;
+  const deviceId = socket.handshake.auth.deviceId || PRIMARY_DEVICE_ID;
 
   if (!token || !userId) {
     console.log('Socket connection rejected: Missing credentials', {
@@ -126,6 +184,9 @@ io.use((socket, next) => {
     });
     return next(new Error('Authentication error: Missing credentials'));
   }
+  if (!isValidDeviceId(deviceId)) {
+    return next(new Error('Authentication error: Invalid device'));
+  }
 
   // Verify JWT token
   try {
@@ -144,8 +205,26 @@ io.use((socket, next) => {
     // Attach authenticated user info to socket
     socket.userId = userId;
     socket.username = decoded.username;
-    console.log(`Socket authenticated successfully: ${decoded.username} (ID: ${userId})`);
-    next();
+    socket.deviceId = deviceId;
+    if (deviceId === PRIMARY_DEVICE_ID) {
+      console.log(`Socket authenticated successfully: ${decoded.username} (ID: ${userId})`);
+      return next();
+    }
+
+    // Revoked or never-linked devices cannot connect
+    isLinkedDevice(decoded.id, deviceId)
+      .then((linked) => {
+        if (!linked) {
+          console.log('Socket connection rejected: Unknown device', { socketId: socket.id, userId, deviceId });
+          return next(new Error('Authentication error: Unknown device'));
+        }
+        console.log(`Socket authenticated successfully: ${decoded.username} (ID: ${userId}, device ${deviceId})`);
+        next();
+      })
+      .catch((err) => {
+        console.error('Device lookup failed during socket authentication:', err.message);
+        next(new Error('Authentication error: Device lookup failed'));
+      });
   } catch (err) {
     console.log('Socket connection rejected: JWT verification failed', {
       socketId: socket.id,
@@ -164,6 +243,150 @@ io.engine.on("connection_error", (err) => {
   });
 });
 
+// Envelope header check shared by sendMessage and sendFile
+// v1: ML-KEM-1024 only (no version field from older clients)
+// v2: hybrid X25519 + ML-KEM-1024
+// v3: algorithms named by the signed `suite` header
+// v4: ratchet session message (sendMessage only); the KEM material lives in
+//     the signed `ratchet` header instead of kyberCiphertext
+// Hybrid suites require the sender's ephemeral X25519 key wherever the
+// identity-key encapsulation is carried
+const resolveEnvelope = (v, suite, ephemeralPublicKey, ratchet) => {
+  const envelope = resolveEnvelopeSuite(v, suite);
+  if (envelope.error) {
+    return envelope;
+  }
+  if (envelope.version === RATCHET_ENVELOPE_VERSION) {
+    if (!isValidRatchetHeader(ratchet)) {
+      return { error: 'Ratchet envelope has a malformed ratchet header' };
+    }
+    if (!ratchet.init) {
+      return { ...envelope, suiteId: suite, ratchet };
+    }
+    ephemeralPublicKey = ratchet.init.ephemeralPublicKey;
+  }
+  if (envelope.suite.hybrid && (typeof ephemeralPublicKey !== 'string' || ephemeralPublicKey.length === 0)) {
+    return { error: 'Hybrid envelope is missing ephemeralPublicKey' };
+  }
+  return { ...envelope, suiteId: suite, ratchet: envelope.version === RATCHET_ENVELOPE_VERSION ? ratchet : undefined };
+};
+
+// Multi-device fan-out shared by sendMessage and sendFile
+// Every copy is encrypted to one device: { userId, deviceId, ...envelope }.
+// Copies go to the receiver's devices and to the sender's other devices, which
+// keeps their history in sync. Clients without device support send a single
+// top-level envelope; it is addressed to the receiver's primary device
+const MAX_DEVICE_COPIES = 2 * (MAX_LINKED_DEVICES + 1);
+// Chat messages carry a stable ID chosen by the sending client and covered by
+// every copy's signature; retries of a queued message keep it
+const MESSAGE_ID_PATTERN = /^[A-Za-z0-9_-]{22}$/; // 16 random bytes, base64url
+const isValidMessageId = (messageId) => typeof messageId === 'string' && MESSAGE_ID_PATTERN.test(messageId);
+const RECEIPT_TYPES = ['delivered', 'read'];
+const MAX_RECEIPT_MESSAGE_IDS = 100; // Must match frontend crypto.js
+
+const resolveCopies = (data, socket, receiverId) => {
+  const copies = Array.isArray(data.copies)
+    ? data.copies
+    : [{ ...data, userId: receiverId, deviceId: PRIMARY_DEVICE_ID }];
+  if (copies.length === 0 || copies.length > MAX_DEVICE_COPIES) {
+    return { error: `Expected between 1 and ${MAX_DEVICE_COPIES} device copies` };
+  }
+
+  const senderId = parseInt(socket.userId);
+  const targets = new Set();
+  const resolved = [];
+  for (const copy of copies) {
+    const userId = parseInt(copy?.userId);
+    const isOwnDevice = userId === senderId;
+    const target = `${userId}_${copy?.deviceId}`;
+    if ((!isOwnDevice && userId !== parseInt(receiverId)) || !isValidDeviceId(copy?.deviceId) ||
+        (isOwnDevice && copy.deviceId === socket.deviceId) || targets.has(target)) {
+      return { error: 'Copy addressed to an invalid device' };
+    }
+    targets.add(target);
+    resolved.push({ ...copy, userId, isOwnDevice });
+  }
+  return { copies: resolved };
+};
+
+// Emit each copy to its device's room; offline devices are skipped
+// Returns how many copies reached a device of the receiver
+const deliverCopies = (event, copies, buildPayload) => {
+  let delivered = 0;
+  copies.forEach((copy) => {
+    if (!isDeviceOnline(io, copy.userId, copy.deviceId)) {
+      return;
+    }
+    io.to(deviceRoom(copy.userId, copy.deviceId)).emit(event, buildPayload(copy));
+    if (!copy.isOwnDevice) {
+      delivered += 1;
+    }
+  });
+  return delivered;
+};
+
+const areFriends = async (userA, userB) => !!(await getRow(
+  'SELECT id FROM friendships WHERE user_id_1 = ? AND user_id_2 = ?',
+  [Math.min(userA, userB), Math.max(userA, userB)]
+));
+
+// Hold copies for offline devices of accounts that opted in to the mailbox
+// (see database/mailbox.js), expiring with the conversation's disappearing
+// timer. Returns how many copies were held for the receiver
+const storeOfflineCopies = async (copies, buildPayload, ttlMs = 0) => {
+  let stored = 0;
+  const enabled = new Map();
+  for (const copy of copies) {
+    if (isDeviceOnline(io, copy.userId, copy.deviceId)) {
+      continue;
+    }
+    if (!enabled.has(copy.userId)) {
+      enabled.set(copy.userId, await isMailboxEnabled(copy.userId));
+    }
+    if (enabled.get(copy.userId) && await storeMailboxMessage(copy.userId, copy.deviceId, buildPayload(copy), ttlMs) && !copy.isOwnDevice) {
+      stored += 1;
+    }
+  }
+  return stored;
+};
+
+// Verify a copy's signature with the algorithm named by its suite
+// The suite must match the sender's registered signature algorithm, otherwise
+// a sender could pick a weaker algorithm than the one bound to their key.
+// The signed route is rebuilt from the authenticated socket and the copy's
+// address, so a copy signed for another device or conversation fails
+const verifyEnvelopeSignature = async (kind, copy, ciphertext, sender, socket, receiverId, messageId) => {
+  const { envelope } = copy;
+  if (envelope.suite.signature !== sender.signature_algorithm) {
+    return false;
+  }
+  const dataToVerify = buildSignaturePayload({
+    kind,
+    v: envelope.version,
+    suite: envelope.suiteId,
+    ratchet: envelope.ratchet,
+    senderId: socket.userId,
+    senderDeviceId: socket.deviceId,
+    receiverId,
+    recipientUserId: copy.userId,
+    recipientDeviceId: copy.deviceId,
+    sentAt: copy.sentAt,
+    nonce: copy.nonce,
+    messageId,
+    kyberCiphertext: copy.kyberCiphertext,
+    ephemeralPublicKey: envelope.suite.hybrid ? copy.ephemeralPublicKey : undefined,
+    ciphertext,
+    iv: copy.iv,
+    authTag: copy.authTag
+  });
+  return verifyWithAlgorithm(envelope.suite.signature, dataToVerify, copy.signature, sender.falcon_public_key);
+};
+
+// ============================================================================
+// Chunked file transfers (state and relay in realtime/fileTransfers.js)
+// ============================================================================
+setInterval(() => expireFileTransfers(io), FILE_TRANSFER_IDLE_MS / 4).unref();
+
 const PORT = process.env.PORT || 3001;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 
@@ -186,26 +409,113 @@ app.use('/api/users', apiLimiter, userRoutes);
 app.use('/api/friends', apiLimiter, friendRoutes);
 app.use('/api/crypto', apiLimiter, cryptoRoutes);
 app.use('/api/keys', apiLimiter, keyRoutes); // Secure key retrieval endpoint
+app.use('/api/devices', apiLimiter, deviceRoutes);
+app.use('/api/mailbox', apiLimiter, mailboxRoutes);
+app.use('/api/privacy', apiLimiter, privacyRoutes);
+app.use('/api/groups', apiLimiter, groupRoutes);
 
 app.get('/', (req, res) => {
   res.send('QuantumShield Backend is running...');
 });
 
+// Presence (see database/presence.js)
+// A user only goes offline once their last socket has been gone for
+// PRESENCE_OFFLINE_GRACE_MS, so page reloads and brief reconnects do not
+// flicker for their friends
+const PRESENCE_OFFLINE_GRACE_MS = 5 * 1000;
+const pendingOffline = new Map(); // userId -> timeout
+
+const reportOnline = (userId) => {
+  if (pendingOffline.has(userId)) {
+    clearTimeout(pendingOffline.get(userId));
+    pendingOffline.delete(userId);
+    return; // Friends never saw this user go offline
+  }
+  notifyPresence(io, userId).catch((err) => {
+    console.error('Failed to notify presence for userId:', userId, err.message);
+  });
+};
+
+const reportOfflineLater = (userId) => {
+  clearTimeout(pendingOffline.get(userId));
+  pendingOffline.set(userId, setTimeout(async () => {
+    pendingOffline.delete(userId);
+    if (isUserOnline(io, userId)) {
+      return;
+    }
+    try {
+      await recordLastSeen(userId);
+      await notifyPresence(io, userId);
+    } catch (err) {
+      console.error('Failed to record last seen for userId:', userId, err.message);
+    }
+  }, PRESENCE_OFFLINE_GRACE_MS));
+};
+
+// Typing indicators: at most one typing:start per receiver and socket in this
+// interval; clients repeat it more slowly while the user keeps typing
+const TYPING_THROTTLE_MS = 2 * 1000;
+
+// Group conversations (see database/groups.js)
+// A device that lost its ratchet tree state asks the other members to welcome
+// it again at most once per group in this interval
+const GROUP_RESYNC_THROTTLE_MS = 30 * 1000;
+
 // Socket.IO Connection Handler
-// Architecture: Room-based targeted messaging with ephemeral delivery (no storage)
-// - Each user joins a room named "user_${userId}" on connect
-// - Messages are sent to receiver's room (not broadcast)
+// Architecture: Room-based targeted messaging with ephemeral delivery
+// - Each user joins a room named "user_${userId}" on connect, and each
+//   device a room named "device_${userId}_${deviceId}"
+// - Message copies are sent to the room of the device they were encrypted for
 // - Online status checked before delivery (io.sockets.adapter.rooms)
-// - Messages are ONLY transmitted in real-time (not persisted)
+// - Messages are transmitted in real-time; copies for offline devices are
+//   only persisted (encrypted) for accounts that opted in to the mailbox
+// - Otherwise the sender's client keeps the envelope queued and sends it
+//   again (messageError with offline: true)
+// - Receiving devices answer with signed receipts (sendReceipt), relayed to
+//   every device of the original sender as messageReceipt
+// - A conversation's disappearing timer is a signed control message
+//   (setDisappearingTimer), kept for offline devices and relayed to every
+//   device of both friends as disappearingTimer
+// - Friends get `presence` when a user's first socket connects or the last
+//   one disconnects
+// - Group messages are encrypted once with the sending device's sender chain
+//   and fanned out to every member's user room (sendGroupMessage); group keys
+//   are agreed with ratchet tree commits relayed over REST (api/groups)
 // - Rooms automatically cleaned up on disconnect by Socket.IO
 io.on('connection', (socket) => {
-  console.log('User connected:', socket.id, 'UserId:', socket.userId);
+  console.log('User connected:', socket.id, 'UserId:', socket.userId, 'DeviceId:', socket.deviceId);
 
-  // Join user to their own room for targeted messaging
-  // Room name format: user_${userId}
+  // Join user to their own room for notifications and to the device's room
+  // for message copies encrypted to this device
   socket.join(`user_${socket.userId}`);
+  socket.join(deviceRoom(socket.userId, socket.deviceId));
+  const presenceUserId = parseInt(socket.userId);
+  if (io.sockets.adapter.rooms.get(`user_${socket.userId}`)?.size === 1) {
+    reportOnline(presenceUserId);
+  }
+
+  const recordDeviceSeen = () => {
+    if (socket.deviceId === PRIMARY_DEVICE_ID) return;
+    touchDevice(socket.userId, socket.deviceId).catch((err) => {
+      console.error('Failed to update last seen for device:', socket.deviceId, err.message);
+    });
+  };
+  recordDeviceSeen();
+
+  // Ask the primary device to upload prekeys if its pool ran low while offline
+  if (socket.deviceId === PRIMARY_DEVICE_ID) {
+    notifyPrekeyStatus(io, socket.userId).catch((err) => {
+      console.error('Failed to check prekey status for userId:', socket.userId, err.message);
+    });
+  }
+
+  socket.on('sendMessage', async (data) => {
+    const { senderId, receiverId, messageId } = data;
+    // messageSent / messageError name the message so the client's delivery
+    // manager can match them to the queued envelope
+    const rejectMessage = (error, details = {}) =>
+      socket.emit('messageError', { error, messageId: isValidMessageId(messageId) ? messageId : undefined, ...details });
 
-  socket.on('sendMessage', ({ senderId, receiverId, encryptedMessage, kyberCiphertext, iv, authTag, signature }) => {
     // Verify sender matches authenticated socket user (authorization check)
     if (parseInt(senderId) !== parseInt(socket.userId)) {
       console.log('Message rejected: Sender ID mismatch', {
@@ -213,125 +523,428 @@ io.on('connection', (socket) => {
         authenticatedUserId: socket.userId,
         providedSenderId: senderId
       });
-      return socket.emit('messageError', { error: 'Unauthorized: Sender ID mismatch' });
+      return rejectMessage('Unauthorized: Sender ID mismatch');
     }
 
-    // MANDATORY ENCRYPTION - All messages must be encrypted with PQC
-    if (!kyberCiphertext || !iv || !authTag || !signature || !encryptedMessage) {
-      console.log('Message rejected: Missing required encryption fields', {
-        socketId: socket.id,
-        userId: socket.userId,
-        hasReceiverId: !!receiverId,
-        hasMessage: !!encryptedMessage,
-        hasKyberCiphertext: !!kyberCiphertext,
-        hasIv: !!iv,
-        hasAuthTag: !!authTag,
-        hasSignature: !!signature
-      });
-      return socket.emit('messageError', { 
-        error: 'Encryption is mandatory. All messages must be encrypted with post-quantum cryptography.' 
-      });
+    if (!receiverId || parseInt(receiverId) === parseInt(senderId)) {
+      return rejectMessage('Missing receiver ID');
     }
 
-    if (!receiverId) {
-      return socket.emit('messageError', { error: 'Missing receiver ID' });
+    if (!isValidMessageId(messageId)) {
+      return rejectMessage('Message must carry a message ID');
+    }
+
+    const { copies, error } = resolveCopies(data, socket, receiverId);
+    if (error) {
+      return rejectMessage(error);
+    }
+
+    const resolvedCopies = [];
+    for (const copy of copies) {
+      const { v, suite, ratchet, encryptedMessage, kyberCiphertext, ephemeralPublicKey, iv, authTag, signature } = copy;
+
+      // MANDATORY ENCRYPTION - All messages must be encrypted with PQC
+      // Ratchet (v4) messages carry their KEM material in the ratchet header
+      const hasKemMaterial = !!kyberCiphertext || (Number(v) === RATCHET_ENVELOPE_VERSION && !!ratchet);
+      if (!hasKemMaterial || !iv || !authTag || !signature || !encryptedMessage) {
+        console.log('Message rejected: Missing required encryption fields', {
+          socketId: socket.id,
+          userId: socket.userId,
+          hasReceiverId: !!receiverId,
+          hasMessage: !!encryptedMessage,
+          hasKyberCiphertext: !!kyberCiphertext,
+          hasIv: !!iv,
+          hasAuthTag: !!authTag,
+          hasSignature: !!signature
+        });
+        return rejectMessage('Encryption is mandatory. All messages must be encrypted with post-quantum cryptography.');
+      }
+
+      const envelope = resolveEnvelope(v, suite, ephemeralPublicKey, ratchet);
+      if (envelope.error) {
+        return rejectMessage(envelope.error);
+      }
+      const freshnessError = checkEnvelopeFreshness(copy);
+      if (freshnessError) {
+        return rejectMessage(freshnessError);
+      }
+      resolvedCopies.push({ ...copy, envelope });
     }
 
     console.log('Encrypted message received:', {
       socketId: socket.id,
       senderId,
-      receiverId
+      senderDeviceId: socket.deviceId,
+      receiverId,
+      copies: copies.length
     });
 
-    // Check if sender and receiver are friends
-    const user_id_1 = Math.min(senderId, receiverId);
-    const user_id_2 = Math.max(senderId, receiverId);
-
-    const checkFriendStmt = db.prepare('SELECT id FROM friendships WHERE user_id_1 = ? AND user_id_2 = ?');
-    checkFriendStmt.get(user_id_1, user_id_2, async (err, friendship) => {
-      if (err || !friendship) {
-        return socket.emit('messageError', { error: 'You can only message friends' });
+    let senderDevice;
+    try {
+      // Check if sender and receiver are friends
+      if (!(await areFriends(senderId, receiverId))) {
+        return rejectMessage('You can only message friends');
       }
 
-      // Get sender's Falcon public key to verify signature
-    const senderKeyStmt = db.prepare('SELECT falcon_public_key, username FROM users WHERE id = ?');
-    senderKeyStmt.get(senderId, async (err, senderUser) => {
-      if (err || !senderUser) {
-        return socket.emit('messageError', { error: 'Failed to verify sender' });
+      // Signature key of the sending device (identity key on the primary device)
+      senderDevice = await getDeviceSigningKey(socket.userId, socket.deviceId);
+      if (!senderDevice) {
+        return rejectMessage('Failed to verify sender');
       }
 
-      // Verify Falcon signature (async)
-      try {
-        // Canonical signature payload must match frontend
-        const dataToVerify = JSON.stringify({ c: encryptedMessage, i: iv, t: authTag });
-        const isValid = await verifyWithFalcon(dataToVerify, signature, senderUser.falcon_public_key);
-        
+      // Verify every copy's signature with the suite's algorithm
+      // Canonical signature payload must match frontend
+      for (const copy of resolvedCopies) {
+        const isValid = await verifyEnvelopeSignature('message', copy, copy.encryptedMessage, senderDevice, socket, receiverId, messageId);
         if (!isValid) {
-          console.log('Message rejected: Invalid signature', { senderId, receiverId });
-          return socket.emit('messageError', { error: 'Invalid message signature - message may be tampered' });
+          console.log('Message rejected: Invalid signature', { senderId, receiverId, deviceId: copy.deviceId });
+          return rejectMessage('Invalid message signature - message may be tampered');
         }
+      }
+      if (!registerEnvelopeNonces(socket.userId, socket.deviceId, resolvedCopies)) {
+        console.log('Message rejected: Replayed nonce', { senderId, receiverId });
+        return rejectMessage('Replayed message rejected');
+      }
+    } catch (err) {
+      console.error('Signature verification failed:', err);
+      return rejectMessage('Failed to verify message signature');
+    }
+
+    // Messages are transmitted in real-time; only receivers who opted in to
+    // the mailbox have envelopes held for their offline devices
+    const timestamp = new Date().toISOString();
+    const buildPayload = (copy) => ({
+      id: messageId,
+      senderId,
+      senderDeviceId: socket.deviceId,
+      senderName: senderDevice.username, // Include sender's username for notifications
+      receiverId,
+      v: copy.envelope.version,
+      suite: copy.envelope.suiteId,
+      ratchet: copy.envelope.ratchet,
+      encryptedMessage: copy.encryptedMessage,
+      kyberCiphertext: copy.kyberCiphertext,
+      ephemeralPublicKey: copy.envelope.suite.hybrid ? copy.ephemeralPublicKey : undefined,
+      iv: copy.iv,
+      authTag: copy.authTag,
+      sentAt: copy.sentAt,
+      nonce: copy.nonce,
+      signature: copy.signature,
+      timestamp
+    });
+
+    // Nothing is delivered, not even to our own devices, when no device of the
+    // receiver can get the message now or later: the client queues the
+    // envelope and sends it again, and a copy our devices already have would
+    // not decrypt a second time
+    let receiverReachable = resolvedCopies.some((copy) => !copy.isOwnDevice && isDeviceOnline(io, copy.userId, copy.deviceId));
+    if (!receiverReachable) {
+      try {
+        receiverReachable = await isMailboxEnabled(parseInt(receiverId));
       } catch (err) {
-        console.error('Signature verification failed:', err);
-        return socket.emit('messageError', { error: 'Failed to verify message signature' });
+        console.error('Failed to check mailbox setting:', { receiverId, error: err.message });
       }
+    }
+    if (!receiverReachable) {
+      console.log('✗ Receiver offline - message not delivered (encryption-only mode)', { senderId, receiverId });
+      return rejectMessage('Recipient is offline. The message will be sent when they are back online.', { offline: true });
+    }
 
-      // NO STORAGE - Messages are only transmitted in real-time
-      // This provides forward secrecy and ensures no message history
-      const messageData = {
-        id: Date.now(), // Temporary ID for UI tracking
-        senderId,
-        senderName: senderUser.username, // Include sender's username for notifications
-          encryptedMessage,
-          kyberCiphertext,
-          iv,
-          authTag,
-          signature,
-          timestamp: new Date().toISOString()
-        };
-        
-        // Check if receiver is online
-        const receiverRoom = `user_${receiverId}`;
-        const receiverSockets = io.sockets.adapter.rooms.get(receiverRoom);
-        
-        if (receiverSockets && receiverSockets.size > 0) {
-          // Receiver is online - send message in real-time (no storage)
-          io.to(receiverRoom).emit('receiveMessage', messageData);
-          console.log('✓ Encrypted message delivered (not stored)', { senderId, receiverId });
-          
-          // Send confirmation to sender
-          socket.emit('messageSent', { success: true, messageId: messageData.id });
-        } else {
-          // Receiver is offline - message is NOT stored for security
-          console.log('✗ Receiver offline - message not delivered (encryption-only mode)', { senderId, receiverId });
-          socket.emit('messageError', { 
-            error: 'Recipient is offline. Messages are only delivered in real-time for security.' 
-          });
+    const delivered = deliverCopies('receiveMessage', resolvedCopies, buildPayload);
+
+    // Offline devices of accounts that opted in get the envelope later
+    let stored = 0;
+    try {
+      const timer = await getDisappearingTimer(parseInt(senderId), parseInt(receiverId));
+      stored = await storeOfflineCopies(resolvedCopies, buildPayload, timer?.ttlMs || 0);
+    } catch (err) {
+      console.error('Failed to hold message in mailbox:', { senderId, receiverId, error: err.message });
+    }
+
+    if (delivered > 0) {
+      // Receiver is online - message sent in real-time
+      console.log('✓ Encrypted message delivered', { senderId, receiverId, devices: delivered, held: stored });
+      socket.emit('messageSent', { success: true, messageId });
+    } else if (stored > 0) {
+      // Receiver is offline but opted in - the envelope waits in the mailbox
+      console.log('✓ Encrypted message held in mailbox', { senderId, receiverId, devices: stored });
+      socket.emit('messageSent', { success: true, messageId, stored: true });
+    } else {
+      // Went offline meanwhile, or the mailbox is full
+      console.log('✗ Receiver offline - message not delivered', { senderId, receiverId });
+      rejectMessage('Recipient is offline. The message will be sent when they are back online.', { offline: true });
+    }
+  });
+
+  // Deliver the mailbox of this device; each message is re-sent on later
+  // requests until acknowledged, except to the socket that already has it
+  const mailboxSent = new Set();
+  socket.on('getUnreadMessages', async () => {
+    try {
+      const messages = await getMailboxMessages(socket.userId, socket.deviceId);
+      const unsent = messages.filter((message) => !mailboxSent.has(message.mailboxId));
+      unsent.forEach((message) => {
+        mailboxSent.add(message.mailboxId);
+        socket.emit('receiveMessage', message);
+      });
+      if (unsent.length > 0) {
+        console.log('✓ Mailbox delivered', { userId: socket.userId, deviceId: socket.deviceId, messages: unsent.length });
+      }
+    } catch (err) {
+      console.error('Failed to read mailbox:', { userId: socket.userId, error: err.message });
+      socket.emit('messageError', { error: 'Failed to fetch messages held while offline' });
+    }
+  });
+
+  // The device processed mailbox messages; they are deleted
+  socket.on('mailboxAck', async (data) => {
+    const ids = Array.isArray(data?.mailboxIds)
+      ? data.mailboxIds.filter((id) => Number.isInteger(id)).slice(0, MAX_MAILBOX_MESSAGES)
+      : [];
+    try {
+      await deleteMailboxMessages(socket.userId, socket.deviceId, ids);
+      ids.forEach((id) => mailboxSent.delete(id));
+    } catch (err) {
+      console.error('Failed to delete acknowledged mailbox messages:', { userId: socket.userId, error: err.message });
+    }
+  });
+
+  // Typing indicators, relayed between friends only. Receivers drop an
+  // indicator on their own after a timeout, so a lost typing:stop is harmless
+  const typingTo = new Map(); // receiverId -> time of the last typing:start
+  const relayTyping = async (event, data) => {
+    const senderId = parseInt(socket.userId);
+    const receiverId = parseInt(data?.receiverId);
+    if (!receiverId || receiverId === senderId) {
+      return;
+    }
+    if (event === 'typing:start') {
+      const now = Date.now();
+      if (now - (typingTo.get(receiverId) || 0) < TYPING_THROTTLE_MS) {
+        return;
+      }
+      typingTo.set(receiverId, now);
+    } else if (!typingTo.delete(receiverId)) {
+      return; // No indicator to clear
+    }
+
+    try {
+      if (!(await areFriends(senderId, receiverId))) {
+        return;
+      }
+      if (event === 'typing:start' && !(await getPrivacySettings(senderId)).typingIndicators) {
+        return;
+      }
+      io.to(`user_${receiverId}`).emit(event, { userId: senderId });
+    } catch (err) {
+      console.error('Failed to relay typing indicator:', { userId: socket.userId, error: err.message });
+    }
+  };
+  socket.on('typing:start', (data) => relayTyping('typing:start', data));
+  socket.on('typing:stop', (data) => relayTyping('typing:stop', data));
+
+  // Delivery and read receipts, signed end to end by the receiving device
+  // (see frontend crypto.js signReceipt); the relay checks the route and the
+  // read receipt setting of both accounts, the original sender verifies the
+  // signature. A receipt only moves a message's ticks forward, so a replayed
+  // one changes nothing.
+  socket.on('sendReceipt', async (data) => {
+    const { type, messageIds, receiverId, sentAt, signature } = data || {};
+    if (!RECEIPT_TYPES.includes(type) || !Array.isArray(messageIds) || messageIds.length === 0 ||
+        messageIds.length > MAX_RECEIPT_MESSAGE_IDS || !messageIds.every(isValidMessageId) ||
+        !Number.isInteger(sentAt) || typeof signature !== 'string' || signature.length === 0) {
+      return socket.emit('messageError', { error: 'Malformed receipt' });
+    }
+    const toUserId = parseInt(receiverId);
+    if (!toUserId || toUserId === parseInt(socket.userId)) {
+      return socket.emit('messageError', { error: 'Invalid receipt receiver' });
+    }
+
+    try {
+      if (!(await areFriends(socket.userId, toUserId))) {
+        return socket.emit('messageError', { error: 'You can only send receipts to friends' });
+      }
+      if (type === 'read') {
+        const [own, peer] = await Promise.all([getPrivacySettings(socket.userId), getPrivacySettings(toUserId)]);
+        if (!own.readReceipts || !peer.readReceipts) {
+          return;
         }
+      }
+      io.to(`user_${toUserId}`).emit('messageReceipt', {
+        type,
+        messageIds,
+        senderId: parseInt(socket.userId),
+        senderDeviceId: socket.deviceId,
+        receiverId: toUserId,
+        sentAt,
+        signature
       });
+    } catch (err) {
+      console.error('Failed to relay receipt:', { userId: socket.userId, error: err.message });
+    }
+  });
+
+  // Disappearing timer of a conversation, signed by the device that set it
+  // (see database/disappearing.js). The relay verifies the signature because it
+  // enforces the timer on the mailbox; the newest setting wins on both sides.
+  // Every device of both friends gets it, this one included, and applies it
+  // once its own check passed
+  socket.on('setDisappearingTimer', async (data) => {
+    const { ttlMs, setAt, signature } = data || {};
+    const receiverId = parseInt(data?.receiverId);
+    const senderId = parseInt(socket.userId);
+    if (!DISAPPEARING_TIMERS_MS.includes(ttlMs) || !Number.isInteger(setAt) ||
+        typeof signature !== 'string' || signature.length === 0) {
+      return socket.emit('messageError', { error: 'Malformed disappearing timer' });
+    }
+    if (!receiverId || receiverId === senderId) {
+      return socket.emit('messageError', { error: 'Invalid disappearing timer receiver' });
+    }
+    if (Math.abs(Date.now() - setAt) > REPLAY_WINDOW_MS) {
+      return socket.emit('messageError', { error: 'Disappearing timer is outside the replay window; check the device clock' });
+    }
+
+    try {
+      if (!(await areFriends(senderId, receiverId))) {
+        return socket.emit('messageError', { error: 'You can only set disappearing timers with friends' });
+      }
+      const senderDevice = await getDeviceSigningKey(senderId, socket.deviceId);
+      const timer = { ttlMs, senderId, senderDeviceId: socket.deviceId, receiverId, setAt, signature };
+      const isValid = !!senderDevice && await verifyWithAlgorithm(
+        senderDevice.signature_algorithm,
+        buildDisappearingTimerPayload(timer),
+        signature,
+        senderDevice.falcon_public_key
+      );
+      if (!isValid) {
+        return socket.emit('messageError', { error: 'Invalid disappearing timer signature' });
+      }
+      if (!(await setDisappearingTimer(timer))) {
+        return socket.emit('messageError', { error: 'A newer disappearing timer was set for this conversation' });
+      }
+      io.to([`user_${senderId}`, `user_${receiverId}`]).emit('disappearingTimer', timer);
+      console.log('✓ Disappearing timer set', { senderId, receiverId, ttlMs });
+    } catch (err) {
+      console.error('Failed to set disappearing timer:', { userId: socket.userId, error: err.message });
+      socket.emit('messageError', { error: 'Server error setting disappearing timer' });
+    }
+  });
+
+  // Group message: encrypted once with the sending device's sender chain and
+  // fanned out to every member's room (this socket excluded). The signature
+  // names the sending device, since every member can derive its chain.
+  // Messages of an older epoch are rejected so the sender applies the
+  // group's commits first
+  socket.on('sendGroupMessage', async (data) => {
+    const { epoch, messageId, keyId, iteration, ciphertext, iv, authTag, sentAt, nonce, signature } = data || {};
+    const groupId = parseInt(data?.groupId);
+    const rejectGroupMessage = (error, details = {}) =>
+      socket.emit('groupMessageError', { groupId, messageId: isValidMessageId(messageId) ? messageId : undefined, error, ...details });
+
+    if (!groupId || !Number.isInteger(epoch) || !isValidMessageId(messageId) || !isValidSenderKeyId(keyId) ||
+        !Number.isInteger(iteration) || iteration < 0) {
+      return rejectGroupMessage('Malformed group message');
+    }
+    if (!ciphertext || !iv || !authTag || !signature) {
+      return rejectGroupMessage('Encryption is mandatory. All messages must be encrypted with post-quantum cryptography.');
+    }
+    const freshnessError = checkEnvelopeFreshness({ sentAt, nonce });
+    if (freshnessError) {
+      return rejectGroupMessage(freshnessError);
+    }
+
+    let senderDevice;
+    let memberIds;
+    try {
+      const membership = await getGroupMembership(groupId, socket.userId);
+      if (!membership) {
+        return rejectGroupMessage('You are not a member of this group');
+      }
+      if (membership.epoch !== epoch) {
+        return rejectGroupMessage('The group moved to a new epoch; apply its commits first', { staleEpoch: true, currentEpoch: membership.epoch });
+      }
+
+      senderDevice = await getDeviceSigningKey(socket.userId, socket.deviceId);
+      if (!senderDevice) {
+        return rejectGroupMessage('Failed to verify sender');
+      }
+      const isValid = await verifyWithAlgorithm(
+        senderDevice.signature_algorithm,
+        buildGroupMessagePayload({ ...data, groupId, senderId: socket.userId, senderDeviceId: socket.deviceId }),
+        signature,
+        senderDevice.falcon_public_key
+      );
+      if (!isValid) {
+        console.log('Group message rejected: Invalid signature', { groupId, userId: socket.userId });
+        return rejectGroupMessage('Invalid message signature - message may be tampered');
+      }
+      if (!registerEnvelopeNonces(socket.userId, socket.deviceId, [{ sentAt, nonce }])) {
+        return rejectGroupMessage('Replayed message rejected');
+      }
+      memberIds = await getGroupMemberIds(groupId);
+    } catch (err) {
+      console.error('Group message verification failed:', { groupId, userId: socket.userId, error: err.message });
+      return rejectGroupMessage('Failed to verify message signature');
+    }
+
+    // Real-time only, like chat messages without a mailbox
+    io.to(memberIds.map((id) => `user_${id}`)).except(socket.id).emit('receiveGroupMessage', {
+      groupId,
+      epoch,
+      messageId,
+      keyId,
+      iteration,
+      senderId: parseInt(socket.userId),
+      senderDeviceId: socket.deviceId,
+      senderName: senderDevice.username,
+      ciphertext,
+      iv,
+      authTag,
+      sentAt,
+      nonce,
+      signature,
+      timestamp: new Date().toISOString()
     });
+    console.log('✓ Group message relayed', { groupId, epoch, senderId: socket.userId, members: memberIds.length });
+    socket.emit('groupMessageSent', { groupId, messageId });
   });
 
-  // Peer-to-peer file transfer (no server storage)
-  socket.on('sendFile', (data) => {
-    const senderId = socket.userId;
-    const { 
-      receiverId, 
-      fileName, 
-      fileSize, 
-      fileData, // encrypted file data (base64)
-      kyberCiphertext, 
-      iv, 
-      authTag, 
-      signature 
-    } = data;
-
-    // Validate required fields
-    if (!kyberCiphertext || !iv || !authTag || !signature || !fileData) {
-      console.log('✗ File transfer rejected: Missing encryption fields', { senderId, receiverId });
-      return socket.emit('fileError', { 
-        error: 'File encryption is mandatory. Missing required encryption fields.' 
+  // This device has no usable ratchet tree state for a group (a welcome or
+  // commits it needed expired, or its keys changed): ask the other members'
+  // devices to remove and add it again in their next commit
+  const groupResyncRequests = new Map(); // groupId -> time of the last request
+  socket.on('requestGroupResync', async (data) => {
+    const groupId = parseInt(data?.groupId);
+    if (!groupId) {
+      return;
+    }
+    const now = Date.now();
+    if (now - (groupResyncRequests.get(groupId) || 0) < GROUP_RESYNC_THROTTLE_MS) {
+      return;
+    }
+    groupResyncRequests.set(groupId, now);
+
+    try {
+      if (!(await getGroupMembership(groupId, socket.userId))) {
+        return;
+      }
+      const memberIds = await getGroupMemberIds(groupId);
+      io.to(memberIds.map((id) => `user_${id}`)).except(socket.id).emit('groupResync', {
+        groupId,
+        userId: parseInt(socket.userId),
+        deviceId: socket.deviceId
       });
+    } catch (err) {
+      console.error('Failed to relay group resync request:', { groupId, userId: socket.userId, error: err.message });
     }
+  });
+
+  // Peer-to-peer file transfer (no server storage)
+  // Opens a chunked transfer: the signed envelopes go to every online device,
+  // the chunks follow as `fileChunk` events (see Chunked file transfers)
+  socket.on('sendFile', async (data) => {
+    const senderId = socket.userId;
+    const { receiverId, transferId, fileSize, chunkCount } = data || {};
 
     if (!senderId) {
       console.log('✗ File transfer rejected: No authenticated sender', { socketId: socket.id });
@@ -343,73 +956,146 @@ io.on('connection', (socket) => {
       return socket.emit('fileError', { error: 'Receiver ID required' });
     }
 
-    // Verify signature using Falcon (canonical JSON payload)
-    const dataToVerify = JSON.stringify({ c: fileData, i: iv, t: authTag });
-    db.get('SELECT falcon_public_key, username FROM users WHERE id = ?', [senderId], async (err, sender) => {
-      try {
-        if (err || !sender) {
-          console.error('✗ File transfer error: Sender not found', { senderId, error: err?.message });
-          return socket.emit('fileError', { error: 'Sender verification failed' });
-        }
+    if (typeof transferId !== 'string' || !TRANSFER_ID_PATTERN.test(transferId) || hasFileTransfer(transferId)) {
+      return socket.emit('fileError', { error: 'transferId must be 16 unique random bytes (base64url)' });
+    }
+    if (!Number.isInteger(fileSize) || fileSize < 0 || fileSize > MAX_FILE_SIZE) {
+      return socket.emit('fileError', { transferId, error: `File size must be at most ${MAX_FILE_SIZE / (1024 * 1024)}MB` });
+    }
+    if (chunkCount !== expectedChunkCount(fileSize)) {
+      return socket.emit('fileError', { transferId, error: `chunkCount must match fileSize in ${FILE_CHUNK_SIZE}-byte chunks` });
+    }
+    if (countSenderTransfers(senderId, socket.deviceId) >= MAX_ACTIVE_TRANSFERS) {
+      return socket.emit('fileError', { transferId, error: `At most ${MAX_ACTIVE_TRANSFERS} file transfers at a time` });
+    }
 
-        const isValidSignature = await verifyWithFalcon(dataToVerify, signature, sender.falcon_public_key);
-        
-        if (!isValidSignature) {
-          console.log('✗ File transfer rejected: Invalid signature', { senderId, receiverId });
-          return socket.emit('fileError', { error: 'Invalid file signature' });
-        }
+    // One encrypted copy per device, like sendMessage
+    const { copies, error } = resolveCopies(data, socket, receiverId);
+    if (error) {
+      console.log('✗ File transfer rejected: Invalid device copies', { senderId, receiverId });
+      return socket.emit('fileError', { transferId, error });
+    }
 
-      // File is encrypted and signed - forward to receiver if online
-      const receiverRoom = `user_${receiverId}`;
-      const receiverSockets = io.sockets.adapter.rooms.get(receiverRoom);
-
-      if (receiverSockets && receiverSockets.size > 0) {
-        const fileTransferData = {
-          fileId: `file_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-          senderId,
-          senderName: sender.username, // Include sender's username for notifications
-          receiverId,
-          fileName,
-          fileSize,
-          fileData,
-          kyberCiphertext,
-          iv,
-          authTag,
-          signature,
-          timestamp: new Date().toISOString()
-        };
-
-        io.to(receiverRoom).emit('receiveFile', fileTransferData);
-        
-        socket.emit('fileDelivered', { 
-          fileId: fileTransferData.fileId,
-          status: 'Delivered',
-          timestamp: fileTransferData.timestamp
-        });
+    const resolvedCopies = [];
+    for (const copy of copies) {
+      const { v, suite, kyberCiphertext, ephemeralPublicKey, manifest, iv, authTag, signature } = copy;
 
-        console.log('✓ File delivered (peer-to-peer, no storage)', { 
-          fileId: fileTransferData.fileId,
-          senderId, 
-          receiverId,
-          fileName,
-          fileSize 
-        });
-      } else {
-        // Receiver is offline - file is NOT stored for security
-        console.log('✗ Receiver offline - file not delivered (no storage mode)', { senderId, receiverId, fileName });
-        socket.emit('fileError', { 
-          error: 'Recipient is offline. Files are only transferred in real-time for security.' 
+      // Validate required fields
+      if (!kyberCiphertext || !iv || !authTag || !signature || !manifest) {
+        console.log('✗ File transfer rejected: Missing encryption fields', { senderId, receiverId });
+        return socket.emit('fileError', { 
+          transferId,
+          error: 'File encryption is mandatory. Missing required encryption fields.' 
         });
       }
-      } catch (verifyErr) {
-        console.error('✗ File signature verification error:', { senderId, receiverId, error: verifyErr.message });
-        socket.emit('fileError', { error: 'Failed to verify file signature' });
+
+      // Files keep a fresh KEM per transfer; ratchet envelopes are chat-only
+      const envelope = Number(v) === RATCHET_ENVELOPE_VERSION
+        ? { error: 'Ratchet envelopes are not supported for file transfers' }
+        : resolveEnvelope(v, suite, ephemeralPublicKey);
+      if (envelope.error) {
+        console.log('✗ File transfer rejected: Invalid envelope', { senderId, receiverId });
+        return socket.emit('fileError', { transferId, error: envelope.error });
+      }
+      const freshnessError = checkEnvelopeFreshness(copy);
+      if (freshnessError) {
+        console.log('✗ File transfer rejected: Stale or unbound envelope', { senderId, receiverId });
+        return socket.emit('fileError', { transferId, error: freshnessError });
+      }
+      resolvedCopies.push({ ...copy, envelope });
+    }
+
+    // Verify signatures with the suite's algorithm (canonical length-prefixed payload)
+    // The signed ciphertext is the encrypted manifest (file key, name, size)
+    let sender;
+    try {
+      sender = await getDeviceSigningKey(senderId, socket.deviceId);
+      if (!sender) {
+        console.error('✗ File transfer error: Sender not found', { senderId, deviceId: socket.deviceId });
+        return socket.emit('fileError', { transferId, error: 'Sender verification failed' });
       }
+
+      for (const copy of resolvedCopies) {
+        const isValidSignature = await verifyEnvelopeSignature('file', copy, copy.manifest, sender, socket, receiverId);
+        if (!isValidSignature) {
+          console.log('✗ File transfer rejected: Invalid signature', { senderId, receiverId, deviceId: copy.deviceId });
+          return socket.emit('fileError', { transferId, error: 'Invalid file signature' });
+        }
+      }
+      if (!registerEnvelopeNonces(senderId, socket.deviceId, resolvedCopies)) {
+        console.log('✗ File transfer rejected: Replayed nonce', { senderId, receiverId });
+        return socket.emit('fileError', { transferId, error: 'Replayed file transfer rejected' });
+      }
+    } catch (verifyErr) {
+      console.error('✗ File signature verification error:', { senderId, receiverId, error: verifyErr.message });
+      return socket.emit('fileError', { transferId, error: 'Failed to verify file signature' });
+    }
+    if (hasFileTransfer(transferId)) {
+      return socket.emit('fileError', { transferId, error: 'transferId must be 16 unique random bytes (base64url)' });
+    }
+
+    // File is encrypted and signed - forward each envelope to its device if online
+    const timestamp = new Date().toISOString();
+    const targets = new Map();
+    const delivered = deliverCopies('receiveFile', resolvedCopies, (copy) => {
+      targets.set(targetKey(copy.userId, copy.deviceId), {
+        userId: copy.userId,
+        deviceId: copy.deviceId,
+        isOwnDevice: copy.isOwnDevice,
+        acked: -1
+      });
+      return {
+        fileId: transferId,
+        transferId,
+        senderId,
+        senderDeviceId: socket.deviceId,
+        senderName: sender.username, // Include sender's username for notifications
+        receiverId,
+        fileSize,
+        chunkCount,
+        manifest: copy.manifest,
+        v: copy.envelope.version,
+        suite: copy.envelope.suiteId,
+        kyberCiphertext: copy.kyberCiphertext,
+        ephemeralPublicKey: copy.envelope.suite.hybrid ? copy.ephemeralPublicKey : undefined,
+        iv: copy.iv,
+        authTag: copy.authTag,
+        sentAt: copy.sentAt,
+        nonce: copy.nonce,
+        signature: copy.signature,
+        timestamp
+      };
     });
+
+    if (delivered === 0) {
+      // Receiver is offline - file is NOT stored for security
+      console.log('✗ Receiver offline - file not delivered (no storage mode)', { senderId, receiverId, fileSize });
+      return socket.emit('fileError', { 
+        transferId,
+        error: 'Recipient is offline. Files are only transferred in real-time for security.' 
+      });
+    }
+
+    openFileTransfer(socket, { transferId, receiverId, fileSize, chunkCount, targets });
+    socket.emit('fileTransferReady', { transferId, devices: delivered, timestamp });
+    console.log('✓ File transfer opened', { transferId, senderId, receiverId, fileSize, chunkCount, devices: delivered });
   });
 
+  // Chunks, acknowledgements, pause, resume and cancel of open transfers
+  socket.on('fileChunk', (data) => relayFileChunk(io, socket, data));
+  socket.on('fileChunkAck', (data) => acknowledgeFileChunk(io, socket, data));
+  socket.on('fileTransferPause', (data) => pauseFileTransfer(io, socket, data));
+  socket.on('fileTransferResume', (data) => resumeFileTransfer(io, socket, data));
+  socket.on('fileTransferCancel', (data) => cancelFileTransfer(io, socket, data));
+
   socket.on('disconnect', () => {
     console.log('User disconnected:', socket.id, 'UserId:', socket.userId);
+    recordDeviceSeen();
+    if (!isUserOnline(io, presenceUserId)) {
+      reportOfflineLater(presenceUserId);
+    }
+    [...typingTo.keys()].forEach((receiverId) => relayTyping('typing:stop', { receiverId }));
+    leaveFileTransfers(io, socket);
     // Socket.IO automatically removes the socket from all rooms on disconnect
     // The user_${userId} room will be cleaned up automatically
   });
@@ -445,6 +1131,16 @@ process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 // Initialize Database and start server only after DB is ready
 // This prevents race conditions where the server accepts connections before DB is initialized
 async function startServer() {
+  try {
+    // Key directory signing key (fail-fast in production when not configured)
+    const { algorithm } = await initDirectoryKey();
+    console.log(`✓ Key directory signing enabled (${algorithm})`);
+  } catch (err) {
+    console.error('✗ FATAL: Key directory initialization failed');
+    console.error('  Error:', err.message);
+    process.exit(1);
+  }
+
   try {
     // First, validate PostgreSQL connection if configured (fail-fast in production)
     await initializeDatabase();
@@ -453,6 +1149,12 @@ async function startServer() {
     // Then initialize schema and tables
     await initDb();
     console.log('✓ Database schema initialization completed successfully');
+
+    // Log keys of accounts created before the transparency log existed
+    const backfilled = await backfillTransparencyLog();
+    if (backfilled > 0) {
+      console.log(`✓ Key transparency log backfilled with ${backfilled} entries`);
+    }
     
     // Start server only after database is fully ready
     server.listen(PORT, () => {
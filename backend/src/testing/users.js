@@ -0,0 +1,34 @@
+import { getRow, runQuery } from '../database/db.js';
+
+// ============================================================================
+// Accounts for tests of the database modules
+// ============================================================================
+// Tests run against a fresh in-memory SQLite database (npm test sets
+// DB_PATH); call initDb() before creating accounts.
+
+let userCount = 0;
+
+/**
+ * Insert an account with placeholder keys
+ * @returns {Promise<number>} User ID
+ */
+const createUser = async () => {
+  userCount += 1;
+  const row = await getRow(
+    `INSERT INTO users (username, kyber_public_key, falcon_public_key, password_hash)
+     VALUES (?, 'kyber', 'falcon', 'hash') RETURNING id`,
+    [`user${userCount}`]
+  );
+  return Number(row.id);
+};
+
+/**
+ * Make two accounts friends
+ * @param {number} userId1 - Account
+ * @param {number} userId2 - Account
+ * @returns {Promise<void>}
+ */
+const befriend = (userId1, userId2) =>
+  runQuery('INSERT INTO friendships (user_id_1, user_id_2) VALUES (?, ?)', [userId1, userId2]);
+
+export { createUser, befriend };
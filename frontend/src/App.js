@@ -4,6 +4,7 @@ import { SocketProvider } from './context/SocketContext';
 import LoginPage from './pages/LoginPage';
 import RegisterPage from './pages/RegisterPage';
 import ChatDashboard from './pages/ChatDashboard';
+import VerifyContactPage from './pages/VerifyContactPage';
 import { tryRestoreSession, cleanupExpiredMessages } from './utils/crypto';
 import './App.css';
 
@@ -77,6 +78,10 @@ function App() {
               path="/chat" 
               element={isLoggedIn ? <ChatDashboard user={user} setIsLoggedIn={setIsLoggedIn} setUser={setUser} /> : <LoginPage setIsLoggedIn={setIsLoggedIn} setUser={setUser} />} 
             />
+            <Route 
+              path="/verify/:contactId" 
+              element={isLoggedIn ? <VerifyContactPage user={user} /> : <LoginPage setIsLoggedIn={setIsLoggedIn} setUser={setUser} />} 
+            />
             <Route 
               path="/" 
               element={isLoggedIn ? <ChatDashboard user={user} setIsLoggedIn={setIsLoggedIn} setUser={setUser} /> : <LoginPage setIsLoggedIn={setIsLoggedIn} setUser={setUser} />} 
@@ -0,0 +1,59 @@
+import { createHash, generateKeyPairSync, randomBytes, sign, verify } from 'crypto';
+
+// ============================================================================
+// liboqs stand-in for tests
+// ============================================================================
+// Jest uses this module in place of the liboqs WASM build (a manual mock of a
+// node module, picked up automatically). It keeps the library's interface
+// with fast primitives: a hash-based KEM whose public key is the hash of the
+// secret key, and Ed25519 for every signature algorithm. Encapsulations to
+// the wrong key yield a different shared secret, and signatures fail to
+// verify under another key, as with the real algorithms.
+
+const sha256 = (...parts) => new Uint8Array(
+  createHash('sha256').update(Buffer.concat(parts.map((part) => Buffer.from(part)))).digest()
+);
+
+const kem = {
+  generateKeyPair: async () => {
+    const secretKey = new Uint8Array(randomBytes(32));
+    return { publicKey: sha256(secretKey), secretKey };
+  },
+  encapsulate: async (publicKey) => {
+    const ciphertext = new Uint8Array(randomBytes(32));
+    return { ciphertext, sharedSecret: sha256(publicKey, ciphertext) };
+  },
+  decapsulate: async (ciphertext, secretKey) => sha256(sha256(secretKey), ciphertext)
+};
+
+const signature = {
+  generateKeyPair: async () => {
+    const { publicKey, privateKey } = generateKeyPairSync('ed25519');
+    return {
+      publicKey: new Uint8Array(publicKey.export({ format: 'der', type: 'spki' })),
+      secretKey: new Uint8Array(privateKey.export({ format: 'der', type: 'pkcs8' }))
+    };
+  },
+  sign: async (message, secretKey) => new Uint8Array(
+    sign(null, Buffer.from(message), { key: Buffer.from(secretKey), format: 'der', type: 'pkcs8' })
+  ),
+  verify: async (message, sig, publicKey) => {
+    try {
+      return verify(null, Buffer.from(message), { key: Buffer.from(publicKey), format: 'der', type: 'spki' }, Buffer.from(sig));
+    } catch (error) {
+      return false;
+    }
+  }
+};
+
+const createKem = async () => kem;
+const createSignature = async () => signature;
+
+export const createMLKEM768 = createKem;
+export const createMLKEM1024 = createKem;
+export const createFalcon512 = createSignature;
+export const createFalcon1024 = createSignature;
+export const createMLDSA65 = createSignature;
+export const createMLDSA87 = createSignature;
+export const createSlhDsaSha2128s = createSignature;
+export const createSlhDsaSha2256f = createSignature;
@@ -17,8 +17,9 @@ export const SocketProvider = ({ children }) => {
   const socketRef = useRef(null);
   const lifecycleListenersRef = useRef(new Map()); // Track socket-level lifecycle event handlers
   const managerListenersRef = useRef(new Map()); // Track manager-level event handlers
+  const reconnectHandlersRef = useRef(new Set()); // Called with the socket after every reconnect
 
-  const connectSocket = useCallback((token, userId) => {
+  const connectSocket = useCallback((token, userId, deviceId) => {
     if (socketRef.current?.connected) {
       console.log('Socket already connected');
       return;
@@ -50,7 +51,8 @@ export const SocketProvider = ({ children }) => {
     const newSocket = io(SOCKET_URL, {
       auth: {
         token,
-        userId
+        userId,
+        deviceId
       },
       query: {
         userId
@@ -63,9 +65,16 @@ export const SocketProvider = ({ children }) => {
     });
 
     // Define and track lifecycle event handlers
+    // A reconnect has a new socket ID on the server, so state tied to the old
+    // one (e.g. file transfers) is re-attached by the reconnect handlers
+    let hasConnected = false;
     const onConnect = () => {
       console.log('Socket connected:', newSocket.id);
       setIsConnected(true);
+      if (hasConnected) {
+        reconnectHandlersRef.current.forEach((handler) => handler(newSocket));
+      }
+      hasConnected = true;
     };
 
     const onDisconnect = (reason) => {
@@ -81,8 +90,7 @@ export const SocketProvider = ({ children }) => {
     const onReconnect = (attemptNumber) => {
       console.log('Socket reconnected after', attemptNumber, 'attempts');
       setIsConnected(true);
-      // Optional: Request unread messages after reconnection
-      // newSocket.emit('getUnreadMessages');
+      // ChatDashboard fetches the mailbox (getUnreadMessages) once connected
     };
 
     const onReconnectError = (error) => {
@@ -149,11 +157,17 @@ export const SocketProvider = ({ children }) => {
     };
   }, [disconnectSocket]);
 
+  const addReconnectHandler = useCallback((handler) => {
+    reconnectHandlersRef.current.add(handler);
+    return () => reconnectHandlersRef.current.delete(handler);
+  }, []);
+
   const value = {
     socket,
     isConnected,
     connectSocket,
-    disconnectSocket
+    disconnectSocket,
+    addReconnectHandler
   };
 
   return (
@@ -191,4 +205,13 @@ export const useSocketEvent = (eventName, handler) => {
   }, [socket, eventName]);
 };
 
+// Run a handler after the socket reconnects (not on the first connect)
+export const useSocketReconnect = (handler) => {
+  const { addReconnectHandler } = useSocket();
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(() => addReconnectHandler((socket) => handlerRef.current(socket)), [addReconnectHandler]);
+};
+
 export default SocketContext;
@@ -2,8 +2,9 @@ import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react'
 import { motion } from 'framer-motion';
 import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
-import { useSocket, useSocketEvent } from '../context/SocketContext';
-import { encryptAndSignMessage, verifyAndDecryptMessage, encryptAndSignFile, verifyAndDecryptFile, getSecretKeys, hasSecretKeys, getPublicKeys } from '../utils/crypto';
+import { useSocket, useSocketEvent, useSocketReconnect } from '../context/SocketContext';
+import { encryptSessionMessage, decryptSessionMessage, createFileStream, encryptAndSignFile, encryptFileChunk, verifyAndDecryptFile, decryptFileChunk, MAX_FILE_SIZE, getSecretKeys, hasSecretKeys, getPublicKeys, fetchPublicKeys, auditTransparencyLog, verifyKeyInclusion, createPrekeyUpload, rotateKeys, createKeyBackup, MIN_RECOVERY_PASSPHRASE_LENGTH, verifyKeyTransitions, checkContactKeys, getContactVerification, clearContactVerification, fetchDevices, deviceAddress, resignQueuedMessage, createMessageId, signReceipt, verifyReceipt, MAX_RECEIPT_MESSAGE_IDS, signDisappearingTimer, verifyDisappearingTimer, DISAPPEARING_TIMERS_MS, saveHistoryMessage, updateHistoryMessage, loadHistoryPage, loadHistoryAround, clearHistory, purgeExpiredHistory, searchHistory, createGroupCommit, confirmGroupCommit, processGroupCommit, processGroupWelcome, getGroupTreeMembers, encryptGroupMessage, decryptGroupMessage, forgetGroupKeys, isGenuineGroupLeaf, computeDeviceFingerprint, parseDeviceLinkInput, signDeviceRecord, forgetLinkedDevice, PRIMARY_DEVICE_ID } from '../utils/crypto';
+import { createDeliveryQueue, DELIVERY_ACK_TIMEOUT_MS } from '../utils/deliveryQueue';
 
 // Normalize API_URL: strip trailing slashes and remove trailing "/api" if present
 // This ensures we can safely append "/api/..." to construct endpoints
@@ -22,6 +23,82 @@ if (process.env.NODE_ENV === 'development') {
   console.log('ChatDashboard API_URL:', API_URL);
 }
 
+const TRANSPARENCY_AUDIT_INTERVAL_MS = 10 * 60 * 1000;
+const FILE_CHUNK_WINDOW = 8; // File chunks sent ahead of the slowest device's acknowledgement
+
+// Route a copy is signed for; chat messages also bind their stable ID
+const sendingRoute = (currentUser, peerId, recipientUserId, recipientDeviceId, messageId) => ({
+  senderId: Number(currentUser.id),
+  senderDeviceId: currentUser.deviceId || PRIMARY_DEVICE_ID,
+  receiverId: peerId,
+  recipientUserId,
+  recipientDeviceId,
+  messageId
+});
+
+// Delivery states only move forward once the server has the message
+const DELIVERY_STATUS_RANK = { failed: -1, queued: 0, sending: 1, sent: 2, stored: 2, delivered: 3, read: 4 };
+const RECEIPT_BATCH_MS = 300; // Receipts for messages arriving together are signed once
+const MAX_REMEMBERED_MESSAGE_IDS = 5000; // Received message IDs kept to drop duplicates
+
+// Typing indicators: typing:start is repeated while the user keeps typing and
+// typing:stop follows a pause; receivers hide an indicator that was not renewed
+const TYPING_REFRESH_MS = 3 * 1000;
+const TYPING_IDLE_MS = 4 * 1000;
+const TYPING_DISPLAY_MS = 6 * 1000;
+
+// Message history: pages loaded at a time, and how often expired disappearing
+// messages are deleted from it
+const HISTORY_PAGE_SIZE = 50;
+const HISTORY_PURGE_INTERVAL_MS = 60 * 1000;
+const HISTORY_FIELDS = ['historyId', 'senderId', 'senderName', 'message', 'timestamp', 'isLocal', 'messageId',
+  'receiverId', 'groupId', 'deliveryStatus', 'isFile', 'isNotice', 'expiresAt'];
+const toHistoryEntry = (msg) => Object.fromEntries(HISTORY_FIELDS.filter((field) => msg[field] !== undefined).map((field) => [field, msg[field]]));
+const historyKey = (msg) => msg.historyId || msg.messageId;
+const SEARCH_HIGHLIGHT_MS = 3000; // How long a message opened from search stays highlighted
+
+// Older messages from history in front of those on screen, without duplicates
+const mergeHistory = (older, current) => {
+  const shown = new Set(current.map(historyKey));
+  return [...older.filter((msg) => !shown.has(historyKey(msg))), ...current];
+};
+
+// Disappearing messages: expired messages are swept from the open conversation
+const DISAPPEARING_SWEEP_MS = 5 * 1000;
+const DISAPPEARING_TIMER_LABELS = ['Off', '5 minutes', '1 hour', '1 day', '1 week']; // Same order as DISAPPEARING_TIMERS_MS
+const describeDisappearingTimer = (ttlMs) => DISAPPEARING_TIMER_LABELS[DISAPPEARING_TIMERS_MS.indexOf(ttlMs)] || 'Off';
+
+// Group key commits: devices wait a random moment before committing a change
+// they were told about, so usually one device commits it for all
+const GROUP_COMMIT_DELAY_MS = 1000;
+const GROUP_COMMIT_JITTER_MS = 4 * 1000;
+const MAX_GROUP_COMMIT_ATTEMPTS = 3; // Commits lost to another device's before giving up
+
+// Presence of a friend from GET /api/friends/list?presence=true and `presence`
+// events; online is null when either side does not share it
+const describePresence = (friend) => {
+  if (friend?.online) return 'Online';
+  if (friend?.last_seen_at) {
+    const lastSeen = new Date(friend.last_seen_at);
+    const sameDay = lastSeen.toDateString() === new Date().toDateString();
+    return `Last seen ${sameDay ? lastSeen.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : lastSeen.toLocaleString()}`;
+  }
+  return null;
+};
+
+// Route a received envelope must be signed for: this device, and this account
+// as the receiver unless it is a copy sent from our own other device.
+// Envelopes the mailbox held (`stored`) may be older than live ones
+const receivedRoute = (currentUser, senderId, senderDeviceId, receiverId, isSync, stored = false, messageId = undefined) => ({
+  senderId,
+  senderDeviceId,
+  receiverId: isSync ? Number(receiverId) : Number(currentUser.id),
+  recipientUserId: Number(currentUser.id),
+  recipientDeviceId: currentUser.deviceId || PRIMARY_DEVICE_ID,
+  stored,
+  messageId
+});
+
 const ChatDashboard = ({ user, setIsLoggedIn, setUser }) => {
   const [messages, setMessages] = useState([]);
   const [messageText, setMessageText] = useState('');
@@ -31,21 +108,136 @@ const ChatDashboard = ({ user, setIsLoggedIn, setUser }) => {
   const [showFriendRequest, setShowFriendRequest] = useState(false);
   const [searchUsername, setSearchUsername] = useState('');
   const [friendSearch, setFriendSearch] = useState('');
+  const [messageSearch, setMessageSearch] = useState('');
+  const [searchResults, setSearchResults] = useState(null); // Matches of the last message search, or null
+  const [searching, setSearching] = useState(false);
+  const [highlightedMessage, setHighlightedMessage] = useState(null); // historyId opened from search
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   const [selectedFile, setSelectedFile] = useState(null);
   const [fileTransferStatus, setFileTransferStatus] = useState('');
   const [pendingFiles, setPendingFiles] = useState([]); // List of decrypted files awaiting user action
+  const [fileTransfers, setFileTransfers] = useState({}); // transferId -> { direction, fileName, fileSize, progress, status, pausedByMe }
   const [hasKeys, setHasKeys] = useState(false);
   const [notification, setNotification] = useState(null); // { type, senderId, senderName, preview, timestamp }
+  const [rotatingKeys, setRotatingKeys] = useState(false);
+  const [keyStatus, setKeyStatus] = useState('');
+  const [contactVerified, setContactVerified] = useState(false);
+  const [keyChangeWarning, setKeyChangeWarning] = useState(null); // peer ID whose verified keys changed
+  const [showBackup, setShowBackup] = useState(false);
+  const [backupPassphrase, setBackupPassphrase] = useState('');
+  const [backupConfirm, setBackupConfirm] = useState('');
+  const [backupOnServer, setBackupOnServer] = useState(false);
+  const [backingUp, setBackingUp] = useState(false);
+  const [showDevices, setShowDevices] = useState(false);
+  const [ownDevices, setOwnDevices] = useState([]); // Linked devices from GET /api/devices
+  const [linkInput, setLinkInput] = useState('');
+  const [pendingLink, setPendingLink] = useState(null); // Link request under review, with its fingerprint
+  const [deviceBusy, setDeviceBusy] = useState(false);
+  const [mailboxEnabled, setMailboxEnabled] = useState(false);
+  const [showPrivacy, setShowPrivacy] = useState(false);
+  const [readReceipts, setReadReceipts] = useState(true);
+  const [sharePresence, setSharePresence] = useState(true);
+  const [sendTypingIndicators, setSendTypingIndicators] = useState(true);
+  const [typingFrom, setTypingFrom] = useState({}); // Friend ID -> true while they are typing to us
+  const [disappearingTimers, setDisappearingTimers] = useState({}); // Friend ID -> verified { ttlMs, setAt, senderId }
+  const [historyPage, setHistoryPage] = useState({ before: Infinity, hasMore: false, loading: false }); // Open conversation's oldest loaded page
+  const [pageVisible, setPageVisible] = useState(document.visibilityState === 'visible');
+  const [groups, setGroups] = useState([]); // Groups from GET /api/groups
+  const [selectedGroup, setSelectedGroup] = useState(null); // Open group with its members and epoch
+  const [showCreateGroup, setShowCreateGroup] = useState(false);
+  const [newGroupName, setNewGroupName] = useState('');
+  const [newGroupMembers, setNewGroupMembers] = useState([]); // Friend IDs picked for a new group
+  const [showGroupMembers, setShowGroupMembers] = useState(false);
+  const [groupBusy, setGroupBusy] = useState(false);
   const navigate = useNavigate();
   const token = localStorage.getItem('token');
   const { socket, isConnected, connectSocket, disconnectSocket } = useSocket();
   const selectedContactRef = useRef(selectedContact); // Track latest selectedContact for socket handler
   const userRef = useRef(user); // Track latest user to avoid stale closures
-  const recipientKeysCache = useRef({}); // Cache for recipient public keys by friend_id
-  const publicKeyCache = useRef(new Map()); // Cache for sender public keys (for signature verification)
-  const senderPublicKeyCache = useRef(new Map()); // Cache for sender public keys in file transfers (keyed by senderId)
+  const devicesCache = useRef(new Map()); // Verified device lists by user ID; [0] is the primary (identity keys)
+  const outgoingTransfers = useRef(new Map()); // transferId -> { stream, nextIndex, acked, paused, pumping }
+  const incomingTransfers = useRef(new Map()); // transferId -> { ready, queue, sender details }
+  const socketRef = useRef(socket); // Latest socket for the delivery queue
+  const delivery = useRef(null); // Outgoing message queue (utils/deliveryQueue.js)
+  const receiptBatches = useRef(new Map()); // `${type}:${peerId}` -> { messageIds, timer }
+  const readReceiptsSent = useRef(new Set()); // Message IDs already acknowledged as read
+  const receivedMessageIds = useRef(new Set()); // `${senderId}:${messageId}` decrypted on this page
+  const readReceiptsRef = useRef(readReceipts);
+  const typingRef = useRef({ peerId: null, lastStartAt: 0, idleTimer: null }); // Our indicator
+  const typingTimers = useRef(new Map()); // Friend ID -> timeout hiding their indicator
+  const disappearingTimersRef = useRef(disappearingTimers);
+  const selectedGroupRef = useRef(selectedGroup);
+  const groupWaiting = useRef(new Map()); // `message:${messageId}` -> settles on the server's answer
+  const groupSending = useRef(Promise.resolve()); // Group sends, one at a time
+  const groupReceiving = useRef(Promise.resolve()); // Tree updates and received group messages, in arrival order
+  const groupSyncTimers = useRef(new Map()); // Group ID -> { timer, resync } of a scheduled commit
+  const isPrimaryDevice = (user?.deviceId || PRIMARY_DEVICE_ID) === PRIMARY_DEVICE_ID;
+
+  // Contacts marked verified must still present the keys that were verified;
+  // on a mismatch nothing is sent to or accepted from them until the user
+  // re-verifies or accepts the new keys
+  const guardContactKeys = useCallback(async (peerId, keys) => {
+    const status = await checkContactKeys(peerId, keys);
+    if (status === 'changed') {
+      setKeyChangeWarning(peerId);
+      return false;
+    }
+    return true;
+  }, []);
+
+  // Device lists are refetched when a `devicesChanged` event drops them
+  const loadDevices = useCallback(async (userId, refresh = false) => {
+    const id = Number(userId);
+    if (!refresh && devicesCache.current.has(id)) {
+      return devicesCache.current.get(id);
+    }
+    const devices = await fetchDevices(id);
+    devicesCache.current.set(id, devices);
+    return devices;
+  }, []);
+
+  // Signature keys of the device that sent a message; an unknown device may
+  // have been linked since the list was cached
+  const findSenderDevice = useCallback(async (senderId, senderDeviceId = PRIMARY_DEVICE_ID) => {
+    let devices = await loadDevices(senderId);
+    let device = devices.find((candidate) => candidate.deviceId === senderDeviceId);
+    if (!device) {
+      devices = await loadDevices(senderId, true);
+      device = devices.find((candidate) => candidate.deviceId === senderDeviceId);
+    }
+    if (!device) {
+      throw new Error(`Unknown device ${senderDeviceId} of user ${senderId}`);
+    }
+    return { identityKeys: devices[0].keys, deviceKeys: device.keys };
+  }, [loadDevices]);
+
+  const refreshOwnDevices = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/devices`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setOwnDevices(response.data.devices || []);
+    } catch (err) {
+      console.error('Failed to fetch devices:', err);
+    }
+  }, [token]);
+
+  const sendRoute = (peerId, recipientUserId, recipientDeviceId, messageId) =>
+    sendingRoute(user, peerId, recipientUserId, recipientDeviceId, messageId);
+
+  // Devices a message is encrypted for: every device of the contact, then our
+  // own other devices so they see what this one sent
+  const getCopyTargets = async (peerId) => {
+    const [peerDevices, myDevices] = await Promise.all([loadDevices(peerId), loadDevices(user.id)]);
+    const ownDeviceId = user.deviceId || PRIMARY_DEVICE_ID;
+    return [
+      ...peerDevices.map((device) => ({ userId: peerId, device })),
+      ...myDevices
+        .filter((device) => device.deviceId !== ownDeviceId)
+        .map((device) => ({ userId: Number(user.id), device }))
+    ];
+  };
 
   // Keep ref updated with latest selectedContact and user
   useEffect(() => {
@@ -61,13 +253,127 @@ const ChatDashboard = ({ user, setIsLoggedIn, setUser }) => {
     userRef.current = user;
   }, [user]);
 
+  useEffect(() => {
+    socketRef.current = socket;
+  }, [socket]);
+
+  useEffect(() => {
+    readReceiptsRef.current = readReceipts;
+  }, [readReceipts]);
+
+  useEffect(() => {
+    disappearingTimersRef.current = disappearingTimers;
+  }, [disappearingTimers]);
+
+  useEffect(() => {
+    selectedGroupRef.current = selectedGroup;
+  }, [selectedGroup]);
+
+  // ===== Message history =====
+  // Conversations are kept in the keystore's encrypted history (see crypto.js
+  // MESSAGE HISTORY). Opening one shows its newest page and earlier pages load
+  // on demand. New messages are stored whether or not their conversation is
+  // open, and delivery status changes are stored with them. A search result
+  // opens its conversation around the message instead (pendingJumpRef)
+  const openConversation = selectedContact
+    ? `contact_${Number(selectedContact.friend_id)}`
+    : (selectedGroup ? `group_${selectedGroup.id}` : null);
+  const openConversationRef = useRef(openConversation);
+  const pendingJumpRef = useRef(null); // { conversation, historyId }
+  const [jumpRequest, setJumpRequest] = useState(0);
+
+  useEffect(() => {
+    openConversationRef.current = openConversation;
+    setMessages([]);
+    setHistoryPage({ before: Infinity, hasMore: false, loading: false });
+    if (!openConversation) return undefined;
+    const jump = pendingJumpRef.current?.conversation === openConversation ? pendingJumpRef.current : null;
+    if (jump) pendingJumpRef.current = null;
+    let cancelled = false;
+    (jump ? loadHistoryAround(openConversation, jump.historyId, { limit: HISTORY_PAGE_SIZE }) : Promise.resolve(null))
+      .then((around) => around || loadHistoryPage(openConversation, { limit: HISTORY_PAGE_SIZE }))
+      .then((page) => {
+        if (cancelled) return;
+        setMessages((prev) => mergeHistory(page.messages, prev));
+        setHistoryPage({ before: page.before, hasMore: page.hasMore, loading: false });
+        if (jump) setHighlightedMessage(jump.historyId);
+      })
+      .catch((err) => console.error('Failed to load message history:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [openConversation, jumpRequest]);
+
+  useEffect(() => {
+    if (!highlightedMessage) return undefined;
+    document.getElementById(`message-${highlightedMessage}`)?.scrollIntoView({ block: 'center' });
+    const timer = setTimeout(() => setHighlightedMessage(null), SEARCH_HIGHLIGHT_MS);
+    return () => clearTimeout(timer);
+  }, [highlightedMessage]);
+
+  // Store a new message and show it when its conversation is open
+  const recordMessage = useCallback((conversation, msg) => {
+    const entry = { ...msg, historyId: historyKey(msg) || createMessageId() };
+    saveHistoryMessage(conversation, toHistoryEntry(entry))
+      .catch((err) => console.error('Failed to save message history:', err));
+    if (openConversationRef.current === conversation) {
+      setMessages((prev) => (prev.some((shown) => historyKey(shown) === entry.historyId) ? prev : [...prev, entry]));
+    }
+  }, []);
+
+  // Change a message on screen and in history; `update` returns the message
+  // itself when nothing changes
+  const updateMessage = useCallback((historyId, update) => {
+    setMessages((prev) => prev.map((msg) => (historyKey(msg) === historyId ? update(msg) : msg)));
+    updateHistoryMessage(historyId, update)
+      .catch((err) => console.error('Failed to update message history:', err));
+  }, []);
+
+  const handleLoadEarlierMessages = async () => {
+    const conversation = openConversation;
+    if (!conversation || historyPage.loading || !historyPage.hasMore) return;
+    setHistoryPage((prev) => ({ ...prev, loading: true }));
+    try {
+      const page = await loadHistoryPage(conversation, { before: historyPage.before, limit: HISTORY_PAGE_SIZE });
+      if (openConversationRef.current !== conversation) return;
+      setMessages((prev) => mergeHistory(page.messages, prev));
+      setHistoryPage({ before: page.before, hasMore: page.hasMore, loading: false });
+    } catch (err) {
+      setHistoryPage((prev) => ({ ...prev, loading: false }));
+      setError('Failed to load earlier messages: ' + err.message);
+    }
+  };
+
+  const handleClearHistory = async () => {
+    const conversation = openConversation;
+    if (!conversation || !window.confirm('Delete this conversation\'s history on this device? Other devices keep theirs.')) {
+      return;
+    }
+    try {
+      await clearHistory(conversation);
+      if (openConversationRef.current !== conversation) return;
+      setMessages([]);
+      setHistoryPage({ before: Infinity, hasMore: false, loading: false });
+    } catch (err) {
+      setError('Failed to clear history: ' + err.message);
+    }
+  };
+
+  useEffect(() => {
+    if (!hasKeys) return undefined;
+    const purge = () => purgeExpiredHistory().catch((err) => console.error('Failed to delete expired messages:', err));
+    purge();
+    const interval = setInterval(purge, HISTORY_PURGE_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [hasKeys]);
+
   const fetchFriends = useCallback(async () => {
     if (!token) {
       console.warn('Skipping fetchFriends: no token in storage');
       return;
     }
     try {
-      const response = await axios.get(`${API_URL}/api/friends/list`, {
+      const response = await axios.get(`${API_URL}/api/friends/list?presence=true`, {
         headers: { Authorization: `Bearer ${token}` }
       });
       setFriends(response.data.friends || []);
@@ -120,7 +426,7 @@ const ChatDashboard = ({ user, setIsLoggedIn, setUser }) => {
 
     // Connect socket if not already connected
     if (!isConnected && token && user.id) {
-      connectSocket(token, user.id);
+      connectSocket(token, user.id, user.deviceId || PRIMARY_DEVICE_ID);
     }
 
     // Fetch friends list and pending requests
@@ -128,6 +434,917 @@ const ChatDashboard = ({ user, setIsLoggedIn, setUser }) => {
     fetchPendingRequests();
   }, [user, navigate, isConnected, token, connectSocket, fetchFriends, fetchPendingRequests]);
 
+  // Fetch what the mailbox held while this device was offline; runs again on
+  // every reconnect since isConnected flips back to true
+  useEffect(() => {
+    if (socket && isConnected && hasKeys) {
+      socket.emit('getUnreadMessages');
+    }
+  }, [socket, isConnected, hasKeys]);
+
+  useEffect(() => {
+    if (!token) return;
+    axios.get(`${API_URL}/api/mailbox`, {
+      headers: { Authorization: `Bearer ${token}` }
+    })
+      .then((response) => setMailboxEnabled(!!response.data.enabled))
+      .catch((err) => console.error('Failed to fetch mailbox setting:', err));
+    axios.get(`${API_URL}/api/privacy`, {
+      headers: { Authorization: `Bearer ${token}` }
+    })
+      .then((response) => {
+        setReadReceipts(response.data.readReceipts !== false);
+        setSharePresence(response.data.presence !== false);
+        setSendTypingIndicators(response.data.typingIndicators !== false);
+      })
+      .catch((err) => console.error('Failed to fetch privacy settings:', err));
+  }, [token]);
+
+  // Audit the key transparency log and monitor that our own published keys
+  // are in it; contacts' keys are checked whenever they are fetched
+  useEffect(() => {
+    if (!hasKeys || !user) return;
+
+    const audit = async () => {
+      try {
+        await auditTransparencyLog();
+        await verifyKeyInclusion(user.id, await getPublicKeys(user.username));
+      } catch (err) {
+        console.error('Key transparency audit failed:', err);
+        setError(`⚠️ Key transparency audit failed: ${err.message}. The server may be showing different keys to different users.`);
+      }
+    };
+    audit();
+    const interval = setInterval(audit, TRANSPARENCY_AUDIT_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [hasKeys, user]);
+
+  // ===== Delivery manager =====
+  // Outgoing messages wait in the offline queue until the server confirms
+  // them; see utils/deliveryQueue.js for the retry rules
+  const setDeliveryStatus = useCallback((messageId, deliveryStatus) => {
+    updateMessage(messageId, (msg) => {
+      if (!msg.isLocal || msg.deliveryStatus === deliveryStatus) return msg;
+      const current = DELIVERY_STATUS_RANK[msg.deliveryStatus] ?? 0;
+      if (current >= DELIVERY_STATUS_RANK.sent && DELIVERY_STATUS_RANK[deliveryStatus] < current) {
+        return msg; // A late retry of a message the contact already has
+      }
+      return { ...msg, deliveryStatus };
+    });
+  }, [updateMessage]);
+
+  if (!delivery.current) {
+    delivery.current = createDeliveryQueue({
+      isConnected: () => !!socketRef.current?.connected && !!userRef.current,
+      send: (peerId, messageId, copies) => socketRef.current.emit('sendMessage', {
+        senderId: userRef.current.id,
+        receiverId: peerId,
+        messageId,
+        copies
+      }),
+      resign: async (peerId, item) => {
+        const { falconSecretKey } = await getSecretKeys();
+        return Promise.all(item.copies.map((copy) => resignQueuedMessage(
+          copy,
+          sendingRoute(userRef.current, peerId, copy.userId, copy.deviceId, item.id),
+          falconSecretKey
+        )));
+      },
+      onStatus: setDeliveryStatus,
+      onFailed: (messageId, error) => setError(`Message could not be sent: ${error}`)
+    });
+  }
+
+  const flushDeliveryQueue = useCallback((peerId) => delivery.current.flush(peerId), []);
+
+  // Send what was queued while offline, on connect and on every reconnect
+  useEffect(() => {
+    if (!socket || !isConnected || !hasKeys) return;
+    friends.forEach((friend) => flushDeliveryQueue(Number(friend.friend_id)));
+  }, [socket, isConnected, hasKeys, friends, flushDeliveryQueue]);
+
+  useEffect(() => {
+    const queue = delivery.current;
+    return () => queue.dispose();
+  }, []);
+
+  useSocketEvent('messageSent', useCallback((data) => {
+    delivery.current.settle(data.messageId, { sent: true, stored: !!data.stored });
+  }, []));
+
+  const handleRetryMessage = async (messageId) => {
+    try {
+      await delivery.current.retry(messageId);
+    } catch (err) {
+      setError('Failed to queue message: ' + err.message);
+    }
+  };
+
+  // ===== Receipts =====
+  // This device sends a delivery receipt for every message it decrypts and a
+  // read receipt for messages shown in the open conversation while the page
+  // is visible, unless read receipts are turned off. Receipts for messages
+  // arriving together are batched and signed once.
+  const queueReceipt = useCallback((type, peerId, messageId) => {
+    if (!messageId || (type === 'read' && !readReceiptsRef.current)) return;
+    const batches = receiptBatches.current;
+    const key = `${type}:${peerId}`;
+    let batch = batches.get(key);
+    if (!batch) {
+      batch = { messageIds: new Set() };
+      batches.set(key, batch);
+      batch.timer = setTimeout(async () => {
+        batches.delete(key);
+        const currentUser = userRef.current;
+        if (!socket || !currentUser) return;
+        try {
+          const { falconSecretKey } = await getSecretKeys();
+          const route = {
+            senderId: Number(currentUser.id),
+            senderDeviceId: currentUser.deviceId || PRIMARY_DEVICE_ID,
+            receiverId: peerId
+          };
+          const messageIds = [...batch.messageIds];
+          for (let i = 0; i < messageIds.length; i += MAX_RECEIPT_MESSAGE_IDS) {
+            const receipt = await signReceipt(type, messageIds.slice(i, i + MAX_RECEIPT_MESSAGE_IDS), route, falconSecretKey);
+            socket.emit('sendReceipt', receipt);
+          }
+        } catch (err) {
+          console.error(`Failed to send ${type} receipt:`, err);
+        }
+      }, RECEIPT_BATCH_MS);
+    }
+    batch.messageIds.add(messageId);
+  }, [socket]);
+
+  useEffect(() => {
+    const batches = receiptBatches.current;
+    return () => {
+      batches.forEach((batch) => clearTimeout(batch.timer));
+      batches.clear();
+    };
+  }, []);
+
+  useEffect(() => {
+    const onVisibilityChange = () => setPageVisible(document.visibilityState === 'visible');
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', onVisibilityChange);
+  }, []);
+
+  useEffect(() => {
+    if (!selectedContact || !pageVisible || !readReceipts) return;
+    const peerId = Number(selectedContact.friend_id);
+    messages.forEach((msg) => {
+      if (msg.isLocal || !msg.messageId || Number(msg.senderId) !== peerId || readReceiptsSent.current.has(msg.messageId)) {
+        return;
+      }
+      readReceiptsSent.current.add(msg.messageId);
+      queueReceipt('read', peerId, msg.messageId);
+    });
+  }, [messages, selectedContact, pageVisible, readReceipts, queueReceipt]);
+
+  // Receipts from the contact's devices move the ticks of our messages to them
+  useSocketEvent('messageReceipt', useCallback(async (data) => {
+    const currentUser = userRef.current;
+    if (!currentUser || !['delivered', 'read'].includes(data.type) || !Array.isArray(data.messageIds)) return;
+    if (data.type === 'read' && !readReceiptsRef.current) return;
+    try {
+      const { deviceKeys } = await findSenderDevice(Number(data.senderId), data.senderDeviceId || PRIMARY_DEVICE_ID);
+      if (!(await verifyReceipt(data, currentUser.id, deviceKeys))) {
+        console.warn(`Ignoring receipt with an invalid signature from user ${data.senderId}`);
+        return;
+      }
+      const advance = (msg) => (
+        msg.isLocal && Number(msg.receiverId) === Number(data.senderId) &&
+          (DELIVERY_STATUS_RANK[msg.deliveryStatus] ?? 0) < DELIVERY_STATUS_RANK[data.type]
+          ? { ...msg, deliveryStatus: data.type }
+          : msg
+      );
+      new Set(data.messageIds).forEach((messageId) => updateMessage(messageId, advance));
+    } catch (err) {
+      console.error('Failed to verify receipt:', err);
+    }
+  }, [findSenderDevice, updateMessage]));
+
+  const handleUpdatePrivacy = async (changes) => {
+    try {
+      const response = await axios.put(`${API_URL}/api/privacy`, changes, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setReadReceipts(response.data.readReceipts !== false);
+      setSharePresence(response.data.presence !== false);
+      setSendTypingIndicators(response.data.typingIndicators !== false);
+      if (changes.presence !== undefined) {
+        fetchFriends(); // Presence is reciprocal: friends' presence appears or disappears too
+      }
+    } catch (err) {
+      setError('Failed to update privacy settings: ' + (err.response?.data?.msg || err.message));
+    }
+  };
+
+  // A friend came online, went offline or changed what they share
+  useSocketEvent('presence', useCallback((data) => {
+    const userId = Number(data.userId);
+    setFriends((prev) => prev.map((friend) => (
+      Number(friend.friend_id) === userId
+        ? { ...friend, online: data.online, last_seen_at: data.lastSeenAt }
+        : friend
+    )));
+    if (data.online) {
+      flushDeliveryQueue(userId);
+    }
+  }, [flushDeliveryQueue]));
+
+  // ===== Disappearing messages =====
+  // A conversation's timer is a signed control message (see crypto.js
+  // DISAPPEARING MESSAGES); the newest verified one applies. Messages added to
+  // a conversation with a timer carry the time they expire at and are swept
+  // from the open conversation once it passed; the server drops mailbox
+  // copies on the same timer
+  const expiryFor = useCallback((peerId) => {
+    const ttlMs = disappearingTimersRef.current[Number(peerId)]?.ttlMs || 0;
+    return ttlMs > 0 ? Date.now() + ttlMs : undefined;
+  }, []);
+
+  // Verify a timer from the server and keep it when it is the newest; returns
+  // the friend it applies to, or null when it was not applied
+  const applyDisappearingTimer = useCallback(async (timer) => {
+    const currentUser = userRef.current;
+    if (!currentUser) return null;
+    const senderId = Number(timer.senderId);
+    const peerId = senderId === Number(currentUser.id) ? Number(timer.receiverId) : senderId;
+    const current = disappearingTimersRef.current[peerId];
+    if (current && current.setAt >= timer.setAt) return null;
+
+    const { deviceKeys } = await findSenderDevice(senderId, timer.senderDeviceId || PRIMARY_DEVICE_ID);
+    if (!(await verifyDisappearingTimer(timer, currentUser.id, deviceKeys))) {
+      console.warn(`Disappearing timer from ${senderId} rejected: invalid signature`);
+      return null;
+    }
+    const verified = { ttlMs: timer.ttlMs, setAt: timer.setAt, senderId };
+    disappearingTimersRef.current = { ...disappearingTimersRef.current, [peerId]: verified };
+    setDisappearingTimers((prev) => (prev[peerId]?.setAt >= timer.setAt ? prev : { ...prev, [peerId]: verified }));
+    return peerId;
+  }, [findSenderDevice]);
+
+  useEffect(() => {
+    if (!token || !user) return;
+    axios.get(`${API_URL}/api/privacy/timers`, {
+      headers: { Authorization: `Bearer ${token}` }
+    })
+      .then(async (response) => {
+        for (const timer of response.data.timers || []) {
+          await applyDisappearingTimer(timer).catch((err) => console.error('Failed to verify disappearing timer:', err));
+        }
+      })
+      .catch((err) => console.error('Failed to fetch disappearing timers:', err));
+  }, [token, user, applyDisappearingTimer]);
+
+  useSocketEvent('disappearingTimer', useCallback(async (data) => {
+    try {
+      const peerId = await applyDisappearingTimer(data);
+      if (peerId === null) return;
+      const setter = Number(data.senderId) === Number(userRef.current?.id)
+        ? 'You'
+        : friends.find((friend) => Number(friend.friend_id) === peerId)?.username || `User ${peerId}`;
+      recordMessage(`contact_${peerId}`, {
+        historyId: `timer_${peerId}_${data.setAt}`,
+        isNotice: true,
+        message: data.ttlMs > 0
+          ? `${setter} set disappearing messages to ${describeDisappearingTimer(data.ttlMs)}`
+          : `${setter} turned off disappearing messages`,
+        timestamp: new Date(data.setAt).toISOString()
+      });
+    } catch (err) {
+      console.error('Failed to apply disappearing timer:', err);
+    }
+  }, [applyDisappearingTimer, friends, recordMessage]));
+
+  // The change applies once the server relays it back to this device
+  const handleSetDisappearingTimer = async (ttlMs) => {
+    if (!socket || !selectedContact || !user) return;
+    try {
+      const { falconSecretKey } = await getSecretKeys();
+      socket.emit('setDisappearingTimer', await signDisappearingTimer(ttlMs, {
+        senderId: Number(user.id),
+        senderDeviceId: user.deviceId || PRIMARY_DEVICE_ID,
+        receiverId: Number(selectedContact.friend_id)
+      }, falconSecretKey));
+    } catch (err) {
+      setError('Failed to set disappearing messages: ' + err.message);
+    }
+  };
+
+  const hasExpiringMessages = messages.some((msg) => msg.expiresAt);
+  useEffect(() => {
+    if (!hasExpiringMessages) return;
+    const sweep = setInterval(() => {
+      const now = Date.now();
+      setMessages((prev) => (prev.some((msg) => msg.expiresAt <= now)
+        ? prev.filter((msg) => !(msg.expiresAt <= now))
+        : prev));
+    }, DISAPPEARING_SWEEP_MS);
+    return () => clearInterval(sweep);
+  }, [hasExpiringMessages]);
+
+  // ===== Typing indicators =====
+  const stopTyping = useCallback(() => {
+    const typing = typingRef.current;
+    clearTimeout(typing.idleTimer);
+    if (typing.peerId !== null) {
+      socket?.emit('typing:stop', { receiverId: typing.peerId });
+    }
+    typingRef.current = { peerId: null, lastStartAt: 0, idleTimer: null };
+  }, [socket]);
+
+  const handleMessageTextChange = (e) => {
+    setMessageText(e.target.value);
+    if (!socket || !selectedContact || !sendTypingIndicators) return;
+    if (!e.target.value) {
+      stopTyping();
+      return;
+    }
+
+    const peerId = Number(selectedContact.friend_id);
+    if (typingRef.current.peerId !== null && typingRef.current.peerId !== peerId) {
+      stopTyping();
+    }
+    const typing = typingRef.current;
+    const now = Date.now();
+    if (typing.peerId !== peerId || now - typing.lastStartAt >= TYPING_REFRESH_MS) {
+      socket.emit('typing:start', { receiverId: peerId });
+      typing.peerId = peerId;
+      typing.lastStartAt = now;
+    }
+    clearTimeout(typing.idleTimer);
+    typing.idleTimer = setTimeout(stopTyping, TYPING_IDLE_MS);
+  };
+
+  // Leaving a conversation, or opting out, ends our indicator
+  useEffect(() => () => stopTyping(), [selectedContact, sendTypingIndicators, stopTyping]);
+
+  const clearTypingFrom = useCallback((userId) => {
+    clearTimeout(typingTimers.current.get(userId));
+    typingTimers.current.delete(userId);
+    setTypingFrom((prev) => {
+      if (!prev[userId]) return prev;
+      const next = { ...prev };
+      delete next[userId];
+      return next;
+    });
+  }, []);
+
+  useSocketEvent('typing:start', useCallback((data) => {
+    const userId = Number(data.userId);
+    clearTimeout(typingTimers.current.get(userId));
+    typingTimers.current.set(userId, setTimeout(() => clearTypingFrom(userId), TYPING_DISPLAY_MS));
+    setTypingFrom((prev) => (prev[userId] ? prev : { ...prev, [userId]: true }));
+  }, [clearTypingFrom]));
+
+  useSocketEvent('typing:stop', useCallback((data) => {
+    clearTypingFrom(Number(data.userId));
+  }, [clearTypingFrom]));
+
+  useEffect(() => {
+    const timers = typingTimers.current;
+    return () => {
+      timers.forEach((timer) => clearTimeout(timer));
+      timers.clear();
+    };
+  }, []);
+
+  // ===== Groups =====
+  // Member devices agree on the group's keys with a ratchet tree (see
+  // crypto.js GROUP RATCHET TREE). The server relays commits and accepts one
+  // per epoch: a device first applies every commit it missed, then commits
+  // what differs between the tree and the members' device lists (after a
+  // random delay for changes it was told about, so usually one device commits
+  // for all). A device that cannot follow the tree asks the others to welcome
+  // it again. Group messages are encrypted once with this device's sender
+  // chain for the epoch. Sends are serialized; tree updates and received group
+  // messages are handled in arrival order, so a message waits for the commit
+  // that preceded it.
+  const fetchGroups = useCallback(async () => {
+    if (!token) return [];
+    try {
+      const response = await axios.get(`${API_URL}/api/groups`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const list = response.data.groups || [];
+      setGroups(list);
+      return list;
+    } catch (err) {
+      console.error('Failed to fetch groups:', err);
+      return [];
+    }
+  }, [token]);
+
+  const loadGroup = useCallback(async (groupId) => {
+    const response = await axios.get(`${API_URL}/api/groups/${groupId}`, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  }, [token]);
+
+  const awaitGroupResult = useCallback((key) => new Promise((resolve) => {
+    const waiting = groupWaiting.current;
+    const settle = (result) => {
+      clearTimeout(timer);
+      waiting.delete(key);
+      resolve(result);
+    };
+    const timer = setTimeout(() => settle({ error: 'No response from server' }), DELIVERY_ACK_TIMEOUT_MS);
+    waiting.set(key, settle);
+  }), []);
+
+  const inGroupOrder = useCallback((work) => {
+    groupReceiving.current = groupReceiving.current.catch(() => {}).then(work);
+    return groupReceiving.current;
+  }, []);
+
+  // Directory lookups that commits and welcome trees are checked against
+  // (processGroupCommit); membership is read once per use
+  const groupDirectory = useCallback((groupId) => {
+    let members = null;
+    const deviceKeys = async (userId, deviceId, refresh = false) => {
+      const devices = await loadDevices(userId, refresh);
+      return devices.find((device) => device.deviceId === (deviceId || PRIMARY_DEVICE_ID))?.keys || null;
+    };
+    return {
+      deviceKeys,
+      isMemberDevice: async (userId, deviceId) => {
+        members = members || loadGroup(groupId).then((group) => new Set(group.members.map((member) => Number(member.userId))));
+        if (!(await members).has(Number(userId))) return false;
+        // A device unlinked since its list was cached is not a member device anymore
+        return !!(await deviceKeys(userId, deviceId, true));
+      }
+    };
+  }, [loadDevices, loadGroup]);
+
+  // Apply the commits this device missed, joining with a welcome when it has
+  // no tree, was taken out of it, or cannot follow it anymore. Callers keep
+  // group order. Returns the server's epoch and this device's (null without a tree)
+  const applyGroupHandshakes = useCallback(async (groupId) => {
+    const currentUser = userRef.current;
+    const ownDeviceId = currentUser.deviceId || PRIMARY_DEVICE_ID;
+    const tree = await getGroupTreeMembers(groupId);
+    const response = await axios.get(`${API_URL}/api/groups/${groupId}/handshakes`, {
+      params: { deviceId: ownDeviceId, after: tree ? tree.epoch : undefined },
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    const { epoch, commits, welcomes } = response.data;
+    const secretKeys = await getSecretKeys();
+    const directory = groupDirectory(groupId);
+
+    const committerKeys = async (commit) => {
+      const senderId = Number(commit.senderId);
+      const { identityKeys, deviceKeys } = await findSenderDevice(senderId, commit.senderDeviceId || PRIMARY_DEVICE_ID);
+      if (senderId !== Number(currentUser.id) && !(await guardContactKeys(senderId, identityKeys))) {
+        throw new Error(`Commit from ${senderId} blocked: keys changed since verification`);
+      }
+      return deviceKeys;
+    };
+    const commitsByEpoch = new Map(commits.map((commit) => [commit.epoch, commit]));
+    const join = async (welcome) => {
+      const commit = commitsByEpoch.get(welcome.epoch);
+      if (!commit) {
+        throw new Error(`Commit of epoch ${welcome.epoch} is no longer stored`);
+      }
+      return processGroupWelcome(groupId, welcome, commit, secretKeys, await committerKeys(commit), {
+        senderId: Number(commit.senderId),
+        senderDeviceId: commit.senderDeviceId || PRIMARY_DEVICE_ID,
+        receiverId: Number(currentUser.id),
+        recipientUserId: Number(currentUser.id),
+        recipientDeviceId: ownDeviceId,
+        stored: true
+      }, directory);
+    };
+
+    let current = tree ? tree.epoch : null;
+    let floor = current ?? 0; // Welcomes older than this cannot bring the tree forward
+    const untried = [...welcomes];
+    while (current !== epoch) {
+      const commit = current === null ? null : commitsByEpoch.get(current);
+      if (commit) {
+        try {
+          const result = await processGroupCommit(groupId, commit, secretKeys, await committerKeys(commit), directory);
+          if (!result.removed) {
+            current = result.epoch;
+            floor = current;
+            continue;
+          }
+        } catch (err) {
+          console.error(`Failed to apply commit ${commit.epoch} of group ${groupId}:`, err);
+        }
+      }
+      while (untried.length > 0 && untried[0].epoch < floor) untried.shift();
+      const welcome = untried.pop();
+      current = null;
+      if (!welcome) break;
+      try {
+        current = await join(welcome);
+        floor = current;
+      } catch (err) {
+        console.error(`Failed to join group ${groupId} at epoch ${welcome.epoch + 1}:`, err);
+      }
+    }
+
+    if (current !== epoch && epoch > 0) {
+      console.warn(`This device cannot follow the keys of group ${groupId}; asking to be welcomed again`);
+      socket?.emit('requestGroupResync', { groupId });
+    }
+    return { epoch, treeEpoch: current === epoch ? current : null };
+  }, [socket, token, findSenderDevice, guardContactKeys, groupDirectory]);
+
+  // Leaves to remove and devices to add so the tree holds exactly the
+  // members' devices, once each and with their own keys; devices that asked
+  // to be welcomed again are replaced
+  const getGroupChanges = useCallback(async (group, tree, resync) => {
+    const currentUser = userRef.current;
+    const ownAddress = deviceAddress(currentUser.id, currentUser.deviceId || PRIMARY_DEVICE_ID);
+    const lists = await Promise.all(group.members.map((member) => loadDevices(member.userId)));
+    const wanted = new Map();
+    for (const [index, member] of group.members.entries()) {
+      if (member.userId !== Number(currentUser.id) && !(await guardContactKeys(member.userId, lists[index][0].keys))) {
+        throw new Error(`${member.username}'s keys changed since you verified them`);
+      }
+      lists[index].forEach((device) => wanted.set(deviceAddress(member.userId, device.deviceId), { userId: member.userId, device }));
+    }
+
+    const replaced = new Set(resync.map(({ userId, deviceId }) => deviceAddress(userId, deviceId)));
+    const present = new Set([ownAddress]);
+    const removes = [];
+    for (const leaf of tree.leaves) {
+      if (leaf.leaf === tree.ownLeaf) continue;
+      const address = deviceAddress(leaf.userId, leaf.deviceId);
+      if (!wanted.has(address) || replaced.has(address) || present.has(address) ||
+          !(await isGenuineGroupLeaf(group.id, leaf, wanted.get(address).device.keys))) {
+        removes.push(leaf.leaf);
+      } else {
+        present.add(address);
+      }
+    }
+    const adds = [...wanted].filter(([address]) => !present.has(address)).map(([, entry]) => entry);
+    return { adds, removes };
+  }, [loadDevices, guardContactKeys]);
+
+  // Bring this device's tree up to date and commit the changes it finds. A
+  // new group's tree is created by one of its admin's devices
+  const syncGroup = useCallback((groupId, resync = []) => inGroupOrder(async () => {
+    const currentUser = userRef.current;
+    if (!currentUser) return;
+    const sender = { senderId: Number(currentUser.id), senderDeviceId: currentUser.deviceId || PRIMARY_DEVICE_ID };
+
+    for (let attempt = 0; attempt < MAX_GROUP_COMMIT_ATTEMPTS; attempt += 1) {
+      const { epoch, treeEpoch } = await applyGroupHandshakes(groupId);
+      const group = await loadGroup(groupId);
+      let tree = treeEpoch === null ? null : await getGroupTreeMembers(groupId);
+      const isCreating = !tree && epoch === 0 &&
+        group.members.some((member) => member.userId === sender.senderId && member.role === 'admin');
+      if (isCreating) {
+        tree = { epoch: 0, ownLeaf: 0, leaves: [{ leaf: 0, userId: sender.senderId, deviceId: sender.senderDeviceId }] };
+      }
+      if (!tree) return;
+
+      const changes = await getGroupChanges(group, tree, resync);
+      if (!isCreating && changes.adds.length === 0 && changes.removes.length === 0) return;
+      const { falconSecretKey } = await getSecretKeys();
+      const commit = await createGroupCommit(groupId, epoch, changes, falconSecretKey, sender);
+      try {
+        await axios.post(`${API_URL}/api/groups/${groupId}/commits`, commit, {
+          headers: { Authorization: `Bearer ${token}` }
+        });
+      } catch (err) {
+        // Another device committed first: apply its commit and look again
+        if (err.response?.status === 409) continue;
+        throw err;
+      }
+      await confirmGroupCommit(groupId, commit.signature);
+      return;
+    }
+    throw new Error('The group kept changing; try again');
+  }), [token, inGroupOrder, applyGroupHandshakes, loadGroup, getGroupChanges]);
+
+  const scheduleGroupSync = useCallback((groupId, resync = []) => {
+    const id = Number(groupId);
+    const scheduled = groupSyncTimers.current.get(id);
+    if (scheduled) clearTimeout(scheduled.timer);
+    const merged = [...(scheduled?.resync || []), ...resync];
+    const timer = setTimeout(() => {
+      groupSyncTimers.current.delete(id);
+      syncGroup(id, merged).catch((err) => console.error(`Failed to update the keys of group ${id}:`, err));
+    }, GROUP_COMMIT_DELAY_MS + Math.random() * GROUP_COMMIT_JITTER_MS);
+    groupSyncTimers.current.set(id, { timer, resync: merged });
+  }, [syncGroup]);
+
+  useEffect(() => {
+    const timers = groupSyncTimers.current;
+    return () => {
+      timers.forEach(({ timer }) => clearTimeout(timer));
+      timers.clear();
+    };
+  }, []);
+
+  // Catch up with every group's tree; commits made while offline wait on the server
+  useEffect(() => {
+    if (!user) return;
+    fetchGroups().then((list) => list.forEach((group) => scheduleGroupSync(group.id)));
+  }, [user, fetchGroups, scheduleGroupSync]);
+
+  const openGroup = async (groupId) => {
+    try {
+      const group = await loadGroup(groupId);
+      setSelectedContact(null);
+      setSelectedGroup(group);
+      syncGroup(groupId).catch((err) => console.error(`Failed to update the keys of group ${groupId}:`, err));
+    } catch (err) {
+      setError('Failed to open group: ' + (err.response?.data?.msg || err.message));
+    }
+  };
+
+  const openContact = (friend) => {
+    setSelectedGroup(null);
+    setSelectedContact(friend);
+  };
+
+  // ===== Message search =====
+  // Searches the encrypted history of every conversation on this device (see
+  // crypto.js MESSAGE SEARCH); nothing is sent to the server
+  const handleSearchMessages = async (e) => {
+    e.preventDefault();
+    if (!messageSearch.trim()) {
+      setSearchResults(null);
+      return;
+    }
+    setSearching(true);
+    try {
+      setSearchResults(await searchHistory(messageSearch));
+    } catch (err) {
+      setError('Failed to search messages: ' + err.message);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const describeConversation = (conversation) => {
+    const [type, id] = conversation.split('_');
+    if (type === 'group') {
+      return `👥 ${groups.find((group) => group.id === Number(id))?.name || `Group ${id}`}`;
+    }
+    return friends.find((friend) => Number(friend.friend_id) === Number(id))?.username || `User ${id}`;
+  };
+
+  // Open the result's conversation scrolled to the message
+  const handleOpenSearchResult = ({ conversation, message }) => {
+    const [type, id] = conversation.split('_');
+    const friend = type === 'contact' && friends.find((candidate) => Number(candidate.friend_id) === Number(id));
+    if (type === 'contact' && !friend) {
+      setError('This conversation is no longer in your friends list');
+      return;
+    }
+    pendingJumpRef.current = { conversation, historyId: message.historyId };
+    setJumpRequest((count) => count + 1);
+    if (friend) {
+      openContact(friend);
+    } else {
+      openGroup(Number(id));
+    }
+  };
+
+  // Whether this device has no tree or it holds leaves of users who are no
+  // longer members
+  const hasRemovedMembers = useCallback(async (groupId) => {
+    const [group, tree] = await Promise.all([loadGroup(groupId), getGroupTreeMembers(groupId)]);
+    const memberIds = new Set(group.members.map((member) => Number(member.userId)));
+    return !tree || tree.leaves.some(({ userId }) => !memberIds.has(Number(userId)));
+  }, [loadGroup]);
+
+  // Send with the tree's current epoch; a stale epoch (a commit was accepted
+  // meanwhile) applies the group's commits and sends once more. Removed
+  // members are committed out first: the epoch secret they hold must not
+  // protect new messages, whatever the relay does with them
+  const sendGroupText = useCallback(async (groupId, text, messageId) => {
+    const currentUser = userRef.current;
+    const sender = { senderId: Number(currentUser.id), senderDeviceId: currentUser.deviceId || PRIMARY_DEVICE_ID };
+    const { falconSecretKey } = await getSecretKeys();
+
+    for (let attempt = 0; attempt < 2; attempt += 1) {
+      if (attempt > 0 || (await hasRemovedMembers(groupId))) {
+        await syncGroup(groupId);
+        if (await hasRemovedMembers(groupId)) {
+          throw new Error('The group\'s keys could not be updated for its current members; try again');
+        }
+      }
+      const payload = await encryptGroupMessage(groupId, text, messageId, falconSecretKey, sender);
+      const response = awaitGroupResult(`message:${messageId}`);
+      socket.emit('sendGroupMessage', payload);
+      const result = await response;
+      if (result.staleEpoch) continue;
+      if (!result.sent) throw new Error(result.error);
+      return;
+    }
+    throw new Error('The group changed while sending; try again');
+  }, [socket, syncGroup, awaitGroupResult, hasRemovedMembers]);
+
+  const queueGroupSend = async (groupId, text, messageId) => {
+    const send = groupSending.current.catch(() => {}).then(() => sendGroupText(groupId, text, messageId));
+    groupSending.current = send;
+    setDeliveryStatus(messageId, 'sending');
+    try {
+      await send;
+      setDeliveryStatus(messageId, 'sent');
+    } catch (err) {
+      console.error('Failed to send group message:', err);
+      setDeliveryStatus(messageId, 'failed');
+      setError('Group message could not be sent: ' + err.message);
+    }
+  };
+
+  const handleRetryGroupMessage = (msg) => queueGroupSend(msg.groupId, msg.message, msg.messageId);
+
+  useSocketEvent('groupMessageSent', useCallback((data) => {
+    groupWaiting.current.get(`message:${data.messageId}`)?.({ sent: true });
+  }, []));
+
+  useSocketEvent('groupMessageError', useCallback((data) => {
+    const settle = data.messageId && groupWaiting.current.get(`message:${data.messageId}`);
+    if (settle) {
+      settle({ error: data.error, staleEpoch: !!data.staleEpoch });
+      return;
+    }
+    setError(data.error);
+  }, []));
+
+  useSocketEvent('receiveGroupMessage', useCallback((data) => inGroupOrder(async () => {
+    const currentUser = userRef.current;
+    if (!currentUser) return;
+    try {
+      const senderId = Number(data.senderId);
+      const senderDeviceId = data.senderDeviceId || PRIMARY_DEVICE_ID;
+      const isSync = senderId === Number(currentUser.id);
+      const { identityKeys, deviceKeys } = await findSenderDevice(senderId, senderDeviceId);
+      if (!isSync && !(await guardContactKeys(senderId, identityKeys))) {
+        console.warn(`Group message from ${senderId} blocked: keys changed since verification`);
+        return;
+      }
+
+      let text = await decryptGroupMessage(data, deviceKeys);
+      if (text === null) {
+        // Sent in an epoch this device has not reached yet
+        await applyGroupHandshakes(data.groupId);
+        text = await decryptGroupMessage(data, deviceKeys);
+      }
+      if (text === null) {
+        console.warn(`Group ${data.groupId} message of epoch ${data.epoch} cannot be decrypted by this device`);
+        return;
+      }
+
+      const groupId = Number(data.groupId);
+      recordMessage(`group_${groupId}`, {
+        senderId: isSync ? currentUser.id : senderId,
+        senderName: data.senderName,
+        message: text,
+        timestamp: data.timestamp,
+        isLocal: isSync,
+        messageId: data.messageId,
+        groupId,
+        deliveryStatus: isSync ? 'sent' : undefined
+      });
+      if (!isSync && selectedGroupRef.current?.id !== groupId) {
+        const group = groups.find((candidate) => candidate.id === groupId);
+        setNotification({
+          type: 'group-message',
+          groupId,
+          senderId,
+          senderName: `${data.senderName || `User ${senderId}`}${group ? ` in ${group.name}` : ''}`,
+          preview: text.substring(0, 50) + (text.length > 50 ? '...' : ''),
+          timestamp: new Date().toLocaleTimeString()
+        });
+      }
+    } catch (err) {
+      console.error('Group message decryption failed:', err);
+      setError('Failed to decrypt group message');
+    }
+  }), [groups, inGroupOrder, applyGroupHandshakes, findSenderDevice, guardContactKeys, recordMessage]));
+
+  // A commit was accepted: apply it before the messages that follow it
+  useSocketEvent('groupHandshake', useCallback(async (data) => {
+    const groupId = Number(data.groupId);
+    try {
+      await inGroupOrder(() => applyGroupHandshakes(groupId));
+      if (selectedGroupRef.current?.id === groupId) {
+        setSelectedGroup(await loadGroup(groupId));
+      }
+    } catch (err) {
+      console.error(`Failed to apply the commits of group ${groupId}:`, err);
+    }
+  }, [inGroupOrder, applyGroupHandshakes, loadGroup]));
+
+  // A member device cannot follow the tree: the next commit replaces its leaf
+  // and welcomes it again
+  useSocketEvent('groupResync', useCallback((data) => {
+    scheduleGroupSync(data.groupId, [{ userId: Number(data.userId), deviceId: data.deviceId || PRIMARY_DEVICE_ID }]);
+  }, [scheduleGroupSync]));
+
+  // Membership changed: a commit brings the tree in line. A removed member
+  // (epoch null) drops the group and its keys
+  useSocketEvent('groupUpdated', useCallback(async (data) => {
+    const groupId = Number(data.groupId);
+    fetchGroups();
+    if (data.epoch === null) {
+      forgetGroupKeys(groupId).catch((err) => console.error('Failed to delete group keys:', err));
+      if (selectedGroupRef.current?.id === groupId) {
+        setSelectedGroup(null);
+        setShowGroupMembers(false);
+      }
+      return;
+    }
+    scheduleGroupSync(groupId);
+    if (selectedGroupRef.current?.id === groupId) {
+      try {
+        setSelectedGroup(await loadGroup(groupId));
+      } catch (err) {
+        console.error('Failed to refresh group:', err);
+      }
+    }
+  }, [fetchGroups, loadGroup, scheduleGroupSync]));
+
+  const handleCreateGroup = async (e) => {
+    e.preventDefault();
+    if (!newGroupName.trim() || newGroupMembers.length === 0) return;
+    setGroupBusy(true);
+    try {
+      const response = await axios.post(`${API_URL}/api/groups`, {
+        name: newGroupName.trim(),
+        memberIds: newGroupMembers
+      }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setShowCreateGroup(false);
+      setNewGroupName('');
+      setNewGroupMembers([]);
+      fetchGroups();
+      setSelectedContact(null);
+      setSelectedGroup(response.data);
+      await syncGroup(response.data.id);
+    } catch (err) {
+      setError('Failed to create group: ' + (err.response?.data?.msg || err.message));
+    } finally {
+      setGroupBusy(false);
+    }
+  };
+
+  const toggleNewGroupMember = (friendId) => {
+    const id = Number(friendId);
+    setNewGroupMembers((prev) => (prev.includes(id) ? prev.filter((member) => member !== id) : [...prev, id]));
+  };
+
+  const handleAddGroupMember = async (friendId) => {
+    setGroupBusy(true);
+    try {
+      const response = await axios.post(`${API_URL}/api/groups/${selectedGroup.id}/members`, {
+        userIds: [Number(friendId)]
+      }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setSelectedGroup(response.data);
+      fetchGroups();
+      await syncGroup(response.data.id);
+    } catch (err) {
+      setError('Failed to add member: ' + (err.response?.data?.msg || err.message));
+    } finally {
+      setGroupBusy(false);
+    }
+  };
+
+  // Removes a member, or leaves the group when userId is our own
+  const handleRemoveGroupMember = async (userId) => {
+    const groupId = selectedGroup.id;
+    const isLeaving = Number(userId) === Number(user.id);
+    if (isLeaving && !window.confirm(`Leave ${selectedGroup.name}? You will not receive its messages anymore.`)) {
+      return;
+    }
+    setGroupBusy(true);
+    try {
+      const response = await axios.delete(`${API_URL}/api/groups/${groupId}/members/${userId}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      if (isLeaving) {
+        await forgetGroupKeys(groupId);
+        setShowGroupMembers(false);
+        setSelectedGroup(null);
+      } else if (response.data.group) {
+        setSelectedGroup(response.data.group);
+        await syncGroup(groupId);
+      }
+      fetchGroups();
+    } catch (err) {
+      setError('Failed to update group: ' + (err.response?.data?.msg || err.message));
+    } finally {
+      setGroupBusy(false);
+    }
+  };
+
   // Socket event listeners using custom hook
   // eslint-disable-next-line react-hooks/exhaustive-deps
   useSocketEvent('receiveMessage', useCallback(async (data) => {
@@ -166,6 +1383,14 @@ const ChatDashboard = ({ user, setIsLoggedIn, setUser }) => {
       contactSelected: !!currentContact
     });
     
+    // Mailbox messages are deleted once handled, whether they decrypted or
+    // not; a retry could not succeed either
+    const ackMailbox = () => {
+      if (data.mailboxId) {
+        socket?.emit('mailboxAck', { mailboxIds: [data.mailboxId] });
+      }
+    };
+
     if (isRelevantMessage) {
       try {
         console.log('🔐 Starting message decryption...');
@@ -186,58 +1411,94 @@ const ChatDashboard = ({ user, setIsLoggedIn, setUser }) => {
           return;
         }
 
-        // Get sender's public key for signature verification (use cache first)
-        console.log(`📡 Fetching sender's public key (ID: ${data.senderId})...`);
-        
-        let senderPublicKey;
-        
-        // Check if sender's public key is already cached
-        if (publicKeyCache.current.has(data.senderId)) {
-          senderPublicKey = publicKeyCache.current.get(data.senderId);
-          console.log('✓ Sender public key retrieved from cache');
-        } else {
-          // Fetch from API only if not cached (include JWT for authentication)
-          const token = localStorage.getItem('token');
-          const senderResponse = await axios.get(`${API_URL}/api/users/${data.senderId}/keys`, {
-            headers: { Authorization: `Bearer ${token}` }
-          });
-          senderPublicKey = senderResponse.data.falconPublicKey;
-          // Cache the public key for future messages from this sender
-          publicKeyCache.current.set(data.senderId, senderPublicKey);
-          console.log('✓ Sender public key retrieved from API and cached');
+        // Signature keys of the sending device; copies from our own other
+        // devices (sent messages kept in sync) are not checked against a contact
+        const senderId = Number(data.senderId);
+        const senderDeviceId = data.senderDeviceId || PRIMARY_DEVICE_ID;
+        const isSync = senderId === Number(currentUser.id);
+        const { identityKeys, deviceKeys } = await findSenderDevice(senderId, senderDeviceId);
+        const senderPublicKeys = {
+          falconPublicKey: deviceKeys.falconPublicKey,
+          signatureAlgorithm: deviceKeys.signatureAlgorithm
+        };
+
+        if (!isSync && !(await guardContactKeys(senderId, identityKeys))) {
+          console.warn(`Message from ${senderId} blocked: keys changed since verification`);
+          ackMailbox();
+          return;
+        }
+
+        // A copy seen before (a retry whose confirmation was lost) would not
+        // decrypt again; the sender only needs the receipt
+        const receivedKey = `${senderId}:${data.id}`;
+        if (receivedMessageIds.current.has(receivedKey)) {
+          ackMailbox();
+          if (!isSync) {
+            queueReceipt('delivered', senderId, data.id);
+          }
+          return;
         }
 
         // Create message bundle for decryption
         const messageBundle = {
+          v: data.v,
+          suite: data.suite,
+          ratchet: data.ratchet,
           kyberCiphertext: data.kyberCiphertext,
+          ephemeralPublicKey: data.ephemeralPublicKey,
           encryptedMessage: data.encryptedMessage,
           iv: data.iv,
           authTag: data.authTag,
+          sentAt: data.sentAt,
+          nonce: data.nonce,
           signature: data.signature
         };
 
-        // Get JWT token for decapsulation
-        const token = localStorage.getItem('token');
-        if (!token) {
-          throw new Error('No JWT token found - user may be logged out');
-        }
-
-        // Decrypt the message
+        // Decrypt the message (decapsulation uses the keystore secret key)
         console.log('🔓 Decrypting message...');
-        const decryptedText = await verifyAndDecryptMessage(
+        const decryptedText = await decryptSessionMessage(
+          deviceAddress(senderId, senderDeviceId),
           messageBundle,
-          token,
-          senderPublicKey
+          userKeys,
+          senderPublicKeys,
+          receivedRoute(currentUser, senderId, senderDeviceId, data.receiverId, isSync, !!data.mailboxId, data.id)
         );
+        ackMailbox();
+        receivedMessageIds.current.add(receivedKey);
+        if (receivedMessageIds.current.size > MAX_REMEMBERED_MESSAGE_IDS) {
+          receivedMessageIds.current.delete(receivedMessageIds.current.values().next().value);
+        }
+        if (!isSync) {
+          queueReceipt('delivered', senderId, data.id);
+        }
         
         console.log('✓ Message decrypted successfully');
 
         // Create message object with decrypted text
         const decryptedMessage = {
           ...data,
-          message: decryptedText // Replace encrypted message with decrypted text
+          senderId: isSync ? currentUser.id : data.senderId,
+          message: decryptedText, // Replace encrypted message with decrypted text
+          isLocal: isSync,
+          messageId: data.id,
+          deliveryStatus: isSync ? 'sent' : undefined,
+          expiresAt: expiryFor(isSync ? data.receiverId : senderId)
         };
 
+        if (isSync) {
+          // Sent from another of our devices: keep it in that conversation
+          recordMessage(`contact_${Number(data.receiverId)}`, decryptedMessage);
+          return;
+        }
+        recordMessage(`contact_${senderId}`, decryptedMessage);
+
+        // A live message means the contact is online (and done typing it):
+        // send what waits for them
+        if (!data.mailboxId) {
+          clearTypingFrom(senderId);
+          flushDeliveryQueue(senderId);
+        }
+
         // If no contact is selected, notify user about the message
         if (!currentContact) {
           console.log(`🔔 Message from user ${data.senderId}, but no contact selected. Notifying user.`);
@@ -249,8 +1510,7 @@ const ChatDashboard = ({ user, setIsLoggedIn, setUser }) => {
             timestamp: new Date().toLocaleTimeString()
           });
         } else if (data.senderId === currentContact.friend_id) {
-          // Contact is selected and message is from them, add to chat
-          setMessages((prev) => [...prev, decryptedMessage]);
+          // Contact is selected and message is from them, already in chat
           console.log('✓ Message added to chat');
         } else {
           // Message is from different contact than selected, notify user
@@ -266,15 +1526,20 @@ const ChatDashboard = ({ user, setIsLoggedIn, setUser }) => {
       } catch (err) {
         console.error('Message decryption failed:', err);
         setError('Failed to decrypt message');
+        ackMailbox();
       }
     }
-  }, [])); // No deps needed - uses refs for latest selectedContact and user
+  }, [socket, guardContactKeys, findSenderDevice, flushDeliveryQueue, queueReceipt, clearTypingFrom, expiryFor, recordMessage])); // Uses refs for latest selectedContact and user
 
   useSocketEvent('friendRequestReceived', useCallback(() => {
     fetchPendingRequests(); // Refresh pending requests
   }, [fetchPendingRequests]));
 
   useSocketEvent('messageError', useCallback((data) => {
+    // Errors of queued messages are handled by the delivery manager
+    if (data.messageId && delivery.current.settle(data.messageId, { error: data.error, offline: !!data.offline })) {
+      return;
+    }
     setError(data.error);
   }, []));
 
@@ -326,161 +1591,612 @@ const ChatDashboard = ({ user, setIsLoggedIn, setUser }) => {
     });
   }, []);
 
-  useSocketEvent('receiveFile', useCallback(async (data) => {
+  // Progress bar entries of running transfers, both directions
+  const updateFileTransfer = useCallback((transferId, changes) => {
+    setFileTransfers((prev) => (prev[transferId] ? { ...prev, [transferId]: { ...prev[transferId], ...changes } } : prev));
+  }, []);
+
+  const removeFileTransfer = useCallback((transferId) => {
+    setFileTransfers((prev) => {
+      const { [transferId]: removed, ...rest } = prev;
+      return removed ? rest : prev;
+    });
+  }, []);
+
+  // Verify a file envelope and open its chunk stream
+  // Returns null when the sender's keys no longer match the verified ones
+  const openIncomingFile = useCallback(async (data) => {
+    const currentUser = userRef.current;
+    if (!currentUser || !currentUser.username) {
+      throw new Error('User not authenticated');
+    }
+
+    const userKeys = await getSecretKeys();
+    if (!userKeys.kyberSecretKey) {
+      throw new Error('Missing keys');
+    }
+
+    const senderId = Number(data.senderId);
+    const senderDeviceId = data.senderDeviceId || PRIMARY_DEVICE_ID;
+    const isSync = senderId === Number(currentUser.id);
+    console.log(`🔐 Looking up sender device for file verification (ID: ${senderId}, device: ${senderDeviceId})...`);
+    const { identityKeys, deviceKeys } = await findSenderDevice(senderId, senderDeviceId);
+    const senderPublicKeys = {
+      falconPublicKey: deviceKeys.falconPublicKey,
+      signatureAlgorithm: deviceKeys.signatureAlgorithm
+    };
+
+    if (!isSync && !(await guardContactKeys(senderId, identityKeys))) {
+      console.warn(`File from ${senderId} blocked: keys changed since verification`);
+      return null;
+    }
+
+    const fileBundle = {
+      transferId: data.transferId,
+      fileSize: data.fileSize,
+      chunkCount: data.chunkCount,
+      manifest: data.manifest,
+      v: data.v,
+      suite: data.suite,
+      kyberCiphertext: data.kyberCiphertext,
+      ephemeralPublicKey: data.ephemeralPublicKey,
+      iv: data.iv,
+      authTag: data.authTag,
+      sentAt: data.sentAt,
+      nonce: data.nonce,
+      signature: data.signature
+    };
+
+    const stream = await verifyAndDecryptFile(
+      fileBundle,
+      userKeys,
+      senderPublicKeys,
+      receivedRoute(currentUser, senderId, senderDeviceId, data.receiverId, isSync)
+    );
+    setFileTransfers((prev) => ({
+      ...prev,
+      [stream.transferId]: {
+        direction: 'in',
+        fileName: stream.fileName,
+        fileSize: stream.fileSize,
+        progress: 0,
+        status: 'running',
+        pausedByMe: false
+      }
+    }));
+    return stream;
+  }, [guardContactKeys, findSenderDevice]);
+
+  // Forget an incoming transfer and tell the relay this device left it
+  const discardIncomingFile = useCallback((transferId, reason) => {
+    if (!incomingTransfers.current.delete(transferId)) return;
+    socket?.emit('fileTransferCancel', { transferId });
+    removeFileTransfer(transferId);
+    if (reason) {
+      setError(reason);
+    }
+  }, [socket, removeFileTransfer]);
+
+  useSocketEvent('receiveFile', useCallback((data) => {
     console.log('📁 receiveFile event received:', {
+      transferId: data.transferId,
       senderId: data.senderId,
       receiverId: data.receiverId,
-      fileName: data.fileName,
       fileSize: data.fileSize,
       currentContact: selectedContactRef.current?.friend_id
     });
 
     const currentContact = selectedContactRef.current;
-    if (!currentContact) {
-      console.log('⚠️ No contact selected, ignoring file');
+    const isRelevantFile = currentContact && (
+      data.senderId === currentContact.friend_id || 
+      data.receiverId === currentContact.friend_id);
+
+    if (!isRelevantFile) {
+      console.log('⚠️ File is not for the selected contact, declining it');
+      socket?.emit('fileTransferCancel', { transferId: data.transferId });
       return;
     }
 
-    const isRelevantFile = 
-      data.senderId === currentContact.friend_id || 
-      data.receiverId === currentContact.friend_id;
-
-    if (isRelevantFile) {
-      try {
-        const currentUser = userRef.current;
-        if (!currentUser || !currentUser.username) {
-          console.error('User not available for file decryption');
-          setError('Cannot decrypt file: User not authenticated');
-          return;
+    // Registered before the envelope is verified: chunks that arrive in the
+    // meantime queue behind `ready`
+    const currentUser = userRef.current;
+    const isSync = Number(data.senderId) === Number(currentUser?.id);
+    const transfer = {
+      queue: Promise.resolve(),
+      senderId: data.senderId,
+      senderName: isSync ? currentUser.username : currentContact.username || `User ${data.senderId}`,
+      peerId: Number(currentContact.friend_id),
+      id: `${data.senderId}_${data.senderDeviceId || PRIMARY_DEVICE_ID}_${data.transferId}`,
+      isSync,
+      timestamp: data.timestamp
+    };
+    transfer.ready = openIncomingFile(data).then((stream) => {
+      if (!stream) discardIncomingFile(data.transferId);
+      return stream;
+    }, (err) => {
+      console.error('File decryption failed:', err);
+      discardIncomingFile(data.transferId, 'Failed to decrypt file: ' + (err.message || 'Unknown error'));
+      return null;
+    });
+    incomingTransfers.current.set(data.transferId, transfer);
+  }, [socket, openIncomingFile, discardIncomingFile]));
+
+  // Chunks are decrypted in order and acknowledged one by one; the sender
+  // only sends ahead of the acknowledgements by a bounded window. After a
+  // resume, chunks this device already has are acknowledged again, and a gap
+  // (chunks relayed while this device was offline) asks the relay to rewind
+  useSocketEvent('fileChunk', useCallback((data) => {
+    const { transferId, index, chunk } = data;
+    const transfer = incomingTransfers.current.get(transferId);
+    if (!transfer) return;
+
+    transfer.queue = transfer.queue.then(async () => {
+      const stream = await transfer.ready;
+      if (!stream || incomingTransfers.current.get(transferId) !== transfer) return;
+
+      if (index < stream.nextIndex) {
+        socket?.emit('fileChunkAck', { transferId, index: stream.nextIndex - 1 });
+        return;
+      }
+      if (index > stream.nextIndex) {
+        if (transfer.rewindRequestedAt !== stream.nextIndex) {
+          transfer.rewindRequestedAt = stream.nextIndex;
+          socket?.emit('fileTransferResume', { transferId, reattach: true });
         }
+        return;
+      }
 
-        const userKeys = await getSecretKeys();
-        if (!userKeys.kyberSecretKey) {
-          console.error('Missing user keys for file decryption');
-          setError('Cannot decrypt file: Missing keys');
-          return;
-        }
+      const blob = await decryptFileChunk(stream, index, chunk);
+      socket?.emit('fileChunkAck', { transferId, index });
+      if (!blob) return;
 
-        // Fetch sender's public key with cache-first lookup
-        console.log(`🔐 Fetching sender's public key for file verification (ID: ${data.senderId})...`);
-        let senderPublicKey;
-        
-        if (senderPublicKeyCache.current.has(data.senderId)) {
-          senderPublicKey = senderPublicKeyCache.current.get(data.senderId);
-          console.log('✓ Sender public key retrieved from cache (file transfer)');
-        } else {
-          const senderResponse = await axios.get(`${API_URL}/api/users/${data.senderId}/keys`);
-          senderPublicKey = senderResponse.data.falconPublicKey;
-          senderPublicKeyCache.current.set(data.senderId, senderPublicKey);
-          console.log('✓ Sender public key retrieved from API and cached (file transfer)');
+      incomingTransfers.current.delete(transferId);
+      removeFileTransfer(transferId);
+      console.log(`✓ File "${stream.fileName}" decrypted successfully, awaiting user action`);
+
+      // Create blob URL for preview/download (will be revoked when file is declined or downloaded)
+      const blobUrl = URL.createObjectURL(blob);
+
+      // Add decrypted file to pending files (user consent required)
+      setPendingFiles((prev) => [
+        ...prev,
+        {
+          id: transfer.id,
+          blob,
+          blobUrl, // Store blob URL for proper cleanup
+          fileName: stream.fileName,
+          fileType: stream.fileType,
+          fileSize: stream.fileSize,
+          senderId: transfer.senderId,
+          senderName: transfer.senderName,
+          timestamp: transfer.timestamp
         }
+      ]);
 
-        const fileBundle = {
-          kyberCiphertext: data.kyberCiphertext,
-          fileData: data.fileData,
-          iv: data.iv,
-          authTag: data.authTag,
-          signature: data.signature,
-          fileName: data.fileName,
-          fileType: data.fileType
-        };
+      setFileTransferStatus(`File "${stream.fileName}" received. Review it in the pending files list.`);
+      setTimeout(() => setFileTransferStatus(''), 5000);
+
+      // Add file message to chat indicating it's pending user action
+      recordMessage(`contact_${transfer.peerId}`, {
+        senderId: transfer.isSync ? userRef.current.id : transfer.senderId,
+        message: `📎 File: ${stream.fileName} (${(stream.fileSize / 1024).toFixed(2)} KB) - Pending your action`,
+        timestamp: transfer.timestamp,
+        isLocal: transfer.isSync,
+        isFile: true,
+        isPending: true,
+        expiresAt: expiryFor(transfer.peerId)
+      });
+    }).catch((err) => {
+      console.error('File decryption failed:', err);
+      discardIncomingFile(transferId, 'Failed to decrypt file: ' + (err.message || 'Unknown error'));
+    });
+  }, [socket, discardIncomingFile, removeFileTransfer, expiryFor, recordMessage]));
+
+  // The other side cancelled, or the transfer failed or expired
+  useSocketEvent('fileTransferCancelled', useCallback((data) => {
+    const wasIncoming = incomingTransfers.current.delete(data.transferId);
+    const wasOutgoing = outgoingTransfers.current.delete(data.transferId);
+    if (!wasIncoming && !wasOutgoing) return;
+    removeFileTransfer(data.transferId);
+    setFileTransferStatus(data.reason || 'File transfer was cancelled');
+    setTimeout(() => setFileTransferStatus(''), 5000);
+  }, [removeFileTransfer]));
 
-        const { blob, fileName } = await verifyAndDecryptFile(
-          fileBundle,
-          userKeys.kyberSecretKey,
-          senderPublicKey
-        );
+  // Server asks for fresh prekeys when the one-time pool runs low or the
+  // signed prekey is due for rotation
+  useSocketEvent('replenishPrekeys', useCallback(async (data) => {
+    const currentUser = userRef.current;
+    if (!currentUser?.id) return;
 
-        console.log(`✓ File "${fileName}" decrypted successfully, awaiting user action`);
-
-        // Create blob URL for preview/download (will be revoked when file is declined or downloaded)
-        const blobUrl = URL.createObjectURL(blob);
-
-        // Add decrypted file to pending files (user consent required)
-        const fileId = `${data.senderId}_${data.timestamp}`;
-        setPendingFiles((prev) => [
-          ...prev,
-          {
-            id: fileId,
-            blob,
-            blobUrl, // Store blob URL for proper cleanup
-            fileName,
-            fileType: data.fileType,
-            fileSize: data.fileSize,
-            senderId: data.senderId,
-            senderName: selectedContactRef.current?.username || `User ${data.senderId}`,
-            timestamp: data.timestamp
-          }
-        ]);
+    try {
+      const upload = await createPrekeyUpload(currentUser.id, {
+        oneTimeCount: data.requested,
+        rotateSignedPrekey: data.rotateSignedPrekey
+      });
+      await axios.post(`${API_URL}/api/keys/prekeys`, upload, {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+      });
+      console.log(`✓ Uploaded ${upload.oneTimePrekeys.length} one-time prekeys${upload.signedPrekey ? ' and a new signed prekey' : ''}`);
+    } catch (err) {
+      console.error('Prekey replenishment failed:', err.response?.data || err.message);
+    }
+  }, []));
 
-        setFileTransferStatus(`File "${fileName}" received. Review it in the pending files list.`);
-        setTimeout(() => setFileTransferStatus(''), 5000);
+  // A friend rotated their long-term keys: drop every cached copy of the old
+  // keys and re-verify the new ones against the signed transition records
+  useSocketEvent('keysRotated', useCallback(async (data) => {
+    const peerId = Number(data.userId);
+    if (peerId === Number(userRef.current?.id)) return;
 
-        // Add file message to chat indicating it's pending user action
-        setMessages((prev) => [
-          ...prev,
-          {
-            senderId: data.senderId,
-            message: `📎 File: ${fileName} (${(data.fileSize / 1024).toFixed(2)} KB) - Pending your action`,
-            timestamp: data.timestamp,
-            isFile: true,
-            isPending: true
-          }
-        ]);
-      } catch (err) {
-        console.error('File decryption failed:', err);
-        setError('Failed to decrypt file: ' + (err.message || 'Unknown error'));
+    const trustedKeys = devicesCache.current.get(peerId)?.[0]?.keys;
+    devicesCache.current.delete(peerId);
+    if (!trustedKeys) return;
+
+    const peerName = friends.find((friend) => Number(friend.friend_id) === peerId)?.username || `User ${peerId}`;
+    try {
+      const headers = { Authorization: `Bearer ${localStorage.getItem('token')}` };
+      const [currentKeys, historyResponse] = await Promise.all([
+        fetchPublicKeys(peerId),
+        axios.get(`${API_URL}/api/users/${peerId}/key-history`, { headers })
+      ]);
+      const verified = await verifyKeyTransitions(peerId, trustedKeys, historyResponse.data.transitions, currentKeys);
+      if (!verified) {
+        setError(`⚠️ ${peerName}'s new keys are not signed by their previous keys. Verify their identity before continuing.`);
+        return;
+      }
+
+      // Rotation unlinks every other device of the account
+      devicesCache.current.set(peerId, [{ deviceId: PRIMARY_DEVICE_ID, name: null, keys: currentKeys }]);
+      console.log(`✓ Verified key rotation for ${peerName} (version ${currentKeys.keyVersion})`);
+
+      // Still a safety number change for contacts the user verified
+      await guardContactKeys(peerId, currentKeys);
+    } catch (err) {
+      console.error('Failed to verify rotated keys:', err);
+      setError(`Could not verify ${peerName}'s new keys`);
+    }
+  }, [friends, guardContactKeys]));
+
+  // A contact (or this account) linked or revoked a device; groups commit the
+  // device to or out of their trees
+  useSocketEvent('devicesChanged', useCallback((data) => {
+    const userId = Number(data.userId);
+    devicesCache.current.delete(userId);
+    if (userId === Number(userRef.current?.id) && showDevices) {
+      refreshOwnDevices();
+    }
+    groups.forEach((group) => scheduleGroupSync(group.id));
+  }, [showDevices, refreshOwnDevices, groups, scheduleGroupSync]));
+
+  // Send chunks while fewer than FILE_CHUNK_WINDOW are unacknowledged; every
+  // acknowledgement calls this again. Each chunk is read from the File only
+  // when it is sent
+  const pumpFileTransfer = useCallback(async (transferId) => {
+    const transfer = outgoingTransfers.current.get(transferId);
+    if (!transfer || transfer.pumping || !socket) return;
+
+    transfer.pumping = true;
+    try {
+      while (outgoingTransfers.current.get(transferId) === transfer &&
+             !transfer.paused && socket.connected &&
+             transfer.nextIndex < transfer.stream.chunkCount &&
+             transfer.nextIndex - transfer.acked - 1 < FILE_CHUNK_WINDOW) {
+        const index = transfer.nextIndex;
+        const chunk = await encryptFileChunk(transfer.stream, index);
+        if (outgoingTransfers.current.get(transferId) !== transfer) break;
+        socket.emit('fileChunk', { transferId, index, chunk });
+        transfer.nextIndex += 1;
       }
+    } catch (err) {
+      console.error('Failed to read or encrypt file chunk:', err);
+      outgoingTransfers.current.delete(transferId);
+      socket.emit('fileTransferCancel', { transferId });
+      removeFileTransfer(transferId);
+      setError('Failed to encrypt file. Check console for details.');
+    } finally {
+      transfer.pumping = false;
+    }
+  }, [socket, removeFileTransfer]);
+
+  useSocketEvent('fileTransferReady', useCallback((data) => {
+    updateFileTransfer(data.transferId, { status: 'running' });
+    pumpFileTransfer(data.transferId);
+  }, [updateFileTransfer, pumpFileTransfer]));
+
+  // Chunks every device acknowledged, sent to both sides
+  useSocketEvent('fileTransferProgress', useCallback((data) => {
+    updateFileTransfer(data.transferId, { progress: (data.acked + 1) / data.chunkCount });
+    const transfer = outgoingTransfers.current.get(data.transferId);
+    if (!transfer || data.acked <= transfer.acked) return;
+    transfer.acked = data.acked;
+    pumpFileTransfer(data.transferId);
+  }, [updateFileTransfer, pumpFileTransfer]));
+
+  // Paused by either side, or a party went offline
+  useSocketEvent('fileTransferPaused', useCallback((data) => {
+    const transfer = outgoingTransfers.current.get(data.transferId);
+    if (transfer) {
+      transfer.paused = true;
     }
+    updateFileTransfer(data.transferId, { status: data.reason === 'offline' ? 'offline' : 'paused' });
+  }, [updateFileTransfer]));
+
+  // Running again: the sender restarts after the last chunk every device has
+  useSocketEvent('fileTransferResumed', useCallback((data) => {
+    const transfer = outgoingTransfers.current.get(data.transferId);
+    if (transfer) {
+      transfer.paused = false;
+      transfer.nextIndex = data.resumeFrom;
+      transfer.acked = Math.max(transfer.acked, data.resumeFrom - 1);
+      pumpFileTransfer(data.transferId);
+    }
+    const incoming = incomingTransfers.current.get(data.transferId);
+    if (incoming) {
+      incoming.rewindRequestedAt = null;
+    }
+    updateFileTransfer(data.transferId, { status: 'running', pausedByMe: false });
+  }, [updateFileTransfer, pumpFileTransfer]));
+
+  // Transfers survive a reconnect: both sides re-attach to the relay, which
+  // resumes them from the last acknowledged chunk
+  useSocketReconnect(useCallback((reconnectedSocket) => {
+    [...outgoingTransfers.current.keys(), ...incomingTransfers.current.keys()].forEach((transferId) => {
+      reconnectedSocket.emit('fileTransferResume', { transferId, reattach: true });
+    });
   }, []));
 
+  const handlePauseTransfer = (transferId) => {
+    socket?.emit('fileTransferPause', { transferId });
+    updateFileTransfer(transferId, { status: 'paused', pausedByMe: true });
+  };
+
+  const handleResumeTransfer = (transferId) => {
+    socket?.emit('fileTransferResume', { transferId });
+  };
+
+  const handleCancelTransfer = (transferId) => {
+    if (incomingTransfers.current.has(transferId)) {
+      discardIncomingFile(transferId);
+      return;
+    }
+    outgoingTransfers.current.delete(transferId);
+    socket?.emit('fileTransferCancel', { transferId });
+    removeFileTransfer(transferId);
+  };
+
   useSocketEvent('fileDelivered', useCallback((data) => {
+    outgoingTransfers.current.delete(data.transferId);
+    removeFileTransfer(data.transferId);
     setFileTransferStatus(`File delivered at ${new Date(data.timestamp).toLocaleTimeString()}`);
     setTimeout(() => setFileTransferStatus(''), 5000);
-  }, []));
+  }, [removeFileTransfer]));
 
   useSocketEvent('fileError', useCallback((data) => {
+    if (data.transferId) {
+      outgoingTransfers.current.delete(data.transferId);
+      removeFileTransfer(data.transferId);
+    }
     setError(data.error);
     setFileTransferStatus('');
-  }, []));
+  }, [removeFileTransfer]));
 
-  // Fetch message history when selectedContact changes
+  // Verification badge for the selected contact
   useEffect(() => {
-    // Messages are ephemeral (real-time only via Socket.IO)
-    // No message history is stored or fetched
-    const initializeChat = () => {
-      if (!selectedContact) {
-        // Clear messages when no contact is selected
-        setMessages([]);
+    setContactVerified(false);
+    if (!selectedContact) return;
+
+    let cancelled = false;
+    getContactVerification(selectedContact.friend_id)
+      .then((verification) => {
+        if (!cancelled) setContactVerified(!!verification);
+      })
+      .catch((err) => console.warn('Failed to read contact verification:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedContact, keyChangeWarning]);
+
+  // The user accepts a verified contact's new keys without re-verifying
+  const handleAcceptChangedKeys = async () => {
+    try {
+      await clearContactVerification(keyChangeWarning);
+    } catch (err) {
+      setError('Failed to update verification: ' + err.message);
+    }
+    setKeyChangeWarning(null);
+  };
+
+  // Logout handler
+  const handleLogout = useCallback(() => {
+    // Disconnect socket
+    disconnectSocket();
+    
+    // Clear localStorage
+    localStorage.removeItem('token');
+    localStorage.removeItem('user');
+    
+    // Update state
+    setIsLoggedIn(false);
+    setUser(null);
+    
+    // Navigate to login
+    navigate('/login');
+  }, [disconnectSocket, setIsLoggedIn, setUser, navigate]);
+
+  // This linked device was revoked: its keys are useless now
+  useSocketEvent('deviceRevoked', useCallback(async () => {
+    try {
+      await forgetLinkedDevice(userRef.current?.username);
+    } catch (err) {
+      console.error('Failed to delete revoked device keys:', err);
+    }
+    handleLogout();
+  }, [handleLogout]));
+
+  // moved into useCallback above
+
+  const openDevicesDialog = () => {
+    setShowDevices(true);
+    refreshOwnDevices();
+  };
+
+  const closeDevicesDialog = () => {
+    setShowDevices(false);
+    setLinkInput('');
+    setPendingLink(null);
+  };
+
+  // Look up a link request from the code or QR text shown on the new device
+  const handleLookupLink = async (e) => {
+    e.preventDefault();
+    const parsed = parseDeviceLinkInput(linkInput);
+    if (!parsed) {
+      setError('Enter the 8-character link code or paste the link from the new device');
+      return;
+    }
+
+    setDeviceBusy(true);
+    setError('');
+    try {
+      const { data } = await axios.get(`${API_URL}/api/devices/link/${parsed.linkCode}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      if (data.status !== 'pending') {
+        setError('This device is already linked');
         return;
       }
+      const fingerprint = await computeDeviceFingerprint(user.id, data.keys);
+      setPendingLink({
+        ...data,
+        fingerprint,
+        // Scanned links carry the new device's fingerprint; typed codes are compared by eye
+        fingerprintMatches: parsed.fingerprint === null ? null : parsed.fingerprint === fingerprint.join('')
+      });
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Failed to look up link code');
+    } finally {
+      setDeviceBusy(false);
+    }
+  };
+
+  const handleApproveLink = async () => {
+    if (!pendingLink || pendingLink.fingerprintMatches === false) return;
+
+    setDeviceBusy(true);
+    setError('');
+    try {
+      const signature = await signDeviceRecord(user.id, { deviceId: pendingLink.deviceId, ...pendingLink.keys });
+      await axios.post(`${API_URL}/api/devices/link/${pendingLink.linkCode}/approve`, signature, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setKeyStatus(`📱 ${pendingLink.name} linked`);
+      setTimeout(() => setKeyStatus(''), 5000);
+      setPendingLink(null);
+      setLinkInput('');
+      refreshOwnDevices();
+    } catch (err) {
+      console.error('Device approval failed:', err);
+      setError('Device approval failed: ' + (err.response?.data?.msg || err.message));
+    } finally {
+      setDeviceBusy(false);
+    }
+  };
+
+  const handleRevokeDevice = async (device) => {
+    if (!window.confirm(`Unlink ${device.name}? It will lose access to new messages and its keys will be deleted.`)) {
+      return;
+    }
+    try {
+      await axios.delete(`${API_URL}/api/devices/${device.deviceId}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      refreshOwnDevices();
+    } catch (err) {
+      setError('Failed to unlink device: ' + (err.response?.data?.msg || err.message));
+    }
+  };
+
+  const handleToggleMailbox = async () => {
+    const enabled = !mailboxEnabled;
+    if (!enabled && !window.confirm('Turn off the offline mailbox? Messages it holds for your devices will be deleted.')) {
+      return;
+    }
+    try {
+      await axios.put(`${API_URL}/api/mailbox`, { enabled }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setMailboxEnabled(enabled);
+    } catch (err) {
+      setError('Failed to update mailbox: ' + (err.response?.data?.msg || err.message));
+    }
+  };
+
+  // Rotate this account's long-term keys (new keys cross-signed by the old ones)
+  const closeBackupDialog = () => {
+    setShowBackup(false);
+    setBackupPassphrase('');
+    setBackupConfirm('');
+    setBackupOnServer(false);
+  };
+
+  const handleBackupKeys = async (e) => {
+    e.preventDefault();
+    if (backupPassphrase !== backupConfirm) {
+      setError('Recovery passphrases do not match');
+      return;
+    }
+
+    setBackingUp(true);
+    setError('');
+    try {
+      const backup = JSON.stringify(await createKeyBackup(user.id, backupPassphrase));
+
+      const url = URL.createObjectURL(new Blob([backup], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `quantumshield-keys-${user.username}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+
+      if (backupOnServer) {
+        await axios.put(`${API_URL}/api/keys/backup`, { backup }, {
+          headers: { Authorization: `Bearer ${token}` }
+        });
+      }
 
-      // Always start with empty messages (no history)
-      // All messages are delivered in real-time only
-      setMessages([]);
-    };
-
-    initializeChat();
-  }, [selectedContact]); // Re-initialize when contact changes
+      closeBackupDialog();
+      setKeyStatus(backupOnServer ? '💾 Key backup saved and stored on server' : '💾 Key backup saved');
+      setTimeout(() => setKeyStatus(''), 5000);
+    } catch (err) {
+      console.error('Key backup failed:', err);
+      setError('Key backup failed: ' + (err.response?.data?.msg || err.message));
+    } finally {
+      setBackingUp(false);
+    }
+  };
 
-  // Logout handler
-  const handleLogout = useCallback(() => {
-    // Disconnect socket
-    disconnectSocket();
-    
-    // Clear localStorage
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
-    
-    // Update state
-    setIsLoggedIn(false);
-    setUser(null);
-    
-    // Navigate to login
-    navigate('/login');
-  }, [disconnectSocket, setIsLoggedIn, setUser, navigate]);
+  const handleRotateKeys = async () => {
+    if (!window.confirm('Rotate your encryption keys? Your contacts will be notified and messages in transit to your old keys may not decrypt.')) {
+      return;
+    }
 
-  // moved into useCallback above
+    setRotatingKeys(true);
+    setError('');
+    try {
+      const headers = { Authorization: `Bearer ${token}` };
+      const { data } = await axios.get(`${API_URL}/api/keys/my-keys`, { headers });
+      const keys = await rotateKeys(user.id, data.keys, (request) =>
+        axios.post(`${API_URL}/api/keys/rotate`, request, { headers }).then((response) => response.data.keys)
+      );
+      setKeyStatus(`🔑 Keys rotated (v${keys.keyVersion})`);
+      setTimeout(() => setKeyStatus(''), 5000);
+    } catch (err) {
+      console.error('Key rotation failed:', err);
+      setError('Key rotation failed: ' + (err.response?.data?.msg || err.message));
+    } finally {
+      setRotatingKeys(false);
+    }
+  };
 
   const handleSendFriendRequest = async () => {
     if (!searchUsername) return;
@@ -542,67 +2258,106 @@ const ChatDashboard = ({ user, setIsLoggedIn, setUser }) => {
         return;
       }
 
-      // Get receiver's public keys (use cache to avoid redundant API calls)
-      let receiverKeys = recipientKeysCache.current[selectedContact.friend_id];
-      
-      if (!receiverKeys) {
-        // Only fetch from API if not cached
-        const response = await axios.get(
-          `${API_URL}/api/users/${selectedContact.friend_id}/keys`,
-          { headers: { Authorization: `Bearer ${token}` } } // Use token constant, not localStorage
-        );
-        receiverKeys = response.data;
-        // Cache the keys for future use (shared with file transfer handler)
-        recipientKeysCache.current[selectedContact.friend_id] = receiverKeys;
-      }
+      // Verified devices of the receiver ([0] holds the identity keys) and our other devices
+      const peerId = Number(selectedContact.friend_id);
+      const targets = await getCopyTargets(peerId);
+      const receiverKeys = targets[0].device.keys;
 
       if (!receiverKeys.kyberPublicKey || !receiverKeys.falconPublicKey) {
         setError('Could not retrieve recipient\'s encryption keys');
         return;
       }
 
-      // Encrypt and sign the message with PQC
-      const encrypted = await encryptAndSignMessage(
-        messageText,
-        receiverKeys.kyberPublicKey,
-        userKeys.falconSecretKey
-      );
+      if (!(await guardContactKeys(peerId, receiverKeys))) {
+        return;
+      }
+
+      // Encrypt and sign one copy per device within its PQ ratchet session
+      // (a new session with the receiver's primary device starts from their prekey bundle)
+      const messageId = createMessageId();
+      const copies = [];
+      for (const { userId, device } of targets) {
+        const encrypted = await encryptSessionMessage(
+          deviceAddress(userId, device.deviceId),
+          messageText,
+          device.keys,
+          userKeys.falconSecretKey,
+          sendRoute(peerId, userId, device.deviceId, messageId),
+          userId === peerId && device.deviceId === PRIMARY_DEVICE_ID
+            ? {
+                fetchPrekeyBundle: () => axios
+                  .get(`${API_URL}/api/users/${peerId}/prekey-bundle`, {
+                    headers: { Authorization: `Bearer ${token}` }
+                  })
+                  .then((response) => response.data)
+              }
+            : {}
+        );
+        copies.push({
+          userId,
+          deviceId: device.deviceId,
+          encryptedMessage: encrypted.encryptedMessage,
+          v: encrypted.v,
+          suite: encrypted.suite,
+          ratchet: encrypted.ratchet,
+          kyberCiphertext: encrypted.kyberCiphertext,
+          ephemeralPublicKey: encrypted.ephemeralPublicKey,
+          iv: encrypted.iv,
+          authTag: encrypted.authTag,
+          sentAt: encrypted.sentAt,
+          nonce: encrypted.nonce,
+          signature: encrypted.signature
+        });
+      }
 
-      // Send encrypted message via socket
-      socket.emit('sendMessage', {
+      // Queue the encrypted copies; the delivery manager sends them and the
+      // server routes each to its device
+      await delivery.current.enqueue(peerId, copies, messageId);
+
+      // Add to local messages (plaintext for display, encrypted in history)
+      recordMessage(`contact_${peerId}`, {
         senderId: user.id,
-        receiverId: selectedContact.friend_id,
-        encryptedMessage: encrypted.encryptedMessage,
-        kyberCiphertext: encrypted.kyberCiphertext,
-        iv: encrypted.iv,
-        authTag: encrypted.authTag,
-        signature: encrypted.signature
+        message: messageText,
+        timestamp: new Date().toISOString(),
+        isLocal: true, // Mark as local message
+        messageId,
+        receiverId: peerId,
+        deliveryStatus: 'queued',
+        expiresAt: expiryFor(peerId)
       });
 
-      // Add to local messages (plaintext for display)
-      setMessages((prev) => [
-        ...prev,
-        {
-          senderId: user.id,
-          message: messageText, // Store plaintext for local display
-          timestamp: new Date().toISOString(),
-          isLocal: true // Mark as local message
-        },
-      ]);
-
       setMessageText('');
+      stopTyping();
+      flushDeliveryQueue(peerId);
     } catch (err) {
       console.error('Failed to encrypt and send message:', err);
       setError('Failed to encrypt message. Check console for details.');
     }
   };
 
+  const handleSendGroupMessage = async () => {
+    if (!messageText || !selectedGroup || !socket || !user) return;
+    const messageId = createMessageId();
+    const text = messageText;
+    recordMessage(`group_${selectedGroup.id}`, {
+      senderId: user.id,
+      message: text,
+      timestamp: new Date().toISOString(),
+      isLocal: true,
+      messageId,
+      groupId: selectedGroup.id,
+      deliveryStatus: 'queued'
+    });
+    setMessageText('');
+    await queueGroupSend(selectedGroup.id, text, messageId);
+  };
+
   const handleFileSelect = (e) => {
     const file = e.target.files[0];
     if (file) {
-      // Check file size (limit to 10MB for demo)
-      if (file.size > 10 * 1024 * 1024) {
-        setError('File size must be less than 10MB');
+      // Files are streamed in chunks; the limit bounds what the receiver assembles
+      if (file.size > MAX_FILE_SIZE) {
+        setError(`File size must be at most ${MAX_FILE_SIZE / (1024 * 1024)}MB`);
         return;
       }
       setSelectedFile(file);
@@ -623,19 +2378,10 @@ const ChatDashboard = ({ user, setIsLoggedIn, setUser }) => {
         return;
       }
 
-      // Fetch recipient public keys (use cache to avoid redundant API calls)
-      let receiverKeys = recipientKeysCache.current[selectedContact.friend_id];
-      
-      if (!receiverKeys) {
-        // Only fetch from API if not cached
-        const response = await axios.get(
-          `${API_URL}/api/users/${selectedContact.friend_id}/keys`,
-          { headers: { Authorization: `Bearer ${token}` } }
-        );
-        receiverKeys = response.data;
-        // Cache the keys for future use
-        recipientKeysCache.current[selectedContact.friend_id] = receiverKeys;
-      }
+      // Verified devices of the receiver ([0] holds the identity keys) and our other devices
+      const peerId = Number(selectedContact.friend_id);
+      const targets = await getCopyTargets(peerId);
+      const receiverKeys = targets[0].device.keys;
 
       if (!receiverKeys.kyberPublicKey || !receiverKeys.falconPublicKey) {
         setError('Could not retrieve recipient\'s encryption keys');
@@ -643,37 +2389,71 @@ const ChatDashboard = ({ user, setIsLoggedIn, setUser }) => {
         return;
       }
 
-      const encryptedFile = await encryptAndSignFile(
-        selectedFile,
-        receiverKeys.kyberPublicKey,
-        userKeys.falconSecretKey
-      );
+      if (!(await guardContactKeys(peerId, receiverKeys))) {
+        setFileTransferStatus('');
+        return;
+      }
+
+      // The file is encrypted once; every device gets its own signed
+      // envelope holding the file key
+      const stream = await createFileStream(selectedFile);
+      const copies = [];
+      for (const { userId, device } of targets) {
+        const encryptedFile = await encryptAndSignFile(
+          stream,
+          device.keys,
+          userKeys.falconSecretKey,
+          sendRoute(peerId, userId, device.deviceId)
+        );
+        copies.push({
+          userId,
+          deviceId: device.deviceId,
+          manifest: encryptedFile.manifest,
+          v: encryptedFile.v,
+          suite: encryptedFile.suite,
+          kyberCiphertext: encryptedFile.kyberCiphertext,
+          ephemeralPublicKey: encryptedFile.ephemeralPublicKey,
+          iv: encryptedFile.iv,
+          authTag: encryptedFile.authTag,
+          sentAt: encryptedFile.sentAt,
+          nonce: encryptedFile.nonce,
+          signature: encryptedFile.signature
+        });
+      }
 
-      setFileTransferStatus('Sending file...');
+      // Chunks follow once the relay reports the transfer open (fileTransferReady)
+      outgoingTransfers.current.set(stream.transferId, { stream, nextIndex: 0, acked: -1, paused: false, pumping: false });
+      setFileTransfers((prev) => ({
+        ...prev,
+        [stream.transferId]: {
+          direction: 'out',
+          fileName: selectedFile.name,
+          fileSize: stream.fileSize,
+          progress: 0,
+          status: 'waiting',
+          pausedByMe: false
+        }
+      }));
+      setFileTransferStatus('');
 
       socket.emit('sendFile', {
         senderId: user.id,
-        receiverId: selectedContact.friend_id,
-        fileName: encryptedFile.fileName,
-        fileSize: encryptedFile.fileSize,
-        fileData: encryptedFile.fileData,
-        kyberCiphertext: encryptedFile.kyberCiphertext,
-        iv: encryptedFile.iv,
-        authTag: encryptedFile.authTag,
-        signature: encryptedFile.signature
+        receiverId: peerId,
+        transferId: stream.transferId,
+        fileSize: stream.fileSize,
+        chunkCount: stream.chunkCount,
+        copies
       });
 
       // Add to local messages
-      setMessages((prev) => [
-        ...prev,
-        {
-          senderId: user.id,
-          message: `📎 File: ${selectedFile.name} (${(selectedFile.size / 1024).toFixed(2)} KB)`,
-          timestamp: new Date().toISOString(),
-          isLocal: true,
-          isFile: true
-        }
-      ]);
+      recordMessage(`contact_${peerId}`, {
+        senderId: user.id,
+        message: `📎 File: ${selectedFile.name} (${(selectedFile.size / 1024).toFixed(2)} KB)`,
+        timestamp: new Date().toISOString(),
+        isLocal: true,
+        isFile: true,
+        expiresAt: expiryFor(peerId)
+      });
 
       setSelectedFile(null);
       // Reset file input
@@ -692,8 +2472,369 @@ const ChatDashboard = ({ user, setIsLoggedIn, setUser }) => {
     return friends.filter(f => f.username.toLowerCase().includes(friendSearch.toLowerCase()));
   }, [friends, friendSearch]);
 
+  const isGroupAdmin = !!selectedGroup?.members.some(
+    (member) => member.userId === Number(user?.id) && member.role === 'admin'
+  );
+  const addableFriends = selectedGroup
+    ? friends.filter((friend) => !selectedGroup.members.some((member) => member.userId === Number(friend.friend_id)))
+    : [];
+
+  const contactPresence = selectedContact
+    ? describePresence(friends.find((friend) => friend.friend_id === selectedContact.friend_id))
+    : null;
+
   return (
     <div className="min-h-screen bg-gray-100">
+      {/* Blocking warning: a verified contact's keys changed */}
+      {showBackup && (
+        <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50 px-4">
+          <form onSubmit={handleBackupKeys} className="bg-white rounded-lg shadow-lg max-w-md w-full p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-2">Back up your keys</h2>
+            <p className="text-sm text-gray-700 mb-4">
+              Your keys only exist in this browser. The backup is encrypted with a recovery passphrase; without
+              it the backup cannot be restored, so store it somewhere safe. Rotating your keys makes older backups
+              unusable.
+            </p>
+            <input
+              type="password"
+              placeholder={`Recovery passphrase (at least ${MIN_RECOVERY_PASSPHRASE_LENGTH} characters)`}
+              value={backupPassphrase}
+              onChange={(e) => setBackupPassphrase(e.target.value)}
+              minLength={MIN_RECOVERY_PASSPHRASE_LENGTH}
+              required
+              autoComplete="new-password"
+              className="w-full px-3 py-2 rounded bg-gray-100 text-gray-900 placeholder-gray-500 focus:outline-none mb-2"
+            />
+            <input
+              type="password"
+              placeholder="Repeat recovery passphrase"
+              value={backupConfirm}
+              onChange={(e) => setBackupConfirm(e.target.value)}
+              required
+              autoComplete="new-password"
+              className="w-full px-3 py-2 rounded bg-gray-100 text-gray-900 placeholder-gray-500 focus:outline-none mb-3"
+            />
+            <label className="flex items-center gap-2 text-sm text-gray-700 mb-4">
+              <input type="checkbox" checked={backupOnServer} onChange={(e) => setBackupOnServer(e.target.checked)} />
+              Also store the encrypted backup on the server
+            </label>
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                disabled={backingUp}
+                className="flex-1 px-3 py-2 bg-[#00a884] text-white rounded hover:bg-[#029974] disabled:opacity-50"
+              >
+                {backingUp ? 'Encrypting…' : 'Download backup'}
+              </button>
+              <button
+                type="button"
+                onClick={closeBackupDialog}
+                className="flex-1 px-3 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {showPrivacy && (
+        <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50 px-4">
+          <div className="bg-white rounded-lg shadow-lg max-w-md w-full p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-2">Privacy</h2>
+            <label className="flex items-start gap-2 text-sm text-gray-700 mb-4">
+              <input
+                type="checkbox"
+                checked={readReceipts}
+                onChange={() => handleUpdatePrivacy({ readReceipts: !readReceipts })}
+                className="mt-1"
+              />
+              <span>
+                Send read receipts
+                <span className="block text-xs text-gray-500">
+                  When turned off, you will not see read receipts from others either. Delivery receipts are always sent.
+                </span>
+              </span>
+            </label>
+            <label className="flex items-start gap-2 text-sm text-gray-700 mb-4">
+              <input
+                type="checkbox"
+                checked={sharePresence}
+                onChange={() => handleUpdatePrivacy({ presence: !sharePresence })}
+                className="mt-1"
+              />
+              <span>
+                Share when I'm online and last seen
+                <span className="block text-xs text-gray-500">
+                  Only friends see it. When turned off, you will not see theirs either.
+                </span>
+              </span>
+            </label>
+            <label className="flex items-start gap-2 text-sm text-gray-700 mb-4">
+              <input
+                type="checkbox"
+                checked={sendTypingIndicators}
+                onChange={() => handleUpdatePrivacy({ typingIndicators: !sendTypingIndicators })}
+                className="mt-1"
+              />
+              <span>
+                Send typing indicators
+                <span className="block text-xs text-gray-500">
+                  Friends see when you are typing to them.
+                </span>
+              </span>
+            </label>
+            <button
+              onClick={() => setShowPrivacy(false)}
+              className="w-full px-3 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      )}
+
+      {showCreateGroup && (
+        <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50 px-4">
+          <form onSubmit={handleCreateGroup} className="bg-white rounded-lg shadow-lg max-w-md w-full p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-2">New group</h2>
+            <p className="text-sm text-gray-700 mb-4">
+              Messages are encrypted end to end for every member's devices. Only friends can be added.
+            </p>
+            <input
+              type="text"
+              placeholder="Group name"
+              value={newGroupName}
+              onChange={(e) => setNewGroupName(e.target.value)}
+              maxLength={64}
+              className="w-full px-3 py-2 mb-3 rounded bg-gray-100 text-gray-900 placeholder-gray-500 focus:outline-none"
+            />
+            <ul className="divide-y mb-4 max-h-60 overflow-y-auto">
+              {friends.map((friend) => (
+                <li key={friend.friend_id} className="py-2">
+                  <label className="flex items-center gap-2 text-sm text-gray-900">
+                    <input
+                      type="checkbox"
+                      checked={newGroupMembers.includes(Number(friend.friend_id))}
+                      onChange={() => toggleNewGroupMember(friend.friend_id)}
+                    />
+                    {friend.username}
+                  </label>
+                </li>
+              ))}
+            </ul>
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                disabled={groupBusy || !newGroupName.trim() || newGroupMembers.length === 0}
+                className="flex-1 px-3 py-2 bg-[#00a884] text-white rounded hover:bg-[#029974] disabled:opacity-50"
+              >
+                {groupBusy ? 'Creating…' : 'Create group'}
+              </button>
+              <button
+                type="button"
+                onClick={() => setShowCreateGroup(false)}
+                className="flex-1 px-3 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {showGroupMembers && selectedGroup && (
+        <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50 px-4">
+          <div className="bg-white rounded-lg shadow-lg max-w-md w-full p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-2">{selectedGroup.name}</h2>
+            <p className="text-sm text-gray-700 mb-4">
+              Every change to the members gives the group new keys: people who leave cannot read new messages,
+              people who join cannot read earlier ones.
+            </p>
+            <ul className="divide-y mb-4 max-h-60 overflow-y-auto">
+              {selectedGroup.members.map((member) => (
+                <li key={member.userId} className="py-2 flex items-center justify-between text-sm">
+                  <span className="text-gray-900">
+                    {member.username}{member.userId === Number(user?.id) ? ' (you)' : ''}
+                    {member.role === 'admin' && <span className="ml-2 text-xs text-gray-500">Admin</span>}
+                  </span>
+                  {isGroupAdmin && member.userId !== Number(user?.id) && (
+                    <button
+                      onClick={() => handleRemoveGroupMember(member.userId)}
+                      disabled={groupBusy}
+                      className="px-2 py-1 text-xs bg-red-100 text-red-700 rounded hover:bg-red-200 disabled:opacity-50"
+                    >
+                      Remove
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+            {isGroupAdmin && addableFriends.length > 0 && (
+              <>
+                <h3 className="text-sm font-semibold text-gray-600 mb-2">Add friends</h3>
+                <ul className="divide-y mb-4 max-h-40 overflow-y-auto">
+                  {addableFriends.map((friend) => (
+                    <li key={friend.friend_id} className="py-2 flex items-center justify-between text-sm">
+                      <span className="text-gray-900">{friend.username}</span>
+                      <button
+                        onClick={() => handleAddGroupMember(friend.friend_id)}
+                        disabled={groupBusy}
+                        className="px-2 py-1 text-xs bg-[#00a884] text-white rounded hover:bg-[#029974] disabled:opacity-50"
+                      >
+                        Add
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+            <div className="flex gap-2">
+              <button
+                onClick={() => handleRemoveGroupMember(user.id)}
+                disabled={groupBusy}
+                className="flex-1 px-3 py-2 bg-red-600 text-white rounded hover:bg-red-700 disabled:opacity-50"
+              >
+                Leave group
+              </button>
+              <button
+                onClick={() => setShowGroupMembers(false)}
+                className="flex-1 px-3 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {showDevices && (
+        <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50 px-4">
+          <div className="bg-white rounded-lg shadow-lg max-w-md w-full p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-2">Devices</h2>
+            <p className="text-sm text-gray-700 mb-4">
+              Each device has its own keys, signed by your primary device. Contacts encrypt every message to all of
+              them. Rotating your keys unlinks every device.
+            </p>
+            <ul className="divide-y mb-4">
+              <li className="py-2 flex items-center justify-between text-sm">
+                <span className="text-gray-900">Primary device{isPrimaryDevice ? ' (this device)' : ''}</span>
+              </li>
+              {ownDevices.map((device) => (
+                <li key={device.deviceId} className="py-2 flex items-center justify-between text-sm">
+                  <span className="text-gray-900">
+                    {device.name}{device.deviceId === user?.deviceId ? ' (this device)' : ''}
+                    {device.lastSeenAt && (
+                      <span className="block text-xs text-gray-500">
+                        Last seen {new Date(device.lastSeenAt).toLocaleString()}
+                      </span>
+                    )}
+                  </span>
+                  {isPrimaryDevice && (
+                    <button
+                      onClick={() => handleRevokeDevice(device)}
+                      className="px-2 py-1 text-xs bg-red-100 text-red-700 rounded hover:bg-red-200"
+                    >
+                      Unlink
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+
+            {isPrimaryDevice && (pendingLink ? (
+              <div className="mb-4">
+                <p className="text-sm text-gray-700 mb-2">
+                  Link <span className="font-semibold">{pendingLink.name}</span>? Check that the new device shows
+                  these numbers:
+                </p>
+                <p className="font-mono text-sm text-gray-900 mb-2">{pendingLink.fingerprint.join(' ')}</p>
+                {pendingLink.fingerprintMatches === false && (
+                  <p className="text-sm text-red-600 font-medium mb-2">
+                    ⚠️ The scanned link does not match these keys. Do not link this device.
+                  </p>
+                )}
+                {pendingLink.fingerprintMatches === true && (
+                  <p className="text-sm text-green-700 mb-2">✓ Matches the scanned link</p>
+                )}
+                <div className="flex gap-2">
+                  <button
+                    onClick={handleApproveLink}
+                    disabled={deviceBusy || pendingLink.fingerprintMatches === false}
+                    className="flex-1 px-3 py-2 bg-[#00a884] text-white rounded hover:bg-[#029974] disabled:opacity-50"
+                  >
+                    {deviceBusy ? 'Signing…' : 'Link device'}
+                  </button>
+                  <button
+                    onClick={() => setPendingLink(null)}
+                    className="flex-1 px-3 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <form onSubmit={handleLookupLink} className="flex gap-2 mb-4">
+                <input
+                  type="text"
+                  placeholder="Link code or scanned link"
+                  value={linkInput}
+                  onChange={(e) => setLinkInput(e.target.value)}
+                  className="flex-1 px-3 py-2 rounded bg-gray-100 text-gray-900 placeholder-gray-500 focus:outline-none"
+                />
+                <button
+                  type="submit"
+                  disabled={deviceBusy || !linkInput.trim()}
+                  className="px-3 py-2 bg-[#00a884] text-white rounded hover:bg-[#029974] disabled:opacity-50"
+                >
+                  Continue
+                </button>
+              </form>
+            ))}
+            {error && <p className="text-red-600 text-sm mb-2">{error}</p>}
+
+            <button
+              onClick={closeDevicesDialog}
+              className="w-full px-3 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      )}
+
+      {keyChangeWarning !== null && (
+        <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50 px-4">
+          <div className="bg-white rounded-lg shadow-lg max-w-md w-full p-6">
+            <h2 className="text-lg font-semibold text-red-700 mb-2">⚠️ Safety number changed</h2>
+            <p className="text-sm text-gray-700 mb-4">
+              The keys of {friends.find((f) => Number(f.friend_id) === Number(keyChangeWarning))?.username || 'a verified contact'} no
+              longer match the keys you verified. This can happen after they rotate their keys, but it can also mean
+              someone is intercepting your conversation. Messages to and from this contact are blocked until you
+              compare safety numbers again.
+            </p>
+            <div className="flex flex-col gap-2">
+              <button
+                onClick={() => {
+                  const peer = friends.find((f) => Number(f.friend_id) === Number(keyChangeWarning));
+                  setKeyChangeWarning(null);
+                  navigate(`/verify/${keyChangeWarning}`, { state: { username: peer?.username } });
+                }}
+                className="w-full px-3 py-2 bg-[#00a884] text-white rounded hover:bg-[#029974]"
+              >
+                Compare safety numbers
+              </button>
+              <button
+                onClick={handleAcceptChangedKeys}
+                className="w-full px-3 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300"
+              >
+                Accept new keys without verifying
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Notification Toast for unselected contact messages */}
       {notification && (
         <div className="fixed top-20 right-4 bg-blue-600 text-white p-4 rounded-lg shadow-lg max-w-sm z-50">
@@ -705,10 +2846,15 @@ const ChatDashboard = ({ user, setIsLoggedIn, setUser }) => {
             </div>
             <button
               onClick={() => {
+                if (notification.groupId) {
+                  openGroup(notification.groupId);
+                  setNotification(null);
+                  return;
+                }
                 // Find and select the contact
                 const sender = friends.find(f => f.friend_id === notification.senderId);
                 if (sender) {
-                  setSelectedContact(sender);
+                  openContact(sender);
                   setNotification(null);
                 }
               }}
@@ -738,7 +2884,46 @@ const ChatDashboard = ({ user, setIsLoggedIn, setUser }) => {
             )}
           </div>
           <div className="flex items-center gap-3">
+            {keyStatus && <span className="text-xs bg-green-600 px-2 py-1 rounded">{keyStatus}</span>}
             <span className="opacity-90 text-sm">{user?.username}</span>
+            <button
+              onClick={openDevicesDialog}
+              disabled={!hasKeys}
+              className="text-sm bg-white/20 text-white px-3 py-1 rounded disabled:opacity-50"
+              title="Link and unlink devices"
+            >
+              Devices
+            </button>
+            <button
+              onClick={handleToggleMailbox}
+              className="text-sm bg-white/20 text-white px-3 py-1 rounded disabled:opacity-50"
+              title="Let the server hold encrypted messages for your offline devices for up to 7 days"
+            >
+              {mailboxEnabled ? 'Mailbox: On' : 'Mailbox: Off'}
+            </button>
+            <button
+              onClick={() => setShowPrivacy(true)}
+              className="text-sm bg-white/20 text-white px-3 py-1 rounded disabled:opacity-50"
+              title="Read receipts, online status and typing indicators"
+            >
+              Privacy
+            </button>
+            <button
+              onClick={handleRotateKeys}
+              disabled={!hasKeys || !isPrimaryDevice || rotatingKeys}
+              className="text-sm bg-white/20 text-white px-3 py-1 rounded disabled:opacity-50"
+              title={isPrimaryDevice ? 'Replace your long-term encryption keys' : 'Only your primary device can rotate keys'}
+            >
+              {rotatingKeys ? 'Rotating…' : 'Rotate keys'}
+            </button>
+            <button
+              onClick={() => setShowBackup(true)}
+              disabled={!hasKeys || !isPrimaryDevice}
+              className="text-sm bg-white/20 text-white px-3 py-1 rounded disabled:opacity-50"
+              title={isPrimaryDevice ? 'Export your keys, encrypted with a recovery passphrase' : 'Only your primary device can back up keys'}
+            >
+              Back up keys
+            </button>
             <button onClick={handleLogout} className="text-sm bg-white text-[#075e54] px-3 py-1 rounded">
               Logout
             </button>
@@ -762,6 +2947,39 @@ const ChatDashboard = ({ user, setIsLoggedIn, setUser }) => {
               onChange={(e) => setFriendSearch(e.target.value)}
               className="w-full px-4 py-2 rounded-lg bg-gray-100 text-gray-900 placeholder-gray-500 focus:outline-none"
             />
+            <form onSubmit={handleSearchMessages} className="mt-2">
+              <input
+                type="search"
+                placeholder="Search messages"
+                value={messageSearch}
+                onChange={(e) => {
+                  setMessageSearch(e.target.value);
+                  if (!e.target.value) setSearchResults(null);
+                }}
+                disabled={!hasKeys}
+                className="w-full px-4 py-2 rounded-lg bg-gray-100 text-gray-900 placeholder-gray-500 focus:outline-none disabled:opacity-50"
+              />
+            </form>
+            {searching && <p className="text-xs text-gray-500 mt-2">Searching…</p>}
+            {!searching && searchResults && (
+              <div className="mt-2 max-h-60 overflow-y-auto border rounded">
+                {searchResults.length === 0 ? (
+                  <p className="p-2 text-xs text-gray-500">No messages found</p>
+                ) : searchResults.map((result) => (
+                  <button
+                    key={result.message.historyId}
+                    onClick={() => handleOpenSearchResult(result)}
+                    className="w-full text-left p-2 hover:bg-gray-100 border-b last:border-b-0"
+                  >
+                    <div className="flex items-center justify-between">
+                      <p className="text-sm font-medium">{describeConversation(result.conversation)}</p>
+                      <p className="text-xs text-gray-500">{new Date(result.message.timestamp).toLocaleDateString()}</p>
+                    </div>
+                    <p className="text-xs text-gray-600 truncate">{result.message.message}</p>
+                  </button>
+                ))}
+              </div>
+            )}
           </div>
           {/* Add Friend Section */}
           <div className="px-3">
@@ -812,6 +3030,34 @@ const ChatDashboard = ({ user, setIsLoggedIn, setUser }) => {
               </div>
           )}
 
+          {/* Groups */}
+          <div className="px-3 pt-3">
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-sm font-semibold text-gray-600">Groups</h3>
+              <button
+                onClick={() => setShowCreateGroup(true)}
+                disabled={!hasKeys || friends.length === 0}
+                className="text-xs text-[#075e54] hover:underline disabled:opacity-50"
+              >
+                New group
+              </button>
+            </div>
+            {groups.length > 0 && (
+              <div className="max-h-40 overflow-y-auto">
+                {groups.map((group) => (
+                  <div
+                    key={group.id}
+                    onClick={() => openGroup(group.id)}
+                    className={`px-1 py-2 cursor-pointer hover:bg-gray-50 border-b ${selectedGroup?.id === group.id ? 'bg-gray-100' : ''}`}
+                  >
+                    <div className="font-medium">👥 {group.name}</div>
+                    <div className="text-xs text-gray-500">{group.memberCount} members</div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
           {/* Friends List */}
           <div className="flex-1 overflow-y-auto">
             {filteredFriends.length === 0 ? (
@@ -820,11 +3066,23 @@ const ChatDashboard = ({ user, setIsLoggedIn, setUser }) => {
               filteredFriends.map((friend) => (
                 <div
                   key={friend.friend_id}
-                  onClick={() => setSelectedContact(friend)}
+                  onClick={() => openContact(friend)}
                   className={`px-4 py-3 cursor-pointer hover:bg-gray-50 border-b ${selectedContact?.friend_id === friend.friend_id ? 'bg-gray-100' : ''}`}
                 >
-                  <div className="font-medium">{friend.username}</div>
-                  <div className="text-xs text-gray-500">Tap to chat</div>
+                  <div className="font-medium flex items-center gap-2">
+                    {friend.online !== null && friend.online !== undefined && (
+                      <span
+                        className={`inline-block w-2 h-2 rounded-full ${friend.online ? 'bg-green-500' : 'bg-gray-300'}`}
+                        title={friend.online ? 'Online' : 'Offline'}
+                      />
+                    )}
+                    {friend.username}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {typingFrom[Number(friend.friend_id)]
+                      ? <span className="text-[#00a884]">typing…</span>
+                      : describePresence(friend) || 'Tap to chat'}
+                  </div>
                 </div>
               ))
             )}
@@ -837,30 +3095,81 @@ const ChatDashboard = ({ user, setIsLoggedIn, setUser }) => {
             <>
               {/* Chat header */}
               <div className="px-4 py-3 bg-[#f0f2f5] border-b">
-                <h2 className="font-semibold">{selectedContact.username}</h2>
+                <div className="flex items-center justify-between">
+                  <h2 className="font-semibold">
+                    {selectedContact.username}
+                    {contactVerified && (
+                      <span className="ml-2 text-xs text-green-700" title="Safety number verified">✓ Verified</span>
+                    )}
+                  </h2>
+                  <div className="flex items-center gap-3">
+                    <label className="text-xs text-gray-600" title="Messages in this conversation are deleted on both sides after this time">
+                      ⏱{' '}
+                      <select
+                        value={disappearingTimers[Number(selectedContact.friend_id)]?.ttlMs || 0}
+                        onChange={(e) => handleSetDisappearingTimer(Number(e.target.value))}
+                        className="bg-transparent text-xs border rounded px-1"
+                      >
+                        {DISAPPEARING_TIMERS_MS.map((ttlMs) => (
+                          <option key={ttlMs} value={ttlMs}>{describeDisappearingTimer(ttlMs)}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <button
+                      onClick={handleClearHistory}
+                      className="text-xs text-gray-600 hover:underline"
+                      title="Delete this conversation's history on this device"
+                    >
+                      Clear history
+                    </button>
+                    <button
+                      onClick={() => navigate(`/verify/${selectedContact.friend_id}`, { state: { username: selectedContact.username } })}
+                      className="text-xs text-[#075e54] hover:underline"
+                    >
+                      {contactVerified ? 'Safety number' : 'Verify'}
+                    </button>
+                  </div>
+                </div>
                 <p className="text-xs text-gray-500 mt-1">
-                  🔒 End-to-end encrypted • Messages are not stored
+                  {typingFrom[Number(selectedContact.friend_id)]
+                    ? <span className="text-[#00a884]">typing… • </span>
+                    : contactPresence && <>{contactPresence} • </>}
+                  🔒 End-to-end encrypted • History is encrypted on this device
                 </p>
               </div>
               <div className="flex-1 overflow-y-auto p-4 space-y-3">
+                {historyPage.hasMore && (
+                  <div className="text-center">
+                    <button
+                      onClick={handleLoadEarlierMessages}
+                      disabled={historyPage.loading}
+                      className="text-xs text-[#075e54] hover:underline disabled:opacity-50"
+                    >
+                      {historyPage.loading ? 'Loading…' : 'Load earlier messages'}
+                    </button>
+                  </div>
+                )}
                 {messages.length === 0 ? (
                   <div className="text-center mt-8">
                     <p className="text-gray-500 mb-2">No messages yet. Start the conversation!</p>
                     <p className="text-xs text-gray-400">
-                      All messages are end-to-end encrypted and delivered in real-time only
+                      Messages are end-to-end encrypted and kept only on your devices
                     </p>
                   </div>
                 ) : (
-                  messages.map((msg, idx) => (
+                  messages.map((msg, idx) => (msg.isNotice ? (
+                    <p key={historyKey(msg) || idx} className="text-center text-xs text-gray-500">⏱ {msg.message}</p>
+                  ) : (
                     <motion.div
-                      key={idx}
+                      key={historyKey(msg) || idx}
+                      id={`message-${historyKey(msg)}`}
                       initial={{ opacity: 0, y: 10 }}
                       animate={{ opacity: 1, y: 0 }}
                       className={`p-2 rounded-lg max-w-[70%] relative ${
                         msg.senderId === user?.id
                           ? 'ml-auto bg-[#d9fdd3]'
                           : 'bg-white'
-                      }`}
+                      }${historyKey(msg) === highlightedMessage ? ' ring-2 ring-[#00a884]' : ''}`}
                     >
                       <div className="flex items-start gap-2">
                         <div className="flex-1">
@@ -874,12 +3183,44 @@ const ChatDashboard = ({ user, setIsLoggedIn, setUser }) => {
                       </div>
                       <p className="text-[10px] opacity-60 mt-1 text-right">
                         {new Date(msg.timestamp).toLocaleTimeString()}
+                        {msg.expiresAt && (
+                          <span className="ml-1" title={`Disappears at ${new Date(msg.expiresAt).toLocaleString()}`}>⏱</span>
+                        )}
                         {!msg.isFile && (
                           <span className="ml-1 text-green-600">E2EE</span>
                         )}
+                        {msg.deliveryStatus === 'queued' && (
+                          <span className="ml-1" title="Waiting to be sent">🕓 Queued</span>
+                        )}
+                        {msg.deliveryStatus === 'sending' && (
+                          <span className="ml-1">Sending…</span>
+                        )}
+                        {msg.deliveryStatus === 'stored' && (
+                          <span className="ml-1" title="Held in the recipient's mailbox until a device comes online">📥 In mailbox</span>
+                        )}
+                        {msg.deliveryStatus === 'sent' && (
+                          <span className="ml-1 text-gray-600" title="Sent">✓</span>
+                        )}
+                        {msg.deliveryStatus === 'delivered' && (
+                          <span className="ml-1 text-gray-600" title="Delivered">✓✓</span>
+                        )}
+                        {msg.deliveryStatus === 'read' && (
+                          <span className="ml-1 text-blue-600" title="Read">✓✓</span>
+                        )}
                       </p>
+                      {msg.deliveryStatus === 'failed' && (
+                        <p className="text-[10px] text-red-600 mt-1 text-right">
+                          ⚠️ Not sent
+                          <button
+                            onClick={() => handleRetryMessage(msg.messageId)}
+                            className="ml-2 underline"
+                          >
+                            Retry
+                          </button>
+                        </p>
+                      )}
                     </motion.div>
-                  ))
+                  )))
                 )}
               </div>
               
@@ -890,6 +3231,57 @@ const ChatDashboard = ({ user, setIsLoggedIn, setUser }) => {
                 </div>
               )}
 
+              {/* File transfers in progress */}
+              {Object.keys(fileTransfers).length > 0 && (
+                <div className="px-4 py-3 bg-blue-50 border-t border-blue-200 space-y-2">
+                  {Object.entries(fileTransfers).map(([transferId, transfer]) => (
+                    <div key={transferId} className="bg-white p-2 rounded border border-blue-200">
+                      <div className="flex items-center justify-between gap-2">
+                        <p className="text-sm font-medium text-gray-900 truncate">
+                          {transfer.direction === 'out' ? '⬆️' : '⬇️'} {transfer.fileName}
+                        </p>
+                        <div className="flex gap-2 shrink-0">
+                          {transfer.status === 'paused' && transfer.pausedByMe ? (
+                            <button
+                              onClick={() => handleResumeTransfer(transferId)}
+                              className="px-2 py-0.5 bg-green-600 text-white rounded text-xs hover:bg-green-700"
+                            >
+                              Resume
+                            </button>
+                          ) : (
+                            <button
+                              onClick={() => handlePauseTransfer(transferId)}
+                              disabled={transfer.status !== 'running'}
+                              className="px-2 py-0.5 bg-gray-600 text-white rounded text-xs hover:bg-gray-700 disabled:opacity-50"
+                            >
+                              Pause
+                            </button>
+                          )}
+                          <button
+                            onClick={() => handleCancelTransfer(transferId)}
+                            className="px-2 py-0.5 bg-red-600 text-white rounded text-xs hover:bg-red-700"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      </div>
+                      <div className="mt-1 h-2 bg-blue-100 rounded overflow-hidden">
+                        <div
+                          className={`h-full transition-all ${transfer.status === 'running' ? 'bg-blue-600' : 'bg-gray-400'}`}
+                          style={{ width: `${Math.round(transfer.progress * 100)}%` }}
+                        />
+                      </div>
+                      <p className="text-xs text-gray-600 mt-1">
+                        {Math.round(transfer.progress * 100)}% of {(transfer.fileSize / 1024).toFixed(2)} KB
+                        {transfer.status === 'waiting' && ' • Waiting for recipient'}
+                        {transfer.status === 'paused' && (transfer.pausedByMe ? ' • Paused' : ' • Paused by the other side')}
+                        {transfer.status === 'offline' && ' • Waiting for the other side to reconnect'}
+                      </p>
+                    </div>
+                  ))}
+                </div>
+              )}
+
               {/* Pending files list - requires user consent before download */}
               {pendingFiles.length > 0 && (
                 <div className="px-4 py-3 bg-amber-50 border-t border-amber-200">
@@ -973,7 +3365,7 @@ const ChatDashboard = ({ user, setIsLoggedIn, setUser }) => {
                 <label
                   htmlFor="file-input"
                   className="px-4 py-2 bg-gray-200 text-gray-700 rounded-full cursor-pointer hover:bg-gray-300 flex items-center justify-center"
-                  title="Attach file (Max 10MB)"
+                  title={`Attach file (Max ${MAX_FILE_SIZE / (1024 * 1024)}MB)`}
                 >
                   📎
                 </label>
@@ -981,7 +3373,7 @@ const ChatDashboard = ({ user, setIsLoggedIn, setUser }) => {
                   type="text"
                   placeholder="Type a message..."
                   value={messageText}
-                  onChange={(e) => setMessageText(e.target.value)}
+                  onChange={handleMessageTextChange}
                   onKeyPress={(e) => e.key === 'Enter' && handleSendMessage()}
                   className="flex-1 px-4 py-2 rounded-full bg-white text-gray-900 placeholder-gray-500 focus:outline-none"
                 />
@@ -995,6 +3387,113 @@ const ChatDashboard = ({ user, setIsLoggedIn, setUser }) => {
                 </motion.button>
               </div>
             </>
+          ) : selectedGroup ? (
+            <>
+              {/* Group header */}
+              <div className="px-4 py-3 bg-[#f0f2f5] border-b">
+                <div className="flex items-center justify-between">
+                  <h2 className="font-semibold">👥 {selectedGroup.name}</h2>
+                  <div className="flex items-center gap-3">
+                    <button
+                      onClick={handleClearHistory}
+                      className="text-xs text-gray-600 hover:underline"
+                      title="Delete this group's history on this device"
+                    >
+                      Clear history
+                    </button>
+                    <button
+                      onClick={() => setShowGroupMembers(true)}
+                      className="text-xs text-[#075e54] hover:underline"
+                    >
+                      {selectedGroup.members.length} members
+                    </button>
+                  </div>
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  🔒 End-to-end encrypted with a new key after every membership change • History is encrypted on this device
+                </p>
+              </div>
+              <div className="flex-1 overflow-y-auto p-4 space-y-3">
+                {historyPage.hasMore && (
+                  <div className="text-center">
+                    <button
+                      onClick={handleLoadEarlierMessages}
+                      disabled={historyPage.loading}
+                      className="text-xs text-[#075e54] hover:underline disabled:opacity-50"
+                    >
+                      {historyPage.loading ? 'Loading…' : 'Load earlier messages'}
+                    </button>
+                  </div>
+                )}
+                {messages.length === 0 ? (
+                  <div className="text-center mt-8">
+                    <p className="text-gray-500 mb-2">No messages yet. Say hello to the group!</p>
+                    <p className="text-xs text-gray-400">
+                      Members who are offline do not receive messages sent meanwhile
+                    </p>
+                  </div>
+                ) : (
+                  messages.map((msg, idx) => (
+                    <motion.div
+                      key={historyKey(msg) || idx}
+                      id={`message-${historyKey(msg)}`}
+                      initial={{ opacity: 0, y: 10 }}
+                      animate={{ opacity: 1, y: 0 }}
+                      className={`p-2 rounded-lg max-w-[70%] relative ${
+                        msg.senderId === user?.id
+                          ? 'ml-auto bg-[#d9fdd3]'
+                          : 'bg-white'
+                      }${historyKey(msg) === highlightedMessage ? ' ring-2 ring-[#00a884]' : ''}`}
+                    >
+                      {msg.senderId !== user?.id && (
+                        <p className="text-xs font-semibold text-[#075e54] mb-1">{msg.senderName || `User ${msg.senderId}`}</p>
+                      )}
+                      <div>{msg.message}</div>
+                      <p className="text-[10px] opacity-60 mt-1 text-right">
+                        {new Date(msg.timestamp).toLocaleTimeString()}
+                        <span className="ml-1 text-green-600">E2EE</span>
+                        {(msg.deliveryStatus === 'queued' || msg.deliveryStatus === 'sending') && (
+                          <span className="ml-1">Sending…</span>
+                        )}
+                        {msg.deliveryStatus === 'sent' && (
+                          <span className="ml-1 text-gray-600" title="Sent">✓</span>
+                        )}
+                      </p>
+                      {msg.deliveryStatus === 'failed' && (
+                        <p className="text-[10px] text-red-600 mt-1 text-right">
+                          ⚠️ Not sent
+                          <button
+                            onClick={() => handleRetryGroupMessage(msg)}
+                            className="ml-2 underline"
+                          >
+                            Retry
+                          </button>
+                        </p>
+                      )}
+                    </motion.div>
+                  ))
+                )}
+              </div>
+
+              <div className="p-3 bg-[#f0f2f5] flex gap-2">
+                <input
+                  type="text"
+                  placeholder="Message the group..."
+                  value={messageText}
+                  onChange={handleMessageTextChange}
+                  onKeyPress={(e) => e.key === 'Enter' && handleSendGroupMessage()}
+                  className="flex-1 px-4 py-2 rounded-full bg-white text-gray-900 placeholder-gray-500 focus:outline-none"
+                />
+                <motion.button
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                  onClick={handleSendGroupMessage}
+                  className="px-6 py-2 bg-[#00a884] text-white font-medium rounded-full hover:opacity-90"
+                >
+                  Send
+                </motion.button>
+              </div>
+            </>
           ) : (
             <div className="flex items-center justify-center h-full text-center">
               <div>
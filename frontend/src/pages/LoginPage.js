@@ -1,9 +1,25 @@
-import React, { useState } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import axios from 'axios';
 import { motion } from 'framer-motion';
+import { QRCodeSVG } from 'qrcode.react';
 import { useNavigate, Link } from 'react-router-dom';
 import { useSocket } from '../context/SocketContext';
-import { initializeSecureKeys } from '../utils/crypto';
+import {
+  initializeSecureKeys,
+  unlockSecureKeys,
+  hasSecretKeys,
+  restoreKeyBackup,
+  createPrekeyUpload,
+  createKeyMigrationProof,
+  provisionHybridKey,
+  generateKeyPairs,
+  computeDeviceFingerprint,
+  buildDeviceLinkUri,
+  initializeLinkedDevice,
+  getLocalDevice,
+  forgetLinkedDevice,
+  PRIMARY_DEVICE_ID
+} from '../utils/crypto';
 
 // Normalize API_URL: strip trailing slashes and remove trailing "/api" if present
 const API_URL = (() => {
@@ -17,14 +33,62 @@ const API_URL = (() => {
   .replace(/\/+$/, '') // Remove trailing slashes
   .replace(/\/api$/, ''); // Remove trailing "/api" if present
 
+const LINK_POLL_INTERVAL_MS = 3000;
+
 const LoginPage = ({ setIsLoggedIn, setUser }) => {
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [restore, setRestore] = useState(null); // { token, userId } while keys must be restored from a backup
+  const [restoreSource, setRestoreSource] = useState('file'); // file | server | link
+  const [backupFileText, setBackupFileText] = useState('');
+  const [recoveryPassphrase, setRecoveryPassphrase] = useState('');
+  const [deviceName, setDeviceName] = useState('');
+  const [linkRequest, setLinkRequest] = useState(null); // { linkCode, uri, fingerprint } while waiting for approval
+  const linkPollRef = useRef(null); // Link code being polled; cleared to stop polling
   const navigate = useNavigate();
   const { connectSocket } = useSocket();
 
+  useEffect(() => () => { linkPollRef.current = null; }, []);
+
+  // Shared tail of a login once the keystore is unlocked
+  const finishLogin = async (token, userId, keys, deviceId = PRIMARY_DEVICE_ID) => {
+    if (keys && !keys.x25519PublicKey && deviceId === PRIMARY_DEVICE_ID) {
+      // Account predates hybrid KEM: add an X25519 key so peers can use envelope v2.
+      // Non-fatal; peers fall back to ML-KEM-only envelopes until this succeeds.
+      try {
+        const { x25519PublicKey, signature } = await provisionHybridKey(userId);
+        await axios.post(
+          `${API_URL}/api/keys/x25519`,
+          { x25519PublicKey, signature },
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+        console.log('✓ Hybrid X25519 key registered');
+      } catch (hybridError) {
+        console.error('Hybrid key registration failed:', hybridError.message);
+      }
+    }
+
+    setIsLoggedIn(true);
+    setUser({ id: userId, username, deviceId });
+
+    console.log('Login complete, session initialized. Navigating to chat...');
+
+    // Connect socket with authentication after successful login (non-blocking)
+    try {
+      connectSocket(token, userId, deviceId);
+    } catch (socketError) {
+      console.error('Socket connection failed:', socketError);
+      // User is still logged in, socket will retry via context
+    }
+
+    // Small delay to ensure state updates propagate before navigation
+    await new Promise(resolve => setTimeout(resolve, 100));
+    
+    navigate('/chat', { replace: true });
+  };
+
   const handleLogin = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -40,15 +104,15 @@ const LoginPage = ({ setIsLoggedIn, setUser }) => {
       loginResponse = await axios.post(`${API_URL}/api/auth/login`, { username, password });
 
       // Save token and user to localStorage
-      const { token, userId, keys } = loginResponse.data;
+      const { token, userId, keys, keyMigrationRequired, legacySecretKeys } = loginResponse.data;
+      let deviceId = PRIMARY_DEVICE_ID;
       localStorage.setItem('token', token);
       localStorage.setItem('user', JSON.stringify({ id: userId, username }));
       
-      // Store public keys and securely persist secrets
-      if (keys) {
-        // Secret keys are included in login response for one-time retrieval
-        const kyberSecretKey = keys.kyberSecretKey;
-        const falconSecretKey = keys.falconSecretKey;
+      if (keyMigrationRequired && legacySecretKeys) {
+        // Legacy account: the server still holds secret keys from server-side
+        // registration. Take custody of them, then have the server delete its copy.
+        const { kyberSecretKey, falconSecretKey } = legacySecretKeys;
         
         // Validate secret keys exist before initializing secure storage
         if (!kyberSecretKey || typeof kyberSecretKey !== 'string' || kyberSecretKey.trim() === '') {
@@ -69,29 +133,66 @@ const LoginPage = ({ setIsLoggedIn, setUser }) => {
           kyberSecretKey,
           falconSecretKey,
           kyberPublicKey: keys.kyberPublicKey,
-          falconPublicKey: keys.falconPublicKey
+          falconPublicKey: keys.falconPublicKey,
+          kemAlgorithm: keys.kemAlgorithm,
+          signatureAlgorithm: keys.signatureAlgorithm,
+          keyVersion: keys.keyVersion,
+          userId,
+          directory: keys.directory
         });
 
-        console.log(`✓ Keys securely initialized for user: ${username}`);
-      }
+        const signature = await createKeyMigrationProof(userId, keys.falconPublicKey, falconSecretKey);
+        await axios.post(
+          `${API_URL}/api/keys/migrate`,
+          { signature },
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+
+        console.log(`✓ Legacy keys migrated to this device for user: ${username}`);
+      } else if (keys) {
+        if (!(await hasSecretKeys(username))) {
+          // Keys were generated in another browser, or this one's data was cleared
+          localStorage.removeItem('token');
+          localStorage.removeItem('user');
+          setRestore({ token, userId });
+          return;
+        }
 
-      setIsLoggedIn(true);
-      setUser({ id: userId, username });
+        // A linked device must still be listed (revoked devices and key
+        // rotation remove it); otherwise drop its keys and link again
+        const localDevice = await getLocalDevice(username);
+        if (localDevice) {
+          const { data } = await axios.get(`${API_URL}/api/devices`, {
+            headers: { Authorization: `Bearer ${token}` }
+          });
+          if (!data.devices.some((device) => device.deviceId === localDevice.deviceId)) {
+            await forgetLinkedDevice(username);
+            localStorage.removeItem('token');
+            localStorage.removeItem('user');
+            setRestoreSource('link');
+            setRestore({ token, userId });
+            setError('This device was unlinked from your account. Link it again to continue.');
+            return;
+          }
+          deviceId = localDevice.deviceId;
+          localStorage.setItem('user', JSON.stringify({ id: userId, username, deviceId }));
+        }
 
-      console.log('Login complete, session initialized. Navigating to chat...');
+        // Secret keys were generated on this device at registration
+        try {
+          await unlockSecureKeys(username, password, userId, keys);
+        } catch (keystoreError) {
+          console.error('Keystore unlock failed:', keystoreError.message);
+          localStorage.removeItem('token');
+          localStorage.removeItem('user');
+          setError(keystoreError.message);
+          return;
+        }
 
-      // Connect socket with authentication after successful login (non-blocking)
-      try {
-        connectSocket(token, userId);
-      } catch (socketError) {
-        console.error('Socket connection failed:', socketError);
-        // User is still logged in, socket will retry via context
+        console.log(`✓ Keys securely unlocked for user: ${username}`);
       }
 
-      // Small delay to ensure state updates propagate before navigation
-      await new Promise(resolve => setTimeout(resolve, 100));
-      
-      navigate('/chat', { replace: true });
+      await finishLogin(token, userId, keys, deviceId);
     } catch (err) {
       setError(err.response?.data?.msg || 'Login failed');
     } finally {
@@ -99,6 +200,162 @@ const LoginPage = ({ setIsLoggedIn, setUser }) => {
     }
   };
 
+  const handleBackupFile = async (e) => {
+    const file = e.target.files?.[0];
+    setBackupFileText(file ? await file.text() : '');
+  };
+
+  const handleRestore = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const headers = { Authorization: `Bearer ${restore.token}` };
+      let backup = backupFileText;
+      if (restoreSource === 'server') {
+        const response = await axios.get(`${API_URL}/api/keys/backup`, { headers });
+        backup = response.data.backup;
+      }
+      if (!backup) {
+        setError('Choose a backup file');
+        return;
+      }
+
+      // Re-fetch the directory-signed keys; the login response may have aged
+      // past the signature freshness window while the user found the backup
+      const { data } = await axios.get(`${API_URL}/api/keys/my-keys`, { headers });
+      await restoreKeyBackup(username, password, restore.userId, data.keys, backup, recoveryPassphrase);
+
+      // Prekey secrets are not part of the backup: replace the published ones
+      const upload = await createPrekeyUpload(restore.userId, { rotateSignedPrekey: true });
+      await axios.post(`${API_URL}/api/keys/prekeys`, { ...upload, replaceOneTimePrekeys: true }, { headers });
+
+      localStorage.setItem('token', restore.token);
+      localStorage.setItem('user', JSON.stringify({ id: restore.userId, username }));
+      await finishLogin(restore.token, restore.userId, data.keys);
+    } catch (err) {
+      console.error('Key restore failed:', err);
+      setError(err.response?.data?.msg || err.message || 'Key restore failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Link this browser as a new device: upload fresh keys, show the code and
+  // wait until the primary device signs the device record
+  const handleStartLink = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    const headers = { Authorization: `Bearer ${restore.token}` };
+    let keys;
+    let link;
+    try {
+      const { data } = await axios.get(`${API_URL}/api/keys/my-keys`, { headers });
+      keys = await generateKeyPairs({
+        kemAlgorithm: data.keys.kemAlgorithm,
+        signatureAlgorithm: data.keys.signatureAlgorithm
+      });
+      const { data: created } = await axios.post(`${API_URL}/api/devices/link`, {
+        name: deviceName.trim(),
+        kemAlgorithm: keys.kemAlgorithm,
+        kyberPublicKey: keys.kyberPublicKey,
+        signatureAlgorithm: keys.signatureAlgorithm,
+        falconPublicKey: keys.falconPublicKey,
+        x25519PublicKey: keys.x25519PublicKey
+      }, { headers });
+      const fingerprint = await computeDeviceFingerprint(restore.userId, keys);
+      link = { ...created, fingerprint, uri: buildDeviceLinkUri(created.linkCode, fingerprint) };
+      setLinkRequest(link);
+    } catch (err) {
+      console.error('Device link request failed:', err);
+      setError(err.response?.data?.msg || err.message || 'Device link request failed');
+      setLoading(false);
+      return;
+    }
+
+    linkPollRef.current = link.linkCode;
+    try {
+      let device = null;
+      while (!device) {
+        await new Promise((resolve) => setTimeout(resolve, LINK_POLL_INTERVAL_MS));
+        if (linkPollRef.current !== link.linkCode) {
+          return; // Cancelled
+        }
+        const { data } = await axios.get(`${API_URL}/api/devices/link/${link.linkCode}`, { headers });
+        if (data.status === 'approved') {
+          device = data.device;
+        }
+      }
+
+      // Fresh directory-signed identity keys; polling may have outlasted the login response's
+      const { data } = await axios.get(`${API_URL}/api/keys/my-keys`, { headers });
+      await initializeLinkedDevice(username, password, {
+        userId: restore.userId,
+        identityKeys: data.keys,
+        device,
+        keys
+      });
+
+      localStorage.setItem('token', restore.token);
+      localStorage.setItem('user', JSON.stringify({ id: restore.userId, username, deviceId: device.deviceId }));
+      await finishLogin(restore.token, restore.userId, data.keys, device.deviceId);
+    } catch (err) {
+      console.error('Device linking failed:', err);
+      setError(err.response?.status === 404
+        ? 'The link code expired. Start again.'
+        : err.response?.data?.msg || err.message || 'Device linking failed');
+      setLinkRequest(null);
+    } finally {
+      linkPollRef.current = null;
+      setLoading(false);
+    }
+  };
+
+  const handleCancelRestore = () => {
+    linkPollRef.current = null;
+    setLinkRequest(null);
+    setDeviceName('');
+    setRestore(null);
+    setBackupFileText('');
+    setRecoveryPassphrase('');
+    setError('');
+  };
+
+  const restoreSourcePicker = (
+    <div className="flex gap-4 text-sm text-gray-700">
+      <label className="flex items-center gap-2">
+        <input
+          type="radio"
+          name="restoreSource"
+          checked={restoreSource === 'file'}
+          onChange={() => setRestoreSource('file')}
+        />
+        Backup file
+      </label>
+      <label className="flex items-center gap-2">
+        <input
+          type="radio"
+          name="restoreSource"
+          checked={restoreSource === 'server'}
+          onChange={() => setRestoreSource('server')}
+        />
+        Server backup
+      </label>
+      <label className="flex items-center gap-2">
+        <input
+          type="radio"
+          name="restoreSource"
+          checked={restoreSource === 'link'}
+          onChange={() => setRestoreSource('link')}
+        />
+        Link device
+      </label>
+    </div>
+  );
+
   return (
     <div className="relative min-h-screen overflow-hidden">
       {/* Animated background blobs */}
@@ -118,56 +375,167 @@ const LoginPage = ({ setIsLoggedIn, setUser }) => {
             <p className="text-sm text-gray-600 mt-1">Post-quantum secure chat</p>
           </div>
 
-          <form onSubmit={handleLogin} className="space-y-4">
-            <div className="relative">
-              <input
-                type="text"
-                placeholder="Username"
-                value={username}
-                onChange={(e) => setUsername(e.target.value)}
-                autoComplete="username"
-                className="w-full px-4 py-3 rounded-xl bg-gray-100 text-gray-900 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-whatsapp.primary"
-              />
-              <div className="pointer-events-none absolute inset-y-0 right-3 flex items-center text-gray-400">
-                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                  <path d="M12 12c2.761 0 5-2.239 5-5S14.761 2 12 2 7 4.239 7 7s2.239 5 5 5Zm0 2c-3.866 0-7 2.239-7 5v1h14v-1c0-2.761-3.134-5-7-5Z" fill="currentColor"/>
-                </svg>
-              </div>
-            </div>
+          {restore && restoreSource === 'link' ? (
+            <form onSubmit={handleStartLink} className="space-y-4">
+              <p className="text-sm text-gray-700">
+                Link this browser as a new device. Approve it from your primary device under Devices.
+              </p>
+
+              {!linkRequest && restoreSourcePicker}
+
+              {linkRequest ? (
+                <div className="space-y-3 text-center">
+                  <div className="flex justify-center">
+                    <QRCodeSVG value={linkRequest.uri} size={176} />
+                  </div>
+                  <p className="text-sm text-gray-700">
+                    Link code <span className="font-mono font-bold tracking-widest">{linkRequest.linkCode}</span>
+                  </p>
+                  <p className="text-xs text-gray-600">
+                    Check that your primary device shows the same numbers:
+                  </p>
+                  <p className="font-mono text-sm text-gray-900">{linkRequest.fingerprint.join(' ')}</p>
+                  <p className="text-xs text-gray-500">Waiting for approval…</p>
+                </div>
+              ) : (
+                <input
+                  type="text"
+                  placeholder="Device name (e.g. Laptop)"
+                  value={deviceName}
+                  onChange={(e) => setDeviceName(e.target.value)}
+                  required
+                  maxLength={64}
+                  className="w-full px-4 py-3 rounded-xl bg-gray-100 text-gray-900 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-whatsapp.primary"
+                />
+              )}
+
+              {error && (
+                <motion.p initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="text-red-600 text-sm font-medium">
+                  {error}
+                </motion.p>
+              )}
+
+              {!linkRequest && (
+                <motion.button
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  type="submit"
+                  disabled={loading}
+                  className="relative z-10 w-full py-3.5 rounded-xl bg-gradient-to-r from-green-600 to-green-500 text-white font-bold text-base shadow-lg hover:shadow-2xl hover:from-green-700 hover:to-green-600 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed border-2 border-green-700"
+                >
+                  {loading ? 'Generating keys…' : 'Link this device'}
+                </motion.button>
+              )}
+              <button
+                type="button"
+                onClick={handleCancelRestore}
+                className="w-full text-sm text-gray-600 hover:underline"
+              >
+                Back to sign in
+              </button>
+            </form>
+          ) : restore ? (
+            <form onSubmit={handleRestore} className="space-y-4">
+              <p className="text-sm text-gray-700">
+                Your encryption keys are not stored in this browser. Restore them from a key backup, or link this browser from your primary device.
+              </p>
+
+              {restoreSourcePicker}
+
+              {restoreSource === 'file' && (
+                <input
+                  type="file"
+                  accept=".json,application/json"
+                  onChange={handleBackupFile}
+                  className="w-full text-sm text-gray-700"
+                />
+              )}
 
-            <div className="relative">
               <input
                 type="password"
-                placeholder="Password"
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Recovery passphrase"
+                value={recoveryPassphrase}
+                onChange={(e) => setRecoveryPassphrase(e.target.value)}
                 required
-                autoComplete="current-password"
+                autoComplete="off"
                 className="w-full px-4 py-3 rounded-xl bg-gray-100 text-gray-900 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-whatsapp.primary"
               />
-              <div className="pointer-events-none absolute inset-y-0 right-3 flex items-center text-gray-400">
-                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                  <path d="M17 8V7a5 5 0 1 0-10 0v1H5v12h14V8h-2Zm-8 0V7a3 3 0 1 1 6 0v1H9Zm1 5h4v5h-4v-5Z" fill="currentColor"/>
-                </svg>
+
+              {error && (
+                <motion.p initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="text-red-600 text-sm font-medium">
+                  {error}
+                </motion.p>
+              )}
+
+              <motion.button
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                type="submit"
+                disabled={loading}
+                className="relative z-10 w-full py-3.5 rounded-xl bg-gradient-to-r from-green-600 to-green-500 text-white font-bold text-base shadow-lg hover:shadow-2xl hover:from-green-700 hover:to-green-600 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed border-2 border-green-700"
+              >
+                {loading ? 'Restoring keys…' : 'Restore keys'}
+              </motion.button>
+              <button
+                type="button"
+                onClick={handleCancelRestore}
+                className="w-full text-sm text-gray-600 hover:underline"
+              >
+                Back to sign in
+              </button>
+            </form>
+          ) : (
+            <form onSubmit={handleLogin} className="space-y-4">
+              <div className="relative">
+                <input
+                  type="text"
+                  placeholder="Username"
+                  value={username}
+                  onChange={(e) => setUsername(e.target.value)}
+                  autoComplete="username"
+                  className="w-full px-4 py-3 rounded-xl bg-gray-100 text-gray-900 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-whatsapp.primary"
+                />
+                <div className="pointer-events-none absolute inset-y-0 right-3 flex items-center text-gray-400">
+                  <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M12 12c2.761 0 5-2.239 5-5S14.761 2 12 2 7 4.239 7 7s2.239 5 5 5Zm0 2c-3.866 0-7 2.239-7 5v1h14v-1c0-2.761-3.134-5-7-5Z" fill="currentColor"/>
+                  </svg>
+                </div>
+              </div>
+
+              <div className="relative">
+                <input
+                  type="password"
+                  placeholder="Password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                  autoComplete="current-password"
+                  className="w-full px-4 py-3 rounded-xl bg-gray-100 text-gray-900 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-whatsapp.primary"
+                />
+                <div className="pointer-events-none absolute inset-y-0 right-3 flex items-center text-gray-400">
+                  <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M17 8V7a5 5 0 1 0-10 0v1H5v12h14V8h-2Zm-8 0V7a3 3 0 1 1 6 0v1H9Zm1 5h4v5h-4v-5Z" fill="currentColor"/>
+                  </svg>
+                </div>
               </div>
-            </div>
-
-            {error && (
-              <motion.p initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="text-red-600 text-sm font-medium">
-                {error}
-              </motion.p>
-            )}
-
-            <motion.button
-              whileHover={{ scale: 1.02 }}
-              whileTap={{ scale: 0.98 }}
-              type="submit"
-              disabled={loading}
-              className="relative z-10 w-full py-3.5 rounded-xl bg-gradient-to-r from-green-600 to-green-500 text-white font-bold text-base shadow-lg hover:shadow-2xl hover:from-green-700 hover:to-green-600 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed border-2 border-green-700"
-            >
-              {loading ? 'Logging in…' : 'Sign in'}
-            </motion.button>
-          </form>
+
+              {error && (
+                <motion.p initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="text-red-600 text-sm font-medium">
+                  {error}
+                </motion.p>
+              )}
+
+              <motion.button
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                type="submit"
+                disabled={loading}
+                className="relative z-10 w-full py-3.5 rounded-xl bg-gradient-to-r from-green-600 to-green-500 text-white font-bold text-base shadow-lg hover:shadow-2xl hover:from-green-700 hover:to-green-600 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed border-2 border-green-700"
+              >
+                {loading ? 'Logging in…' : 'Sign in'}
+              </motion.button>
+            </form>
+          )}
 
           <div className="mt-6 text-center text-sm text-gray-600">
             New here?{' '}
@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import axios from 'axios';
 import { motion } from 'framer-motion';
 import { useNavigate, Link } from 'react-router-dom';
+import { generateKeyPairs, createRegistrationProof, initializeSecureKeys, clearSecureSession } from '../utils/crypto';
 
 // Normalize API_URL: strip trailing slashes and remove trailing "/api" if present
 const API_URL = (() => {
@@ -33,10 +34,27 @@ const RegisterPage = () => {
         setLoading(false);
         return;
       }
-      await axios.post(`${API_URL}/api/auth/register`, { username, password });
-      
-      // Keys are now stored in the database - no need to store in localStorage
-      console.log(`✓ User registered: ${username} (keys stored in database)`);
+      // Generate key pairs in the browser - only public keys are uploaded
+      const keys = await generateKeyPairs();
+      const proofOfPossession = await createRegistrationProof(username, keys);
+
+      await axios.post(`${API_URL}/api/auth/register`, {
+        username,
+        password,
+        kemAlgorithm: keys.kemAlgorithm,
+        signatureAlgorithm: keys.signatureAlgorithm,
+        kyberPublicKey: keys.kyberPublicKey,
+        falconPublicKey: keys.falconPublicKey,
+        x25519PublicKey: keys.x25519PublicKey,
+        proofOfPossession
+      });
+
+      // Store secret keys encrypted in IndexedDB only after the server accepted
+      // the account, so a failed registration cannot overwrite an existing keystore
+      await initializeSecureKeys(username, password, keys);
+      clearSecureSession();
+
+      console.log(`✓ User registered: ${username} (secret keys stored on this device)`);
       
       // Navigate to login
       navigate('/login');
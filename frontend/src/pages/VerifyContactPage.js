@@ -0,0 +1,158 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { useNavigate, useParams, useLocation } from 'react-router-dom';
+import { QRCodeSVG } from 'qrcode.react';
+import {
+  getPublicKeys,
+  fetchPublicKeys,
+  computeSafetyNumber,
+  matchesSafetyNumber,
+  checkContactKeys,
+  markContactVerified,
+  clearContactVerification
+} from '../utils/crypto';
+
+// Safety number screen: both users compare the digits (or scan the QR code)
+// in person or over a trusted channel, then mark each other as verified
+const VerifyContactPage = ({ user }) => {
+  const { contactId } = useParams();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const contactName = location.state?.username || `User ${contactId}`;
+
+  const [peerKeys, setPeerKeys] = useState(null);
+  const [safetyNumber, setSafetyNumber] = useState(null);
+  const [status, setStatus] = useState('unverified'); // unverified | verified | changed
+  const [comparison, setComparison] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!user) {
+      navigate('/login');
+      return;
+    }
+
+    (async () => {
+      try {
+        const contactKeys = await fetchPublicKeys(Number(contactId));
+        const ownKeys = await getPublicKeys(user.username);
+
+        setPeerKeys(contactKeys);
+        setSafetyNumber(await computeSafetyNumber(
+          { userId: user.id, keys: ownKeys },
+          { userId: Number(contactId), keys: contactKeys }
+        ));
+        setStatus(await checkContactKeys(Number(contactId), contactKeys));
+      } catch (err) {
+        console.error('Failed to load safety number:', err);
+        setError('Could not load keys for this contact: ' + (err.response?.data?.error || err.message));
+      }
+    })();
+  }, [user, contactId, navigate]);
+
+  const handleMarkVerified = async () => {
+    try {
+      await markContactVerified(Number(contactId), peerKeys);
+      setStatus('verified');
+    } catch (err) {
+      setError('Failed to save verification: ' + err.message);
+    }
+  };
+
+  const handleClearVerification = async () => {
+    try {
+      await clearContactVerification(Number(contactId));
+      setStatus('unverified');
+    } catch (err) {
+      setError('Failed to clear verification: ' + err.message);
+    }
+  };
+
+  const comparisonResult = comparison.trim() && safetyNumber
+    ? matchesSafetyNumber(comparison, safetyNumber)
+    : null;
+
+  return (
+    <div className="min-h-screen bg-gray-100 flex items-center justify-center px-4">
+      <motion.div
+        initial={{ opacity: 0, y: 12 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.3 }}
+        className="bg-white w-full max-w-lg p-6 rounded-xl shadow"
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h1 className="text-xl font-semibold text-gray-900">Verify {contactName}</h1>
+          <button onClick={() => navigate('/chat')} className="text-sm text-[#075e54] hover:underline">
+            Back to chat
+          </button>
+        </div>
+
+        {error && <p className="text-red-600 text-sm mb-3">{error}</p>}
+
+        {status === 'changed' && (
+          <div className="mb-4 p-3 rounded bg-red-100 text-red-800 text-sm">
+            ⚠️ {contactName}'s keys have changed since you verified them. Compare the new safety number before
+            marking them as verified again.
+          </div>
+        )}
+        {status === 'verified' && (
+          <div className="mb-4 p-3 rounded bg-green-100 text-green-800 text-sm">
+            ✓ You have verified {contactName}'s keys.
+          </div>
+        )}
+
+        {safetyNumber ? (
+          <>
+            <p className="text-sm text-gray-600 mb-3">
+              Compare these numbers with {contactName}'s screen, or scan the code. If they match, nobody has
+              replaced the keys you use to talk to each other.
+            </p>
+            <div className="grid grid-cols-4 gap-2 font-mono text-lg text-center text-gray-900 mb-4">
+              {safetyNumber.digits.map((group, index) => (
+                <span key={index}>{group}</span>
+              ))}
+            </div>
+            <div className="flex justify-center mb-4">
+              <QRCodeSVG value={safetyNumber.qrPayload} size={192} />
+            </div>
+
+            <input
+              type="text"
+              placeholder="Paste the scanned code or digits to compare"
+              value={comparison}
+              onChange={(e) => setComparison(e.target.value)}
+              className="w-full px-3 py-2 rounded bg-gray-100 text-gray-900 placeholder-gray-500 focus:outline-none mb-2"
+            />
+            {comparisonResult !== null && (
+              <p className={`text-sm mb-3 ${comparisonResult ? 'text-green-700' : 'text-red-600'}`}>
+                {comparisonResult ? '✓ Safety numbers match' : '✗ Safety numbers do not match'}
+              </p>
+            )}
+
+            <div className="flex gap-2">
+              {status !== 'verified' ? (
+                <button
+                  onClick={handleMarkVerified}
+                  className="flex-1 px-3 py-2 bg-[#00a884] text-white rounded hover:bg-[#029974]"
+                >
+                  Mark as verified
+                </button>
+              ) : (
+                <button
+                  onClick={handleClearVerification}
+                  className="flex-1 px-3 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300"
+                >
+                  Clear verification
+                </button>
+              )}
+            </div>
+          </>
+        ) : (
+          !error && <p className="text-sm text-gray-500">Computing safety number…</p>
+        )}
+      </motion.div>
+    </div>
+  );
+};
+
+export default VerifyContactPage;
@@ -0,0 +1,26 @@
+import 'fake-indexeddb/auto';
+import { Blob, File } from 'buffer';
+import { webcrypto } from 'crypto';
+
+// Tests of the crypto code run in the node environment (@jest-environment
+// node), where typed arrays and WebCrypto come from the same realm. The
+// browser APIs crypto.js uses are provided here: IndexedDB from
+// fake-indexeddb, window.crypto, base64 and Blob/File from node, Web Storage
+// as Maps.
+const createStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+    clear: () => items.clear()
+  };
+};
+
+if (typeof window === 'undefined') {
+  global.window = { crypto: webcrypto, btoa, atob, location: { protocol: 'http:' } };
+  global.sessionStorage = createStorage();
+  global.localStorage = createStorage();
+  global.Blob = Blob;
+  global.File = File;
+}
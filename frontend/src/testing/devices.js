@@ -0,0 +1,48 @@
+/* eslint-env jest */
+
+// ============================================================================
+// Simulated devices for tests of crypto.js
+// ============================================================================
+// Every device is its own instance of the crypto module, so it has its own
+// keystore session; all of them share the one (fake) IndexedDB, where records
+// are kept per account as in a browser profile. Keys come from
+// generateKeyPairs, with the liboqs stand-in in src/__mocks__.
+
+const devices = [];
+
+/**
+ * Register an account's keys in a fresh instance of crypto.js
+ * @param {number} userId - Account ID the other devices address it by
+ * @param {string} username - Keystore owner
+ * @returns {Promise<object>} { userId, username, crypto, publicKeys, secretKeys,
+ *   falconSecretKey }
+ */
+export const createDevice = async (userId, username) => {
+  let crypto;
+  jest.isolateModules(() => {
+    crypto = require('../utils/crypto');
+  });
+  const keys = await crypto.generateKeyPairs();
+  await crypto.initializeSecureKeys(username, `${username} passphrase`, keys);
+  const device = {
+    userId,
+    username,
+    crypto,
+    publicKeys: {
+      kyberPublicKey: keys.kyberPublicKey,
+      falconPublicKey: keys.falconPublicKey,
+      x25519PublicKey: keys.x25519PublicKey,
+      kemAlgorithm: keys.kemAlgorithm,
+      signatureAlgorithm: keys.signatureAlgorithm
+    },
+    secretKeys: { kyberSecretKey: keys.kyberSecretKey, x25519SecretKey: keys.x25519SecretKey },
+    falconSecretKey: keys.falconSecretKey
+  };
+  devices.push(device);
+  return device;
+};
+
+// Ends the sessions (and their inactivity timers) of every device created
+export const closeDevices = () => {
+  devices.splice(0).forEach((device) => device.crypto.clearSecureSession());
+};
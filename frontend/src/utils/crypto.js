@@ -1,11 +1,17 @@
 // ============================================================================
 // FRONTEND POST-QUANTUM CRYPTOGRAPHY
 // ============================================================================
-// This implementation uses server-side encryption to avoid WASM loading issues
-// Uses Web Crypto API for AES-256-GCM symmetric encryption
+// ML-KEM, Falcon, ML-DSA and SLH-DSA run client-side via the liboqs WASM
+// build, using the secret keys held encrypted in the IndexedDB keystore
+// Uses Web Crypto API for X25519, HKDF-SHA-384 and AES-256-GCM
+//
+// Legacy mode (REACT_APP_LEGACY_SERVER_CRYPTO=true) routes decapsulation and
+// signing through the backend, which requires the server to hold secret keys
 // ============================================================================
 
 import axios from 'axios';
+import { argon2id } from 'hash-wasm';
+import { isInSubtree, directPath, resolveNode, blankLeafPath, addTreeLeaf, truncateTree, publicTree, treeLeaves, hashGroupTree } from './groupTree';
 
 const API_URL = (() => {
   const envUrl = process.env.REACT_APP_API_URL;
@@ -18,6 +24,10 @@ const API_URL = (() => {
   .replace(/\/+$/, '')
   .replace(/\/api$/, '');
 
+// Client-only mode is the default; the server routes are a compatibility path
+// for deployments that still run with ENABLE_LEGACY_SERVER_CRYPTO on the backend
+const USE_LEGACY_SERVER_CRYPTO = process.env.REACT_APP_LEGACY_SERVER_CRYPTO === 'true';
+
 /**
  * Validate that the application is running in a secure context (HTTPS)
  * Should be called during app initialization, not at module import time
@@ -76,12 +86,66 @@ const base64ToArrayBuffer = (base64) => {
   return bytes.buffer;
 };
 
+// ----------------------------------------------------------------------------
+// ALGORITHM SUITE REGISTRY
+// ----------------------------------------------------------------------------
+// Every account registers one KEM and one signature algorithm. Envelopes name
+// the pair they were built with in a signed `suite` header:
+//   [X25519+]<KEM>/<SIGNATURE>   e.g. "X25519+ML-KEM-1024/Falcon-1024"
+// Values are liboqs factory names. Must match backend pqc.js
+
+const KEM_ALGORITHMS = {
+  'ML-KEM-768': 'createMLKEM768',
+  'ML-KEM-1024': 'createMLKEM1024'
+};
+
+const SIGNATURE_ALGORITHMS = {
+  'Falcon-512': 'createFalcon512',
+  'Falcon-1024': 'createFalcon1024',
+  'ML-DSA-65': 'createMLDSA65',
+  'ML-DSA-87': 'createMLDSA87',
+  'SLH-DSA-SHA2-128s': 'createSlhDsaSha2128s',
+  'SLH-DSA-SHA2-256f': 'createSlhDsaSha2256f'
+};
+
+export const DEFAULT_KEM_ALGORITHM = 'ML-KEM-1024';
+export const DEFAULT_SIGNATURE_ALGORITHM = 'Falcon-1024';
+const HYBRID_KEM_PREFIX = 'X25519+';
+
+const formatSuite = ({ kem, signature, hybrid }) =>
+  `${hybrid ? HYBRID_KEM_PREFIX : ''}${kem}/${signature}`;
+
+/**
+ * Parse a suite identifier against the registry
+ * @returns {object|null} { kem, signature, hybrid }, or null if unsupported
+ */
+const parseSuite = (suite) => {
+  if (typeof suite !== 'string') return null;
+  const parts = suite.split('/');
+  if (parts.length !== 2) return null;
+
+  const hybrid = parts[0].startsWith(HYBRID_KEM_PREFIX);
+  const kem = hybrid ? parts[0].slice(HYBRID_KEM_PREFIX.length) : parts[0];
+  const signature = parts[1];
+  if (!KEM_ALGORITHMS[kem] || !SIGNATURE_ALGORITHMS[signature]) {
+    return null;
+  }
+  return { kem, signature, hybrid };
+};
+
+// Server crypto routes only implement the original algorithms
+const assertLegacyAlgorithm = (algorithm, expected) => {
+  if (algorithm !== expected) {
+    throw new Error(`${algorithm} is not available in legacy server crypto mode`);
+  }
+};
+
 // ----------------------------------------------------------------------------
 // CANONICAL SIGNATURE PAYLOAD
 // ----------------------------------------------------------------------------
 
 /**
- * Request Falcon signature from backend using JWT
+ * Request Falcon signature from backend using JWT (legacy mode only)
  * @param {string} dataToSign - Canonical payload string
  * @param {string} token - JWT token from localStorage
  * @returns {Promise<string>} base64 signature
@@ -102,21 +166,221 @@ const signWithFalconServer = async (dataToSign, token) => {
     throw new Error('Server-side Falcon signing failed');
   }
 };
+
+/**
+ * Sign in the browser using the keystore secret key
+ * @param {string} dataToSign - Canonical payload string
+ * @param {string} secretKeyBase64 - Sender's signature secret key (base64)
+ * @param {string} [algorithm] - Registered signature algorithm
+ * @returns {Promise<string>} base64 signature
+ */
+const signWithFalconClient = async (dataToSign, secretKeyBase64, algorithm = DEFAULT_SIGNATURE_ALGORITHM) => {
+  if (!secretKeyBase64) {
+    throw new Error('Missing Falcon secret key for signing');
+  }
+  try {
+    const scheme = await loadSignatureAlgorithm(algorithm);
+    const secretKey = new Uint8Array(base64ToArrayBuffer(secretKeyBase64));
+    const message = new TextEncoder().encode(dataToSign);
+    const signature = await scheme.sign(message, secretKey);
+    return arrayBufferToBase64(signature);
+  } catch (error) {
+    console.error(`${algorithm} signing failed:`, error.message);
+    throw new Error(`Client-side ${algorithm} signing failed`);
+  }
+};
+
+/**
+ * Sign a canonical payload with the configured crypto mode
+ */
+const signPayload = async (dataToSign, senderFalconSecretKey, algorithm = DEFAULT_SIGNATURE_ALGORITHM) => {
+  if (USE_LEGACY_SERVER_CRYPTO) {
+    assertLegacyAlgorithm(algorithm, DEFAULT_SIGNATURE_ALGORITHM);
+    return signWithFalconServer(dataToSign, localStorage.getItem('token'));
+  }
+  return signWithFalconClient(dataToSign, senderFalconSecretKey, algorithm);
+};
+// ----------------------------------------------------------------------------
+// Every envelope signature covers the header (version, suite, ratchet header),
+// the KEM material, the ciphertext and the routing metadata: sender and
+// receiving device, the conversation peer, the send time and a random nonce.
+// A signed envelope therefore cannot be re-addressed, re-wrapped with another
+// KEM ciphertext or replayed outside its window. Fields are length-prefixed
+// (UTF-8 byte length) so no two field lists encode to the same string.
+// Must match backend pqc.js
+const ENVELOPE_SIGNATURE_CONTEXT = 'qs-envelope-sig-v1';
+const ENVELOPE_NONCE_BYTES = 16;
+
+const lengthPrefixed = (fields) => fields
+  .map((field) => {
+    const value = field === undefined || field === null ? '' : String(field);
+    return `${new TextEncoder().encode(value).length}:${value}`;
+  })
+  .join('');
+
+/**
+ * Canonical payload an envelope signature covers
+ * @param {object} envelope - { kind ('message' | 'file' | 'groupWelcome'), v, suite, ratchet, senderId,
+ *   senderDeviceId, receiverId, recipientUserId, recipientDeviceId, sentAt, nonce,
+ *   messageId, kyberCiphertext, ephemeralPublicKey, ciphertext, iv, authTag }
+ *   messageId is the stable ID of a chat message (none for files)
+ * @returns {string}
+ */
+const buildSignaturePayload = (envelope) => lengthPrefixed([
+  ENVELOPE_SIGNATURE_CONTEXT,
+  envelope.kind,
+  Number(envelope.v),
+  envelope.suite,
+  Number(envelope.senderId),
+  envelope.senderDeviceId || PRIMARY_DEVICE_ID,
+  Number(envelope.receiverId),
+  Number(envelope.recipientUserId),
+  envelope.recipientDeviceId || PRIMARY_DEVICE_ID,
+  Number(envelope.sentAt),
+  envelope.nonce,
+  envelope.messageId,
+  envelope.kyberCiphertext,
+  envelope.ephemeralPublicKey,
+  envelope.ratchet ? JSON.stringify(envelope.ratchet) : null,
+  envelope.ciphertext,
+  envelope.iv,
+  envelope.authTag
+]);
+
+/**
+ * Bind an envelope to its route and sign it
+ * @param {string} kind - 'message', 'file' or 'groupWelcome'
+ * @param {object} fields - { v, suite, ratchet, kyberCiphertext, ephemeralPublicKey, ciphertext, iv, authTag }
+ * @param {object} route - { senderId, senderDeviceId, receiverId, recipientUserId, recipientDeviceId }
+ * @param {string} senderFalconSecretKey - Sending device's signature secret key
+ * @param {string} algorithm - Signature algorithm named by the suite
+ * @returns {Promise<object>} { sentAt, nonce, signature }
+ */
+const signEnvelope = async (kind, fields, route, senderFalconSecretKey, algorithm) => {
+  if (!route?.senderId || !route.receiverId || !route.recipientUserId) {
+    throw new Error('Envelope route (sender, receiver and receiving device) is required');
+  }
+  const sentAt = Date.now();
+  const nonce = arrayBufferToBase64(window.crypto.getRandomValues(new Uint8Array(ENVELOPE_NONCE_BYTES)));
+  const dataToSign = buildSignaturePayload({ ...fields, ...route, kind, sentAt, nonce });
+  const signature = await signPayload(dataToSign, senderFalconSecretKey, algorithm);
+  return { sentAt, nonce, signature };
+};
+
+// ----------------------------------------------------------------------------
+// CLIENT-SIDE KEY GENERATION AND REGISTRATION PROOFS
 // ----------------------------------------------------------------------------
-const buildSignaturePayload = (ciphertextBase64, ivBase64, authTagBase64) =>
-  JSON.stringify({ c: ciphertextBase64, i: ivBase64, t: authTagBase64 });
+// Canonical payloads must match backend pqc.js
+
+const buildKeyRegistrationPayload = (username, { kemAlgorithm, kyberPublicKey, signatureAlgorithm, falconPublicKey, x25519PublicKey }) =>
+  JSON.stringify({
+    p: 'qs-register-v2',
+    u: username,
+    ka: kemAlgorithm,
+    k: kyberPublicKey,
+    sa: signatureAlgorithm,
+    f: falconPublicKey,
+    x: x25519PublicKey
+  });
+
+const buildKeyMigrationPayload = (userId, falconPublicKey) =>
+  JSON.stringify({ p: 'qs-migrate-v1', u: Number(userId), f: falconPublicKey });
+
+const buildHybridKeyPayload = (userId, x25519PublicKey) =>
+  JSON.stringify({ p: 'qs-x25519-v1', u: Number(userId), x: x25519PublicKey });
+
+const buildKeyTransitionPayload = (userId, transition) =>
+  JSON.stringify({
+    p: 'qs-key-transition-v1',
+    u: Number(userId),
+    n: Number(transition.keyVersion),
+    psa: transition.previousSignatureAlgorithm,
+    pf: transition.previousFalconPublicKey,
+    ka: transition.kemAlgorithm,
+    k: transition.kyberPublicKey,
+    sa: transition.signatureAlgorithm,
+    f: transition.falconPublicKey,
+    x: transition.x25519PublicKey || null,
+    t: Number(transition.timestamp)
+  });
+
+/**
+ * Generate KEM, signature and X25519 key pairs in the browser
+ * Secret keys never leave the client
+ * @param {object} [algorithms] - { kemAlgorithm, signatureAlgorithm }, defaults
+ *   to ML-KEM-1024 and Falcon-1024
+ * @returns {Promise<object>} { kemAlgorithm, signatureAlgorithm } plus base64
+ *   { kyberPublicKey, kyberSecretKey, falconPublicKey, falconSecretKey,
+ *   x25519PublicKey, x25519SecretKey }
+ */
+export const generateKeyPairs = async ({
+  kemAlgorithm = DEFAULT_KEM_ALGORITHM,
+  signatureAlgorithm = DEFAULT_SIGNATURE_ALGORITHM
+} = {}) => {
+  const kem = await loadKemAlgorithm(kemAlgorithm);
+  const scheme = await loadSignatureAlgorithm(signatureAlgorithm);
+  const kyberKeys = await kem.generateKeyPair();
+  const falconKeys = await scheme.generateKeyPair();
+  const x25519Keys = await generateX25519KeyPair();
+
+  return {
+    kemAlgorithm,
+    signatureAlgorithm,
+    kyberPublicKey: arrayBufferToBase64(kyberKeys.publicKey),
+    kyberSecretKey: arrayBufferToBase64(kyberKeys.secretKey),
+    falconPublicKey: arrayBufferToBase64(falconKeys.publicKey),
+    falconSecretKey: arrayBufferToBase64(falconKeys.secretKey),
+    x25519PublicKey: x25519Keys.publicKey,
+    x25519SecretKey: x25519Keys.secretKey
+  };
+};
+
+/**
+ * Sign the registration payload to prove possession of the new key pairs
+ * @param {string} username - Account being registered
+ * @param {object} keys - Output of generateKeyPairs
+ * @returns {Promise<string>} base64 signature
+ */
+export const createRegistrationProof = async (username, keys) => {
+  const payload = buildKeyRegistrationPayload(username, keys);
+  return signWithFalconClient(payload, keys.falconSecretKey, keys.signatureAlgorithm);
+};
+
+/**
+ * Sign the custody confirmation for legacy server-held keys
+ * @param {number} userId - Account being migrated
+ * @param {string} falconPublicKey - Account's Falcon public key (base64)
+ * @param {string} falconSecretKey - Falcon secret key now held client-side (base64)
+ * @returns {Promise<string>} base64 Falcon signature
+ */
+export const createKeyMigrationProof = async (userId, falconPublicKey, falconSecretKey) => {
+  const payload = buildKeyMigrationPayload(userId, falconPublicKey);
+  return signWithFalconClient(payload, falconSecretKey);
+};
 
 // ----------------------------------------------------------------------------
-// KYBER KEY ENCAPSULATION (SERVER-SIDE IMPLEMENTATION)
+// KYBER KEY ENCAPSULATION
 // ----------------------------------------------------------------------------
 
 /**
  * Kyber Encapsulation - Generate shared secret and ciphertext
- * Uses server-side ML-KEM-1024 (Kyber) to avoid WASM loading issues
- * Requires authentication token from localStorage
+ * Runs ML-KEM (Kyber) in the browser so the shared secret never leaves
+ * the client. Legacy mode uses the backend and requires an auth token.
  */
-const kyberEncapsulate = async (receiverPublicKeyBase64) => {
+const kyberEncapsulate = async (receiverPublicKeyBase64, algorithm = DEFAULT_KEM_ALGORITHM) => {
   try {
+    if (!USE_LEGACY_SERVER_CRYPTO) {
+      const kem = await loadKemAlgorithm(algorithm);
+      const publicKey = new Uint8Array(base64ToArrayBuffer(receiverPublicKeyBase64));
+      const { ciphertext, sharedSecret } = await kem.encapsulate(publicKey);
+      return {
+        sharedSecret: new Uint8Array(sharedSecret), // Uint8Array (32 bytes)
+        ciphertext: arrayBufferToBase64(ciphertext) // base64 string
+      };
+    }
+
+    assertLegacyAlgorithm(algorithm, DEFAULT_KEM_ALGORITHM);
+
     // Get authentication token from localStorage
     const token = localStorage.getItem('token');
     if (!token) {
@@ -144,20 +408,27 @@ const kyberEncapsulate = async (receiverPublicKeyBase64) => {
 };
 
 /**
- * Kyber Decapsulation - Server-side using stored user secret key
- * Calls backend /api/crypto/kyber/decapsulate to avoid WASM loading issues
- * Backend recovers the shared secret using user's DB-stored Kyber secret key
+ * Kyber Decapsulation - Recover the shared secret with the receiver's secret key
+ * Runs ML-KEM in the browser with the keystore secret key. Legacy mode
+ * calls /api/crypto/kyber/decapsulate, which uses the DB-stored secret key.
  */
-const kyberDecapsulate = async (ciphertextBase64, token) => {
+const kyberDecapsulate = async (ciphertextBase64, receiverKyberSecretKey, algorithm = DEFAULT_KEM_ALGORITHM) => {
   try {
-    const API_URL = process.env.REACT_APP_API_URL;
-    if (!API_URL && process.env.NODE_ENV === 'production') {
-      throw new Error('REACT_APP_API_URL is not configured');
+    if (!USE_LEGACY_SERVER_CRYPTO) {
+      if (!receiverKyberSecretKey) {
+        throw new Error('Missing Kyber secret key');
+      }
+      const kem = await loadKemAlgorithm(algorithm);
+      const ciphertext = new Uint8Array(base64ToArrayBuffer(ciphertextBase64));
+      const secretKey = new Uint8Array(base64ToArrayBuffer(receiverKyberSecretKey));
+      const sharedSecret = await kem.decapsulate(ciphertext, secretKey);
+      return new Uint8Array(sharedSecret);
     }
-    const baseUrl = API_URL || 'http://localhost:3001';
 
+    assertLegacyAlgorithm(algorithm, DEFAULT_KEM_ALGORITHM);
+    const token = localStorage.getItem('token');
     const response = await axios.post(
-      `${baseUrl}/api/crypto/kyber/decapsulate`,
+      `${API_URL}/api/crypto/kyber/decapsulate`,
       { ciphertext: ciphertextBase64 },
       { headers: { Authorization: `Bearer ${token}` } }
     );
@@ -174,6 +445,303 @@ const kyberDecapsulate = async (ciphertextBase64, token) => {
   }
 };
 
+// ----------------------------------------------------------------------------
+// HYBRID X25519 + ML-KEM-1024 KEY ENCAPSULATION
+// ----------------------------------------------------------------------------
+// Envelope v1: raw ML-KEM-1024 shared secret used directly as the AES key
+// Envelope v2: X25519 and ML-KEM-1024 shared secrets combined with
+//              HKDF-SHA-384, bound to a hash of the KEM transcript
+// Envelope v3: algorithms named by the signed `suite` header; the hybrid
+//              derivation is the same as v2 for any ML-KEM size
+// Envelope v4: ratchet session message (see PQ RATCHET SESSIONS)
+// Must match backend pqc.js
+
+const LEGACY_ENVELOPE_VERSION = 1;
+const HYBRID_ENVELOPE_VERSION = 2;
+const SUITE_ENVELOPE_VERSION = 3;
+const RATCHET_ENVELOPE_VERSION = 4;
+const HYBRID_KDF_SALT = new TextEncoder().encode('QuantumShield hybrid KEM v2');
+
+const concatBytes = (parts) => {
+  const total = parts.reduce((sum, part) => sum + part.byteLength, 0);
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (const part of parts) {
+    out.set(new Uint8Array(part), offset);
+    offset += part.byteLength;
+  }
+  return out;
+};
+
+/**
+ * Generate an X25519 key pair
+ * @returns {Promise<object>} { publicKey: raw base64, secretKey: PKCS#8 base64 }
+ */
+const generateX25519KeyPair = async () => {
+  const keyPair = await window.crypto.subtle.generateKey({ name: 'X25519' }, true, ['deriveBits']);
+  const publicKey = await window.crypto.subtle.exportKey('raw', keyPair.publicKey);
+  const secretKey = await window.crypto.subtle.exportKey('pkcs8', keyPair.privateKey);
+  return {
+    publicKey: arrayBufferToBase64(publicKey),
+    secretKey: arrayBufferToBase64(secretKey)
+  };
+};
+
+const x25519SharedSecret = async (secretKeyBase64, peerPublicKeyBase64) => {
+  const privateKey = await window.crypto.subtle.importKey(
+    'pkcs8',
+    base64ToArrayBuffer(secretKeyBase64),
+    { name: 'X25519' },
+    false,
+    ['deriveBits']
+  );
+  const publicKey = await window.crypto.subtle.importKey(
+    'raw',
+    base64ToArrayBuffer(peerPublicKeyBase64),
+    { name: 'X25519' },
+    false,
+    []
+  );
+  const bits = await window.crypto.subtle.deriveBits({ name: 'X25519', public: publicKey }, privateKey, 256);
+  return new Uint8Array(bits);
+};
+
+/**
+ * Combine both shared secrets into the AES-256 message key
+ * Transcript: ML-KEM ciphertext || ephemeral X25519 key || receiver X25519 key
+ * || receiver ML-KEM key (all fixed length, so plain concatenation is unambiguous)
+ */
+const deriveHybridKey = async (x25519Secret, kyberSecret, transcript) => {
+  const transcriptHash = await window.crypto.subtle.digest(
+    'SHA-384',
+    concatBytes(transcript.map(base64ToArrayBuffer))
+  );
+  const ikm = await window.crypto.subtle.importKey(
+    'raw',
+    concatBytes([x25519Secret, kyberSecret]),
+    'HKDF',
+    false,
+    ['deriveBits']
+  );
+  const bits = await window.crypto.subtle.deriveBits(
+    { name: 'HKDF', hash: 'SHA-384', salt: HYBRID_KDF_SALT, info: new Uint8Array(transcriptHash) },
+    ikm,
+    256
+  );
+  return new Uint8Array(bits);
+};
+
+/**
+ * Resolve the algorithms used by an envelope
+ * v1/v2 envelopes predate the suite header and imply ML-KEM-1024 + Falcon-1024
+ * @returns {object} { version, suite: { kem, signature, hybrid } }
+ */
+const resolveEnvelopeSuite = (v, suite) => {
+  const version = v === undefined || v === null ? LEGACY_ENVELOPE_VERSION : Number(v);
+  if (version === LEGACY_ENVELOPE_VERSION || version === HYBRID_ENVELOPE_VERSION) {
+    return {
+      version,
+      suite: {
+        kem: DEFAULT_KEM_ALGORITHM,
+        signature: DEFAULT_SIGNATURE_ALGORITHM,
+        hybrid: version === HYBRID_ENVELOPE_VERSION
+      }
+    };
+  }
+  if (version !== SUITE_ENVELOPE_VERSION && version !== RATCHET_ENVELOPE_VERSION) {
+    throw new Error(`Unsupported envelope version: ${v}`);
+  }
+  const parsed = parseSuite(suite);
+  if (!parsed) {
+    throw new Error(`Unsupported algorithm suite: ${suite}`);
+  }
+  return { version, suite: parsed };
+};
+
+/**
+ * Derive a message key for a recipient with their registered KEM
+ * Uses the hybrid KEM when the recipient has an X25519 key
+ * @param {object} receiverPublicKeys - { kyberPublicKey, x25519PublicKey, kemAlgorithm }
+ * @returns {Promise<object>} { kem, hybrid, sharedSecret, kyberCiphertext, ephemeralPublicKey? }
+ */
+const encapsulateForRecipient = async ({ kyberPublicKey, x25519PublicKey, kemAlgorithm }) => {
+  const kem = kemAlgorithm || DEFAULT_KEM_ALGORITHM;
+  const { sharedSecret: kyberSecret, ciphertext: kyberCiphertext } = await kyberEncapsulate(kyberPublicKey, kem);
+  if (!x25519PublicKey) {
+    return { kem, hybrid: false, sharedSecret: kyberSecret, kyberCiphertext };
+  }
+
+  const ephemeral = await generateX25519KeyPair();
+  const x25519Secret = await x25519SharedSecret(ephemeral.secretKey, x25519PublicKey);
+  const sharedSecret = await deriveHybridKey(x25519Secret, kyberSecret, [
+    kyberCiphertext,
+    ephemeral.publicKey,
+    x25519PublicKey,
+    kyberPublicKey
+  ]);
+  return {
+    kem,
+    hybrid: true,
+    sharedSecret,
+    kyberCiphertext,
+    ephemeralPublicKey: ephemeral.publicKey
+  };
+};
+
+/**
+ * Build the signed envelope header for an encapsulation
+ * @returns {Promise<object>} { v, suite }
+ */
+const buildEnvelopeHeader = async ({ kem, hybrid }) => {
+  const ownPublicKeys = await getDeviceKeys();
+  return {
+    v: SUITE_ENVELOPE_VERSION,
+    suite: formatSuite({ kem, signature: ownPublicKeys.signatureAlgorithm, hybrid })
+  };
+};
+
+// Replay protection for received envelopes: accepted within
+// ENVELOPE_REPLAY_WINDOW_MS of the signed send time (MAILBOX_MAX_AGE_MS for
+// envelopes the server mailbox held for this device), each nonce only once.
+// Seen nonces are kept in the keystore (a reload must not forget them) until
+// even the mailbox window has passed, so a delivered envelope cannot be
+// replayed later as a mailbox message. Each nonce is its own record, indexed
+// by expiry: a check adds one record and prunes the expired ones by range
+const ENVELOPE_REPLAY_WINDOW_MS = 10 * 60 * 1000; // Server window plus clock skew between devices
+const MAILBOX_TTL_MS = 7 * 24 * 60 * 60 * 1000; // Must match backend mailbox.js
+const MAILBOX_MAX_AGE_MS = MAILBOX_TTL_MS + ENVELOPE_REPLAY_WINDOW_MS;
+let legacyNonces = null; // { user, done: Promise }
+
+// Record a nonce unless it was seen; false when it was
+const recordNonce = (id, expiresAt, now) => openKeystore().then((db) => new Promise((resolve, reject) => {
+  const tx = db.transaction(STORE_NONCES, 'readwrite');
+  const store = tx.objectStore(STORE_NONCES);
+  let isNew = true;
+  const expired = store.index('expiresAt').openCursor(IDBKeyRange.upperBound(now, true));
+  expired.onsuccess = () => {
+    const cursor = expired.result;
+    if (cursor) {
+      cursor.delete();
+      cursor.continue();
+    }
+  };
+  const add = store.add({ id, expiresAt });
+  add.onerror = (event) => {
+    if (add.error?.name === 'ConstraintError') {
+      isNew = false;
+      event.preventDefault();
+      event.stopPropagation();
+    }
+  };
+  tx.oncomplete = () => resolve(isNew);
+  tx.onerror = () => reject(tx.error);
+}));
+
+// Nonces were kept in one meta record per account before; move them over once
+const importLegacyNonces = () => {
+  if (!legacyNonces || legacyNonces.user !== sessionUser) {
+    const user = sessionUser;
+    const done = getRecord(STORE_META, `nonces_${user}`).then(async (rec) => {
+      if (!rec) return;
+      const db = await openKeystore();
+      await new Promise((resolve, reject) => {
+        const tx = db.transaction([STORE_NONCES, STORE_META], 'readwrite');
+        rec.entries.forEach(([key, expiresAt]) => {
+          tx.objectStore(STORE_NONCES).put({ id: `${user}:${key}`, expiresAt });
+        });
+        tx.objectStore(STORE_META).delete(`nonces_${user}`);
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+      });
+    });
+    done.catch(() => {
+      if (legacyNonces?.done === done) legacyNonces = null;
+    });
+    legacyNonces = { user, done };
+  }
+  return legacyNonces.done;
+};
+
+const checkReplay = async ({ senderId, senderDeviceId, stored }, sentAt, nonce) => {
+  const now = Date.now();
+  const maxAge = stored ? MAILBOX_MAX_AGE_MS : ENVELOPE_REPLAY_WINDOW_MS;
+  if (now - sentAt > maxAge || sentAt - now > ENVELOPE_REPLAY_WINDOW_MS) {
+    throw new Error('Envelope is outside the replay window - message may be replayed');
+  }
+
+  await importLegacyNonces();
+  const id = `${sessionUser}:${Number(senderId)}:${senderDeviceId || PRIMARY_DEVICE_ID}:${nonce}`;
+  if (!(await recordNonce(id, sentAt + MAILBOX_MAX_AGE_MS, now))) {
+    throw new Error('Replayed envelope - this message was already received');
+  }
+};
+
+/**
+ * Verify the header, route and signature of a received envelope
+ * @param {string} kind - 'message', 'file' or 'groupWelcome'
+ * @param {object} fields - { v, suite, ratchet, kyberCiphertext, ephemeralPublicKey,
+ *   ciphertext, iv, authTag, sentAt, nonce, signature } from the envelope
+ * @param {object} route - Route as this device expects it: { senderId, senderDeviceId,
+ *   receiverId, recipientUserId, recipientDeviceId } (recipient = this device), plus
+ *   `stored: true` for envelopes delivered from the mailbox
+ * @param {object} senderPublicKeys - Sending device's { falconPublicKey, signatureAlgorithm }
+ * @returns {Promise<object>} Resolved { version, suite }; throws on failure or replay
+ */
+const verifyEnvelope = async (kind, fields, route, senderPublicKeys) => {
+  const envelope = resolveEnvelopeSuite(fields.v, fields.suite);
+  const senderAlgorithm = senderPublicKeys.signatureAlgorithm || DEFAULT_SIGNATURE_ALGORITHM;
+  if (envelope.suite.signature !== senderAlgorithm) {
+    throw new Error('Envelope suite does not match the sender\'s signature algorithm');
+  }
+  if (!Number.isInteger(fields.sentAt) || typeof fields.nonce !== 'string' || !route?.recipientUserId) {
+    throw new Error('Envelope is not bound to its sender and recipient');
+  }
+
+  const isValid = await verifyWithFalcon(
+    buildSignaturePayload({ ...fields, ...route, kind }),
+    fields.signature,
+    senderPublicKeys.falconPublicKey,
+    envelope.suite.signature
+  );
+  if (!isValid) {
+    throw new Error('Signature verification failed - message may be tampered');
+  }
+
+  await checkReplay(route, fields.sentAt, fields.nonce);
+  return envelope;
+};
+
+/**
+ * Recover the message key from a received envelope
+ * @param {object} envelope - Resolved { version, suite } from verifyEnvelope
+ * @param {object} keys - { kyberCiphertext, ephemeralPublicKey }
+ * @param {object} receiverSecretKeys - { kyberSecretKey, x25519SecretKey }
+ * @returns {Promise<Uint8Array>} 32-byte AES key
+ */
+const decapsulateEnvelope = async ({ suite }, { kyberCiphertext, ephemeralPublicKey }, receiverSecretKeys) => {
+  // Receiver's own (device) public keys are part of the hybrid transcript
+  const ownPublicKeys = await getDeviceKeys();
+  if (suite.kem !== ownPublicKeys.kemAlgorithm) {
+    throw new Error(`Envelope KEM ${suite.kem} does not match this account's ${ownPublicKeys.kemAlgorithm} key`);
+  }
+
+  const kyberSecret = await kyberDecapsulate(kyberCiphertext, receiverSecretKeys.kyberSecretKey, suite.kem);
+  if (!suite.hybrid) {
+    return kyberSecret;
+  }
+  if (!ephemeralPublicKey || !receiverSecretKeys.x25519SecretKey) {
+    throw new Error('Hybrid envelope requires an ephemeral key and the receiver X25519 secret key');
+  }
+
+  const x25519Secret = await x25519SharedSecret(receiverSecretKeys.x25519SecretKey, ephemeralPublicKey);
+  return deriveHybridKey(x25519Secret, kyberSecret, [
+    kyberCiphertext,
+    ephemeralPublicKey,
+    ownPublicKeys.x25519PublicKey,
+    ownPublicKeys.kyberPublicKey
+  ]);
+};
+
 // ----------------------------------------------------------------------------
 // AES-256-GCM ENCRYPTION (REAL IMPLEMENTATION)
 // ----------------------------------------------------------------------------
@@ -276,13 +844,24 @@ const decryptMessage = async (ciphertextBase64, sharedSecret, ivBase64, authTagB
   }
 };
 
-// Client-side Falcon signing removed in favor of server-side signing
-
 /**
- * Verify Falcon signature
- * Uses server-side Falcon-1024 to avoid WASM loading issues
+ * Verify a signature with the sender's registered algorithm
+ * Runs in the browser; legacy mode asks the backend to verify (Falcon-1024 only)
  */
-const verifyWithFalcon = async (data, signatureBase64, publicKeyBase64) => {
+const verifyWithFalcon = async (data, signatureBase64, publicKeyBase64, algorithm = DEFAULT_SIGNATURE_ALGORITHM) => {
+  if (!USE_LEGACY_SERVER_CRYPTO || algorithm !== DEFAULT_SIGNATURE_ALGORITHM) {
+    try {
+      const scheme = await loadSignatureAlgorithm(algorithm);
+      const message = new TextEncoder().encode(data);
+      const signature = new Uint8Array(base64ToArrayBuffer(signatureBase64));
+      const publicKey = new Uint8Array(base64ToArrayBuffer(publicKeyBase64));
+      return await scheme.verify(message, signature, publicKey);
+    } catch (error) {
+      console.error(`${algorithm} verification error:`, error);
+      return false;
+    }
+  }
+
   try {
     console.log('Falcon verify request:', {
       dataLength: data?.length,
@@ -320,19 +899,21 @@ const verifyWithFalcon = async (data, signatureBase64, publicKeyBase64) => {
 /**
  * Encrypt and sign a message for sending
  * @param {string} plaintext - Message to send
- * @param {string} receiverKyberPublicKey - Receiver's Kyber public key
- * @param {string} senderFalconSecretKey - Sender's Falcon secret key
+ * @param {object} receiverPublicKeys - Receiving device's { kyberPublicKey, x25519PublicKey, kemAlgorithm }
+ * @param {string} senderFalconSecretKey - Sender's signature secret key
+ * @param {object} route - { senderId, senderDeviceId, receiverId, recipientUserId, recipientDeviceId }
  * @returns {Promise<object>} Encrypted message bundle
  */
 export const encryptAndSignMessage = async (
   plaintext,
-  receiverKyberPublicKey,
-  senderFalconSecretKey
+  receiverPublicKeys,
+  senderFalconSecretKey,
+  route
 ) => {
-  // Step 1: Kyber KEM - Generate shared secret
-  const { sharedSecret, ciphertext: kyberCiphertext } = await kyberEncapsulate(
-    receiverKyberPublicKey
-  );
+  // Step 1: Key encapsulation (hybrid when the receiver supports it)
+  const encapsulation = await encapsulateForRecipient(receiverPublicKeys);
+  const { sharedSecret, kyberCiphertext, ephemeralPublicKey } = encapsulation;
+  const header = await buildEnvelopeHeader(encapsulation);
   
   // Step 2: AES-256-GCM encryption
   const { ciphertext: encryptedMessage, iv, authTag } = await encryptMessage(
@@ -340,16 +921,25 @@ export const encryptAndSignMessage = async (
     sharedSecret
   );
   
-  // Step 3: Falcon signature via server (canonical payload)
-  const dataToSign = buildSignaturePayload(encryptedMessage, iv, authTag);
-  const token = localStorage.getItem('token');
-  const signature = await signWithFalconServer(dataToSign, token);
+  // Step 3: Signature over header, KEM material, ciphertext and route
+  const { sentAt, nonce, signature } = await signEnvelope(
+    'message',
+    { ...header, kyberCiphertext, ephemeralPublicKey, ciphertext: encryptedMessage, iv, authTag },
+    route,
+    senderFalconSecretKey,
+    parseSuite(header.suite).signature
+  );
   
   return {
+    v: header.v,
+    suite: header.suite,
     kyberCiphertext,
+    ephemeralPublicKey,
     encryptedMessage,
     iv,
     authTag,
+    sentAt,
+    nonce,
     signature
   };
 };
@@ -357,48 +947,54 @@ export const encryptAndSignMessage = async (
 /**
  * Verify and decrypt a received message
  * @param {object} messageBundle - Encrypted message data
- * @param {string} token - JWT token for authentication
- * @param {string} senderFalconPublicKey - Sender's Falcon public key
+ * @param {object} receiverSecretKeys - Receiver's { kyberSecretKey, x25519SecretKey } from the keystore
+ * @param {object} senderPublicKeys - Sending device's { falconPublicKey, signatureAlgorithm }
+ * @param {object} route - Expected { senderId, senderDeviceId, receiverId, recipientUserId, recipientDeviceId }
  * @returns {Promise<string>} Decrypted plaintext
  */
 export const verifyAndDecryptMessage = async (
   messageBundle,
-  token,
-  senderFalconPublicKey
+  receiverSecretKeys,
+  senderPublicKeys,
+  route
 ) => {
-  const { kyberCiphertext, encryptedMessage, iv, authTag, signature } = messageBundle;
+  const { v, suite, kyberCiphertext, ephemeralPublicKey, encryptedMessage, iv, authTag, sentAt, nonce, signature } = messageBundle;
   
   console.log('verifyAndDecryptMessage called with:', {
+    version: v,
+    suite,
     hasKyberCiphertext: !!kyberCiphertext,
     hasEncryptedMessage: !!encryptedMessage,
     hasIv: !!iv,
     hasAuthTag: !!authTag,
     hasSignature: !!signature,
-    hasToken: !!token,
-    hasSenderKey: !!senderFalconPublicKey
+    hasSecretKey: !!receiverSecretKeys?.kyberSecretKey,
+    hasSenderKey: !!senderPublicKeys?.falconPublicKey
   });
   
+  if (Number(v) === RATCHET_ENVELOPE_VERSION) {
+    throw new Error('Ratchet envelopes must be decrypted with decryptSessionMessage');
+  }
+
   // Validate all required fields
   if (!kyberCiphertext || !encryptedMessage || !iv || !authTag || !signature) {
     throw new Error('Missing required encryption fields in message bundle');
   }
   
-  if (!token || !senderFalconPublicKey) {
-    throw new Error('Missing JWT token or sender public key');
+  if (!receiverSecretKeys?.kyberSecretKey || !senderPublicKeys?.falconPublicKey) {
+    throw new Error('Missing receiver secret key or sender public key');
   }
   
-  // Step 1: Verify Falcon signature (canonical payload)
-  const dataToVerify = buildSignaturePayload(encryptedMessage, iv, authTag);
-  console.log('Data to verify length:', dataToVerify.length);
-  
-  const isValid = await verifyWithFalcon(dataToVerify, signature, senderFalconPublicKey);
-  
-  if (!isValid) {
-    throw new Error('Signature verification failed - message may be tampered');
-  }
+  // Step 1: Verify signature and route with the suite's algorithm (canonical payload)
+  const envelope = await verifyEnvelope(
+    'message',
+    { v, suite, kyberCiphertext, ephemeralPublicKey, ciphertext: encryptedMessage, iv, authTag, sentAt, nonce, signature },
+    route,
+    senderPublicKeys
+  );
   
-  // Step 2: Kyber decapsulation via backend - Recover shared secret
-  const sharedSecret = await kyberDecapsulate(kyberCiphertext, token);
+  // Step 2: Decapsulation - Recover shared secret
+  const sharedSecret = await decapsulateEnvelope(envelope, { kyberCiphertext, ephemeralPublicKey }, receiverSecretKeys);
   
   // Step 3: AES-256-GCM decryption
   const plaintext = await decryptMessage(encryptedMessage, sharedSecret, iv, authTag);
@@ -407,57 +1003,348 @@ export const verifyAndDecryptMessage = async (
 };
 
 // ----------------------------------------------------------------------------
-// SECURE KEY STORAGE (IndexedDB + PBKDF2 + AES-GCM)
+// KEY DIRECTORY
 // ----------------------------------------------------------------------------
+// The server signs every public key response with its directory key over
+// { userId, keys, keyVersion, timestamp }. The directory public key is pinned
+// at build time (REACT_APP_DIRECTORY_PUBLIC_KEY), so keys swapped in the
+// server database or in transit fail verification instead of being trusted.
+// Must match backend pqc.js
 
-const DB_NAME = 'qs-keystore';
-const DB_VERSION = 2; // Increment for new object store
-const STORE_SECRETS = 'secrets';
-const STORE_META = 'meta';
-const STORE_PENDING_MESSAGES = 'pending_messages';
+const DIRECTORY_PUBLIC_KEY = process.env.REACT_APP_DIRECTORY_PUBLIC_KEY || null;
+const DIRECTORY_SIGNATURE_ALGORITHM = process.env.REACT_APP_DIRECTORY_SIGNATURE_ALGORITHM || DEFAULT_SIGNATURE_ALGORITHM;
+const DIRECTORY_MAX_AGE_MS = 5 * 60 * 1000; // Freshness bound for fetched entries
+const DIRECTORY_MAX_CLOCK_SKEW_MS = 60 * 1000;
 
-let sessionUser = null;
-let sessionKEK = null; // CryptoKey (non-extractable), derived per-session from password
-let sessionTimeoutId = null; // Timer ID for automatic session expiration
-const SESSION_TIMEOUT_MS = 30 * 60 * 1000; // 30 minutes of inactivity
+const buildDirectoryEntryPayload = (userId, keys) =>
+  JSON.stringify({
+    p: 'qs-directory-v1',
+    u: Number(userId),
+    ka: keys.kemAlgorithm,
+    k: keys.kyberPublicKey,
+    sa: keys.signatureAlgorithm,
+    f: keys.falconPublicKey,
+    x: keys.x25519PublicKey || null,
+    n: Number(keys.keyVersion || 1),
+    t: Number(keys.directory.timestamp)
+  });
 
-/**
- * Persist session to sessionStorage for page refresh survival
- * Encrypted with user password for security
- */
-const persistSession = async (username, kek) => {
+let directoryWarningShown = false;
+
+// Check a directory-key signature and its freshness. Always verified in the
+// browser, also in legacy mode: asking the server to vouch for its own
+// signature would prove nothing. Returns false when no key is pinned (development)
+const verifyDirectorySignature = async (payload, signature, timestamp, maxAgeMs, what) => {
+  if (!DIRECTORY_PUBLIC_KEY) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('REACT_APP_DIRECTORY_PUBLIC_KEY is not set for production build');
+    }
+    if (!directoryWarningShown) {
+      console.warn('REACT_APP_DIRECTORY_PUBLIC_KEY not set; skipping key directory verification (development only)');
+      directoryWarningShown = true;
+    }
+    return false;
+  }
+
+  if (typeof signature !== 'string' || !Number.isFinite(Number(timestamp))) {
+    throw new Error(`${what} is not signed by the key directory`);
+  }
+  const age = Date.now() - Number(timestamp);
+  if (age > maxAgeMs || age < -DIRECTORY_MAX_CLOCK_SKEW_MS) {
+    throw new Error(`Key directory signature on ${what.toLowerCase()} is stale`);
+  }
+
+  let valid = false;
   try {
-    // Export KEK as raw bytes (only possible because we control its creation)
-    const kekBytes = await window.crypto.subtle.exportKey('raw', kek);
-    
-    // Store in sessionStorage (cleared when tab closes)
-    sessionStorage.setItem('qs_session_user', username);
-    sessionStorage.setItem('qs_session_kek', arrayBufferToBase64(kekBytes));
-    sessionStorage.setItem('qs_session_timestamp', Date.now().toString());
+    const scheme = await loadSignatureAlgorithm(DIRECTORY_SIGNATURE_ALGORITHM);
+    valid = await scheme.verify(
+      new TextEncoder().encode(payload),
+      new Uint8Array(base64ToArrayBuffer(signature)),
+      new Uint8Array(base64ToArrayBuffer(DIRECTORY_PUBLIC_KEY))
+    );
   } catch (error) {
-    console.warn('Failed to persist session:', error);
-    // Non-fatal - session just won't survive refresh
+    console.error('Key directory verification error:', error);
+  }
+  if (!valid) {
+    throw new Error(`Key directory signature on ${what.toLowerCase()} is invalid; it may have been tampered with`);
   }
+  return true;
 };
 
 /**
- * Restore session from sessionStorage after page refresh
+ * Verify the key directory signature on a user's public keys
+ * @param {number} userId - User the keys were requested for
+ * @param {object} keys - Keys with `directory: { timestamp, signature }` from
+ *   /api/users/:userId/keys, /api/keys/my-keys, login or rotation
+ * @param {object} [options] - { maxAgeMs } freshness bound; Infinity for entries already stored
+ * @returns {Promise<object>} The keys, once verified
  */
-const restoreSession = async () => {
-  try {
-    const username = sessionStorage.getItem('qs_session_user');
-    const kekBase64 = sessionStorage.getItem('qs_session_kek');
-    const timestamp = sessionStorage.getItem('qs_session_timestamp');
-    
-    if (!username || !kekBase64 || !timestamp) {
-      return false; // No stored session
-    }
-    
-    // Check if session expired (30 minutes)
-    const age = Date.now() - parseInt(timestamp);
-    if (age > SESSION_TIMEOUT_MS) {
-      clearPersistedSession();
-      return false;
+export const verifyDirectoryEntry = async (userId, keys, { maxAgeMs = DIRECTORY_MAX_AGE_MS } = {}) => {
+  const { directory } = keys || {};
+  await verifyDirectorySignature(
+    directory ? buildDirectoryEntryPayload(userId, keys) : null,
+    directory?.signature,
+    directory?.timestamp,
+    maxAgeMs,
+    'Public keys'
+  );
+  return keys;
+};
+
+/**
+ * Fetch a user's public keys and verify them against the key directory and
+ * the key transparency log
+ * @param {number} userId - Key owner
+ * @returns {Promise<object>} { kyberPublicKey, falconPublicKey, x25519PublicKey,
+ *   kemAlgorithm, signatureAlgorithm, keyVersion, directory }
+ */
+export const fetchPublicKeys = async (userId) => {
+  const token = localStorage.getItem('token');
+  const response = await axios.get(`${API_URL}/api/users/${userId}/keys`, {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+  const keys = await verifyDirectoryEntry(userId, response.data);
+  await verifyKeyInclusion(userId, keys);
+  return keys;
+};
+
+// ----------------------------------------------------------------------------
+// KEY TRANSPARENCY
+// ----------------------------------------------------------------------------
+// Every key set the server publishes is a leaf of an append-only Merkle log
+// (RFC 6962 hashing). Keys fetched for a contact must be included under a
+// signed tree head, and each new tree head must be consistent with the last
+// one this device saw; a server showing different keys to different users
+// would have to fork the log, which the consistency check catches.
+// Must match backend merkle.js and pqc.js
+
+const TREE_HEAD_REFRESH_MS = 60 * 1000; // Reuse an audited tree head this long
+const LEAF_PREFIX = new Uint8Array([0x00]);
+const NODE_PREFIX = new Uint8Array([0x01]);
+
+const buildTransparencyLeafPayload = (userId, keys) =>
+  JSON.stringify({
+    p: 'qs-key-log-v1',
+    u: Number(userId),
+    n: Number(keys.keyVersion || 1),
+    ka: keys.kemAlgorithm,
+    k: keys.kyberPublicKey,
+    sa: keys.signatureAlgorithm,
+    f: keys.falconPublicKey,
+    x: keys.x25519PublicKey || null
+  });
+
+const buildTreeHeadPayload = ({ treeSize, rootHash, timestamp }) =>
+  JSON.stringify({ p: 'qs-tree-head-v1', n: Number(treeSize), r: rootHash, t: Number(timestamp) });
+
+const sha256 = async (...parts) =>
+  new Uint8Array(await window.crypto.subtle.digest('SHA-256', concatBytes(parts)));
+
+const hashChildren = (left, right) => sha256(NODE_PREFIX, left, right);
+
+const hashTransparencyLeaf = async (userId, keys) =>
+  arrayBufferToBase64(await sha256(LEAF_PREFIX, new TextEncoder().encode(buildTransparencyLeafPayload(userId, keys))));
+
+// RFC 9162 section 2.1.3.2
+const verifyInclusionProof = async (leafIndex, treeSize, leafHash, auditPath, rootHash) => {
+  if (leafIndex >= treeSize) return false;
+  let fn = leafIndex;
+  let sn = treeSize - 1;
+  let r = new Uint8Array(base64ToArrayBuffer(leafHash));
+  for (const sibling of auditPath) {
+    const p = new Uint8Array(base64ToArrayBuffer(sibling));
+    if (sn === 0) return false;
+    if (fn % 2 === 1 || fn === sn) {
+      r = await hashChildren(p, r);
+      while (fn % 2 === 0 && fn !== 0) {
+        fn = Math.floor(fn / 2);
+        sn = Math.floor(sn / 2);
+      }
+    } else {
+      r = await hashChildren(r, p);
+    }
+    fn = Math.floor(fn / 2);
+    sn = Math.floor(sn / 2);
+  }
+  return sn === 0 && arrayBufferToBase64(r) === rootHash;
+};
+
+// RFC 9162 section 2.1.4.2
+const verifyConsistencyProof = async (first, second, proof, firstRoot, secondRoot) => {
+  if (first === second) return proof.length === 0 && firstRoot === secondRoot;
+  if (first <= 0 || first > second || proof.length === 0) return false;
+
+  let path = proof.map((hash) => new Uint8Array(base64ToArrayBuffer(hash)));
+  if ((first & (first - 1)) === 0) {
+    path = [new Uint8Array(base64ToArrayBuffer(firstRoot)), ...path];
+  }
+  let fn = first - 1;
+  let sn = second - 1;
+  while (fn % 2 === 1) {
+    fn = Math.floor(fn / 2);
+    sn = Math.floor(sn / 2);
+  }
+  let fr = path[0];
+  let sr = path[0];
+  for (const c of path.slice(1)) {
+    if (sn === 0) return false;
+    if (fn % 2 === 1 || fn === sn) {
+      fr = await hashChildren(c, fr);
+      sr = await hashChildren(c, sr);
+      while (fn % 2 === 0 && fn !== 0) {
+        fn = Math.floor(fn / 2);
+        sn = Math.floor(sn / 2);
+      }
+    } else {
+      sr = await hashChildren(sr, c);
+    }
+    fn = Math.floor(fn / 2);
+    sn = Math.floor(sn / 2);
+  }
+  return sn === 0 && arrayBufferToBase64(fr) === firstRoot && arrayBufferToBase64(sr) === secondRoot;
+};
+
+let latestTreeHead = null; // Last audited tree head, with checkedAt
+let auditInFlight = null;
+
+const transparencyRequest = (path, params) =>
+  axios.get(`${API_URL}/api/keys/transparency/${path}`, {
+    params,
+    headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+  }).then((response) => response.data);
+
+const treeHeadRecordId = () => `treehead_${sessionUser}`;
+
+const runTransparencyAudit = async () => {
+  const treeHead = await transparencyRequest('tree-head');
+  await verifyDirectorySignature(
+    buildTreeHeadPayload(treeHead), treeHead.signature, treeHead.timestamp, DIRECTORY_MAX_AGE_MS, 'Tree head'
+  );
+
+  let previous = latestTreeHead;
+  if (!previous && sessionUser) {
+    previous = await getRecord(STORE_META, treeHeadRecordId());
+  }
+  if (previous && previous.treeSize > 0) {
+    if (treeHead.treeSize < previous.treeSize) {
+      throw new Error('Key transparency log shrank since it was last audited');
+    }
+    const { proof } = treeHead.treeSize === previous.treeSize
+      ? { proof: [] }
+      : await transparencyRequest('consistency', { first: previous.treeSize, second: treeHead.treeSize });
+    if (!(await verifyConsistencyProof(previous.treeSize, treeHead.treeSize, proof, previous.rootHash, treeHead.rootHash))) {
+      throw new Error('Key transparency log is not consistent with the last audited tree head');
+    }
+  }
+
+  latestTreeHead = { ...treeHead, checkedAt: Date.now() };
+  if (sessionUser) {
+    await putRecord(STORE_META, { id: treeHeadRecordId(), ...treeHead });
+  }
+  return treeHead;
+};
+
+/**
+ * Fetch the latest signed tree head and check it extends the last one seen
+ * @returns {Promise<object>} { treeSize, rootHash, timestamp, signature }
+ * @throws When the signature is invalid or the log was rewritten or forked
+ */
+export const auditTransparencyLog = () => {
+  if (!auditInFlight) {
+    auditInFlight = runTransparencyAudit().finally(() => {
+      auditInFlight = null;
+    });
+  }
+  return auditInFlight;
+};
+
+/**
+ * Check that a user's keys are included in the key transparency log
+ * @param {number} userId - Key owner
+ * @param {object} keys - { kyberPublicKey, falconPublicKey, x25519PublicKey, kemAlgorithm, signatureAlgorithm, keyVersion }
+ * @throws When the keys are not in the log
+ */
+export const verifyKeyInclusion = async (userId, keys) => {
+  const leafHash = await hashTransparencyLeaf(userId, keys);
+  const fetchProof = (treeSize) =>
+    transparencyRequest('inclusion', { leafHash, treeSize }).catch((error) => {
+      if (error.response?.status === 404) return null;
+      throw error;
+    });
+
+  let treeHead = latestTreeHead && Date.now() - latestTreeHead.checkedAt < TREE_HEAD_REFRESH_MS
+    ? latestTreeHead
+    : await auditTransparencyLog();
+  let proof = treeHead.treeSize > 0 ? await fetchProof(treeHead.treeSize) : null;
+  if (!proof && treeHead === latestTreeHead) {
+    // Keys logged after the cached tree head (e.g. a fresh rotation)
+    treeHead = await auditTransparencyLog();
+    proof = await fetchProof(treeHead.treeSize);
+  }
+
+  const included = !!proof &&
+    await verifyInclusionProof(proof.leafIndex, treeHead.treeSize, leafHash, proof.auditPath, treeHead.rootHash);
+  if (!included) {
+    throw new Error(`Keys of user ${userId} are not in the key transparency log`);
+  }
+};
+
+// ----------------------------------------------------------------------------
+// SECURE KEY STORAGE (IndexedDB + PBKDF2 + AES-GCM)
+// ----------------------------------------------------------------------------
+
+const DB_NAME = 'qs-keystore';
+const DB_VERSION = 6; // Increment for new object store
+const STORE_SECRETS = 'secrets';
+const STORE_META = 'meta';
+const STORE_PENDING_MESSAGES = 'pending_messages';
+const STORE_SESSIONS = 'sessions'; // Encrypted ratchet session state
+const STORE_HISTORY = 'history'; // Encrypted message history
+const STORE_SEARCH = 'search_index'; // Encrypted inverted index of the history
+const STORE_NONCES = 'nonces'; // Envelope nonces seen, for replay checks
+
+let sessionUser = null;
+let sessionKEK = null; // CryptoKey (non-extractable), derived per-session from password
+let sessionTimeoutId = null; // Timer ID for automatic session expiration
+const SESSION_TIMEOUT_MS = 30 * 60 * 1000; // 30 minutes of inactivity
+
+/**
+ * Persist session to sessionStorage for page refresh survival
+ * Encrypted with user password for security
+ */
+const persistSession = async (username, kek) => {
+  try {
+    // Export KEK as raw bytes (only possible because we control its creation)
+    const kekBytes = await window.crypto.subtle.exportKey('raw', kek);
+    
+    // Store in sessionStorage (cleared when tab closes)
+    sessionStorage.setItem('qs_session_user', username);
+    sessionStorage.setItem('qs_session_kek', arrayBufferToBase64(kekBytes));
+    sessionStorage.setItem('qs_session_timestamp', Date.now().toString());
+  } catch (error) {
+    console.warn('Failed to persist session:', error);
+    // Non-fatal - session just won't survive refresh
+  }
+};
+
+/**
+ * Restore session from sessionStorage after page refresh
+ */
+const restoreSession = async () => {
+  try {
+    const username = sessionStorage.getItem('qs_session_user');
+    const kekBase64 = sessionStorage.getItem('qs_session_kek');
+    const timestamp = sessionStorage.getItem('qs_session_timestamp');
+    
+    if (!username || !kekBase64 || !timestamp) {
+      return false; // No stored session
+    }
+    
+    // Check if session expired (30 minutes)
+    const age = Date.now() - parseInt(timestamp);
+    if (age > SESSION_TIMEOUT_MS) {
+      clearPersistedSession();
+      return false;
     }
     
     // Restore KEK from stored bytes
@@ -545,6 +1432,21 @@ const openKeystore = () => new Promise((resolve, reject) => {
     if (!db.objectStoreNames.contains(STORE_PENDING_MESSAGES)) {
       db.createObjectStore(STORE_PENDING_MESSAGES, { keyPath: 'id' });
     }
+    if (!db.objectStoreNames.contains(STORE_SESSIONS)) {
+      db.createObjectStore(STORE_SESSIONS, { keyPath: 'id' });
+    }
+    if (!db.objectStoreNames.contains(STORE_HISTORY)) {
+      const history = db.createObjectStore(STORE_HISTORY, { keyPath: 'id' });
+      history.createIndex('conversation', ['conversation', 'position']);
+      history.createIndex('expiresAt', 'expiresAt');
+    }
+    if (!db.objectStoreNames.contains(STORE_SEARCH)) {
+      db.createObjectStore(STORE_SEARCH, { keyPath: 'id' });
+    }
+    if (!db.objectStoreNames.contains(STORE_NONCES)) {
+      const nonces = db.createObjectStore(STORE_NONCES, { keyPath: 'id' });
+      nonces.createIndex('expiresAt', 'expiresAt');
+    }
   };
   req.onsuccess = () => resolve(req.result);
   req.onerror = () => reject(req.error);
@@ -566,6 +1468,13 @@ const getRecord = (storeName, id) => openKeystore().then((db) => new Promise((re
   req.onerror = () => reject(req.error);
 }));
 
+const deleteRecord = (storeName, id) => openKeystore().then((db) => new Promise((resolve, reject) => {
+  const tx = db.transaction(storeName, 'readwrite');
+  tx.objectStore(storeName).delete(id);
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+}));
+
 const randomBytes = (len) => {
   const b = new Uint8Array(len);
   window.crypto.getRandomValues(b);
@@ -610,8 +1519,28 @@ const decryptJSON = async (payload, kek) => {
   return JSON.parse(txt);
 };
 
-export const initializeSecureKeys = async (username, password, { kyberSecretKey, falconSecretKey, kyberPublicKey, falconPublicKey }) => {
+export const initializeSecureKeys = async (username, password, {
+  kyberSecretKey,
+  falconSecretKey,
+  x25519SecretKey,
+  kyberPublicKey,
+  falconPublicKey,
+  x25519PublicKey,
+  kemAlgorithm,
+  signatureAlgorithm,
+  keyVersion,
+  userId,
+  directory
+}) => {
   if (!username || !password) throw new Error('username and password are required');
+
+  // Keys handed over by the server (legacy login) must carry a valid directory
+  // signature; keys generated on this device at registration have none yet
+  if (directory) {
+    await verifyDirectoryEntry(userId, {
+      kyberPublicKey, falconPublicKey, x25519PublicKey, kemAlgorithm, signatureAlgorithm, keyVersion, directory
+    });
+  }
   
   console.log(`Initializing secure session for user: ${username}`);
   
@@ -622,7 +1551,7 @@ export const initializeSecureKeys = async (username, password, { kyberSecretKey,
   console.log('Session KEK derived successfully', { hasSessionUser: !!sessionUser, hasSessionKEK: !!sessionKEK });
 
   // Encrypt and store secrets in IndexedDB
-  const secrets = { kyberSecretKey, falconSecretKey };
+  const secrets = { kyberSecretKey, falconSecretKey, x25519SecretKey: x25519SecretKey || null };
   const encrypted = await encryptJSON(secrets, sessionKEK);
   await putRecord(STORE_SECRETS, {
     id: `secrets_${username}`,
@@ -639,15 +1568,18 @@ export const initializeSecureKeys = async (username, password, { kyberSecretKey,
     salt: arrayBufferToBase64(salt)
   });
 
-  // Store public keys as plaintext with server signature for integrity protection
-  // Public keys don't need encryption but require integrity verification
-  // TODO: Implement server-side signing of public keys and verify signature here
+  // Store public keys as plaintext with the key directory signature for
+  // integrity protection; getPublicKeys re-verifies it on every read
   await putRecord(STORE_META, {
     id: `pubkeys_${username}`,
     kyberPublicKey,
     falconPublicKey,
-    // serverSignature: null, // TODO: Add server signature from login response
-    // timestamp: Date.now(), // TODO: Add timestamp for signature freshness
+    x25519PublicKey: x25519PublicKey || null,
+    kemAlgorithm: kemAlgorithm || DEFAULT_KEM_ALGORITHM,
+    signatureAlgorithm: signatureAlgorithm || DEFAULT_SIGNATURE_ALGORITHM,
+    keyVersion: keyVersion || 1,
+    userId: userId ?? null,
+    directory: directory || null
   });
 
   // Persist session to sessionStorage for page refresh survival
@@ -657,6 +1589,62 @@ export const initializeSecureKeys = async (username, password, { kyberSecretKey,
   resetSessionTimeout();
 };
 
+/**
+ * Unlock an existing keystore at login (secret keys are never sent by the server)
+ * Derives the KEK from the stored salt and checks it against the stored secrets
+ * @param {string} username - Keystore owner
+ * @param {string} password - Account password
+ * @param {number} userId - Account ID from login
+ * @param {object} serverPublicKeys - Directory-signed keys from login
+ */
+export const unlockSecureKeys = async (username, password, userId, serverPublicKeys) => {
+  const { kyberPublicKey, falconPublicKey, x25519PublicKey } = serverPublicKeys;
+  if (!username || !password) throw new Error('username and password are required');
+  await verifyDirectoryEntry(userId, serverPublicKeys);
+
+  const meta = await getRecord(STORE_META, `salt_${username}`);
+  const rec = await getRecord(STORE_SECRETS, `secrets_${username}`);
+  if (!meta || !rec) {
+    throw new Error('Encryption keys for this account are not stored on this device');
+  }
+
+  const salt = new Uint8Array(base64ToArrayBuffer(meta.salt));
+  const kek = await deriveKEK(password, salt);
+  try {
+    await decryptJSON({ iv: rec.iv, ciphertext: rec.ciphertext }, kek);
+  } catch (e) {
+    throw new Error('Unable to unlock local keystore with this password');
+  }
+
+  let localPub = await getRecord(STORE_META, `pubkeys_${username}`);
+  if (localPub && localPub.falconPublicKey !== falconPublicKey && await adoptPendingRotation(username, kek, serverPublicKeys)) {
+    localPub = await getRecord(STORE_META, `pubkeys_${username}`);
+  }
+  if (localPub && (localPub.kyberPublicKey !== kyberPublicKey || localPub.falconPublicKey !== falconPublicKey)) {
+    throw new Error('Server public keys do not match the keys stored on this device');
+  }
+  if (localPub?.x25519PublicKey && x25519PublicKey && localPub.x25519PublicKey !== x25519PublicKey) {
+    throw new Error('Server public keys do not match the keys stored on this device');
+  }
+  if (localPub) {
+    await putRecord(STORE_META, {
+      ...localPub,
+      keyVersion: serverPublicKeys.keyVersion || 1,
+      userId,
+      directory: serverPublicKeys.directory || null
+    });
+  }
+
+  sessionUser = username;
+  sessionKEK = kek;
+
+  // Persist session to sessionStorage for page refresh survival
+  await persistSession(username, sessionKEK);
+
+  // Start session timeout
+  resetSessionTimeout();
+};
+
 export const restoreSessionKEK = async (username, password) => {
   const meta = await getRecord(STORE_META, `salt_${username}`);
   if (!meta) throw new Error('No keystore metadata found; re-login required');
@@ -673,29 +1661,35 @@ export const hasSecretKeys = async (username) => {
   return !!rec;
 };
 
+// Directory signatures already checked for stored key records
+const verifiedDirectorySignatures = new Set();
+
 export const getPublicKeys = async (username) => {
   try {
     const rec = await getRecord(STORE_META, `pubkeys_${username}`);
     if (!rec) {
       throw new Error(`No public keys found for user: ${username}`);
     }
-    
-    // TODO: Verify server signature before trusting public keys
-    // if (rec.serverSignature) {
-    //   const isValid = await verifyServerSignature({
-    //     kyberPublicKey: rec.kyberPublicKey,
-    //     falconPublicKey: rec.falconPublicKey,
-    //     timestamp: rec.timestamp
-    //   }, rec.serverSignature);
-    //   if (!isValid) {
-    //     throw new Error('Public key signature verification failed - keys may be tampered');
-    //   }
-    // }
-    
-    return {
+
+    const keys = {
       kyberPublicKey: rec.kyberPublicKey,
-      falconPublicKey: rec.falconPublicKey
+      falconPublicKey: rec.falconPublicKey,
+      x25519PublicKey: rec.x25519PublicKey || null,
+      // Keystores created before algorithm agility hold the original pair
+      kemAlgorithm: rec.kemAlgorithm || DEFAULT_KEM_ALGORITHM,
+      signatureAlgorithm: rec.signatureAlgorithm || DEFAULT_SIGNATURE_ALGORITHM,
+      keyVersion: rec.keyVersion || 1
     };
+
+    // Stored entries stay valid past the freshness window; the signature still
+    // catches local tampering with the plaintext record. Records without one
+    // were generated on this device and get signed at the next login
+    if (rec.directory && !verifiedDirectorySignatures.has(rec.directory.signature)) {
+      await verifyDirectoryEntry(rec.userId, { ...keys, directory: rec.directory }, { maxAgeMs: Infinity });
+      verifiedDirectorySignatures.add(rec.directory.signature);
+    }
+
+    return keys;
   } catch (error) {
     console.error('Error retrieving public keys:', error);
     throw error;
@@ -729,12 +1723,39 @@ export const getSecretKeys = async () => {
   const rec = await getRecord(STORE_SECRETS, `secrets_${sessionUser}`);
   if (!rec) throw new Error('No stored secrets for current session');
   const payload = { iv: rec.iv, ciphertext: rec.ciphertext };
-  const { kyberSecretKey, falconSecretKey } = await decryptJSON(payload, sessionKEK);
+  const { kyberSecretKey, falconSecretKey, x25519SecretKey } = await decryptJSON(payload, sessionKEK);
   
   // Refresh session timeout on key access
   resetSessionTimeout();
   
-  return { kyberSecretKey, falconSecretKey };
+  return { kyberSecretKey, falconSecretKey, x25519SecretKey: x25519SecretKey || null };
+};
+
+/**
+ * Generate and store an X25519 key for an account created before hybrid KEM
+ * Requires an unlocked session. The caller uploads the returned public key and
+ * Falcon signature to POST /api/keys/x25519.
+ * @param {number} userId - Current account ID
+ * @returns {Promise<object>} { x25519PublicKey, signature }
+ */
+export const provisionHybridKey = async (userId) => {
+  await assertPrimaryDevice('provision identity keys');
+  const secrets = await getSecretKeys();
+  const rec = await getRecord(STORE_SECRETS, `secrets_${sessionUser}`);
+  const pub = await getRecord(STORE_META, `pubkeys_${sessionUser}`);
+
+  const x25519Keys = await generateX25519KeyPair();
+  const encrypted = await encryptJSON({ ...secrets, x25519SecretKey: x25519Keys.secretKey }, sessionKEK);
+  await putRecord(STORE_SECRETS, { ...rec, iv: encrypted.iv, ciphertext: encrypted.ciphertext });
+  // The directory entry covered the keys without X25519; the next login stores a fresh one
+  await putRecord(STORE_META, { ...pub, x25519PublicKey: x25519Keys.publicKey, directory: null });
+
+  const signature = await signWithFalconClient(
+    buildHybridKeyPayload(userId, x25519Keys.publicKey),
+    secrets.falconSecretKey,
+    pub.signatureAlgorithm || DEFAULT_SIGNATURE_ALGORITHM
+  );
+  return { x25519PublicKey: x25519Keys.publicKey, signature };
 };
 
 /**
@@ -754,222 +1775,3051 @@ export const tryRestoreSession = async () => {
 };
 
 // ============================================================================
-// OFFLINE MESSAGE QUEUE
+// KEY BACKUP AND RESTORE
 // ============================================================================
+// Secret keys exist only in this browser's keystore. A backup wraps them with
+// a key derived from a user-chosen recovery passphrase (Argon2id) under
+// AES-256-GCM; the plaintext header is bound as additional data so it cannot
+// be altered either. The result is a JSON file, optionally also parked on
+// the server (PUT /api/keys/backup) as an opaque blob.
 
-const MESSAGE_EXPIRY_MS = 24 * 60 * 60 * 1000; // 24 hours
+const KEY_BACKUP_FORMAT = 'qs-key-backup';
+const KEY_BACKUP_VERSION = 1;
+const KEY_BACKUP_KDF = { name: 'argon2id', memorySize: 64 * 1024, iterations: 3, parallelism: 1 }; // memorySize in KiB
+const MAX_BACKUP_KDF_MEMORY = 1024 * 1024; // Refuse crafted files that would exhaust the browser
+const MAX_BACKUP_KDF_ITERATIONS = 16;
+export const MIN_RECOVERY_PASSPHRASE_LENGTH = 12;
+
+const deriveBackupKey = async (passphrase, kdf) => {
+  const { name, memorySize, iterations, parallelism, salt } = kdf || {};
+  if (name !== 'argon2id' ||
+    !Number.isInteger(memorySize) || memorySize < 8 * 1024 || memorySize > MAX_BACKUP_KDF_MEMORY ||
+    !Number.isInteger(iterations) || iterations < 1 || iterations > MAX_BACKUP_KDF_ITERATIONS ||
+    !Number.isInteger(parallelism) || parallelism < 1 || parallelism > 4 ||
+    typeof salt !== 'string') {
+    throw new Error('Unsupported key derivation parameters in backup');
+  }
+
+  const keyBytes = await argon2id({
+    password: passphrase,
+    salt: new Uint8Array(base64ToArrayBuffer(salt)),
+    memorySize,
+    iterations,
+    parallelism,
+    hashLength: 32,
+    outputType: 'binary'
+  });
+  return window.crypto.subtle.importKey('raw', keyBytes, 'AES-GCM', false, ['encrypt', 'decrypt']);
+};
+
+// Every header field is authenticated, so a backup cannot be relabelled for
+// another account or given weaker KDF parameters
+const buildBackupAdditionalData = ({ format, version, userId, username, kdf, createdAt }) =>
+  new TextEncoder().encode(JSON.stringify({
+    f: format,
+    v: version,
+    u: Number(userId),
+    n: username,
+    kdf: { name: kdf.name, m: kdf.memorySize, i: kdf.iterations, p: kdf.parallelism, s: kdf.salt },
+    t: createdAt
+  }));
+
+// Prove each secret key belongs to its public key before trusting a restore
+const checkKeyPairs = async (secrets, publicKeys) => {
+  const probe = window.crypto.getRandomValues(new Uint8Array(32));
+
+  const signer = await loadSignatureAlgorithm(publicKeys.signatureAlgorithm);
+  const signature = await signer.sign(probe, new Uint8Array(base64ToArrayBuffer(secrets.falconSecretKey)));
+  const signatureOk = await signer.verify(probe, signature, new Uint8Array(base64ToArrayBuffer(publicKeys.falconPublicKey)));
+
+  const kem = await loadKemAlgorithm(publicKeys.kemAlgorithm);
+  const { ciphertext, sharedSecret } = await kem.encapsulate(new Uint8Array(base64ToArrayBuffer(publicKeys.kyberPublicKey)));
+  const decapsulated = await kem.decapsulate(ciphertext, new Uint8Array(base64ToArrayBuffer(secrets.kyberSecretKey)));
+  const kemOk = arrayBufferToBase64(sharedSecret) === arrayBufferToBase64(decapsulated);
+
+  if (!signatureOk || !kemOk) {
+    throw new Error('Backup is corrupted: its secret keys do not match its public keys');
+  }
+};
 
 /**
- * Queue a message for offline recipient
- * Messages are stored in IndexedDB and sent when recipient comes online
+ * Export the unlocked keystore's long-term keys as an encrypted backup
+ * @param {number} userId - Current account ID
+ * @param {string} passphrase - Recovery passphrase, at least MIN_RECOVERY_PASSPHRASE_LENGTH characters
+ * @returns {Promise<object>} Backup object, safe to store anywhere (JSON.stringify for a file)
  */
-export const queueOfflineMessage = async (recipientId, encryptedMessageData) => {
-  try {
-    const db = await openKeystore();
-    const tx = db.transaction(STORE_PENDING_MESSAGES, 'readwrite');
-    const store = tx.objectStore(STORE_PENDING_MESSAGES);
-    
-    const queuedMessage = {
-      id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      recipientId,
-      timestamp: Date.now(),
-      retries: 0,
-      ...encryptedMessageData
-    };
-    
-    store.add(queuedMessage);
-    
-    return new Promise((resolve, reject) => {
-      tx.oncomplete = () => {
-        console.log(`✓ Message queued for offline user ${recipientId}`);
-        resolve(queuedMessage.id);
-      };
-      tx.onerror = () => reject(tx.error);
-    });
-  } catch (error) {
-    console.error('Failed to queue offline message:', error);
-    throw error;
+export const createKeyBackup = async (userId, passphrase) => {
+  await assertPrimaryDevice('back up identity keys');
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_RECOVERY_PASSPHRASE_LENGTH) {
+    throw new Error(`Recovery passphrase must be at least ${MIN_RECOVERY_PASSPHRASE_LENGTH} characters`);
   }
+  const secrets = await getSecretKeys();
+  const publicKeys = await getPublicKeys(sessionUser);
+
+  const header = {
+    format: KEY_BACKUP_FORMAT,
+    version: KEY_BACKUP_VERSION,
+    userId: Number(userId),
+    username: sessionUser,
+    kdf: { ...KEY_BACKUP_KDF, salt: arrayBufferToBase64(randomBytes(16)) },
+    createdAt: Date.now()
+  };
+  const key = await deriveBackupKey(passphrase, header.kdf);
+  const iv = randomBytes(12);
+  const ciphertext = await window.crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: buildBackupAdditionalData(header) },
+    key,
+    new TextEncoder().encode(JSON.stringify({ secrets, publicKeys }))
+  );
+
+  return { ...header, iv: arrayBufferToBase64(iv), ciphertext: arrayBufferToBase64(ciphertext) };
 };
 
 /**
- * Get all pending messages for a specific recipient
+ * Restore a keystore from an encrypted backup at login
+ * The backup must belong to this account and hold exactly the keys the
+ * server currently publishes (directory-signed login keys)
+ * @param {string} username - Account name
+ * @param {string} password - Account password (protects the new keystore)
+ * @param {number} userId - Account ID from login
+ * @param {object} serverPublicKeys - Directory-signed keys from login
+ * @param {object|string} backup - Backup object or its JSON text
+ * @param {string} passphrase - Recovery passphrase
+ * @returns {Promise<void>}
  */
-export const getPendingMessages = async (recipientId) => {
+export const restoreKeyBackup = async (username, password, userId, serverPublicKeys, backup, passphrase) => {
+  let parsed = backup;
+  if (typeof backup === 'string') {
+    try {
+      parsed = JSON.parse(backup);
+    } catch (e) {
+      throw new Error('Not a QuantumShield key backup');
+    }
+  }
+  if (parsed?.format !== KEY_BACKUP_FORMAT || typeof parsed.iv !== 'string' || typeof parsed.ciphertext !== 'string') {
+    throw new Error('Not a QuantumShield key backup');
+  }
+  if (parsed.version !== KEY_BACKUP_VERSION) {
+    throw new Error(`Unsupported key backup version: ${parsed.version}`);
+  }
+  if (Number(parsed.userId) !== Number(userId) || parsed.username !== username) {
+    throw new Error(`This backup belongs to ${parsed.username}, not ${username}`);
+  }
+
+  const key = await deriveBackupKey(passphrase, parsed.kdf);
+  let contents;
   try {
-    const db = await openKeystore();
-    const tx = db.transaction(STORE_PENDING_MESSAGES, 'readonly');
-    const store = tx.objectStore(STORE_PENDING_MESSAGES);
-    const allMessages = await new Promise((resolve, reject) => {
-      const req = store.getAll();
-      req.onsuccess = () => resolve(req.result || []);
-      req.onerror = () => reject(req.error);
-    });
-    
-    const now = Date.now();
-    return allMessages
-      .filter(msg => msg.recipientId === recipientId)
-      .filter(msg => (now - msg.timestamp) < MESSAGE_EXPIRY_MS); // Not expired
-  } catch (error) {
-    console.error('Failed to get pending messages:', error);
-    return [];
+    const plaintext = await window.crypto.subtle.decrypt(
+      {
+        name: 'AES-GCM',
+        iv: new Uint8Array(base64ToArrayBuffer(parsed.iv)),
+        additionalData: buildBackupAdditionalData(parsed)
+      },
+      key,
+      base64ToArrayBuffer(parsed.ciphertext)
+    );
+    contents = JSON.parse(new TextDecoder().decode(plaintext));
+  } catch (e) {
+    throw new Error('Wrong recovery passphrase, or the backup was modified');
+  }
+
+  const { secrets, publicKeys } = contents;
+  if (Number(publicKeys.keyVersion || 1) !== Number(serverPublicKeys.keyVersion || 1) ||
+    publicKeys.kyberPublicKey !== serverPublicKeys.kyberPublicKey ||
+    publicKeys.falconPublicKey !== serverPublicKeys.falconPublicKey ||
+    (publicKeys.x25519PublicKey || null) !== (serverPublicKeys.x25519PublicKey || null)) {
+    throw new Error(
+      `This backup holds key version ${publicKeys.keyVersion || 1}, but the account uses version ` +
+      `${serverPublicKeys.keyVersion || 1}. Use a backup made after the last key rotation.`
+    );
   }
+  await checkKeyPairs(secrets, publicKeys);
+
+  await initializeSecureKeys(username, password, {
+    ...serverPublicKeys,
+    kyberSecretKey: secrets.kyberSecretKey,
+    falconSecretKey: secrets.falconSecretKey,
+    x25519SecretKey: secrets.x25519SecretKey,
+    userId
+  });
+  console.log(`✓ Keys restored from backup for user: ${username}`);
 };
 
+// ============================================================================
+// LONG-TERM KEY ROTATION
+// ============================================================================
+// Rotation replaces the KEM, signature and X25519 keys. The key-transition
+// record is signed by the old signature key (vouching for the new keys) and
+// by the new one (proof of possession); the server keeps it in key_history
+// so peers can follow the chain from a key they already trust.
+// The new secrets are stored as a pending rotation before the request is
+// sent, so a rotation the server accepted is never lost on this device.
+
 /**
- * Remove a message from the queue after successful delivery
+ * Rotate this account's long-term keys
+ * @param {number} userId - Current account ID
+ * @param {object} currentKeys - Server's current keys (GET /api/keys/my-keys), incl. keyVersion
+ * @param {Function} submitRotation - async (request) => server keys from POST /api/keys/rotate
+ * @param {object} [algorithms] - { kemAlgorithm, signatureAlgorithm }, defaults to the current ones
+ * @returns {Promise<object>} New public keys with keyVersion
  */
-export const removePendingMessage = async (messageId) => {
+export const rotateKeys = async (userId, currentKeys, submitRotation, algorithms = {}) => {
+  await assertPrimaryDevice('rotate identity keys');
+  await verifyDirectoryEntry(userId, currentKeys);
+  const secrets = await getSecretKeys();
+  const localPublicKeys = await getPublicKeys(sessionUser);
+  if (localPublicKeys.falconPublicKey !== currentKeys.falconPublicKey) {
+    throw new Error('Server keys do not match the keys stored on this device');
+  }
+
+  const newKeys = await generateKeyPairs({
+    kemAlgorithm: algorithms.kemAlgorithm || localPublicKeys.kemAlgorithm,
+    signatureAlgorithm: algorithms.signatureAlgorithm || localPublicKeys.signatureAlgorithm
+  });
+  const transition = {
+    keyVersion: (currentKeys.keyVersion || 1) + 1,
+    previousSignatureAlgorithm: localPublicKeys.signatureAlgorithm,
+    previousFalconPublicKey: localPublicKeys.falconPublicKey,
+    kemAlgorithm: newKeys.kemAlgorithm,
+    kyberPublicKey: newKeys.kyberPublicKey,
+    signatureAlgorithm: newKeys.signatureAlgorithm,
+    falconPublicKey: newKeys.falconPublicKey,
+    x25519PublicKey: newKeys.x25519PublicKey,
+    timestamp: Date.now()
+  };
+  const payload = buildKeyTransitionPayload(userId, transition);
+  const transitionSignature = await signWithFalconClient(payload, secrets.falconSecretKey, localPublicKeys.signatureAlgorithm);
+  const newKeySignature = await signWithFalconClient(payload, newKeys.falconSecretKey, newKeys.signatureAlgorithm);
+
+  const pending = await encryptJSON(newKeys, sessionKEK);
+  await putRecord(STORE_SECRETS, { id: `rotation_${sessionUser}`, ...pending });
+
+  let serverKeys;
   try {
-    const db = await openKeystore();
-    const tx = db.transaction(STORE_PENDING_MESSAGES, 'readwrite');
-    const store = tx.objectStore(STORE_PENDING_MESSAGES);
-    store.delete(messageId);
-    
-    return new Promise((resolve, reject) => {
-      tx.oncomplete = () => resolve();
-      tx.onerror = () => reject(tx.error);
+    serverKeys = await submitRotation({
+      kemAlgorithm: transition.kemAlgorithm,
+      kyberPublicKey: transition.kyberPublicKey,
+      signatureAlgorithm: transition.signatureAlgorithm,
+      falconPublicKey: transition.falconPublicKey,
+      x25519PublicKey: transition.x25519PublicKey,
+      timestamp: transition.timestamp,
+      transitionSignature,
+      newKeySignature
     });
   } catch (error) {
-    console.error('Failed to remove pending message:', error);
+    await deleteRecord(STORE_SECRETS, `rotation_${sessionUser}`);
+    throw error;
+  }
+
+  // On failure the pending rotation is kept and adopted at the next login
+  await verifyDirectoryEntry(userId, serverKeys);
+  await commitRotatedKeys(sessionUser, sessionKEK, newKeys, serverKeys);
+  return serverKeys;
+};
+
+// Replace the keystore's long-term keys with rotated ones
+const commitRotatedKeys = async (username, kek, newKeys, { keyVersion, directory }) => {
+  const rec = await getRecord(STORE_SECRETS, `secrets_${username}`);
+  const pub = await getRecord(STORE_META, `pubkeys_${username}`);
+
+  const encrypted = await encryptJSON({
+    kyberSecretKey: newKeys.kyberSecretKey,
+    falconSecretKey: newKeys.falconSecretKey,
+    x25519SecretKey: newKeys.x25519SecretKey
+  }, kek);
+  await putRecord(STORE_SECRETS, { ...rec, iv: encrypted.iv, ciphertext: encrypted.ciphertext });
+  await putRecord(STORE_META, {
+    ...pub,
+    kyberPublicKey: newKeys.kyberPublicKey,
+    falconPublicKey: newKeys.falconPublicKey,
+    x25519PublicKey: newKeys.x25519PublicKey,
+    kemAlgorithm: newKeys.kemAlgorithm,
+    signatureAlgorithm: newKeys.signatureAlgorithm,
+    keyVersion,
+    directory: directory || null
+  });
+  await deleteRecord(STORE_SECRETS, `rotation_${username}`);
+  console.log(`✓ Long-term keys rotated (version ${keyVersion})`);
+};
+
+// A rotation the server accepted but this device never committed (e.g. the
+// tab closed mid-request) is finished at the next login
+const adoptPendingRotation = async (username, kek, serverKeys) => {
+  const rec = await getRecord(STORE_SECRETS, `rotation_${username}`);
+  if (!rec) return false;
+
+  const newKeys = await decryptJSON(rec, kek);
+  if (newKeys.kyberPublicKey !== serverKeys.kyberPublicKey || newKeys.falconPublicKey !== serverKeys.falconPublicKey) {
+    return false;
   }
+  await commitRotatedKeys(username, kek, newKeys, serverKeys);
+  return true;
+};
+
+/**
+ * Verify that a peer's current keys descend from keys we already trusted
+ * Walks the signed key-transition records from GET /api/users/:userId/key-history
+ * @param {number} userId - Peer's user ID
+ * @param {object} trustedKeys - Previously trusted { falconPublicKey, signatureAlgorithm }
+ * @param {object[]} transitions - Transition records, oldest first
+ * @param {object} currentKeys - Peer's current keys from GET /api/users/:userId/keys
+ * @returns {Promise<boolean>} true if every step is validly cross-signed
+ */
+export const verifyKeyTransitions = async (userId, trustedKeys, transitions, currentKeys) => {
+  if (trustedKeys.falconPublicKey === currentKeys.falconPublicKey) {
+    return true;
+  }
+
+  const start = transitions.findIndex((record) => record.previousFalconPublicKey === trustedKeys.falconPublicKey);
+  if (start === -1) {
+    return false;
+  }
+
+  let previous = {
+    falconPublicKey: trustedKeys.falconPublicKey,
+    signatureAlgorithm: trustedKeys.signatureAlgorithm || DEFAULT_SIGNATURE_ALGORITHM
+  };
+  for (const record of transitions.slice(start)) {
+    if (record.previousFalconPublicKey !== previous.falconPublicKey ||
+        record.previousSignatureAlgorithm !== previous.signatureAlgorithm) {
+      return false;
+    }
+    const payload = buildKeyTransitionPayload(userId, record);
+    const vouched = await verifyWithFalcon(payload, record.transitionSignature, previous.falconPublicKey, previous.signatureAlgorithm);
+    const possessed = await verifyWithFalcon(payload, record.newKeySignature, record.falconPublicKey, record.signatureAlgorithm);
+    if (!vouched || !possessed) {
+      return false;
+    }
+    previous = record;
+  }
+
+  return previous.falconPublicKey === currentKeys.falconPublicKey &&
+    previous.signatureAlgorithm === currentKeys.signatureAlgorithm &&
+    previous.kyberPublicKey === currentKeys.kyberPublicKey &&
+    previous.kemAlgorithm === currentKeys.kemAlgorithm &&
+    (previous.x25519PublicKey || null) === (currentKeys.x25519PublicKey || null);
+};
+
+// ============================================================================
+// SAFETY NUMBERS AND CONTACT VERIFICATION
+// ============================================================================
+// A safety number lets two users confirm out of band that the server handed
+// them each other's real keys. Each user's half is an iterated SHA-512 over
+// their ID and signature/KEM public keys; the halves are ordered by user ID
+// so both sides see the same 60 digits. Contacts marked verified are pinned
+// (encrypted under the session KEK) and any later key change is reported.
+
+const SAFETY_NUMBER_VERSION = 1;
+const SAFETY_NUMBER_ITERATIONS = 1024;
+const SAFETY_NUMBER_GROUPS = 6; // 5-digit groups per user
+
+const computeFingerprint = async (userId, { falconPublicKey, signatureAlgorithm, kyberPublicKey, kemAlgorithm }) => {
+  const encoder = new TextEncoder();
+  const keyMaterial = concatBytes([
+    encoder.encode(`${SAFETY_NUMBER_VERSION}:${userId}:${signatureAlgorithm || DEFAULT_SIGNATURE_ALGORITHM}:${kemAlgorithm || DEFAULT_KEM_ALGORITHM}:`),
+    new Uint8Array(base64ToArrayBuffer(falconPublicKey)),
+    new Uint8Array(base64ToArrayBuffer(kyberPublicKey))
+  ]);
+
+  let hash = keyMaterial;
+  for (let i = 0; i < SAFETY_NUMBER_ITERATIONS; i += 1) {
+    hash = new Uint8Array(await window.crypto.subtle.digest('SHA-512', concatBytes([hash, keyMaterial])));
+  }
+  return hash;
+};
+
+// 5 bytes -> 5 decimal digits per group
+const fingerprintDigits = (fingerprint) => {
+  const groups = [];
+  for (let i = 0; i < SAFETY_NUMBER_GROUPS; i += 1) {
+    const chunk = fingerprint.slice(i * 5, i * 5 + 5);
+    const value = chunk.reduce((acc, byte) => acc * 256 + byte, 0);
+    groups.push(String(value % 100000).padStart(5, '0'));
+  }
+  return groups;
+};
+
+/**
+ * Safety number for a conversation
+ * @param {object} self - { userId, keys: { falconPublicKey, signatureAlgorithm, kyberPublicKey, kemAlgorithm } }
+ * @param {object} peer - Same shape for the contact
+ * @returns {Promise<object>} { digits: string[] (12 groups), qrPayload: string }
+ */
+export const computeSafetyNumber = async (self, peer) => {
+  const sides = [self, peer].sort((a, b) => Number(a.userId) - Number(b.userId));
+  const fingerprints = await Promise.all(sides.map((side) => computeFingerprint(side.userId, side.keys)));
+
+  return {
+    digits: fingerprints.flatMap(fingerprintDigits),
+    qrPayload: JSON.stringify({
+      v: SAFETY_NUMBER_VERSION,
+      u: sides.map((side) => Number(side.userId)),
+      f: fingerprints.map((fingerprint) => arrayBufferToBase64(fingerprint.slice(0, 32)))
+    })
+  };
+};
+
+/**
+ * Compare a scanned or pasted code with the local safety number
+ * Accepts the QR payload or the 60 digits (spacing ignored)
+ * @param {string} scanned - Code from the contact's screen
+ * @param {object} safetyNumber - Output of computeSafetyNumber
+ * @returns {boolean}
+ */
+export const matchesSafetyNumber = (scanned, safetyNumber) => {
+  const input = (scanned || '').trim();
+  if (input.startsWith('{')) {
+    return input === safetyNumber.qrPayload;
+  }
+  return input.replace(/\s+/g, '') === safetyNumber.digits.join('');
+};
+
+const verificationRecordId = (peerId) => `verified_${sessionUser}_${peerId}`;
+
+/**
+ * Verification state of a contact
+ * @param {number} peerId - Contact's user ID
+ * @returns {Promise<object|null>} { falconPublicKey, kyberPublicKey, kemAlgorithm, signatureAlgorithm, verifiedAt } or null
+ */
+export const getContactVerification = async (peerId) => {
+  if (!sessionUser || !sessionKEK) {
+    await getSecretKeys(); // Restores the session or throws
+  }
+  const rec = await getRecord(STORE_META, verificationRecordId(peerId));
+  if (!rec) return null;
+  try {
+    return await decryptJSON(rec, sessionKEK);
+  } catch (error) {
+    console.warn(`Discarding unreadable verification state for contact ${peerId}`);
+    return null;
+  }
+};
+
+/**
+ * Mark a contact's current keys as verified
+ * @param {number} peerId - Contact's user ID
+ * @param {object} peerKeys - { falconPublicKey, signatureAlgorithm, kyberPublicKey, kemAlgorithm }
+ */
+export const markContactVerified = async (peerId, { falconPublicKey, signatureAlgorithm, kyberPublicKey, kemAlgorithm }) => {
+  const encrypted = await encryptJSON({
+    falconPublicKey,
+    signatureAlgorithm: signatureAlgorithm || DEFAULT_SIGNATURE_ALGORITHM,
+    kyberPublicKey,
+    kemAlgorithm: kemAlgorithm || DEFAULT_KEM_ALGORITHM,
+    verifiedAt: Date.now()
+  }, sessionKEK);
+  await putRecord(STORE_META, { id: verificationRecordId(peerId), ...encrypted });
+};
+
+export const clearContactVerification = (peerId) => deleteRecord(STORE_META, verificationRecordId(peerId));
+
+/**
+ * Compare a contact's keys from the server with the verified ones
+ * Only the fields present in peerKeys are compared (the signature key is
+ * enough to check a message sender)
+ * @param {number} peerId - Contact's user ID
+ * @param {object} peerKeys - { falconPublicKey, signatureAlgorithm?, kyberPublicKey?, kemAlgorithm? }
+ * @returns {Promise<string>} 'unverified', 'verified' or 'changed'
+ */
+export const checkContactKeys = async (peerId, peerKeys) => {
+  const verified = await getContactVerification(peerId);
+  if (!verified) return 'unverified';
+
+  const changed = ['falconPublicKey', 'signatureAlgorithm', 'kyberPublicKey', 'kemAlgorithm']
+    .some((field) => peerKeys[field] !== undefined && peerKeys[field] !== verified[field]);
+  return changed ? 'changed' : 'verified';
+};
+
+// ============================================================================
+// LINKED DEVICES
+// ============================================================================
+// The primary device holds the account's identity keys. A linked device
+// generates its own keys and is trusted once the primary device signs its
+// device record with the identity signature key; contacts verify that
+// signature and encrypt one copy of each message per device. A linked device
+// keeps the identity PUBLIC keys in `pubkeys_${username}` (safety numbers and
+// directory checks) and its own keys in the secrets and `device_` records.
+// Must match backend pqc.js
+
+export const PRIMARY_DEVICE_ID = 'primary';
+const LINK_URI_PREFIX = 'qs-link:';
+
+const buildDeviceRecordPayload = (userId, device) =>
+  JSON.stringify({
+    p: 'qs-device-v1',
+    u: Number(userId),
+    d: device.deviceId,
+    ka: device.kemAlgorithm,
+    k: device.kyberPublicKey,
+    sa: device.signatureAlgorithm,
+    f: device.falconPublicKey,
+    x: device.x25519PublicKey || null,
+    t: Number(device.signedAt)
+  });
+
+const deviceRecordId = (username) => `device_${username}`;
+
+// Device records already checked against the identity key
+const verifiedDeviceSignatures = new Set();
+
+/**
+ * Session and queue address of a device
+ * The primary device keeps the plain user ID so existing sessions stay valid
+ * @param {number} userId - Device owner
+ * @param {string} deviceId - Device ID
+ * @returns {string}
+ */
+export const deviceAddress = (userId, deviceId = PRIMARY_DEVICE_ID) =>
+  (deviceId === PRIMARY_DEVICE_ID ? String(userId) : `${userId}:${deviceId}`);
+
+/**
+ * Check a device record's identity signature
+ * @param {number} userId - Account owning the device
+ * @param {object} identityKeys - Account's { falconPublicKey, signatureAlgorithm }
+ * @param {object} device - Device record with signedAt and identitySignature
+ * @returns {Promise<boolean>}
+ */
+const verifyDeviceRecord = async (userId, identityKeys, device) => {
+  if (!device?.identitySignature || !device.deviceId || device.deviceId === PRIMARY_DEVICE_ID) {
+    return false;
+  }
+  return verifyWithFalcon(
+    buildDeviceRecordPayload(userId, device),
+    device.identitySignature,
+    identityKeys.falconPublicKey,
+    identityKeys.signatureAlgorithm || DEFAULT_SIGNATURE_ALGORITHM
+  );
+};
+
+/**
+ * Device record of this browser when it is a linked device
+ * @param {string} [username] - Keystore owner, defaults to the session user
+ * @returns {Promise<object|null>} { userId, deviceId, name, keys..., signedAt, identitySignature },
+ *   or null on the primary device
+ */
+export const getLocalDevice = async (username = sessionUser) => {
+  const rec = await getRecord(STORE_META, deviceRecordId(username));
+  if (!rec) return null;
+  const { id, ...device } = rec;
+
+  if (!verifiedDeviceSignatures.has(device.identitySignature)) {
+    const identityKeys = await getPublicKeys(username);
+    if (!(await verifyDeviceRecord(device.userId, identityKeys, device))) {
+      throw new Error('Stored device record is not signed by this account\'s identity key');
+    }
+    verifiedDeviceSignatures.add(device.identitySignature);
+  }
+  return device;
+};
+
+// Public keys this browser encrypts to and signs with: the device keys on a
+// linked device, the identity keys on the primary
+const getDeviceKeys = async () => {
+  const device = await getLocalDevice();
+  if (!device) {
+    return getPublicKeys(sessionUser);
+  }
+  return {
+    kyberPublicKey: device.kyberPublicKey,
+    falconPublicKey: device.falconPublicKey,
+    x25519PublicKey: device.x25519PublicKey || null,
+    kemAlgorithm: device.kemAlgorithm,
+    signatureAlgorithm: device.signatureAlgorithm
+  };
+};
+
+// Identity-key operations have no meaning on a linked device
+const assertPrimaryDevice = async (action) => {
+  if (await getLocalDevice()) {
+    throw new Error(`Only the primary device can ${action}`);
+  }
+};
+
+/**
+ * Short fingerprint of a device's keys, compared on both screens while linking
+ * @param {number} userId - Account the device joins
+ * @param {object} keys - Device's { falconPublicKey, signatureAlgorithm, kyberPublicKey, kemAlgorithm }
+ * @returns {Promise<string[]>} 5-digit groups
+ */
+export const computeDeviceFingerprint = async (userId, keys) =>
+  fingerprintDigits(await computeFingerprint(userId, keys));
+
+/**
+ * Text for the QR code shown by a new device
+ * @param {string} linkCode - Code from POST /api/devices/link
+ * @param {string[]} fingerprint - Output of computeDeviceFingerprint
+ * @returns {string}
+ */
+export const buildDeviceLinkUri = (linkCode, fingerprint) =>
+  `${LINK_URI_PREFIX}${linkCode}:${fingerprint.join('')}`;
+
+/**
+ * Parse a scanned link URI or a typed link code
+ * @param {string} input - QR text or link code
+ * @returns {object|null} { linkCode, fingerprint } (fingerprint null for a typed code)
+ */
+export const parseDeviceLinkInput = (input) => {
+  const text = (input || '').trim();
+  if (text.startsWith(LINK_URI_PREFIX)) {
+    const [linkCode, digits] = text.slice(LINK_URI_PREFIX.length).split(':');
+    if (!linkCode || !/^\d+$/.test(digits || '')) return null;
+    return { linkCode: linkCode.toUpperCase(), fingerprint: digits };
+  }
+  const linkCode = text.replace(/[\s-]+/g, '').toUpperCase();
+  return /^[A-Z0-9]{8}$/.test(linkCode) ? { linkCode, fingerprint: null } : null;
+};
+
+/**
+ * Sign a new device's record with the identity key (primary device only)
+ * The caller posts the result to POST /api/devices/link/:code/approve
+ * @param {number} userId - Current account ID
+ * @param {object} device - { deviceId, kemAlgorithm, kyberPublicKey, signatureAlgorithm, falconPublicKey, x25519PublicKey }
+ * @returns {Promise<object>} { signedAt, identitySignature }
+ */
+export const signDeviceRecord = async (userId, device) => {
+  await assertPrimaryDevice('link devices');
+  const { falconSecretKey } = await getSecretKeys();
+  const { signatureAlgorithm } = await getPublicKeys(sessionUser);
+  const signedAt = Date.now();
+  const identitySignature = await signWithFalconClient(
+    buildDeviceRecordPayload(userId, { ...device, signedAt }),
+    falconSecretKey,
+    signatureAlgorithm
+  );
+  return { signedAt, identitySignature };
+};
+
+/**
+ * Fetch a user's devices: the primary (identity keys) first, then every linked
+ * device whose record the identity key signed. Unsigned records are dropped.
+ * @param {number} userId - Device owner
+ * @returns {Promise<object[]>} [{ deviceId, name, keys }]
+ */
+export const fetchDevices = async (userId) => {
+  const identityKeys = await fetchPublicKeys(userId);
+  const token = localStorage.getItem('token');
+  const response = await axios.get(`${API_URL}/api/users/${userId}/devices`, {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+
+  const devices = [{ deviceId: PRIMARY_DEVICE_ID, name: null, keys: identityKeys }];
+  for (const device of response.data.devices || []) {
+    if (!(await verifyDeviceRecord(userId, identityKeys, device))) {
+      console.warn(`Ignoring device ${device.deviceId} of user ${userId}: invalid identity signature`);
+      continue;
+    }
+    devices.push({
+      deviceId: device.deviceId,
+      name: device.name,
+      keys: {
+        kyberPublicKey: device.kyberPublicKey,
+        falconPublicKey: device.falconPublicKey,
+        x25519PublicKey: device.x25519PublicKey || null,
+        kemAlgorithm: device.kemAlgorithm,
+        signatureAlgorithm: device.signatureAlgorithm
+      }
+    });
+  }
+  return devices;
+};
+
+/**
+ * Set up the keystore of a newly linked device
+ * @param {string} username - Account name
+ * @param {string} password - Account password (protects the keystore)
+ * @param {object} params - { userId, identityKeys (directory-signed login keys),
+ *   device (approved record from GET /api/devices/link/:code), keys (this device's
+ *   generateKeyPairs output) }
+ * @returns {Promise<void>}
+ */
+export const initializeLinkedDevice = async (username, password, { userId, identityKeys, device, keys }) => {
+  await verifyDirectoryEntry(userId, identityKeys);
+  if (!(await verifyDeviceRecord(userId, identityKeys, device))) {
+    throw new Error('Device record is not signed by this account\'s identity key');
+  }
+  // The approved record must hold the keys this device generated
+  const mismatch = ['kemAlgorithm', 'kyberPublicKey', 'signatureAlgorithm', 'falconPublicKey', 'x25519PublicKey']
+    .some((field) => (device[field] || null) !== (keys[field] || null));
+  if (mismatch) {
+    throw new Error('Approved device record does not match the keys of this device');
+  }
+
+  await initializeSecureKeys(username, password, {
+    ...identityKeys,
+    kyberSecretKey: keys.kyberSecretKey,
+    falconSecretKey: keys.falconSecretKey,
+    x25519SecretKey: keys.x25519SecretKey,
+    userId
+  });
+  await putRecord(STORE_META, {
+    id: deviceRecordId(username),
+    userId: Number(userId),
+    deviceId: device.deviceId,
+    name: device.name,
+    kemAlgorithm: device.kemAlgorithm,
+    kyberPublicKey: device.kyberPublicKey,
+    signatureAlgorithm: device.signatureAlgorithm,
+    falconPublicKey: device.falconPublicKey,
+    x25519PublicKey: device.x25519PublicKey || null,
+    signedAt: device.signedAt,
+    identitySignature: device.identitySignature
+  });
+};
+
+/**
+ * Delete a linked device's keystore after it was revoked
+ * Does nothing on the primary device
+ * @param {string} username - Account name
+ * @returns {Promise<boolean>} True when keys were deleted
+ */
+export const forgetLinkedDevice = async (username) => {
+  const rec = await getRecord(STORE_META, deviceRecordId(username));
+  if (!rec) return false;
+
+  await deleteRecord(STORE_SECRETS, `secrets_${username}`);
+  await Promise.all([
+    `salt_${username}`,
+    `pubkeys_${username}`,
+    deviceRecordId(username)
+  ].map((id) => deleteRecord(STORE_META, id)));
+  if (sessionUser === username) {
+    clearSession();
+  }
+  return true;
+};
+
+// ============================================================================
+// OFFLINE MESSAGE QUEUE
+// ============================================================================
+
+const MESSAGE_EXPIRY_MS = 24 * 60 * 60 * 1000; // 24 hours
+let lastQueuedAt = 0; // Queue timestamps increase strictly, so they order the queue
+
+/**
+ * Queue a message for a recipient
+ * Messages are stored in IndexedDB until the server confirms delivery; the
+ * delivery queue (deliveryQueue.js) sends them in order and again after
+ * reconnecting
+ */
+export const queueOfflineMessage = async (recipientId, encryptedMessageData) => {
+  try {
+    const db = await openKeystore();
+    const tx = db.transaction(STORE_PENDING_MESSAGES, 'readwrite');
+    const store = tx.objectStore(STORE_PENDING_MESSAGES);
+    
+    lastQueuedAt = Math.max(Date.now(), lastQueuedAt + 1);
+    const queuedMessage = {
+      id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      recipientId,
+      timestamp: lastQueuedAt,
+      retries: 0,
+      ...encryptedMessageData
+    };
+    
+    store.add(queuedMessage);
+    
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => {
+        console.log(`✓ Message queued for user ${recipientId}`);
+        resolve(queuedMessage.id);
+      };
+      tx.onerror = () => reject(tx.error);
+    });
+  } catch (error) {
+    console.error('Failed to queue offline message:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get all pending messages for a specific recipient
+ */
+export const getPendingMessages = async (recipientId) => {
+  try {
+    const db = await openKeystore();
+    const tx = db.transaction(STORE_PENDING_MESSAGES, 'readonly');
+    const store = tx.objectStore(STORE_PENDING_MESSAGES);
+    const allMessages = await new Promise((resolve, reject) => {
+      const req = store.getAll();
+      req.onsuccess = () => resolve(req.result || []);
+      req.onerror = () => reject(req.error);
+    });
+    
+    const now = Date.now();
+    return allMessages
+      .filter(msg => msg.recipientId === recipientId)
+      .filter(msg => (now - msg.timestamp) < MESSAGE_EXPIRY_MS); // Not expired
+  } catch (error) {
+    console.error('Failed to get pending messages:', error);
+    return [];
+  }
+};
+
+/**
+ * Remove a message from the queue after successful delivery
+ */
+export const removePendingMessage = async (messageId) => {
+  try {
+    const db = await openKeystore();
+    const tx = db.transaction(STORE_PENDING_MESSAGES, 'readwrite');
+    const store = tx.objectStore(STORE_PENDING_MESSAGES);
+    store.delete(messageId);
+    
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  } catch (error) {
+    console.error('Failed to remove pending message:', error);
+  }
+};
+
+/**
+ * Sign a queued message copy again with a new send time and nonce
+ * The relay and receivers only accept envelopes sent within their replay
+ * windows and each nonce once, so a copy waiting in the queue is re-signed
+ * before every new delivery attempt; its ciphertext is unchanged
+ * @param {object} copy - Message copy as sent in `sendMessage` (encryptedMessage, v, suite, ...)
+ * @param {object} route - { senderId, senderDeviceId, receiverId, recipientUserId, recipientDeviceId }
+ * @param {string} senderFalconSecretKey - Sending device's signature secret key
+ * @returns {Promise<object>} The copy with its new sentAt, nonce and signature
+ */
+export const resignQueuedMessage = async (copy, route, senderFalconSecretKey) => {
+  const { sentAt, nonce, signature } = await signEnvelope(
+    'message',
+    {
+      v: copy.v,
+      suite: copy.suite,
+      ratchet: copy.ratchet,
+      kyberCiphertext: copy.kyberCiphertext,
+      ephemeralPublicKey: copy.ephemeralPublicKey,
+      ciphertext: copy.encryptedMessage,
+      iv: copy.iv,
+      authTag: copy.authTag
+    },
+    route,
+    senderFalconSecretKey,
+    parseSuite(copy.suite).signature
+  );
+  return { ...copy, sentAt, nonce, signature };
 };
 
 /**
  * Clean up expired messages (older than 24 hours)
  */
-export const cleanupExpiredMessages = async () => {
+export const cleanupExpiredMessages = async () => {
+  try {
+    const db = await openKeystore();
+    const tx = db.transaction(STORE_PENDING_MESSAGES, 'readwrite');
+    const store = tx.objectStore(STORE_PENDING_MESSAGES);
+    const allMessages = await new Promise((resolve, reject) => {
+      const req = store.getAll();
+      req.onsuccess = () => resolve(req.result || []);
+      req.onerror = () => reject(req.error);
+    });
+    
+    const now = Date.now();
+    const expired = allMessages.filter(msg => (now - msg.timestamp) >= MESSAGE_EXPIRY_MS);
+    
+    expired.forEach(msg => store.delete(msg.id));
+    
+    if (expired.length > 0) {
+      console.log(`✓ Cleaned up ${expired.length} expired messages`);
+    }
+  } catch (error) {
+    console.error('Failed to cleanup expired messages:', error);
+  }
+};
+
+// ============================================================================
+// MESSAGE HISTORY
+// ============================================================================
+// Messages shown in a conversation are kept in the keystore, each record
+// encrypted under the session KEK like the ratchet sessions. Only what is
+// needed to page and expire them stays in the clear: the conversation
+// ('contact_<userId>' or 'group_<groupId>', prefixed with the account), the
+// position the message was stored at, and the time a disappearing message
+// expires. Records that no longer decrypt (written under an earlier KEK) are
+// skipped. Each record also carries the search index words of its message
+// (see MESSAGE SEARCH), encrypted, so deleting it removes its postings.
+
+let lastHistoryPosition = 0;
+
+const historyRecordId = (historyId) => `history_${sessionUser}_${historyId}`;
+const historyConversation = (conversation) => `${sessionUser}:${conversation}`;
+
+// Strictly increasing, so messages stored in the same millisecond keep their order
+const nextHistoryPosition = () => {
+  lastHistoryPosition = Math.max(Date.now(), lastHistoryPosition + 1);
+  return lastHistoryPosition;
+};
+
+const assertHistorySession = () => {
+  if (!sessionUser || !sessionKEK) {
+    throw new Error('Key session not initialized; please re-login');
+  }
+};
+
+// Decrypted messages of records, leaving out expired and unreadable ones
+const readHistoryRecords = async (records) => {
+  const now = Date.now();
+  const messages = [];
+  for (const record of records) {
+    if (record.expiresAt && record.expiresAt <= now) continue;
+    try {
+      messages.push(await decryptJSON(record, sessionKEK));
+    } catch (error) {
+      console.warn('Skipping unreadable history record');
+    }
+  }
+  return messages;
+};
+
+// Visit the records of a conversation's index range; `visit` returns false to stop
+const walkHistory = (range, direction, visit) => openKeystore().then((db) => new Promise((resolve, reject) => {
+  const tx = db.transaction(STORE_HISTORY, 'readonly');
+  const req = tx.objectStore(STORE_HISTORY).index(range.index).openCursor(range.keys, direction);
+  req.onsuccess = () => {
+    const cursor = req.result;
+    if (cursor && visit(cursor) !== false) {
+      cursor.continue();
+    }
+  };
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+}));
+
+/**
+ * Store a new message of a conversation
+ * @param {string} conversation - 'contact_<userId>' or 'group_<groupId>'
+ * @param {object} message - Message as the chat shows it, with a unique historyId;
+ *   expiresAt (ms) makes it disappear
+ * @returns {Promise<void>}
+ */
+export const saveHistoryMessage = async (conversation, message) => {
+  assertHistorySession();
+  const id = historyRecordId(message.historyId);
+  const existing = await getRecord(STORE_HISTORY, id); // A redelivered message keeps its place, and is indexed
+  const searchIds = existing || message.isNotice ? [] : await searchRecordIds(message.message);
+  const encrypted = await encryptJSON(message, sessionKEK);
+  await putRecord(STORE_HISTORY, {
+    id,
+    conversation: historyConversation(conversation),
+    position: existing?.position ?? nextHistoryPosition(),
+    ...(message.expiresAt ? { expiresAt: message.expiresAt } : {}),
+    ...encrypted,
+    search: existing ? existing.search : await encryptJSON(searchIds, sessionKEK)
+  });
+  await addPostings(searchIds, message.historyId);
+};
+
+// Delete records together with their postings. Records of other accounts
+// (their KEK is not available) are left for that account's session
+const deleteHistoryRecords = async (records) => {
+  const prefix = historyRecordId('');
+  for (const record of records) {
+    if (!record.id.startsWith(prefix)) continue;
+    try {
+      // Records stored before they kept their words: index the message again
+      const searchIds = record.search
+        ? await decryptJSON(record.search, sessionKEK)
+        : await searchRecordIds((await decryptJSON(record, sessionKEK)).message);
+      await removePostings(searchIds, record.id.slice(prefix.length));
+    } catch (error) {
+      console.warn('History record unreadable; its postings stay');
+    }
+    await deleteRecord(STORE_HISTORY, record.id);
+  }
+};
+
+/**
+ * Change a stored message, e.g. its delivery status
+ * @param {string} historyId - Message's historyId
+ * @param {Function} update - Gets the stored message and returns the new one
+ * @returns {Promise<boolean>} False when the message is not stored
+ */
+export const updateHistoryMessage = (historyId, update) => withSessionLock(`history_${historyId}`, async () => {
+  assertHistorySession();
+  const record = await getRecord(STORE_HISTORY, historyRecordId(historyId));
+  if (!record) return false;
+  let message;
+  try {
+    message = await decryptJSON(record, sessionKEK);
+  } catch (error) {
+    return false;
+  }
+  const updated = update(message);
+  if (updated === message) return true;
+  const encrypted = await encryptJSON(updated, sessionKEK);
+  await putRecord(STORE_HISTORY, { ...record, ...encrypted });
+  return true;
+});
+
+/**
+ * A page of a conversation's history, going back from `before`
+ * @param {string} conversation - 'contact_<userId>' or 'group_<groupId>'
+ * @param {object} [options] - { before: position from the previous page, limit }
+ * @returns {Promise<object>} { messages (oldest first), before, hasMore }
+ */
+export const loadHistoryPage = async (conversation, { before = Infinity, limit = 50 } = {}) => {
+  assertHistorySession();
+  const key = historyConversation(conversation);
+  const records = [];
+  await walkHistory(
+    { index: 'conversation', keys: IDBKeyRange.bound([key, -Infinity], [key, before], false, true) },
+    'prev',
+    (cursor) => {
+      records.push(cursor.value);
+      return records.length <= limit;
+    }
+  );
+
+  const hasMore = records.length > limit;
+  const page = records.slice(0, limit);
+  const messages = await readHistoryRecords(page);
+  return {
+    messages: messages.reverse(),
+    before: page.length > 0 ? page[page.length - 1].position : before,
+    hasMore
+  };
+};
+
+/**
+ * The part of a conversation's history around a message: a page before it and
+ * everything from it on
+ * @param {string} conversation - 'contact_<userId>' or 'group_<groupId>'
+ * @param {string} historyId - Message to show
+ * @param {object} [options] - { limit } of the page before it
+ * @returns {Promise<object|null>} { messages (oldest first), before, hasMore } as
+ *   loadHistoryPage returns them, or null when the message is not stored
+ */
+export const loadHistoryAround = async (conversation, historyId, { limit = 50 } = {}) => {
+  assertHistorySession();
+  const target = await getRecord(STORE_HISTORY, historyRecordId(historyId));
+  const key = historyConversation(conversation);
+  if (!target || target.conversation !== key) return null;
+
+  const records = [];
+  await walkHistory(
+    { index: 'conversation', keys: IDBKeyRange.bound([key, target.position], [key, Infinity]) },
+    'next',
+    (cursor) => {
+      records.push(cursor.value);
+    }
+  );
+  const earlier = await loadHistoryPage(conversation, { before: target.position, limit });
+  return {
+    messages: [...earlier.messages, ...(await readHistoryRecords(records))],
+    before: earlier.before,
+    hasMore: earlier.hasMore
+  };
+};
+
+/**
+ * Delete a conversation's history on this device
+ * @param {string} conversation - 'contact_<userId>' or 'group_<groupId>'
+ * @returns {Promise<void>}
+ */
+export const clearHistory = async (conversation) => {
+  assertHistorySession();
+  const key = historyConversation(conversation);
+  const records = [];
+  await walkHistory(
+    { index: 'conversation', keys: IDBKeyRange.bound([key, -Infinity], [key, Infinity]) },
+    'next',
+    (cursor) => {
+      records.push(cursor.value);
+    }
+  );
+  await deleteHistoryRecords(records);
+};
+
+/**
+ * Delete disappearing messages whose time passed, in every conversation
+ * @returns {Promise<void>}
+ */
+export const purgeExpiredHistory = async () => {
+  assertHistorySession();
+  const records = [];
+  await walkHistory(
+    { index: 'expiresAt', keys: IDBKeyRange.upperBound(Date.now()) },
+    'next',
+    (cursor) => {
+      records.push(cursor.value);
+    }
+  );
+  await deleteHistoryRecords(records);
+};
+
+// ============================================================================
+// MESSAGE SEARCH
+// ============================================================================
+// Full-text search over the message history, without plaintext leaving the
+// device or sitting in the keystore. Each word is stored under its HMAC with a
+// per-account search key (kept encrypted under the session KEK), and its
+// postings - the historyIds of the messages containing it - are encrypted
+// like the history itself. A history record keeps the words it was indexed
+// under, so its postings go when it is cleared or expires. A query matches
+// messages that contain all of its words.
+
+const SEARCH_KEY_BYTES = 32;
+const MAX_INDEXED_WORDS = 200; // Per message
+const MAX_SEARCH_POSTINGS = 1000; // Per word; very common words find the most recent messages
+const MAX_SEARCH_RESULTS = 50;
+let searchKey = null; // { user, key: Promise<CryptoKey> }
+
+// Lowercased words of a text, without duplicates
+const searchWords = (text) => [
+  ...new Set((String(text || '').normalize('NFKC').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []))
+];
+
+// The account's HMAC key; a key that no longer decrypts (written under an
+// earlier KEK, like the index it keyed) is replaced
+const loadSearchKey = () => {
+  if (!searchKey || searchKey.user !== sessionUser) {
+    const user = sessionUser;
+    const kek = sessionKEK;
+    const id = `search_key_${user}`;
+    const key = (async () => {
+      const rec = await getRecord(STORE_SECRETS, id);
+      let raw = null;
+      if (rec) {
+        try {
+          raw = base64ToArrayBuffer((await decryptJSON(rec, kek)).key);
+        } catch (error) {
+          console.warn('Search key unreadable; starting a new search index');
+        }
+      }
+      if (!raw) {
+        raw = randomBytes(SEARCH_KEY_BYTES);
+        await putRecord(STORE_SECRETS, { id, ...(await encryptJSON({ key: arrayBufferToBase64(raw) }, kek)) });
+      }
+      return window.crypto.subtle.importKey('raw', raw, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    })();
+    key.catch(() => {
+      if (searchKey?.key === key) searchKey = null;
+    });
+    searchKey = { user, key };
+  }
+  return searchKey.key;
+};
+
+const searchRecordId = async (word) => {
+  const tag = await window.crypto.subtle.sign('HMAC', await loadSearchKey(), new TextEncoder().encode(word));
+  return `search_${sessionUser}_${arrayBufferToBase64(tag)}`;
+};
+
+const readPostings = async (id) => {
+  const rec = await getRecord(STORE_SEARCH, id);
+  if (!rec) return [];
+  try {
+    return await decryptJSON(rec, sessionKEK);
+  } catch (error) {
+    return [];
+  }
+};
+
+// Change a word's postings; `update` returns the new list
+const updatePostings = (id, update) => withSessionLock(id, async () => {
+  const postings = await readPostings(id);
+  const updated = update(postings);
+  if (updated === postings) return;
+  if (updated.length === 0) {
+    await deleteRecord(STORE_SEARCH, id);
+    return;
+  }
+  await putRecord(STORE_SEARCH, { id, ...(await encryptJSON(updated, sessionKEK)) });
+});
+
+// Index record ids of the words of a message text
+const searchRecordIds = async (text) => {
+  const ids = [];
+  for (const word of searchWords(text).slice(0, MAX_INDEXED_WORDS)) {
+    ids.push(await searchRecordId(word));
+  }
+  return ids;
+};
+
+const addPostings = async (ids, historyId) => {
+  for (const id of ids) {
+    await updatePostings(id, (postings) => (
+      postings.includes(historyId) ? postings : [...postings, historyId].slice(-MAX_SEARCH_POSTINGS)
+    ));
+  }
+};
+
+const removePostings = async (ids, historyId) => {
+  for (const id of ids) {
+    await updatePostings(id, (postings) => (
+      postings.includes(historyId) ? postings.filter((posted) => posted !== historyId) : postings
+    ));
+  }
+};
+
+/**
+ * Search the message history of all conversations
+ * @param {string} query - Words to look for
+ * @returns {Promise<object[]>} Matches, newest first: { conversation, message }
+ */
+export const searchHistory = async (query) => {
+  assertHistorySession();
+  const words = searchWords(query);
+  if (words.length === 0) return [];
+
+  let matches = null;
+  for (const word of words) {
+    const postings = await readPostings(await searchRecordId(word));
+    matches = matches ? matches.filter((historyId) => postings.includes(historyId)) : postings;
+    if (matches.length === 0) return [];
+  }
+
+  const prefix = historyConversation('');
+  const found = [];
+  for (const historyId of matches) {
+    const record = await getRecord(STORE_HISTORY, historyRecordId(historyId));
+    if (!record) continue;
+    const [message] = await readHistoryRecords([record]);
+    if (message) {
+      found.push({ position: record.position, conversation: record.conversation.slice(prefix.length), message });
+    }
+  }
+
+  return found
+    .sort((a, b) => b.position - a.position)
+    .slice(0, MAX_SEARCH_RESULTS)
+    .map(({ conversation, message }) => ({ conversation, message }));
+};
+
+// ============================================================================
+// MESSAGE IDS AND RECEIPTS
+// ============================================================================
+// A chat message keeps the ID its sender chose for its whole life (queue,
+// retries, every device copy), and every copy's signature covers it. The
+// receiving device answers with receipts signed by its own key over the
+// receipt type, the message IDs and both parties, so the relay can neither
+// forge nor re-address them. Receipts only move ticks forward, so they carry
+// no nonce.
+
+const RECEIPT_SIGNATURE_CONTEXT = 'qs-receipt-sig-v1';
+export const MAX_RECEIPT_MESSAGE_IDS = 100; // Must match backend server.js
+
+/**
+ * New stable message ID
+ * @returns {string} 16 random bytes, base64url
+ */
+export const createMessageId = () =>
+  arrayBufferToBase64(randomBytes(16)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const buildReceiptPayload = (receipt) => lengthPrefixed([
+  RECEIPT_SIGNATURE_CONTEXT,
+  receipt.type,
+  Number(receipt.senderId),
+  receipt.senderDeviceId || PRIMARY_DEVICE_ID,
+  Number(receipt.receiverId),
+  Number(receipt.sentAt),
+  receipt.messageIds.join(',')
+]);
+
+/**
+ * Sign a receipt for messages received from a contact
+ * @param {string} type - 'delivered' or 'read'
+ * @param {string[]} messageIds - IDs of the contact's messages
+ * @param {object} route - { senderId, senderDeviceId } (this device), receiverId (the contact)
+ * @param {string} senderFalconSecretKey - This device's signature secret key
+ * @returns {Promise<object>} `sendReceipt` payload { type, messageIds, receiverId, sentAt, signature }
+ */
+export const signReceipt = async (type, messageIds, route, senderFalconSecretKey) => {
+  if (messageIds.length === 0 || messageIds.length > MAX_RECEIPT_MESSAGE_IDS) {
+    throw new Error(`A receipt covers between 1 and ${MAX_RECEIPT_MESSAGE_IDS} messages`);
+  }
+  const { signatureAlgorithm } = await getDeviceKeys();
+  const sentAt = Date.now();
+  const signature = await signPayload(
+    buildReceiptPayload({ ...route, type, messageIds, sentAt }),
+    senderFalconSecretKey,
+    signatureAlgorithm
+  );
+  return { type, messageIds, receiverId: Number(route.receiverId), sentAt, signature };
+};
+
+/**
+ * Verify a `messageReceipt` from a contact's device
+ * @param {object} receipt - { type, messageIds, senderId, senderDeviceId, receiverId, sentAt, signature }
+ * @param {number} ownUserId - This account, which the receipt must be addressed to
+ * @param {object} senderPublicKeys - Signing device's { falconPublicKey, signatureAlgorithm }
+ * @returns {Promise<boolean>}
+ */
+export const verifyReceipt = async (receipt, ownUserId, senderPublicKeys) => {
+  if (Number(receipt.receiverId) !== Number(ownUserId) || !Array.isArray(receipt.messageIds)) {
+    return false;
+  }
+  return verifyWithFalcon(
+    buildReceiptPayload(receipt),
+    receipt.signature,
+    senderPublicKeys.falconPublicKey,
+    senderPublicKeys.signatureAlgorithm || DEFAULT_SIGNATURE_ALGORITHM
+  );
+};
+
+// ============================================================================
+// DISAPPEARING MESSAGES
+// ============================================================================
+// Either friend can set a timer for their conversation. The setting is a
+// control message signed by the device that changed it, over both friends,
+// the timer and when it was set; the server keeps the latest and relays it to
+// every device of both friends. The newest setting wins on every device, so a
+// replayed older one changes nothing. Each client deletes messages of the
+// conversation once the timer has passed since they were sent or received.
+
+const DISAPPEARING_TIMER_SIGNATURE_CONTEXT = 'qs-timer-sig-v1';
+export const DISAPPEARING_TIMERS_MS = [
+  0, // Off
+  5 * 60 * 1000,
+  60 * 60 * 1000,
+  24 * 60 * 60 * 1000,
+  7 * 24 * 60 * 60 * 1000
+]; // Must match backend disappearing.js
+
+const buildDisappearingTimerPayload = (timer) => lengthPrefixed([
+  DISAPPEARING_TIMER_SIGNATURE_CONTEXT,
+  Number(timer.senderId),
+  timer.senderDeviceId || PRIMARY_DEVICE_ID,
+  Number(timer.receiverId),
+  Number(timer.ttlMs),
+  Number(timer.setAt)
+]);
+
+/**
+ * Sign a new disappearing timer for a conversation
+ * @param {number} ttlMs - One of DISAPPEARING_TIMERS_MS (0 turns it off)
+ * @param {object} route - { senderId, senderDeviceId } (this device), receiverId (the friend)
+ * @param {string} senderFalconSecretKey - This device's signature secret key
+ * @returns {Promise<object>} `setDisappearingTimer` payload { receiverId, ttlMs, setAt, signature }
+ */
+export const signDisappearingTimer = async (ttlMs, route, senderFalconSecretKey) => {
+  if (!DISAPPEARING_TIMERS_MS.includes(ttlMs)) {
+    throw new Error('Unsupported disappearing timer');
+  }
+  const { signatureAlgorithm } = await getDeviceKeys();
+  const setAt = Date.now();
+  const signature = await signPayload(
+    buildDisappearingTimerPayload({ ...route, ttlMs, setAt }),
+    senderFalconSecretKey,
+    signatureAlgorithm
+  );
+  return { receiverId: Number(route.receiverId), ttlMs, setAt, signature };
+};
+
+/**
+ * Verify a disappearing timer of one of this account's conversations
+ * @param {object} timer - { ttlMs, senderId, senderDeviceId, receiverId, setAt, signature }
+ * @param {number} ownUserId - This account, which must be one of the two friends
+ * @param {object} senderPublicKeys - Setting device's { falconPublicKey, signatureAlgorithm }
+ * @returns {Promise<boolean>}
+ */
+export const verifyDisappearingTimer = async (timer, ownUserId, senderPublicKeys) => {
+  const ownId = Number(ownUserId);
+  if ((Number(timer.senderId) !== ownId && Number(timer.receiverId) !== ownId) ||
+      !DISAPPEARING_TIMERS_MS.includes(timer.ttlMs) || !Number.isInteger(timer.setAt)) {
+    return false;
+  }
+  return verifyWithFalcon(
+    buildDisappearingTimerPayload(timer),
+    timer.signature,
+    senderPublicKeys.falconPublicKey,
+    senderPublicKeys.signatureAlgorithm || DEFAULT_SIGNATURE_ALGORITHM
+  );
+};
+
+// ============================================================================
+// PREKEYS
+// ============================================================================
+// Prekeys let a sender start a ratchet session with a user who is offline:
+// a medium-term signed prekey plus a pool of one-time prekeys, all keys of
+// the account's registered KEM and signed with its signature key. The server
+// hands out one one-time prekey per bundle fetch and sends `replenishPrekeys`
+// when the pool runs low or the signed prekey is due for rotation.
+// Prekey secrets are stored in the keystore encrypted under the session KEK.
+
+const MAX_SIGNED_PREKEYS_KEPT = 3; // Rotated signed prekeys still accepted for delayed handshakes
+const MAX_LOCAL_ONE_TIME_PREKEYS = 200; // Unused one-time prekey secrets kept locally
+
+// Must match backend pqc.js
+const buildPrekeyPayload = (purpose, userId, { keyId, kemAlgorithm, publicKey }) =>
+  JSON.stringify({ p: purpose, u: Number(userId), id: keyId, ka: kemAlgorithm, k: publicKey });
+
+const buildSignedPrekeyPayload = (userId, prekey) =>
+  buildPrekeyPayload('qs-signed-prekey-v1', userId, prekey);
+
+const buildOneTimePrekeyPayload = (userId, prekey) =>
+  buildPrekeyPayload('qs-one-time-prekey-v1', userId, prekey);
+
+// URL-safe random id (matches the server's prekey id pattern)
+const generatePrekeyId = () =>
+  arrayBufferToBase64(randomBytes(9)).replace(/\+/g, '-').replace(/\//g, '_');
+
+const prekeyRecordId = () => `prekeys_${sessionUser}`;
+
+const loadPrekeySecrets = async () => {
+  if (!sessionUser || !sessionKEK) {
+    throw new Error('Key session not initialized; please re-login');
+  }
+  const empty = { signed: [], oneTime: {} };
+  const rec = await getRecord(STORE_SECRETS, prekeyRecordId());
+  if (!rec) return empty;
+  try {
+    return await decryptJSON(rec, sessionKEK);
+  } catch (error) {
+    // Written under an earlier keystore KEK; the server will ask for new prekeys
+    console.warn('Discarding unreadable prekey secrets');
+    return empty;
+  }
+};
+
+const savePrekeySecrets = async (secrets) => {
+  const encrypted = await encryptJSON(secrets, sessionKEK);
+  await putRecord(STORE_SECRETS, { id: prekeyRecordId(), ...encrypted });
+};
+
+// Prekey secrets are shared by all sessions; serialize their updates
+const withPrekeyLock = (operation) => withSessionLock('prekeys', operation);
+
+/**
+ * Generate prekeys for upload to POST /api/keys/prekeys
+ * The secrets are stored before returning, so a failed upload only leaves
+ * unused keys behind
+ * @param {number} userId - Current account ID
+ * @param {object} options - { oneTimeCount, rotateSignedPrekey }
+ * @returns {Promise<object>} { signedPrekey?, oneTimePrekeys } with public keys and signatures
+ */
+export const createPrekeyUpload = async (userId, { oneTimeCount = 0, rotateSignedPrekey = false } = {}) => {
+  await assertPrimaryDevice('publish prekeys');
+  const { falconSecretKey } = await getSecretKeys();
+  const { kemAlgorithm, signatureAlgorithm } = await getPublicKeys(sessionUser);
+  const kem = await loadKemAlgorithm(kemAlgorithm);
+
+  const generatePrekey = async (buildPayload) => {
+    const { publicKey, secretKey } = await kem.generateKeyPair();
+    const prekey = { keyId: generatePrekeyId(), kemAlgorithm, publicKey: arrayBufferToBase64(publicKey) };
+    const signature = await signWithFalconClient(buildPayload(userId, prekey), falconSecretKey, signatureAlgorithm);
+    return { ...prekey, secretKey: arrayBufferToBase64(secretKey), signature };
+  };
+
+  return withPrekeyLock(async () => {
+    const secrets = await loadPrekeySecrets();
+    const upload = { oneTimePrekeys: [] };
+
+    if (rotateSignedPrekey || secrets.signed.length === 0) {
+      const { keyId, publicKey, secretKey, signature } = await generatePrekey(buildSignedPrekeyPayload);
+      secrets.signed = [{ keyId, kemAlgorithm, publicKey, secretKey, createdAt: Date.now() }, ...secrets.signed]
+        .slice(0, MAX_SIGNED_PREKEYS_KEPT);
+      upload.signedPrekey = { keyId, publicKey, signature };
+    }
+
+    for (let i = 0; i < oneTimeCount; i += 1) {
+      const { keyId, publicKey, secretKey, signature } = await generatePrekey(buildOneTimePrekeyPayload);
+      secrets.oneTime[keyId] = { kemAlgorithm, secretKey };
+      upload.oneTimePrekeys.push({ keyId, publicKey, signature });
+    }
+
+    // Oldest first (insertion order); keys beyond the limit were never used
+    const ids = Object.keys(secrets.oneTime);
+    ids.slice(0, Math.max(0, ids.length - MAX_LOCAL_ONE_TIME_PREKEYS)).forEach((id) => {
+      delete secrets.oneTime[id];
+    });
+
+    await savePrekeySecrets(secrets);
+    return upload;
+  });
+};
+
+/**
+ * Check a prekey bundle from GET /api/users/:userId/prekey-bundle
+ * @param {number} userId - Bundle owner
+ * @param {object} bundle - { kemAlgorithm, signedPrekey, oneTimePrekey }
+ * @param {object} identityKeys - Owner's { falconPublicKey, signatureAlgorithm, kemAlgorithm }
+ * @returns {Promise<void>} Throws if any prekey signature is invalid
+ */
+const verifyPrekeyBundle = async (userId, bundle, identityKeys) => {
+  const kemAlgorithm = identityKeys.kemAlgorithm || DEFAULT_KEM_ALGORITHM;
+  if (bundle.kemAlgorithm !== kemAlgorithm || !bundle.signedPrekey) {
+    throw new Error('Prekey bundle does not match the recipient\'s registered keys');
+  }
+
+  const checks = [[bundle.signedPrekey, buildSignedPrekeyPayload]];
+  if (bundle.oneTimePrekey) {
+    checks.push([bundle.oneTimePrekey, buildOneTimePrekeyPayload]);
+  }
+  for (const [prekey, buildPayload] of checks) {
+    const isValid = await verifyWithFalcon(
+      buildPayload(userId, { keyId: prekey.keyId, kemAlgorithm, publicKey: prekey.publicKey }),
+      prekey.signature,
+      identityKeys.falconPublicKey,
+      identityKeys.signatureAlgorithm || DEFAULT_SIGNATURE_ALGORITHM
+    );
+    if (!isValid) {
+      throw new Error('Prekey signature verification failed - bundle may be tampered');
+    }
+  }
+};
+
+/**
+ * Recover the prekey secrets of a handshake
+ * @param {object} init - Handshake from a ratchet header
+ * @param {string} kemAlgorithm - Session KEM
+ * @returns {Promise<Uint8Array[]>} Signed and (if used) one-time prekey secrets
+ */
+const decapsulatePrekeys = async ({ prekey, oneTimePrekey }, kemAlgorithm) => {
+  const secrets = await loadPrekeySecrets();
+  const signed = secrets.signed.find((entry) => entry.keyId === prekey.id);
+  if (!signed || signed.kemAlgorithm !== kemAlgorithm) {
+    throw new Error('Handshake uses an unknown or expired signed prekey');
+  }
+  const results = [await kyberDecapsulate(prekey.ct, signed.secretKey, kemAlgorithm)];
+
+  if (oneTimePrekey) {
+    const oneTime = secrets.oneTime[oneTimePrekey.id];
+    if (!oneTime || oneTime.kemAlgorithm !== kemAlgorithm) {
+      throw new Error('Handshake uses an unknown or already used one-time prekey');
+    }
+    results.push(await kyberDecapsulate(oneTimePrekey.ct, oneTime.secretKey, kemAlgorithm));
+  }
+  return results;
+};
+
+// One-time prekeys are deleted once a handshake using them is accepted
+const discardOneTimePrekey = (keyId) => withPrekeyLock(async () => {
+  const secrets = await loadPrekeySecrets();
+  if (secrets.oneTime[keyId]) {
+    delete secrets.oneTime[keyId];
+    await savePrekeySecrets(secrets);
+  }
+});
+
+// ============================================================================
+// PQ RATCHET SESSIONS
+// ============================================================================
+// Chat messages use a per-contact session instead of a fresh KEM per message:
+//
+// 1. Handshake: the first sender encapsulates to the peer's identity keys
+//    (hybrid when available) and, when the peer published prekeys, to its
+//    signed prekey and a one-time prekey. The combined secret gives a root
+//    key for each direction plus the first sending chain. The handshake rides
+//    in the ratchet header of every message until the peer replies.
+// 2. Symmetric ratchet: message keys come from an HMAC chain, so ordinary
+//    messages carry a small header instead of an ML-KEM ciphertext.
+// 3. KEM ratchet: a new sending chain starts by encapsulating to the peer's
+//    latest ratchet public key and mixing the secret into that direction's
+//    root key. Senders step when the peer advertises a new ratchet key and
+//    every RATCHET_STEP_INTERVAL messages, and rotate their own ratchet key
+//    on each step, which gives post-compromise security.
+//
+// Skipped message keys are kept (bounded) for out-of-order delivery within
+// and across chains. KEM steps themselves must be received in order.
+// Session state is stored in IndexedDB encrypted under the session KEK.
+//
+// Ratchet header (signed as part of the v4 envelope):
+//   { id, c, n, pn, a, k?: { ct, t }, pk?,
+//     init?: { kyberCiphertext, ephemeralPublicKey, prekey?: { id, ct }, oneTimePrekey?: { id, ct } } }
+//   id: session id, c: chain id, n: message number, pn: previous chain
+//   length, a: last chain received from the peer (acknowledgement),
+//   k: KEM step ciphertext and target ratchet key id, pk: sender's ratchet
+//   public key, init: identity-key handshake
+
+const RATCHET_STEP_INTERVAL = 50; // Messages per sending chain before a KEM step
+const MAX_SKIP = 200; // Largest gap accepted within one chain
+const MAX_SKIPPED_KEYS = 500; // Skipped message keys kept per session
+const MAX_PREVIOUS_RATCHET_KEYS = 3; // Own ratchet keys kept for delayed steps
+const MAX_TRACKED_IDS = 20; // Finished chains and retired handshakes remembered
+const RATCHET_INIT_INFO = 'QuantumShield ratchet init v1';
+const RATCHET_ROOT_INFO = 'QuantumShield ratchet root v1';
+
+const sessionLocks = new Map();
+
+const hkdfBytes = async (ikm, salt, info, length) => {
+  const key = await window.crypto.subtle.importKey('raw', ikm, 'HKDF', false, ['deriveBits']);
+  const bits = await window.crypto.subtle.deriveBits(
+    { name: 'HKDF', hash: 'SHA-384', salt, info: new TextEncoder().encode(info) },
+    key,
+    length * 8
+  );
+  return new Uint8Array(bits);
+};
+
+const hmacSha256 = async (keyBytes, label) => {
+  const key = await window.crypto.subtle.importKey(
+    'raw',
+    keyBytes,
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  return new Uint8Array(await window.crypto.subtle.sign('HMAC', key, new Uint8Array([label])));
+};
+
+// Symmetric ratchet: next message key and chain key
+const advanceChain = async (chainKeyBase64) => {
+  const chainKey = new Uint8Array(base64ToArrayBuffer(chainKeyBase64));
+  const messageKey = await hmacSha256(chainKey, 0x01);
+  const nextChainKey = await hmacSha256(chainKey, 0x02);
+  return { messageKey, chainKey: arrayBufferToBase64(nextChainKey) };
+};
+
+// KEM ratchet: mix a step secret into a direction's root key
+const ratchetRoot = async (rootKeyBase64, kemSecret) => {
+  const out = await hkdfBytes(kemSecret, new Uint8Array(base64ToArrayBuffer(rootKeyBase64)), RATCHET_ROOT_INFO, 64);
+  return {
+    rootKey: arrayBufferToBase64(out.slice(0, 32)),
+    chainKey: arrayBufferToBase64(out.slice(32))
+  };
+};
+
+// Both root keys and the initiator's first chain from the handshake secret
+const deriveHandshakeKeys = async (sharedSecret) => {
+  const out = await hkdfBytes(sharedSecret, new Uint8Array(32), RATCHET_INIT_INFO, 96);
+  return {
+    initiatorRoot: arrayBufferToBase64(out.slice(0, 32)),
+    responderRoot: arrayBufferToBase64(out.slice(32, 64)),
+    initiatorChain: arrayBufferToBase64(out.slice(64))
+  };
+};
+
+// Short identifier for sessions, chains and ratchet keys
+const ratchetId = async (base64) => {
+  const digest = await window.crypto.subtle.digest('SHA-256', base64ToArrayBuffer(base64));
+  return arrayBufferToBase64(new Uint8Array(digest).slice(0, 12));
+};
+
+const generateRatchetKeyPair = async (kemAlgorithm) => {
+  const kem = await loadKemAlgorithm(kemAlgorithm);
+  const { publicKey, secretKey } = await kem.generateKeyPair();
+  const publicKeyBase64 = arrayBufferToBase64(publicKey);
+  return {
+    id: await ratchetId(publicKeyBase64),
+    publicKey: publicKeyBase64,
+    secretKey: arrayBufferToBase64(secretKey)
+  };
+};
+
+const sessionRecordId = (peerId) => `session_${sessionUser}_${peerId}`;
+
+const loadSession = async (peerId) => {
+  if (!sessionUser || !sessionKEK) {
+    throw new Error('Key session not initialized; please re-login');
+  }
+  const rec = await getRecord(STORE_SESSIONS, sessionRecordId(peerId));
+  if (!rec) return null;
+  try {
+    return await decryptJSON(rec, sessionKEK);
+  } catch (error) {
+    // Written under an earlier keystore KEK; a new handshake replaces it
+    console.warn(`Discarding unreadable ratchet session for peer ${peerId}`);
+    return null;
+  }
+};
+
+const saveSession = async (peerId, state) => {
+  const encrypted = await encryptJSON(state, sessionKEK);
+  await putRecord(STORE_SESSIONS, { id: sessionRecordId(peerId), ...encrypted });
+};
+
+// Serialize session updates per peer so concurrent sends/receives cannot
+// advance the same chain twice
+const withSessionLock = (peerId, operation) => {
+  const lockKey = String(peerId);
+  const previous = sessionLocks.get(lockKey) || Promise.resolve();
+  const run = previous.catch(() => {}).then(operation);
+  sessionLocks.set(lockKey, run);
+  return run.finally(() => {
+    if (sessionLocks.get(lockKey) === run) {
+      sessionLocks.delete(lockKey);
+    }
+  });
+};
+
+const trackId = (list, id) => [...list.filter((existing) => existing !== id), id].slice(-MAX_TRACKED_IDS);
+
+/**
+ * Start a session as the initiator
+ * @param {object} receiverPublicKeys - { kyberPublicKey, x25519PublicKey, kemAlgorithm }
+ * @param {object|null} prekeyBundle - Verified prekey bundle, or null for an identity-key-only handshake
+ * @returns {Promise<object>} Session state
+ */
+const startSession = async (receiverPublicKeys, prekeyBundle) => {
+  const encapsulation = await encapsulateForRecipient(receiverPublicKeys);
+  const id = await ratchetId(encapsulation.kyberCiphertext);
+  const init = {
+    kyberCiphertext: encapsulation.kyberCiphertext,
+    ephemeralPublicKey: encapsulation.ephemeralPublicKey
+  };
+  const secrets = [encapsulation.sharedSecret];
+
+  if (prekeyBundle) {
+    const signed = await kyberEncapsulate(prekeyBundle.signedPrekey.publicKey, encapsulation.kem);
+    init.prekey = { id: prekeyBundle.signedPrekey.keyId, ct: signed.ciphertext };
+    secrets.push(signed.sharedSecret);
+    if (prekeyBundle.oneTimePrekey) {
+      const oneTime = await kyberEncapsulate(prekeyBundle.oneTimePrekey.publicKey, encapsulation.kem);
+      init.oneTimePrekey = { id: prekeyBundle.oneTimePrekey.keyId, ct: oneTime.ciphertext };
+      secrets.push(oneTime.sharedSecret);
+    }
+  }
+  const keys = await deriveHandshakeKeys(concatBytes(secrets));
+
+  return {
+    id,
+    kem: encapsulation.kem,
+    hybrid: encapsulation.hybrid,
+    peerIdentityKey: receiverPublicKeys.kyberPublicKey,
+    init,
+    established: false,
+    sendRoot: keys.initiatorRoot,
+    recvRoot: keys.responderRoot,
+    send: { c: id, key: keys.initiatorChain, n: 0, pn: 0, acked: false },
+    recv: null,
+    recvChains: [],
+    lastReceived: null,
+    self: await generateRatchetKeyPair(encapsulation.kem),
+    previousSelves: [],
+    peer: null,
+    needsStep: false,
+    skipped: {},
+    retired: []
+  };
+};
+
+/**
+ * Build session state as the responder from a handshake header
+ * @param {object} header - Ratchet header carrying `init`
+ * @param {object} envelope - Resolved { version, suite } of the envelope
+ * @param {object} receiverSecretKeys - { kyberSecretKey, x25519SecretKey }
+ * @returns {Promise<object>} Session state
+ */
+const acceptSession = async (header, envelope, receiverSecretKeys) => {
+  if (!header.pk || header.c !== header.id || (await ratchetId(header.init.kyberCiphertext)) !== header.id) {
+    throw new Error('Malformed ratchet handshake');
+  }
+  const secrets = [await decapsulateEnvelope(envelope, header.init, receiverSecretKeys)];
+  if (header.init.prekey) {
+    secrets.push(...(await decapsulatePrekeys(header.init, envelope.suite.kem)));
+  }
+  const keys = await deriveHandshakeKeys(concatBytes(secrets));
+
+  return {
+    id: header.id,
+    kem: envelope.suite.kem,
+    hybrid: envelope.suite.hybrid,
+    peerIdentityKey: null,
+    init: null,
+    established: true,
+    sendRoot: keys.responderRoot,
+    recvRoot: keys.initiatorRoot,
+    send: null,
+    recv: { c: header.id, key: keys.initiatorChain, n: 0 },
+    recvChains: [header.id],
+    lastReceived: null,
+    self: await generateRatchetKeyPair(envelope.suite.kem),
+    previousSelves: [],
+    peer: { id: await ratchetId(header.pk), publicKey: header.pk },
+    needsStep: true,
+    skipped: {},
+    retired: [],
+    // Deleted once the handshake is accepted
+    consumedOneTimePrekey: header.init.oneTimePrekey?.id || null
+  };
+};
+
+// Start a new sending chain with a KEM step to the peer's ratchet key
+const stepSendingChain = async (state) => {
+  const { sharedSecret, ciphertext } = await kyberEncapsulate(state.peer.publicKey, state.kem);
+  const { rootKey, chainKey } = await ratchetRoot(state.sendRoot, sharedSecret);
+
+  state.previousSelves = [state.self, ...state.previousSelves].slice(0, MAX_PREVIOUS_RATCHET_KEYS);
+  state.self = await generateRatchetKeyPair(state.kem);
+  state.sendRoot = rootKey;
+  state.send = {
+    c: await ratchetId(ciphertext),
+    key: chainKey,
+    n: 0,
+    pn: state.send ? state.send.n : 0,
+    acked: false,
+    step: { ct: ciphertext, t: state.peer.id }
+  };
+  state.needsStep = false;
+};
+
+// Field order is fixed: the header is signed as JSON
+const buildRatchetHeader = (state) => {
+  const header = {
+    id: state.id,
+    c: state.send.c,
+    n: state.send.n,
+    pn: state.send.pn,
+    a: state.lastReceived
+  };
+  if (!state.send.acked) {
+    if (state.send.step) header.k = state.send.step;
+    header.pk = state.self.publicKey;
+  }
+  if (!state.established) header.init = state.init;
+  return header;
+};
+
+// Advance the receiving chain to `until`, keeping the skipped message keys
+const storeSkippedKeys = async (state, until) => {
+  if (!state.recv) return;
+  if (until - state.recv.n > MAX_SKIP) {
+    throw new Error('Too many skipped messages in one ratchet chain');
+  }
+  while (state.recv.n < until) {
+    const { messageKey, chainKey } = await advanceChain(state.recv.key);
+    state.skipped[`${state.recv.c}:${state.recv.n}`] = arrayBufferToBase64(messageKey);
+    state.recv.key = chainKey;
+    state.recv.n += 1;
+  }
+
+  // Evict the oldest skipped keys (insertion order) beyond the limit
+  const ids = Object.keys(state.skipped);
+  ids.slice(0, Math.max(0, ids.length - MAX_SKIPPED_KEYS)).forEach((id) => {
+    delete state.skipped[id];
+  });
+};
+
+/**
+ * Derive the message key for a received header, updating the state
+ * @returns {Promise<Uint8Array>} 32-byte AES key
+ */
+const receiveMessageKey = async (state, header) => {
+  const skippedId = `${header.c}:${header.n}`;
+  if (state.skipped[skippedId]) {
+    const messageKey = new Uint8Array(base64ToArrayBuffer(state.skipped[skippedId]));
+    delete state.skipped[skippedId];
+    return messageKey;
+  }
+
+  if (!state.recv || state.recv.c !== header.c) {
+    if (state.recvChains.includes(header.c)) {
+      throw new Error('Duplicate or expired message');
+    }
+    if (!header.k) {
+      throw new Error('Message belongs to a ratchet chain that was never started');
+    }
+    if ((await ratchetId(header.k.ct)) !== header.c) {
+      throw new Error('Ratchet chain id does not match its KEM step');
+    }
+    const own = [state.self, ...state.previousSelves].find((keyPair) => keyPair.id === header.k.t);
+    if (!own) {
+      throw new Error('Ratchet step targets an unknown or expired key');
+    }
+
+    // Finish the previous chain so its late messages stay decryptable
+    await storeSkippedKeys(state, header.pn);
+    const kemSecret = await kyberDecapsulate(header.k.ct, own.secretKey, state.kem);
+    const { rootKey, chainKey } = await ratchetRoot(state.recvRoot, kemSecret);
+    state.recvRoot = rootKey;
+    state.recv = { c: header.c, key: chainKey, n: 0 };
+    state.recvChains = trackId(state.recvChains, header.c);
+  }
+
+  if (header.n < state.recv.n) {
+    throw new Error('Duplicate or expired message');
+  }
+  await storeSkippedKeys(state, header.n);
+  const { messageKey, chainKey } = await advanceChain(state.recv.key);
+  state.recv.key = chainKey;
+  state.recv.n += 1;
+
+  // Only the newest chain may change the peer's ratchet key
+  if (header.pk) {
+    const peerKeyId = await ratchetId(header.pk);
+    if (!state.peer || state.peer.id !== peerKeyId) {
+      state.peer = { id: peerKeyId, publicKey: header.pk };
+      state.needsStep = true;
+    }
+  }
+  state.lastReceived = header.c;
+  return messageKey;
+};
+
+/**
+ * Encrypt and sign a chat message within the ratchet session for a peer
+ * Falls back to a per-message KEM envelope in legacy server crypto mode
+ * @param {number} peerId - Receiver's user ID
+ * @param {string} plaintext - Message to send
+ * @param {object} receiverPublicKeys - Receiver's { kyberPublicKey, x25519PublicKey, kemAlgorithm }
+ * @param {string} senderFalconSecretKey - Sender's signature secret key
+ * @param {object} route - { senderId, senderDeviceId, receiverId, recipientUserId, recipientDeviceId }
+ * @param {object} [options] - { fetchPrekeyBundle }: async () => bundle from
+ *   GET /api/users/:userId/prekey-bundle, called only when a new session is needed
+ * @returns {Promise<object>} Encrypted message bundle (v4)
+ */
+export const encryptSessionMessage = async (
+  peerId,
+  plaintext,
+  receiverPublicKeys,
+  senderFalconSecretKey,
+  route,
+  { fetchPrekeyBundle } = {}
+) => {
+  if (USE_LEGACY_SERVER_CRYPTO) {
+    return encryptAndSignMessage(plaintext, receiverPublicKeys, senderFalconSecretKey, route);
+  }
+
+  return withSessionLock(peerId, async () => {
+    let state = await loadSession(peerId);
+    if (state && state.peerIdentityKey && state.peerIdentityKey !== receiverPublicKeys.kyberPublicKey) {
+      // Peer's identity key changed: start over with a new handshake
+      state = null;
+    }
+    if (!state) {
+      let prekeyBundle = null;
+      if (fetchPrekeyBundle) {
+        try {
+          prekeyBundle = await fetchPrekeyBundle();
+        } catch (error) {
+          // Peer has not published prekeys yet: identity keys only
+          console.warn(`No prekey bundle for peer ${peerId}; starting session with identity keys only`);
+        }
+      }
+      if (prekeyBundle) {
+        await verifyPrekeyBundle(peerId, prekeyBundle, receiverPublicKeys);
+      }
+      state = await startSession(receiverPublicKeys, prekeyBundle);
+    }
+    state.peerIdentityKey = receiverPublicKeys.kyberPublicKey;
+
+    if (state.peer && (!state.send || state.needsStep || state.send.n >= RATCHET_STEP_INTERVAL)) {
+      await stepSendingChain(state);
+    }
+
+    const ratchet = buildRatchetHeader(state);
+    const { messageKey, chainKey } = await advanceChain(state.send.key);
+    state.send.key = chainKey;
+    state.send.n += 1;
+
+    const ownPublicKeys = await getDeviceKeys();
+    const header = {
+      v: RATCHET_ENVELOPE_VERSION,
+      suite: formatSuite({ kem: state.kem, signature: ownPublicKeys.signatureAlgorithm, hybrid: state.hybrid }),
+      ratchet
+    };
+    const { ciphertext: encryptedMessage, iv, authTag } = await encryptMessage(plaintext, messageKey);
+    const { sentAt, nonce, signature } = await signEnvelope(
+      'message',
+      { ...header, ciphertext: encryptedMessage, iv, authTag },
+      route,
+      senderFalconSecretKey,
+      ownPublicKeys.signatureAlgorithm
+    );
+
+    await saveSession(peerId, state);
+    return {
+      ...header,
+      encryptedMessage,
+      iv,
+      authTag,
+      sentAt,
+      nonce,
+      signature
+    };
+  });
+};
+
+/**
+ * Verify and decrypt a chat message from a peer
+ * v4 envelopes go through the ratchet session; older envelopes are decrypted
+ * with verifyAndDecryptMessage
+ * @param {number} peerId - Sender's user ID
+ * @param {object} messageBundle - Encrypted message data
+ * @param {object} receiverSecretKeys - Receiver's { kyberSecretKey, x25519SecretKey } from the keystore
+ * @param {object} senderPublicKeys - Sending device's { falconPublicKey, signatureAlgorithm }
+ * @param {object} route - Expected { senderId, senderDeviceId, receiverId, recipientUserId, recipientDeviceId }
+ * @returns {Promise<string>} Decrypted plaintext
+ */
+export const decryptSessionMessage = async (peerId, messageBundle, receiverSecretKeys, senderPublicKeys, route) => {
+  if (Number(messageBundle.v) !== RATCHET_ENVELOPE_VERSION) {
+    return verifyAndDecryptMessage(messageBundle, receiverSecretKeys, senderPublicKeys, route);
+  }
+
+  const { v, suite, ratchet, encryptedMessage, iv, authTag, sentAt, nonce, signature } = messageBundle;
+  if (!ratchet || !encryptedMessage || !iv || !authTag || !signature) {
+    throw new Error('Missing required encryption fields in message bundle');
+  }
+  if (!senderPublicKeys?.falconPublicKey) {
+    throw new Error('Missing sender public key');
+  }
+
+  // Verify before touching session state
+  const envelope = await verifyEnvelope(
+    'message',
+    { v, suite, ratchet, ciphertext: encryptedMessage, iv, authTag, sentAt, nonce, signature },
+    route,
+    senderPublicKeys
+  );
+
+  return withSessionLock(peerId, async () => {
+    const stored = await loadSession(peerId);
+    let working = stored ? JSON.parse(JSON.stringify(stored)) : null;
+    let persist = true;
+
+    if (ratchet.init && (!stored || stored.id !== ratchet.id)) {
+      const incoming = await acceptSession(ratchet, envelope, receiverSecretKeys);
+      const retired = stored?.retired || [];
+      // Simultaneous handshakes: both sides keep the session with the smaller id
+      const keepOurs = retired.includes(ratchet.id) ||
+        (stored && !stored.established && stored.id < ratchet.id);
+
+      if (keepOurs) {
+        // Decrypt with a throwaway state; remember the losing handshake
+        working = incoming;
+        persist = false;
+        if (!retired.includes(ratchet.id)) {
+          await saveSession(peerId, { ...stored, retired: trackId(retired, ratchet.id) });
+        }
+      } else {
+        incoming.retired = stored ? trackId(retired, stored.id) : [];
+        working = incoming;
+      }
+    }
+
+    if (!working || working.id !== ratchet.id) {
+      throw new Error('No ratchet session for this message; the sender must start a new handshake');
+    }
+    if (envelope.suite.kem !== working.kem) {
+      throw new Error('Envelope KEM does not match the ratchet session');
+    }
+
+    if (working.send && ratchet.a === working.send.c) {
+      working.send.acked = true;
+    }
+    const messageKey = await receiveMessageKey(working, ratchet);
+    const plaintext = await decryptMessage(encryptedMessage, messageKey, iv, authTag);
+
+    // Commit only after the message authenticated
+    working.established = true;
+    if (persist) {
+      const { consumedOneTimePrekey } = working;
+      delete working.consumedOneTimePrekey;
+      await saveSession(peerId, working);
+      if (consumedOneTimePrekey) {
+        await discardOneTimePrekey(consumedOneTimePrekey);
+      }
+    }
+    return plaintext;
+  });
+};
+
+// ============================================================================
+// GROUP RATCHET TREE
+// ============================================================================
+// Group keys are agreed with a ratchet tree (TreeKEM, in the style of MLS),
+// built on the same ML-KEM primitives as the ratchet sessions:
+//
+// - Leaves are member devices. The tree is full and stored as an array
+//   (layout in groupTree.js). Every non-blank node has an ML-KEM key
+//   pair, and a device knows the secret keys of the nodes on its path to the
+//   root. A new leaf starts with the device's own KEM key; a device that
+//   refreshes its leaf signs the new key with its signature key, so every
+//   leaf key can be checked against the device directory (isGenuineGroupLeaf).
+//   Commits and welcome trees whose leaves do not check out, list a device
+//   twice or drop a device of a member are rejected.
+// - A commit removes and adds leaves, then refreshes the committing device's
+//   path: a fresh leaf key, and for every parent on the path a path secret
+//   (an HKDF chain from a random start), a fresh key pair whose secret key
+//   is encrypted under that path secret, and the path secret encapsulated to
+//   the resolution of the sibling subtree. A commit therefore carries about
+//   log2(n) encapsulations instead of one per member device.
+// - The secret after the root, mixed with the previous epoch's init secret,
+//   gives the next epoch secret. Devices added by a commit get a 'groupWelcome'
+//   envelope with the epoch secret and the path secret of the lowest node
+//   they share with the committer; the commit carries the public tree.
+// - Commits are signed by the committing device and relayed by the server as
+//   opaque handshake messages (POST /api/groups/:groupId/commits). The server
+//   accepts one commit per epoch, so every device applies the same sequence;
+//   every device checks the resulting tree against the commit's tree hash.
+//
+// Tree state per group: { groupId, epoch, leafCount, nodes, ownLeaf, secrets,
+// epochSecret, initSecret, previousEpochs }. nodes[i] is null (blank) or
+// { publicKey, kem, unmerged, userId?, deviceId?, signature? }, where unmerged lists the
+// leaves added below a parent since its key was set; secrets maps the nodes
+// on this device's path to their secret keys (the leaf has none while it
+// still is the device key); previousEpochs keeps MAX_GROUP_EPOCHS_KEPT
+// earlier epoch secrets for messages sent just before a commit. A commit
+// this device made waits in a separate record until the server accepts it.
+// Both are stored with the ratchet sessions, encrypted under the session KEK.
+// Must match backend pqc.js
+
+const GROUP_COMMIT_FORMAT = 'qs-group-commit-v1';
+const GROUP_WELCOME_FORMAT = 'qs-group-welcome-v1';
+const GROUP_HANDSHAKE_SIGNATURE_CONTEXT = 'qs-group-handshake-v1';
+const GROUP_LEAF_SIGNATURE_CONTEXT = 'qs-group-leaf-v1';
+const TREE_PATH_INFO = 'QuantumShield tree path v1';
+const TREE_NODE_INFO = 'QuantumShield tree node v1';
+const GROUP_EPOCH_INFO = 'QuantumShield group epoch v1';
+const GROUP_INIT_INFO = 'QuantumShield group init v1';
+const MAX_GROUP_EPOCHS_KEPT = 3; // Earlier epoch secrets kept for messages in flight during a commit
+
+const groupTreeId = (groupId) => `tree_${groupId}`;
+const groupPendingCommitId = (groupId) => `tree_${groupId}_pending`;
+
+const buildGroupHandshakePayload = (commit) => lengthPrefixed([
+  GROUP_HANDSHAKE_SIGNATURE_CONTEXT,
+  Number(commit.groupId),
+  Number(commit.epoch),
+  Number(commit.senderId),
+  commit.senderDeviceId || PRIMARY_DEVICE_ID,
+  Number(commit.sentAt),
+  commit.nonce,
+  commit.body
+]);
+
+const buildGroupLeafPayload = (groupId, leaf) => lengthPrefixed([
+  GROUP_LEAF_SIGNATURE_CONTEXT,
+  Number(groupId),
+  Number(leaf.userId),
+  leaf.deviceId || PRIMARY_DEVICE_ID,
+  leaf.publicKey,
+  leaf.kem || DEFAULT_KEM_ALGORITHM
+]);
+
+const nextPathSecret = (pathSecret) => hkdfBytes(pathSecret, new Uint8Array(32), TREE_PATH_INFO, 32);
+const nodeSecretKeyKey = (pathSecret) => hkdfBytes(pathSecret, new Uint8Array(32), TREE_NODE_INFO, 32);
+
+const deriveInitSecret = async (epochSecretBase64) => arrayBufferToBase64(
+  await hkdfBytes(new Uint8Array(base64ToArrayBuffer(epochSecretBase64)), new Uint8Array(32), GROUP_INIT_INFO, 32)
+);
+
+// Epoch secret from the commit secret and the previous epoch's init secret
+const deriveEpochSecret = async (groupId, epoch, commitSecret, initSecretBase64) => arrayBufferToBase64(
+  await hkdfBytes(
+    commitSecret,
+    new Uint8Array(base64ToArrayBuffer(initSecretBase64)),
+    `${GROUP_EPOCH_INFO}:${Number(groupId)}:${epoch}`,
+    32
+  )
+);
+
+// Path secret encapsulated to one node of a copath resolution
+const sealToNode = async (target, node, pathSecret) => {
+  const { sharedSecret, ciphertext: kemCiphertext } = await kyberEncapsulate(node.publicKey, node.kem);
+  const { ciphertext, iv, authTag } = await encryptMessage(arrayBufferToBase64(pathSecret), sharedSecret);
+  return { target, kemCiphertext, ciphertext, iv, authTag };
+};
+
+const openFromNode = async (sealed, secretKey, kem) => {
+  const sharedSecret = await kyberDecapsulate(sealed.kemCiphertext, secretKey, kem);
+  return new Uint8Array(base64ToArrayBuffer(await decryptMessage(sealed.ciphertext, sharedSecret, sealed.iv, sealed.authTag)));
+};
+
+// Secret keys of the committer's path from the node shared with this device up
+const openPathSecrets = async (tree, commitPath, fromIndex, pathSecret) => {
+  let secret = pathSecret;
+  for (let index = fromIndex; index < commitPath.length; index += 1) {
+    const { node, encryptedSecretKey } = commitPath[index];
+    tree.secrets[node] = await decryptMessage(
+      encryptedSecretKey.ciphertext,
+      await nodeSecretKeyKey(secret),
+      encryptedSecretKey.iv,
+      encryptedSecretKey.authTag
+    );
+    secret = await nextPathSecret(secret);
+  }
+  return secret;
+};
+
+const loadGroupTree = (groupId) => loadSession(groupTreeId(groupId));
+
+const verifyGroupHandshake = async (groupId, handshake, senderPublicKeys) => {
+  const isValid = await verifyWithFalcon(
+    buildGroupHandshakePayload({ ...handshake, groupId }),
+    handshake.signature,
+    senderPublicKeys.falconPublicKey,
+    senderPublicKeys.signatureAlgorithm || DEFAULT_SIGNATURE_ALGORITHM
+  );
+  if (!isValid) {
+    throw new Error('Commit signature verification failed - commit may be tampered');
+  }
+  const commit = JSON.parse(handshake.body);
+  if (commit.format !== GROUP_COMMIT_FORMAT || !Array.isArray(commit.removes) || !Array.isArray(commit.adds) ||
+      !Array.isArray(commit.path) || !Number.isInteger(commit.committer) || typeof commit.treeHash !== 'string' ||
+      typeof commit.leaf?.publicKey !== 'string') {
+    throw new Error('Malformed group commit');
+  }
+  return commit;
+};
+
+const isLeafOf = (node, userId, deviceId) =>
+  !!node && node.userId === Number(userId) && node.deviceId === (deviceId || PRIMARY_DEVICE_ID);
+
+/**
+ * Whether a leaf holds a key of its device: the device's KEM key from the
+ * directory, or a leaf key the device signed when it refreshed its leaf
+ * @param {number} groupId - Group
+ * @param {object} leaf - { userId, deviceId, publicKey, kem, signature? }
+ * @param {object|null} deviceKeys - The device's keys as fetchDevices returns them
+ * @returns {Promise<boolean>}
+ */
+export const isGenuineGroupLeaf = async (groupId, leaf, deviceKeys) => {
+  if (!deviceKeys || typeof leaf.publicKey !== 'string') return false;
+  if (leaf.publicKey === deviceKeys.kyberPublicKey && leaf.kem === deviceKeys.kemAlgorithm) return true;
+  if (typeof leaf.signature !== 'string' || !leaf.signature) return false;
   try {
-    const db = await openKeystore();
-    const tx = db.transaction(STORE_PENDING_MESSAGES, 'readwrite');
-    const store = tx.objectStore(STORE_PENDING_MESSAGES);
-    const allMessages = await new Promise((resolve, reject) => {
-      const req = store.getAll();
-      req.onsuccess = () => resolve(req.result || []);
-      req.onerror = () => reject(req.error);
+    return await verifyWithFalcon(
+      buildGroupLeafPayload(groupId, leaf),
+      leaf.signature,
+      deviceKeys.falconPublicKey,
+      deviceKeys.signatureAlgorithm || DEFAULT_SIGNATURE_ALGORITHM
+    );
+  } catch (error) {
+    return false;
+  }
+};
+
+// Leaves must be distinct devices, each holding a key of its own. The
+// directory is asked again before a leaf is rejected, in case it was cached
+// before the device was linked
+const assertGenuineLeaves = async (groupId, leaves, directory) => {
+  const addresses = new Set();
+  for (const leaf of leaves) {
+    if (!Number.isInteger(leaf.userId) || typeof leaf.deviceId !== 'string') {
+      throw new Error('Group tree leaf without a device');
+    }
+    const address = deviceAddress(leaf.userId, leaf.deviceId);
+    if (addresses.has(address)) {
+      throw new Error(`Group tree lists device ${address} twice`);
+    }
+    addresses.add(address);
+    if (!(await isGenuineGroupLeaf(groupId, leaf, await directory.deviceKeys(leaf.userId, leaf.deviceId))) &&
+        !(await isGenuineGroupLeaf(groupId, leaf, await directory.deviceKeys(leaf.userId, leaf.deviceId, true)))) {
+      throw new Error(`Group tree holds a key that is not device ${address}'s`);
+    }
+  }
+};
+
+/**
+ * Summary of this device's ratchet tree for a group
+ * @param {number} groupId - Group
+ * @returns {Promise<object|null>} { epoch, ownLeaf, leaves: [{ leaf, userId, deviceId, publicKey,
+ *   kem, signature }] },
+ *   or null when this device has not joined the tree
+ */
+export const getGroupTreeMembers = async (groupId) => {
+  const tree = await withSessionLock(groupTreeId(groupId), () => loadGroupTree(groupId));
+  if (!tree) return null;
+  const leaves = [];
+  tree.nodes.forEach((node, index) => {
+    if (index % 2 === 0 && node) {
+      leaves.push({
+        leaf: index,
+        userId: node.userId,
+        deviceId: node.deviceId,
+        publicKey: node.publicKey,
+        kem: node.kem,
+        signature: node.signature
+      });
+    }
+  });
+  return { epoch: tree.epoch, ownLeaf: tree.ownLeaf, leaves };
+};
+
+/**
+ * Create a commit for the group's current epoch
+ * Removes and adds leaves and refreshes this device's path. The first commit
+ * of a group (epoch 0) creates the tree with this device as its only leaf.
+ * The new state is kept aside until confirmGroupCommit
+ * @param {number} groupId - Group
+ * @param {number} epoch - Current epoch from the server
+ * @param {object} changes - { adds: [{ userId, device }], removes: [leaf] }, devices
+ *   as returned by fetchDevices and leaves from getGroupTreeMembers
+ * @param {string} senderFalconSecretKey - This device's signature secret key
+ * @param {object} sender - { senderId, senderDeviceId } (this device)
+ * @returns {Promise<object>} POST /api/groups/:groupId/commits body
+ */
+export const createGroupCommit = (groupId, epoch, changes, senderFalconSecretKey, sender) =>
+  withSessionLock(groupTreeId(groupId), async () => {
+    const { kyberPublicKey, kemAlgorithm, signatureAlgorithm } = await getDeviceKeys();
+    let state = await loadGroupTree(groupId);
+    if (!state && epoch === 0) {
+      state = {
+        groupId: Number(groupId),
+        epoch: 0,
+        leafCount: 1,
+        nodes: [{ publicKey: kyberPublicKey, kem: kemAlgorithm, unmerged: [], userId: Number(sender.senderId), deviceId: sender.senderDeviceId }],
+        ownLeaf: 0,
+        secrets: {},
+        epochSecret: arrayBufferToBase64(randomBytes(32)),
+        initSecret: arrayBufferToBase64(randomBytes(32)),
+        previousEpochs: []
+      };
+    }
+    if (!state || state.epoch !== epoch) {
+      throw new Error('This device\'s group tree is not at the current epoch');
+    }
+
+    const next = JSON.parse(JSON.stringify(state));
+    const removes = [...new Set(changes.removes)].filter((leaf) => leaf !== next.ownLeaf && next.nodes[leaf]);
+    removes.forEach((leaf) => blankLeafPath(next, leaf));
+    const adds = changes.adds.map(({ userId, device }) => ({
+      userId: Number(userId),
+      deviceId: device.deviceId,
+      publicKey: device.keys.kyberPublicKey,
+      kem: device.keys.kemAlgorithm
+    }));
+    const addedLeaves = adds.map((entry) => addTreeLeaf(next, entry));
+    truncateTree(next);
+
+    // Fresh signed leaf key, then one key pair and path secret per parent
+    const leafKeys = await generateRatchetKeyPair(kemAlgorithm);
+    const leafSignature = await signPayload(
+      buildGroupLeafPayload(groupId, { ...next.nodes[next.ownLeaf], publicKey: leafKeys.publicKey, kem: kemAlgorithm }),
+      senderFalconSecretKey,
+      signatureAlgorithm
+    );
+    next.nodes[next.ownLeaf] = {
+      ...next.nodes[next.ownLeaf],
+      publicKey: leafKeys.publicKey,
+      kem: kemAlgorithm,
+      signature: leafSignature,
+      unmerged: []
+    };
+    next.secrets = { [next.ownLeaf]: leafKeys.secretKey };
+    const added = new Set(addedLeaves);
+    const path = directPath(next.ownLeaf, next.leafCount);
+    const pathSecrets = [];
+    const commitPath = [];
+    let pathSecret = randomBytes(32);
+    for (const { node, copath } of path) {
+      pathSecrets.push(pathSecret);
+      const keys = await generateRatchetKeyPair(kemAlgorithm);
+      const sealed = [];
+      for (const target of resolveNode(next.nodes, copath).filter((candidate) => !added.has(candidate))) {
+        sealed.push(await sealToNode(target, next.nodes[target], pathSecret));
+      }
+      commitPath.push({
+        node,
+        publicKey: keys.publicKey,
+        kem: kemAlgorithm,
+        encryptedSecretKey: await encryptMessage(keys.secretKey, await nodeSecretKeyKey(pathSecret)),
+        secrets: sealed
+      });
+      next.nodes[node] = { publicKey: keys.publicKey, kem: kemAlgorithm, unmerged: [] };
+      next.secrets[node] = keys.secretKey;
+      pathSecret = await nextPathSecret(pathSecret);
+    }
+
+    next.epoch = epoch + 1;
+    next.epochSecret = await deriveEpochSecret(groupId, next.epoch, pathSecret, state.initSecret);
+    next.initSecret = await deriveInitSecret(next.epochSecret);
+    next.previousEpochs = [{ epoch, epochSecret: state.epochSecret }, ...state.previousEpochs].slice(0, MAX_GROUP_EPOCHS_KEPT);
+    const treeHash = await hashGroupTree(next);
+
+    const body = JSON.stringify({
+      format: GROUP_COMMIT_FORMAT,
+      removes,
+      adds,
+      committer: next.ownLeaf,
+      leaf: { publicKey: leafKeys.publicKey, kem: kemAlgorithm, signature: leafSignature },
+      path: commitPath,
+      treeHash,
+      tree: adds.length > 0 ? publicTree(next) : undefined
     });
-    
-    const now = Date.now();
-    const expired = allMessages.filter(msg => (now - msg.timestamp) >= MESSAGE_EXPIRY_MS);
-    
-    expired.forEach(msg => store.delete(msg.id));
-    
-    if (expired.length > 0) {
-      console.log(`✓ Cleaned up ${expired.length} expired messages`);
+    const sentAt = Date.now();
+    const nonce = arrayBufferToBase64(window.crypto.getRandomValues(new Uint8Array(ENVELOPE_NONCE_BYTES)));
+    const commit = { epoch, senderDeviceId: sender.senderDeviceId, body, sentAt, nonce };
+    const signature = await signPayload(
+      buildGroupHandshakePayload({ ...commit, groupId, senderId: sender.senderId }),
+      senderFalconSecretKey,
+      signatureAlgorithm
+    );
+
+    // Each added device learns the path from the node it shares with us up
+    const welcomes = [];
+    for (const [index, leaf] of addedLeaves.entries()) {
+      const { userId, device } = changes.adds[index];
+      const pathIndex = path.findIndex(({ node }) => isInSubtree(node, leaf));
+      const welcome = JSON.stringify({
+        format: GROUP_WELCOME_FORMAT,
+        groupId: Number(groupId),
+        epoch: next.epoch,
+        leaf,
+        pathIndex,
+        pathSecret: arrayBufferToBase64(pathSecrets[pathIndex]),
+        epochSecret: next.epochSecret,
+        treeHash
+      });
+      const encapsulation = await encapsulateForRecipient(device.keys);
+      const { sharedSecret, kyberCiphertext, ephemeralPublicKey } = encapsulation;
+      const header = await buildEnvelopeHeader(encapsulation);
+      const { ciphertext, iv, authTag } = await encryptMessage(welcome, sharedSecret);
+      const signed = await signEnvelope(
+        'groupWelcome',
+        { ...header, kyberCiphertext, ephemeralPublicKey, ciphertext, iv, authTag },
+        { ...sender, receiverId: Number(userId), recipientUserId: Number(userId), recipientDeviceId: device.deviceId },
+        senderFalconSecretKey,
+        parseSuite(header.suite).signature
+      );
+      welcomes.push({
+        userId: Number(userId),
+        deviceId: device.deviceId,
+        v: header.v,
+        suite: header.suite,
+        kyberCiphertext,
+        ephemeralPublicKey,
+        ciphertext,
+        iv,
+        authTag,
+        ...signed
+      });
     }
-  } catch (error) {
-    console.error('Failed to cleanup expired messages:', error);
+
+    await saveSession(groupPendingCommitId(groupId), { signature, next });
+    return { ...commit, signature, welcomes };
+  });
+
+/**
+ * Adopt this device's commit once the server accepted it
+ * @param {number} groupId - Group
+ * @param {string} signature - Signature of the commit from createGroupCommit
+ * @returns {Promise<boolean>} False when the commit is no longer pending
+ */
+export const confirmGroupCommit = (groupId, signature) =>
+  withSessionLock(groupTreeId(groupId), async () => {
+    const pending = await loadSession(groupPendingCommitId(groupId));
+    if (!pending || pending.signature !== signature) {
+      return false;
+    }
+    await saveSession(groupTreeId(groupId), pending.next);
+    await deleteRecord(STORE_SESSIONS, sessionRecordId(groupPendingCommitId(groupId)));
+    return true;
+  });
+
+/**
+ * Verify and apply a commit made in this device's current epoch
+ * @param {number} groupId - Group
+ * @param {object} handshake - Commit from GET /api/groups/:groupId/handshakes
+ * @param {object} receiverSecretKeys - This device's { kyberSecretKey }
+ * @param {object} senderPublicKeys - Committing device's { falconPublicKey, signatureAlgorithm }
+ * @param {object} directory - { deviceKeys(userId, deviceId, refresh) -> the device's keys as
+ *   fetchDevices returns them, or null; isMemberDevice(userId, deviceId) -> whether the
+ *   device is listed for a current member of the group }
+ * @returns {Promise<object>} { epoch, removed } where removed means the commit
+ *   took this device out of the tree (its state is deleted)
+ */
+export const processGroupCommit = (groupId, handshake, receiverSecretKeys, senderPublicKeys, directory) =>
+  withSessionLock(groupTreeId(groupId), async () => {
+    const pending = await loadSession(groupPendingCommitId(groupId));
+    if (pending) {
+      await deleteRecord(STORE_SESSIONS, sessionRecordId(groupPendingCommitId(groupId)));
+      if (pending.signature === handshake.signature) {
+        // Our own commit; the server accepted it but we missed the answer
+        await saveSession(groupTreeId(groupId), pending.next);
+        return { epoch: pending.next.epoch, removed: false };
+      }
+    }
+
+    const state = await loadGroupTree(groupId);
+    if (!state || state.epoch !== handshake.epoch) {
+      throw new Error('Commit is not for this device\'s current epoch');
+    }
+    const commit = await verifyGroupHandshake(groupId, handshake, senderPublicKeys);
+    const next = JSON.parse(JSON.stringify(state));
+    const isLeaf = (leaf) => Number.isInteger(leaf) && leaf >= 0 && leaf % 2 === 0 && leaf < next.nodes.length;
+    if (!isLeaf(commit.committer) || !isLeafOf(next.nodes[commit.committer], handshake.senderId, handshake.senderDeviceId)) {
+      throw new Error('Commit is not signed by the device at its leaf');
+    }
+    if (new Set(commit.removes).size !== commit.removes.length ||
+        !commit.removes.every((leaf) => isLeaf(leaf) && next.nodes[leaf] && leaf !== commit.committer)) {
+      throw new Error('Commit removes an unknown leaf');
+    }
+    const { userId: committerId, deviceId: committerDeviceId } = next.nodes[commit.committer];
+    const committerLeaf = { ...commit.leaf, userId: committerId, deviceId: committerDeviceId };
+    if (!(await isGenuineGroupLeaf(groupId, committerLeaf, senderPublicKeys))) {
+      throw new Error('Commit leaf key is not signed by the committing device');
+    }
+
+    // Added devices hold their directory keys and are not in the tree yet; a
+    // member's device may only be removed to be added again (with fresh keys)
+    // or when another of its leaves stays
+    const adds = commit.adds.map((entry) => ({
+      userId: Number(entry.userId),
+      deviceId: entry.deviceId,
+      publicKey: entry.publicKey,
+      kem: entry.kem
+    }));
+    await assertGenuineLeaves(groupId, adds, directory);
+    const removed = new Set(commit.removes);
+    const kept = new Set(treeLeaves(next.nodes.map((node, index) => (removed.has(index) ? null : node)))
+      .map((node) => deviceAddress(node.userId, node.deviceId)));
+    if (adds.some((entry) => kept.has(deviceAddress(entry.userId, entry.deviceId)))) {
+      throw new Error('Commit adds a device that is already in the tree');
+    }
+    adds.forEach((entry) => kept.add(deviceAddress(entry.userId, entry.deviceId)));
+    for (const leaf of commit.removes) {
+      const { userId, deviceId } = next.nodes[leaf];
+      if (!kept.has(deviceAddress(userId, deviceId)) && (await directory.isMemberDevice(userId, deviceId))) {
+        throw new Error(`Commit removes device ${deviceAddress(userId, deviceId)} of a group member`);
+      }
+    }
+
+    if (commit.removes.includes(next.ownLeaf)) {
+      await deleteRecord(STORE_SESSIONS, sessionRecordId(groupTreeId(groupId)));
+      return { epoch: state.epoch + 1, removed: true };
+    }
+
+    commit.removes.forEach((leaf) => blankLeafPath(next, leaf));
+    const added = new Set(adds.map((entry) => addTreeLeaf(next, entry)));
+    truncateTree(next);
+    next.nodes[commit.committer] = {
+      ...next.nodes[commit.committer],
+      publicKey: commit.leaf.publicKey,
+      kem: commit.leaf.kem,
+      signature: commit.leaf.signature,
+      unmerged: []
+    };
+
+    const path = directPath(commit.committer, next.leafCount);
+    if (path.length !== commit.path.length || path.some(({ node }, index) => commit.path[index].node !== node)) {
+      throw new Error('Commit path does not match the tree');
+    }
+    // The path secret comes encapsulated to a node of ours in the copath
+    // subtree that holds our leaf
+    const pathIndex = path.findIndex(({ copath }) => isInSubtree(copath, next.ownLeaf));
+    const target = resolveNode(next.nodes, path[pathIndex].copath)
+      .filter((node) => !added.has(node))
+      .find((node) => node === next.ownLeaf || next.secrets[node]);
+    const sealed = commit.path[pathIndex].secrets.find((entry) => entry.target === target);
+    if (!sealed) {
+      throw new Error('Commit carries no path secret for this device');
+    }
+    const pathSecret = await openFromNode(
+      sealed,
+      next.secrets[target] || receiverSecretKeys.kyberSecretKey,
+      next.nodes[target].kem
+    );
+
+    commit.path.forEach(({ node, publicKey, kem }) => {
+      next.nodes[node] = { publicKey, kem, unmerged: [] };
+      delete next.secrets[node];
+    });
+    const commitSecret = await openPathSecrets(next, commit.path, pathIndex, pathSecret);
+    if ((await hashGroupTree(next)) !== commit.treeHash) {
+      throw new Error('Group tree does not match the commit');
+    }
+
+    next.epoch = state.epoch + 1;
+    next.epochSecret = await deriveEpochSecret(groupId, next.epoch, commitSecret, state.initSecret);
+    next.initSecret = await deriveInitSecret(next.epochSecret);
+    next.previousEpochs = [{ epoch: state.epoch, epochSecret: state.epochSecret }, ...state.previousEpochs].slice(0, MAX_GROUP_EPOCHS_KEPT);
+    await saveSession(groupTreeId(groupId), next);
+    return { epoch: next.epoch, removed: false };
+  });
+
+/**
+ * Join a group's tree with a welcome envelope
+ * Replaces any tree this device had for the group
+ * @param {number} groupId - Group
+ * @param {object} welcome - Welcome for this device from GET /api/groups/:groupId/handshakes
+ * @param {object} handshake - The commit that sent the welcome (same epoch)
+ * @param {object} receiverSecretKeys - This device's { kyberSecretKey, x25519SecretKey }
+ * @param {object} senderPublicKeys - Committing device's { falconPublicKey, signatureAlgorithm }
+ * @param {object} route - { senderId, senderDeviceId, receiverId, recipientUserId,
+ *   recipientDeviceId, stored: true }, receiver and recipient being this device
+ * @param {object} directory - Device lookups as for processGroupCommit
+ * @returns {Promise<number>} Epoch joined
+ */
+export const processGroupWelcome = async (groupId, welcome, handshake, receiverSecretKeys, senderPublicKeys, route, directory) => {
+  const { v, suite, kyberCiphertext, ephemeralPublicKey, ciphertext, iv, authTag, sentAt, nonce, signature } = welcome;
+  if (Number(handshake.senderId) !== Number(route.senderId) ||
+      (handshake.senderDeviceId || PRIMARY_DEVICE_ID) !== route.senderDeviceId || handshake.epoch !== welcome.epoch) {
+    throw new Error('Welcome does not belong to its commit');
+  }
+  const envelope = await verifyEnvelope(
+    'groupWelcome',
+    { v, suite, kyberCiphertext, ephemeralPublicKey, ciphertext, iv, authTag, sentAt, nonce, signature },
+    route,
+    senderPublicKeys
+  );
+  const sharedSecret = await decapsulateEnvelope(envelope, { kyberCiphertext, ephemeralPublicKey }, receiverSecretKeys);
+  const info = JSON.parse(await decryptMessage(ciphertext, sharedSecret, iv, authTag));
+  if (info.format !== GROUP_WELCOME_FORMAT || info.groupId !== Number(groupId) || info.epoch !== handshake.epoch + 1) {
+    throw new Error('Welcome does not match its group and epoch');
+  }
+
+  const commit = await verifyGroupHandshake(groupId, handshake, senderPublicKeys);
+  if (!commit.tree || commit.treeHash !== info.treeHash) {
+    throw new Error('Welcome does not match its commit');
+  }
+  const state = {
+    groupId: Number(groupId),
+    epoch: info.epoch,
+    leafCount: commit.tree.leafCount,
+    nodes: commit.tree.nodes,
+    ownLeaf: info.leaf,
+    secrets: {},
+    epochSecret: info.epochSecret,
+    initSecret: await deriveInitSecret(info.epochSecret),
+    previousEpochs: []
+  };
+  if ((await hashGroupTree(state)) !== info.treeHash) {
+    throw new Error('Group tree does not match the welcome');
+  }
+  const { kyberPublicKey } = await getDeviceKeys();
+  const ownNode = state.nodes[state.ownLeaf];
+  if (!isLeafOf(ownNode, route.recipientUserId, route.recipientDeviceId) || ownNode.publicKey !== kyberPublicKey) {
+    throw new Error('Welcome places this device at a leaf that is not its own');
+  }
+  if (!isLeafOf(state.nodes[commit.committer], handshake.senderId, handshake.senderDeviceId)) {
+    throw new Error('Commit is not signed by the device at its leaf');
+  }
+  await assertGenuineLeaves(groupId, treeLeaves(state.nodes), directory);
+
+  const path = directPath(commit.committer, state.leafCount);
+  const shared = path[info.pathIndex];
+  if (path.length !== commit.path.length || path.some(({ node }, index) => commit.path[index].node !== node ||
+      state.nodes[node]?.publicKey !== commit.path[index].publicKey) ||
+      !shared || !isInSubtree(shared.node, state.ownLeaf) || isInSubtree(shared.copath, commit.committer) ||
+      (info.pathIndex > 0 && isInSubtree(path[info.pathIndex - 1].node, state.ownLeaf))) {
+    throw new Error('Welcome path does not match the tree');
   }
+  await openPathSecrets(state, commit.path, info.pathIndex, new Uint8Array(base64ToArrayBuffer(info.pathSecret)));
+
+  await withSessionLock(groupTreeId(groupId), async () => {
+    await deleteRecord(STORE_SESSIONS, sessionRecordId(groupPendingCommitId(groupId)));
+    await saveSession(groupTreeId(groupId), state);
+  });
+  return state.epoch;
+};
+
+// Epoch secret of the current or a recent epoch
+const getEpochSecret = async (groupId, epoch) => {
+  const tree = await withSessionLock(groupTreeId(groupId), () => loadGroupTree(groupId));
+  if (!tree) return null;
+  if (tree.epoch === epoch) return tree.epochSecret;
+  return tree.previousEpochs.find((previous) => previous.epoch === epoch)?.epochSecret || null;
+};
+
+// ============================================================================
+// GROUP SENDER KEYS
+// ============================================================================
+// Group messages are encrypted once by the sending device with its sender
+// chain: an HMAC chain like the ratchet's symmetric chains, so every message
+// key is used once and earlier keys cannot be recomputed. Every device's
+// chain for an epoch is derived from the epoch secret of the ratchet tree, so
+// members derive it themselves instead of receiving it; a commit starts new
+// chains, which removed devices cannot derive. Every member can derive every
+// chain, so each message is also signed by the sending device.
+//
+// Sending state per group: { epoch, keyId, chainKey, iteration }
+// Receiving state per group: { [deviceAddress]: [{ keyId, epoch, chainKey,
+// iteration, skipped }] }, the newest MAX_SENDER_KEYS_KEPT chains per device
+// so messages sent just before a commit still decrypt.
+// Both are stored with the ratchet sessions, encrypted under the session KEK.
+// Must match backend pqc.js
+
+const GROUP_MESSAGE_SIGNATURE_CONTEXT = 'qs-group-sig-v1';
+const GROUP_SENDER_INFO = 'QuantumShield group sender v1';
+const MAX_SENDER_KEY_SKIP = 200; // Largest gap accepted within one sender key
+const MAX_SENDER_KEY_SKIPPED = 200; // Skipped message keys kept per sender key
+const MAX_SENDER_KEYS_KEPT = 3; // Sender keys kept per sending device
+
+const groupSendingId = (groupId) => `group_${groupId}`;
+const groupReceivingId = (groupId) => `group_${groupId}_keys`;
+
+const buildGroupMessagePayload = (message) => lengthPrefixed([
+  GROUP_MESSAGE_SIGNATURE_CONTEXT,
+  Number(message.groupId),
+  Number(message.epoch),
+  Number(message.senderId),
+  message.senderDeviceId || PRIMARY_DEVICE_ID,
+  message.messageId,
+  message.keyId,
+  Number(message.iteration),
+  Number(message.sentAt),
+  message.nonce,
+  message.ciphertext,
+  message.iv,
+  message.authTag
+]);
+
+// A device's sender chain in an epoch; keyId names it without revealing it
+const deriveSenderChain = async (epochSecret, userId, deviceId) => {
+  const chainKey = arrayBufferToBase64(await hkdfBytes(
+    new Uint8Array(base64ToArrayBuffer(epochSecret)),
+    new Uint8Array(32),
+    `${GROUP_SENDER_INFO}:${deviceAddress(userId, deviceId)}`,
+    32
+  ));
+  return { keyId: await ratchetId(chainKey), chainKey, iteration: 0 };
+};
+
+/**
+ * Encrypt and sign a group message with this device's sender chain for the
+ * tree's current epoch
+ * @param {number} groupId - Group
+ * @param {string} plaintext - Message
+ * @param {string} messageId - Stable ID from createMessageId
+ * @param {string} senderFalconSecretKey - This device's signature secret key
+ * @param {object} sender - { senderId, senderDeviceId } (this device)
+ * @returns {Promise<object>} `sendGroupMessage` payload
+ */
+export const encryptGroupMessage = (groupId, plaintext, messageId, senderFalconSecretKey, sender) =>
+  withSessionLock(groupSendingId(groupId), async () => {
+    const tree = await withSessionLock(groupTreeId(groupId), () => loadGroupTree(groupId));
+    if (!tree) {
+      throw new Error('This device has not joined the group\'s keys yet');
+    }
+    let state = await loadSession(groupSendingId(groupId));
+    if (!state || state.epoch !== tree.epoch) {
+      state = { epoch: tree.epoch, ...(await deriveSenderChain(tree.epochSecret, sender.senderId, sender.senderDeviceId)) };
+    }
+    const iteration = state.iteration;
+    const { messageKey, chainKey } = await advanceChain(state.chainKey);
+    state.chainKey = chainKey;
+    state.iteration += 1;
+    await saveSession(groupSendingId(groupId), state);
+
+    const { ciphertext, iv, authTag } = await encryptMessage(plaintext, messageKey);
+    const sentAt = Date.now();
+    const nonce = arrayBufferToBase64(window.crypto.getRandomValues(new Uint8Array(ENVELOPE_NONCE_BYTES)));
+    const message = { groupId: Number(groupId), epoch: state.epoch, messageId, keyId: state.keyId, iteration, ciphertext, iv, authTag, sentAt, nonce };
+    const { signatureAlgorithm } = await getDeviceKeys();
+    const signature = await signPayload(
+      buildGroupMessagePayload({ ...message, ...sender }),
+      senderFalconSecretKey,
+      signatureAlgorithm
+    );
+    return { ...message, signature };
+  });
+
+/**
+ * Verify and decrypt a group message
+ * @param {object} data - `receiveGroupMessage` event from the relay
+ * @param {object} senderPublicKeys - Sending device's { falconPublicKey, signatureAlgorithm }
+ * @returns {Promise<string|null>} Plaintext, or null when this device does not
+ *   know the message's epoch yet (apply the group's commits first)
+ */
+export const decryptGroupMessage = async (data, senderPublicKeys) => {
+  const { ciphertext, iv, authTag, sentAt, nonce, signature, keyId, iteration } = data;
+  if (!ciphertext || !iv || !authTag || !signature || !Number.isInteger(iteration) || !Number.isInteger(sentAt)) {
+    throw new Error('Missing required encryption fields in group message');
+  }
+  const isValid = await verifyWithFalcon(
+    buildGroupMessagePayload(data),
+    signature,
+    senderPublicKeys.falconPublicKey,
+    senderPublicKeys.signatureAlgorithm || DEFAULT_SIGNATURE_ALGORITHM
+  );
+  if (!isValid) {
+    throw new Error('Signature verification failed - message may be tampered');
+  }
+
+  const address = deviceAddress(data.senderId, data.senderDeviceId);
+  return withSessionLock(groupReceivingId(data.groupId), async () => {
+    const keys = (await loadSession(groupReceivingId(data.groupId))) || {};
+    let entry = (keys[address] || []).find((candidate) => candidate.keyId === keyId);
+    if (!entry) {
+      const epochSecret = await getEpochSecret(data.groupId, data.epoch);
+      if (!epochSecret) {
+        return null;
+      }
+      entry = { ...(await deriveSenderChain(epochSecret, data.senderId, data.senderDeviceId)), epoch: data.epoch, skipped: {} };
+      if (entry.keyId !== keyId) {
+        throw new Error('Group message key does not match its epoch');
+      }
+      keys[address] = [...(keys[address] || []), entry].slice(-MAX_SENDER_KEYS_KEPT);
+    }
+    if (entry.epoch !== data.epoch) {
+      throw new Error('Group message key does not match its epoch');
+    }
+    await checkReplay(data, sentAt, nonce);
+
+    // Work on a copy; the chain only moves once the message authenticated
+    const chain = JSON.parse(JSON.stringify(entry));
+    let messageKey;
+    if (chain.skipped[iteration]) {
+      messageKey = new Uint8Array(base64ToArrayBuffer(chain.skipped[iteration]));
+      delete chain.skipped[iteration];
+    } else {
+      if (iteration < chain.iteration) {
+        throw new Error('Duplicate or expired group message');
+      }
+      if (iteration - chain.iteration > MAX_SENDER_KEY_SKIP) {
+        throw new Error('Too many skipped group messages');
+      }
+      while (chain.iteration < iteration) {
+        const skipped = await advanceChain(chain.chainKey);
+        chain.skipped[chain.iteration] = arrayBufferToBase64(skipped.messageKey);
+        chain.chainKey = skipped.chainKey;
+        chain.iteration += 1;
+      }
+      const next = await advanceChain(chain.chainKey);
+      messageKey = next.messageKey;
+      chain.chainKey = next.chainKey;
+      chain.iteration += 1;
+      const skippedIterations = Object.keys(chain.skipped).map(Number).sort((a, b) => a - b);
+      skippedIterations.slice(0, Math.max(0, skippedIterations.length - MAX_SENDER_KEY_SKIPPED)).forEach((skippedIteration) => {
+        delete chain.skipped[skippedIteration];
+      });
+    }
+
+    const plaintext = await decryptMessage(ciphertext, messageKey, iv, authTag);
+    keys[address] = keys[address].map((candidate) => (candidate.keyId === keyId ? chain : candidate));
+    await saveSession(groupReceivingId(data.groupId), keys);
+    return plaintext;
+  });
+};
+
+/**
+ * Delete this device's tree and sender keys of a group it left or was removed from
+ * @param {number} groupId - Group
+ * @returns {Promise<void>}
+ */
+export const forgetGroupKeys = async (groupId) => {
+  await withSessionLock(groupTreeId(groupId), async () => {
+    await deleteRecord(STORE_SESSIONS, sessionRecordId(groupTreeId(groupId)));
+    await deleteRecord(STORE_SESSIONS, sessionRecordId(groupPendingCommitId(groupId)));
+  });
+  await withSessionLock(groupSendingId(groupId), () => deleteRecord(STORE_SESSIONS, sessionRecordId(groupSendingId(groupId))));
+  await withSessionLock(groupReceivingId(groupId), () => deleteRecord(STORE_SESSIONS, sessionRecordId(groupReceivingId(groupId))));
 };
 
 // ============================================================================
 // FILE ENCRYPTION AND DECRYPTION
 // ============================================================================
+// Files are encrypted once with a random per-transfer AES-256-GCM key in
+// chunks (STREAM construction, Hoang et al. 2015): chunk i uses the nonce
+// noncePrefix(7) || i (uint32 big-endian) || final flag (1 byte), so chunks
+// cannot be reordered, dropped or truncated without failing authentication.
+// The key, nonce prefix and file metadata form the manifest, which is
+// encrypted and signed per device like a message envelope (kind 'file').
+// Chunks are read from the File one at a time on send and assembled into a
+// Blob on receipt, so neither side holds the whole file as one buffer.
+// Must match backend server.js
+
+export const FILE_CHUNK_SIZE = 256 * 1024;
+export const MAX_FILE_SIZE = 500 * 1024 * 1024;
+const FILE_MANIFEST_FORMAT = 'qs-file-stream-v1';
+const STREAM_NONCE_PREFIX_BYTES = 7;
+
+const fileChunkCount = (fileSize) => Math.max(1, Math.ceil(fileSize / FILE_CHUNK_SIZE));
+
+const streamNonce = (noncePrefix, index, isFinal) => {
+  const nonce = new Uint8Array(12);
+  nonce.set(noncePrefix, 0);
+  new DataView(nonce.buffer).setUint32(STREAM_NONCE_PREFIX_BYTES, index);
+  nonce[11] = isFinal ? 1 : 0;
+  return nonce;
+};
+
+const importStreamKey = (keyBytes, usage) =>
+  window.crypto.subtle.importKey('raw', keyBytes, { name: 'AES-GCM' }, false, [usage]);
+
+/**
+ * Prepare a file for a chunked transfer
+ * @param {File} file - File to send
+ * @returns {Promise<object>} Outgoing stream: { transferId, file, fileSize, chunkCount, ... }
+ */
+export const createFileStream = async (file) => {
+  if (file.size > MAX_FILE_SIZE) {
+    throw new Error(`File size must be at most ${MAX_FILE_SIZE / (1024 * 1024)}MB`);
+  }
+  const keyBytes = randomBytes(32);
+  const noncePrefix = randomBytes(STREAM_NONCE_PREFIX_BYTES);
+  const transferId = arrayBufferToBase64(randomBytes(16)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  return {
+    transferId,
+    file,
+    fileSize: file.size,
+    chunkCount: fileChunkCount(file.size),
+    key: await importStreamKey(keyBytes, 'encrypt'),
+    manifest: JSON.stringify({
+      format: FILE_MANIFEST_FORMAT,
+      transferId,
+      fileName: file.name,
+      fileType: file.type,
+      fileSize: file.size,
+      chunkSize: FILE_CHUNK_SIZE,
+      key: arrayBufferToBase64(keyBytes),
+      noncePrefix: arrayBufferToBase64(noncePrefix)
+    }),
+    noncePrefix
+  };
+};
 
 /**
- * Encrypt a file with PQC (Kyber + Falcon + AES-256-GCM)
- * @param {File} file - File object to encrypt
- * @param {string} receiverKyberPublicKey - Receiver's Kyber public key
- * @param {string} senderFalconSecretKey - Sender's Falcon secret key
- * @returns {Promise<object>} Encrypted file bundle with metadata
+ * Encrypt and sign a file stream's manifest for one device
+ * @param {object} stream - Outgoing stream from createFileStream
+ * @param {object} receiverPublicKeys - Receiving device's { kyberPublicKey, x25519PublicKey, kemAlgorithm }
+ * @param {string} senderFalconSecretKey - Sender's signature secret key
+ * @param {object} route - { senderId, senderDeviceId, receiverId, recipientUserId, recipientDeviceId }
+ * @returns {Promise<object>} Signed envelope: { manifest, v, suite, kyberCiphertext, ... signature }
  */
 export const encryptAndSignFile = async (
-  file,
-  receiverKyberPublicKey,
-  senderFalconSecretKey
+  stream,
+  receiverPublicKeys,
+  senderFalconSecretKey,
+  route
 ) => {
-  // Read file as ArrayBuffer
-  const fileArrayBuffer = await file.arrayBuffer();
-  const fileData = new Uint8Array(fileArrayBuffer);
-  
-  // Convert file data to base64 for transmission
-  const fileBase64 = arrayBufferToBase64(fileData);
+  // Step 1: Key encapsulation (hybrid when the receiver supports it)
+  const encapsulation = await encapsulateForRecipient(receiverPublicKeys);
+  const { sharedSecret, kyberCiphertext, ephemeralPublicKey } = encapsulation;
+  const header = await buildEnvelopeHeader(encapsulation);
   
-  // Step 1: Kyber KEM - Generate shared secret
-  const { sharedSecret, ciphertext: kyberCiphertext } = await kyberEncapsulate(
-    receiverKyberPublicKey
-  );
+  // Step 2: AES-256-GCM encryption of the manifest (file key and metadata)
+  const { ciphertext: manifest, iv, authTag } = await encryptMessage(stream.manifest, sharedSecret);
   
-  // Step 2: AES-256-GCM encryption of file data
-  const { ciphertext: encryptedFileData, iv, authTag } = await encryptMessage(
-    fileBase64,
-    sharedSecret
+  // Step 3: Signature over header, KEM material, manifest and route
+  const { sentAt, nonce, signature } = await signEnvelope(
+    'file',
+    { ...header, kyberCiphertext, ephemeralPublicKey, ciphertext: manifest, iv, authTag },
+    route,
+    senderFalconSecretKey,
+    parseSuite(header.suite).signature
   );
   
-  // Step 3: Falcon signature via server (canonical payload)
-  const dataToSign = buildSignaturePayload(encryptedFileData, iv, authTag);
-  const token = localStorage.getItem('token');
-  const signature = await signWithFalconServer(dataToSign, token);
-  
   return {
-    fileName: file.name,
-    fileSize: file.size,
-    fileType: file.type,
-    fileData: encryptedFileData,
+    manifest,
+    v: header.v,
+    suite: header.suite,
     kyberCiphertext,
+    ephemeralPublicKey,
     iv,
     authTag,
+    sentAt,
+    nonce,
     signature
   };
 };
 
 /**
- * Verify and decrypt a received file
- * @param {object} fileBundle - Encrypted file data
- * @param {string} token - JWT token for authentication
- * @param {string} senderFalconPublicKey - Sender's Falcon public key
- * @returns {Promise<Blob>} Decrypted file as Blob
+ * Read and encrypt one chunk of an outgoing stream
+ * @param {object} stream - Outgoing stream from createFileStream
+ * @param {number} index - Chunk index (0 to chunkCount - 1)
+ * @returns {Promise<Uint8Array>} Chunk ciphertext with its 16-byte tag
+ */
+export const encryptFileChunk = async (stream, index) => {
+  const start = index * FILE_CHUNK_SIZE;
+  const plaintext = await stream.file.slice(start, start + FILE_CHUNK_SIZE).arrayBuffer();
+  const ciphertext = await window.crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv: streamNonce(stream.noncePrefix, index, index === stream.chunkCount - 1), tagLength: 128 },
+    stream.key,
+    plaintext
+  );
+  return new Uint8Array(ciphertext);
+};
+
+/**
+ * Verify a received file envelope and open its stream
+ * @param {object} fileBundle - { transferId, fileSize, chunkCount, manifest, v, suite, kyberCiphertext,
+ *   ephemeralPublicKey, iv, authTag, sentAt, nonce, signature }
+ * @param {object} receiverSecretKeys - Receiver's { kyberSecretKey, x25519SecretKey } from the keystore
+ * @param {object} senderPublicKeys - Sending device's { falconPublicKey, signatureAlgorithm }
+ * @param {object} route - Expected { senderId, senderDeviceId, receiverId, recipientUserId, recipientDeviceId }
+ * @returns {Promise<object>} Incoming stream: { transferId, fileName, fileType, fileSize, chunkCount, ... }
  */
 export const verifyAndDecryptFile = async (
   fileBundle,
-  token,
-  senderFalconPublicKey
+  receiverSecretKeys,
+  senderPublicKeys,
+  route
 ) => {
-  const { kyberCiphertext, fileData, iv, authTag, signature, fileName, fileType } = fileBundle;
+  const { v, suite, kyberCiphertext, ephemeralPublicKey, manifest, iv, authTag, sentAt, nonce, signature } = fileBundle;
   
-  // Step 1: Verify Falcon signature (canonical payload)
-  const dataToVerify = buildSignaturePayload(fileData, iv, authTag);
-  const isValid = await verifyWithFalcon(dataToVerify, signature, senderFalconPublicKey);
-  
-  if (!isValid) {
-    throw new Error('File signature verification failed - file may be tampered');
+  // Step 1: Verify signature and route with the suite's algorithm (canonical payload)
+  let envelope;
+  try {
+    envelope = await verifyEnvelope(
+      'file',
+      { v, suite, kyberCiphertext, ephemeralPublicKey, ciphertext: manifest, iv, authTag, sentAt, nonce, signature },
+      route,
+      senderPublicKeys
+    );
+  } catch (error) {
+    throw new Error(`File signature verification failed - ${error.message}`);
   }
   
-  // Step 2: Kyber decapsulation via backend - Recover shared secret
-  const sharedSecret = await kyberDecapsulate(kyberCiphertext, token);
-  
-  // Step 3: AES-256-GCM decryption
-  const decryptedBase64 = await decryptMessage(fileData, sharedSecret, iv, authTag);
+  // Step 2: Decapsulation - Recover shared secret
+  const sharedSecret = await decapsulateEnvelope(envelope, { kyberCiphertext, ephemeralPublicKey }, receiverSecretKeys);
   
-  // Convert base64 back to Blob
-  const decryptedArrayBuffer = base64ToArrayBuffer(decryptedBase64);
-  const blob = new Blob([decryptedArrayBuffer], { type: fileType || 'application/octet-stream' });
+  // Step 3: AES-256-GCM decryption of the manifest; the relay's transfer
+  // fields must match the signed ones
+  const decrypted = JSON.parse(await decryptMessage(manifest, sharedSecret, iv, authTag));
+  if (decrypted.format !== FILE_MANIFEST_FORMAT || decrypted.chunkSize !== FILE_CHUNK_SIZE ||
+      decrypted.transferId !== fileBundle.transferId || decrypted.fileSize !== fileBundle.fileSize ||
+      fileChunkCount(decrypted.fileSize) !== fileBundle.chunkCount || decrypted.fileSize > MAX_FILE_SIZE) {
+    throw new Error('File manifest does not match the transfer');
+  }
   
-  return { blob, fileName };
+  return {
+    transferId: decrypted.transferId,
+    fileName: decrypted.fileName,
+    fileType: decrypted.fileType || 'application/octet-stream',
+    fileSize: decrypted.fileSize,
+    chunkCount: fileBundle.chunkCount,
+    key: await importStreamKey(new Uint8Array(base64ToArrayBuffer(decrypted.key)), 'decrypt'),
+    noncePrefix: new Uint8Array(base64ToArrayBuffer(decrypted.noncePrefix)),
+    nextIndex: 0,
+    parts: []
+  };
+};
+
+/**
+ * Decrypt the next chunk of an incoming stream
+ * Chunks must arrive in order; the final one completes the Blob
+ * @param {object} stream - Incoming stream from verifyAndDecryptFile
+ * @param {number} index - Chunk index
+ * @param {ArrayBuffer|Uint8Array} chunk - Chunk ciphertext
+ * @returns {Promise<Blob|null>} The decrypted file after the final chunk, otherwise null
+ */
+export const decryptFileChunk = async (stream, index, chunk) => {
+  if (index !== stream.nextIndex) {
+    throw new Error(`Expected file chunk ${stream.nextIndex}, received ${index}`);
+  }
+  const isFinal = index === stream.chunkCount - 1;
+  let plaintext;
+  try {
+    plaintext = await window.crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: streamNonce(stream.noncePrefix, index, isFinal), tagLength: 128 },
+      stream.key,
+      chunk
+    );
+  } catch (error) {
+    throw new Error('Failed to decrypt file chunk - authentication failed');
+  }
+  // Small Blobs let the browser page finished chunks out of memory
+  stream.parts.push(new Blob([plaintext]));
+  stream.nextIndex += 1;
+  if (!isFinal) {
+    return null;
+  }
+
+  const blob = new Blob(stream.parts, { type: stream.fileType });
+  stream.parts = [];
+  if (blob.size !== stream.fileSize) {
+    throw new Error('Decrypted file size does not match the manifest');
+  }
+  return blob;
 };
 
 // ----------------------------------------------------------------------------
-// WASM LOADING HELPERS (Client-side ML-KEM-1024 and Falcon-1024)
+// WASM LOADING HELPERS (Client-side algorithms from the suite registry)
 // ----------------------------------------------------------------------------
 
-let mlkemInstance;
-let falconInstance;
+const algorithmInstances = new Map();
 
-const loadMLKEM1024 = async () => {
-  if (!mlkemInstance) {
-    // Use npm package with correct export path
-    const { createMLKEM1024 } = await import('@openforge-sh/liboqs');
-    mlkemInstance = await createMLKEM1024();
+const loadAlgorithm = async (registry, name) => {
+  const factoryName = registry[name];
+  if (!factoryName) {
+    throw new Error(`Unsupported algorithm: ${name}`);
   }
-  return mlkemInstance;
-};
-
-const loadFalcon1024 = async () => {
-  if (!falconInstance) {
+  if (!algorithmInstances.has(name)) {
     // Use npm package with correct export path
-    const { createFalcon1024 } = await import('@openforge-sh/liboqs');
-    falconInstance = await createFalcon1024();
+    const liboqs = await import('@openforge-sh/liboqs');
+    algorithmInstances.set(name, await liboqs[factoryName]());
   }
-  return falconInstance;
+  return algorithmInstances.get(name);
 };
 
+const loadKemAlgorithm = (name) => loadAlgorithm(KEM_ALGORITHMS, name);
+
+const loadSignatureAlgorithm = (name) => loadAlgorithm(SIGNATURE_ALGORITHMS, name);
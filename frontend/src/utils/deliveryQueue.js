@@ -0,0 +1,175 @@
+// ============================================================================
+// MESSAGE DELIVERY QUEUE
+// ============================================================================
+// Every outgoing message is queued (queueOfflineMessage) before it is sent.
+// The queue of a contact is sent in order, one message at a time, and a
+// message leaves it once the server confirms delivery (messageSent). When the
+// contact is offline the queue waits; other failures are retried with backoff
+// and, after MAX_DELIVERY_ATTEMPTS, the message is marked failed and kept for
+// a manual retry.
+//
+// Delivery states: queued -> sending -> sent | stored (held in the mailbox),
+// back to queued while a retry is pending, or failed.
+// ============================================================================
+
+import { queueOfflineMessage, getPendingMessages, removePendingMessage } from './crypto';
+
+export const DELIVERY_ACK_TIMEOUT_MS = 15 * 1000;
+export const DELIVERY_RETRY_BASE_MS = 2 * 1000;
+export const DELIVERY_RETRY_MAX_MS = 60 * 1000; // Also the slowest retry of an offline contact
+export const MAX_DELIVERY_ATTEMPTS = 5; // Failed sends, not counting offline rejections
+export const QUEUED_ENVELOPE_FRESH_MS = 60 * 1000; // First attempt within this reuses the original signature
+
+/**
+ * Create the delivery queue of a signed-in device
+ * @param {object} options
+ * @param {function} options.isConnected - () => whether messages can be sent now
+ * @param {function} options.send - (peerId, messageId, copies) emits `sendMessage`
+ * @param {function} options.resign - async (peerId, item) => the item's copies signed again
+ * @param {function} options.onStatus - (messageId, deliveryStatus) on every state change
+ * @param {function} options.onFailed - (messageId, error) when a message is given up on
+ * @returns {object} { enqueue, flush, settle, retry, dispose }
+ */
+export const createDeliveryQueue = ({ isConnected, send, resign, onStatus, onFailed }) => {
+  const flushing = new Set(); // Peer IDs whose queue is being sent
+  const requested = new Set(); // Peer IDs to flush again once the running flush ends
+  const retryTimers = new Map(); // Peer ID -> pending retry
+  const backoff = new Map(); // Peer ID -> delay of the next retry
+  const waiting = new Map(); // messageId -> settles the attempt on messageSent / messageError
+  const attempts = new Map(); // messageId -> failed attempts
+  const fresh = new Set(); // message IDs queued here, still signed for a first attempt
+  const failed = new Map(); // messageId -> queued message given up on
+
+  const awaitResult = (messageId) => new Promise((resolve) => {
+    const settleAttempt = (result) => {
+      clearTimeout(timer);
+      waiting.delete(messageId);
+      resolve(result);
+    };
+    const timer = setTimeout(() => settleAttempt({ error: 'No response from server' }), DELIVERY_ACK_TIMEOUT_MS);
+    waiting.set(messageId, settleAttempt);
+  });
+
+  const flush = async (peerId) => {
+    if (!isConnected()) return;
+    if (flushing.has(peerId)) {
+      requested.add(peerId);
+      return;
+    }
+    flushing.add(peerId);
+    clearTimeout(retryTimers.get(peerId));
+    retryTimers.delete(peerId);
+
+    let retry = false;
+    try {
+      const queue = (await getPendingMessages(peerId)).sort((a, b) => a.timestamp - b.timestamp);
+      for (const item of queue) {
+        onStatus(item.id, 'sending');
+        let result;
+        try {
+          // The relay rejects stale envelopes and seen nonces: sign again
+          // unless this is the first attempt right after queueing
+          const firstAttempt = fresh.delete(item.id) && Date.now() - item.timestamp < QUEUED_ENVELOPE_FRESH_MS;
+          const copies = firstAttempt ? item.copies : await resign(peerId, item);
+          const response = awaitResult(item.id);
+          send(peerId, item.id, copies);
+          result = await response;
+        } catch (err) {
+          result = { error: err.message };
+        }
+
+        if (result.sent) {
+          attempts.delete(item.id);
+          backoff.delete(peerId);
+          await removePendingMessage(item.id);
+          onStatus(item.id, result.stored ? 'stored' : 'sent');
+          continue;
+        }
+        if (result.offline) {
+          // Later messages stay queued behind this one to keep their order
+          onStatus(item.id, 'queued');
+          retry = true;
+          break;
+        }
+
+        const failures = (attempts.get(item.id) || 0) + 1;
+        if (failures < MAX_DELIVERY_ATTEMPTS) {
+          attempts.set(item.id, failures);
+          onStatus(item.id, 'queued');
+          retry = true;
+          break;
+        }
+        console.error(`Giving up on message ${item.id} after ${failures} attempts:`, result.error);
+        attempts.delete(item.id);
+        failed.set(item.id, item);
+        await removePendingMessage(item.id);
+        onStatus(item.id, 'failed');
+        onFailed(item.id, result.error);
+      }
+    } catch (err) {
+      console.error('Failed to flush message queue:', err);
+      retry = true;
+    } finally {
+      flushing.delete(peerId);
+    }
+
+    if (retry) {
+      const delay = backoff.get(peerId) || DELIVERY_RETRY_BASE_MS;
+      backoff.set(peerId, Math.min(delay * 2, DELIVERY_RETRY_MAX_MS));
+      requested.delete(peerId);
+      retryTimers.set(peerId, setTimeout(() => flush(peerId), delay));
+    } else if (requested.delete(peerId)) {
+      flush(peerId);
+    }
+  };
+
+  /**
+   * Queue encrypted copies for a contact; call flush to send them
+   * @param {number} peerId - Contact the message is for
+   * @param {object[]} copies - Per-device copies as sent in `sendMessage`
+   * @param {string} messageId - Stable message ID (createMessageId) the copies are signed for
+   * @returns {Promise<void>}
+   */
+  const enqueue = async (peerId, copies, messageId) => {
+    await queueOfflineMessage(peerId, { id: messageId, copies });
+    fresh.add(messageId);
+  };
+
+  /**
+   * Settle the attempt waiting for a server reply
+   * @param {string} messageId - ID the server echoed back
+   * @param {object} result - { sent, stored } or { error, offline }
+   * @returns {boolean} False when no attempt was waiting for it
+   */
+  const settle = (messageId, result) => {
+    const settleAttempt = waiting.get(messageId);
+    if (!settleAttempt) return false;
+    settleAttempt(result);
+    return true;
+  };
+
+  /**
+   * Queue a failed message again and send it
+   * @returns {Promise<void>} Rejects when the message could not be queued
+   */
+  const retry = async (messageId) => {
+    const item = failed.get(messageId);
+    if (!item) return;
+    failed.delete(messageId);
+    try {
+      await queueOfflineMessage(item.recipientId, { id: item.id, copies: item.copies });
+    } catch (err) {
+      failed.set(messageId, item);
+      throw err;
+    }
+    onStatus(messageId, 'queued');
+    flush(item.recipientId);
+  };
+
+  const dispose = () => {
+    retryTimers.forEach((timer) => clearTimeout(timer));
+    retryTimers.clear();
+  };
+
+  return { enqueue, flush, settle, retry, dispose };
+};
@@ -0,0 +1,182 @@
+/**
+ * @jest-environment node
+ */
+import {
+  createDeliveryQueue,
+  DELIVERY_ACK_TIMEOUT_MS,
+  DELIVERY_RETRY_BASE_MS,
+  DELIVERY_RETRY_MAX_MS,
+  MAX_DELIVERY_ATTEMPTS
+} from './deliveryQueue';
+import { getPendingMessages, createMessageId } from './crypto';
+
+// DELIVERY QUEUE: ordering, retries and delivery states against a scripted server
+
+let peerCount = 0;
+let peerId;
+let queue;
+let server;
+
+const COPIES = [{ userId: 2, deviceId: 'primary', encryptedMessage: 'ciphertext' }];
+
+// The queue under test talks to `server`: every send is recorded and answered
+// with server.reply(messageId), or not at all when that returns null
+const createServer = () => {
+  const harness = {
+    connected: true,
+    sent: [], // { messageId, copies }
+    statuses: [], // [messageId, deliveryStatus]
+    failures: [], // [messageId, error]
+    reply: () => ({ sent: true })
+  };
+  harness.resign = jest.fn(async (peer, item) => item.copies.map((copy) => ({ ...copy, resigned: true })));
+  harness.statusesOf = (messageId) => harness.statuses
+    .filter(([id]) => id === messageId)
+    .map(([, status]) => status);
+  return harness;
+};
+
+const startQueue = () => createDeliveryQueue({
+  isConnected: () => server.connected,
+  send: (peer, messageId, copies) => {
+    server.sent.push({ messageId, copies });
+    const result = server.reply(messageId);
+    if (result) {
+      Promise.resolve().then(() => queue.settle(messageId, result));
+    }
+  },
+  resign: server.resign,
+  onStatus: (messageId, status) => server.statuses.push([messageId, status]),
+  onFailed: (messageId, error) => server.failures.push([messageId, error])
+});
+
+// The queue works through IndexedDB and timers; let it run until it is in the
+// expected state (fake timers replace setImmediate, so keep the real one)
+const realSetImmediate = setImmediate;
+const waitUntil = async (condition) => {
+  for (let i = 0; i < 1000; i += 1) {
+    if (condition()) return;
+    await new Promise((resolve) => realSetImmediate(resolve));
+  }
+  throw new Error('Delivery queue did not reach the expected state');
+};
+
+const enqueue = async () => {
+  const messageId = createMessageId();
+  await queue.enqueue(peerId, COPIES, messageId);
+  return messageId;
+};
+
+const lastStatusOf = (messageId) => server.statusesOf(messageId).at(-1);
+
+beforeEach(() => {
+  jest.useFakeTimers('modern');
+  peerCount += 1;
+  peerId = 100 + peerCount; // Each test queues for its own contact
+  server = createServer();
+  queue = startQueue();
+});
+
+afterEach(() => {
+  queue.dispose();
+  jest.useRealTimers();
+});
+
+test('queued messages are sent in order and leave the queue once confirmed', async () => {
+  const first = await enqueue();
+  const second = await enqueue();
+  server.reply = (id) => ({ sent: true, stored: id === second });
+
+  await queue.flush(peerId);
+  expect(server.sent.map((entry) => entry.messageId)).toEqual([first, second]);
+  expect(server.statusesOf(first)).toEqual(['sending', 'sent']);
+  expect(server.statusesOf(second)).toEqual(['sending', 'stored']);
+  expect(await getPendingMessages(peerId)).toEqual([]);
+
+  // A first attempt right after queueing keeps the original signature
+  expect(server.resign).not.toHaveBeenCalled();
+  expect(server.sent[0].copies).toEqual(COPIES);
+});
+
+test('an offline contact holds the queue in order until a retry gets through', async () => {
+  const first = await enqueue();
+  const second = await enqueue();
+  server.reply = () => ({ error: 'Recipient is offline', offline: true });
+
+  await queue.flush(peerId);
+  expect(server.sent.map((entry) => entry.messageId)).toEqual([first]);
+  expect(server.statusesOf(first)).toEqual(['sending', 'queued']);
+  expect(server.statusesOf(second)).toEqual([]);
+  expect(await getPendingMessages(peerId)).toHaveLength(2);
+
+  server.reply = () => ({ sent: true });
+  jest.advanceTimersByTime(DELIVERY_RETRY_BASE_MS);
+  await waitUntil(() => lastStatusOf(second) === 'sent');
+  expect(server.sent.map((entry) => entry.messageId)).toEqual([first, first, second]);
+  expect(server.statusesOf(first)).toEqual(['sending', 'queued', 'sending', 'sent']);
+
+  // The retried envelope is signed again; the one sent first time is not
+  expect(server.resign).toHaveBeenCalledTimes(1);
+  expect(server.sent[1].copies[0].resigned).toBe(true);
+  expect(server.sent[2].copies).toEqual(COPIES);
+  expect(await getPendingMessages(peerId)).toEqual([]);
+});
+
+test('a send without a reply times out and is retried', async () => {
+  const id = await enqueue();
+  server.reply = () => null;
+
+  const flushed = queue.flush(peerId);
+  await waitUntil(() => server.sent.length === 1);
+  expect(lastStatusOf(id)).toBe('sending');
+  jest.advanceTimersByTime(DELIVERY_ACK_TIMEOUT_MS);
+  await flushed;
+  expect(lastStatusOf(id)).toBe('queued');
+
+  server.reply = () => ({ sent: true });
+  jest.advanceTimersByTime(DELIVERY_RETRY_BASE_MS);
+  await waitUntil(() => lastStatusOf(id) === 'sent');
+  expect(server.sent).toHaveLength(2);
+});
+
+test('a message is given up on after repeated failures and can be retried by hand', async () => {
+  const id = await enqueue();
+  server.reply = () => ({ error: 'Invalid message signature - message may be tampered' });
+
+  await queue.flush(peerId);
+  const { sent } = server;
+  for (let attempt = 1; attempt < MAX_DELIVERY_ATTEMPTS; attempt += 1) {
+    expect(lastStatusOf(id)).toBe('queued');
+    jest.advanceTimersByTime(DELIVERY_RETRY_MAX_MS);
+    await waitUntil(() => sent.length === attempt + 1 && lastStatusOf(id) !== 'sending');
+  }
+  expect(lastStatusOf(id)).toBe('failed');
+  expect(server.failures).toEqual([[id, 'Invalid message signature - message may be tampered']]);
+  expect(await getPendingMessages(peerId)).toEqual([]);
+
+  // No further automatic attempts
+  expect(jest.getTimerCount()).toBe(0);
+  expect(server.sent).toHaveLength(MAX_DELIVERY_ATTEMPTS);
+
+  server.reply = () => ({ sent: true });
+  await queue.retry(id);
+  await waitUntil(() => lastStatusOf(id) === 'sent');
+  expect(server.statusesOf(id).slice(-3)).toEqual(['queued', 'sending', 'sent']);
+  expect(server.sent).toHaveLength(MAX_DELIVERY_ATTEMPTS + 1);
+});
+
+test('nothing is sent while disconnected', async () => {
+  server.connected = false;
+  await enqueue();
+  await queue.flush(peerId);
+  expect(server.sent).toEqual([]);
+  expect(await getPendingMessages(peerId)).toHaveLength(1);
+
+  server.connected = true;
+  await queue.flush(peerId);
+  expect(server.sent).toHaveLength(1);
+});
+
+test('settling an attempt nobody waits for is reported', () => {
+  expect(queue.settle(createMessageId(), { sent: true })).toBe(false);
+});
@@ -0,0 +1,57 @@
+/**
+ * @jest-environment node
+ */
+import { createDevice, closeDevices } from '../testing/devices';
+
+// DISAPPEARING TIMERS: signed by the device that set them, over both friends,
+// the timer and the time it was set
+
+const ONE_HOUR = 60 * 60 * 1000;
+
+let pairCount = 0;
+let alice;
+let bob;
+
+// Alice's phone sets the timer of her conversation with Bob
+const aliceRoute = { senderId: 1, senderDeviceId: 'primary', receiverId: 2 };
+
+// What the server hands both friends: the timer with the setting device added
+const stored = (timer) => ({ ...timer, senderId: 1, senderDeviceId: 'primary' });
+
+beforeEach(async () => {
+  pairCount += 1;
+  alice = await createDevice(1, `alice${pairCount}`);
+  bob = await createDevice(2, `bob${pairCount}`);
+});
+
+afterEach(closeDevices);
+
+test('both friends verify a timer with the key of the device that set it', async () => {
+  const timer = await alice.crypto.signDisappearingTimer(ONE_HOUR, aliceRoute, alice.falconSecretKey);
+  expect(timer).toEqual({ receiverId: 2, ttlMs: ONE_HOUR, setAt: expect.any(Number), signature: expect.any(String) });
+  expect(await bob.crypto.verifyDisappearingTimer(stored(timer), 2, alice.publicKeys)).toBe(true);
+  expect(await alice.crypto.verifyDisappearingTimer(stored(timer), 1, alice.publicKeys)).toBe(true);
+  expect(await bob.crypto.verifyDisappearingTimer(stored(timer), 2, bob.publicKeys)).toBe(false);
+});
+
+test('only the listed timers can be set', async () => {
+  await expect(alice.crypto.signDisappearingTimer(ONE_HOUR + 1, aliceRoute, alice.falconSecretKey))
+    .rejects.toThrow('Unsupported disappearing timer');
+  const timer = await alice.crypto.signDisappearingTimer(0, aliceRoute, alice.falconSecretKey);
+  expect(await bob.crypto.verifyDisappearingTimer(stored(timer), 2, alice.publicKeys)).toBe(true);
+});
+
+test.each([
+  ['timer', { ttlMs: 5 * 60 * 1000 }],
+  ['setting time', { setAt: 1 }],
+  ['setting device', { senderDeviceId: 'laptop' }],
+  ['other friend', { receiverId: 3 }]
+])('a timer with a changed %s fails verification', async (name, change) => {
+  const timer = stored(await alice.crypto.signDisappearingTimer(ONE_HOUR, aliceRoute, alice.falconSecretKey));
+  expect(await alice.crypto.verifyDisappearingTimer({ ...timer, ...change }, 1, alice.publicKeys)).toBe(false);
+});
+
+test('a timer of someone else\'s conversation is refused', async () => {
+  const timer = stored(await alice.crypto.signDisappearingTimer(ONE_HOUR, aliceRoute, alice.falconSecretKey));
+  expect(await bob.crypto.verifyDisappearingTimer(timer, 3, alice.publicKeys)).toBe(false);
+});
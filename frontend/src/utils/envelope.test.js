@@ -0,0 +1,145 @@
+/**
+ * @jest-environment node
+ */
+import { createDevice, closeDevices } from '../testing/devices';
+
+// ENVELOPE SIGNATURES: route and KEM binding, replay window and nonces
+
+const REPLAY_WINDOW_MS = 10 * 60 * 1000;
+
+let pairCount = 0;
+let alice;
+let bob;
+
+const route = { senderId: 1, receiverId: 2, recipientUserId: 2 };
+
+const send = (text, sendRoute = route) =>
+  alice.crypto.encryptAndSignMessage(text, bob.publicKeys, alice.falconSecretKey, sendRoute);
+
+const receive = (message, receiveRoute = route) =>
+  bob.crypto.verifyAndDecryptMessage(message, bob.secretKeys, alice.publicKeys, receiveRoute);
+
+beforeEach(async () => {
+  pairCount += 1;
+  alice = await createDevice(1, `alice${pairCount}`);
+  bob = await createDevice(2, `bob${pairCount}`);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  closeDevices();
+});
+
+test('a signed envelope decrypts on the route it was sent on', async () => {
+  const message = await send('hello bob');
+  expect(message.nonce).toEqual(expect.any(String));
+  expect(Math.abs(Date.now() - message.sentAt)).toBeLessThan(60 * 1000);
+  expect(await receive(message)).toBe('hello bob');
+});
+
+test('an envelope is refused without a route', async () => {
+  await expect(send('hello bob', { senderId: 1 })).rejects.toThrow('Envelope route');
+  const message = await send('hello bob');
+  await expect(receive(message, null)).rejects.toThrow('not bound to its sender and recipient');
+});
+
+test.each([
+  ['conversation peer', { receiverId: 3 }],
+  ['receiving account', { recipientUserId: 3 }],
+  ['receiving device', { recipientDeviceId: 'laptop' }],
+  ['sender', { senderId: 3 }],
+  ['sending device', { senderDeviceId: 'laptop' }],
+  ['message ID', { messageId: 'another-message' }]
+])('a changed %s fails signature verification', async (name, change) => {
+  const message = await send('hello bob');
+  await expect(receive(message, { ...route, ...change }))
+    .rejects.toThrow('Signature verification failed');
+});
+
+test('a changed KEM ciphertext, send time or nonce fails signature verification', async () => {
+  const message = await send('hello bob');
+  const other = await send('hello again');
+  for (const field of ['kyberCiphertext', 'ephemeralPublicKey', 'nonce']) {
+    await expect(receive({ ...message, [field]: other[field] }))
+      .rejects.toThrow('Signature verification failed');
+  }
+  await expect(receive({ ...message, sentAt: message.sentAt + 1 }))
+    .rejects.toThrow('Signature verification failed');
+  expect(await receive(message)).toBe('hello bob');
+});
+
+test('an envelope outside the replay window is rejected', async () => {
+  const now = Date.now();
+  jest.spyOn(Date, 'now').mockReturnValue(now - REPLAY_WINDOW_MS - 1000);
+  const stale = await send('sent long ago');
+  jest.spyOn(Date, 'now').mockReturnValue(now + REPLAY_WINDOW_MS + 1000);
+  const early = await send('sent from the future');
+  jest.spyOn(Date, 'now').mockReturnValue(now);
+
+  await expect(receive(stale)).rejects.toThrow('outside the replay window');
+  await expect(receive(early)).rejects.toThrow('outside the replay window');
+});
+
+test('an envelope is accepted once', async () => {
+  const message = await send('hello bob');
+  expect(await receive(message)).toBe('hello bob');
+  await expect(receive(message)).rejects.toThrow('Replayed envelope');
+  expect(await receive(await send('hello bob'))).toBe('hello bob');
+});
+
+// Raw nonce records of an account as they sit in IndexedDB
+const readNonces = (username) => new Promise((resolve, reject) => {
+  const request = indexedDB.open('qs-keystore');
+  request.onsuccess = () => {
+    const db = request.result;
+    const read = db.transaction('nonces').objectStore('nonces').getAll();
+    read.onsuccess = () => {
+      db.close();
+      resolve(read.result.filter((record) => record.id.startsWith(`${username}:`)));
+    };
+    read.onerror = () => reject(read.error);
+  };
+  request.onerror = () => reject(request.error);
+});
+
+test('a delivered envelope cannot come back as a mailbox message', async () => {
+  const message = await send('hello bob');
+  expect(await receive(message)).toBe('hello bob');
+  await expect(receive(message, { ...route, stored: true })).rejects.toThrow('Replayed envelope');
+});
+
+test('each seen nonce is its own record, dropped once even the mailbox window passed', async () => {
+  const now = Date.now();
+  await receive(await send('first'));
+  await receive(await send('second'));
+  expect(await readNonces(bob.username)).toHaveLength(2);
+
+  const later = now + 8 * 24 * 60 * 60 * 1000;
+  jest.spyOn(Date, 'now').mockReturnValue(later);
+  await receive(await send('a week later'));
+  expect(await readNonces(bob.username)).toEqual([{ id: expect.any(String), expiresAt: expect.any(Number) }]);
+});
+
+test('nonces kept in the earlier single record are still refused', async () => {
+  const message = await send('hello bob');
+  await new Promise((resolve, reject) => {
+    const request = indexedDB.open('qs-keystore');
+    request.onsuccess = () => {
+      const db = request.result;
+      const tx = db.transaction('meta', 'readwrite');
+      tx.objectStore('meta').put({
+        id: `nonces_${bob.username}`,
+        entries: [[`1:primary:${message.nonce}`, message.sentAt + 8 * 24 * 60 * 60 * 1000]]
+      });
+      tx.oncomplete = () => {
+        db.close();
+        resolve();
+      };
+      tx.onerror = () => reject(tx.error);
+    };
+    request.onerror = () => reject(request.error);
+  });
+
+  await expect(receive(message)).rejects.toThrow('Replayed envelope');
+  expect(await readNonces(bob.username)).toHaveLength(1);
+});
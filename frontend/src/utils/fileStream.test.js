@@ -0,0 +1,120 @@
+/**
+ * @jest-environment node
+ */
+import { randomBytes } from 'crypto';
+import { createDevice, closeDevices } from '../testing/devices';
+
+// FILE STREAMS: chunked STREAM AEAD under a signed manifest
+
+let pairCount = 0;
+let alice;
+let bob;
+
+const route = { senderId: 1, receiverId: 2, recipientUserId: 2 };
+
+const makeFile = (size) => new File([randomBytes(size)], 'notes.bin', { type: 'application/octet-stream' });
+
+// What the relay hands the receiver: the signed envelope plus transfer fields
+const sendFile = async (file) => {
+  const stream = await alice.crypto.createFileStream(file);
+  const envelope = await alice.crypto.encryptAndSignFile(stream, bob.publicKeys, alice.falconSecretKey, route);
+  const chunks = [];
+  for (let index = 0; index < stream.chunkCount; index += 1) {
+    chunks.push(await alice.crypto.encryptFileChunk(stream, index));
+  }
+  return {
+    bundle: { ...envelope, transferId: stream.transferId, fileSize: stream.fileSize, chunkCount: stream.chunkCount },
+    chunks
+  };
+};
+
+const openStream = (bundle) =>
+  bob.crypto.verifyAndDecryptFile(bundle, bob.secretKeys, alice.publicKeys, route);
+
+const bytesOf = async (blob) => Buffer.from(await blob.arrayBuffer());
+
+beforeEach(async () => {
+  pairCount += 1;
+  alice = await createDevice(1, `alice${pairCount}`);
+  bob = await createDevice(2, `bob${pairCount}`);
+});
+
+afterEach(closeDevices);
+
+test('a file decrypts chunk by chunk into the original bytes', async () => {
+  const { FILE_CHUNK_SIZE } = alice.crypto;
+  const file = makeFile(2 * FILE_CHUNK_SIZE + 1000);
+  const { bundle, chunks } = await sendFile(file);
+  expect(bundle.chunkCount).toBe(3);
+
+  const stream = await openStream(bundle);
+  expect(stream.fileName).toBe('notes.bin');
+  expect(await bob.crypto.decryptFileChunk(stream, 0, chunks[0])).toBeNull();
+  expect(await bob.crypto.decryptFileChunk(stream, 1, chunks[1])).toBeNull();
+  const blob = await bob.crypto.decryptFileChunk(stream, 2, chunks[2]);
+  expect(blob.type).toBe('application/octet-stream');
+  expect((await bytesOf(blob)).equals(await bytesOf(file))).toBe(true);
+});
+
+test('an empty file is one final chunk', async () => {
+  const { bundle, chunks } = await sendFile(makeFile(0));
+  expect(chunks).toHaveLength(1);
+  const blob = await bob.crypto.decryptFileChunk(await openStream(bundle), 0, chunks[0]);
+  expect(blob.size).toBe(0);
+});
+
+test('chunks must arrive in order', async () => {
+  const { bundle, chunks } = await sendFile(makeFile(2 * alice.crypto.FILE_CHUNK_SIZE));
+  const stream = await openStream(bundle);
+  await expect(bob.crypto.decryptFileChunk(stream, 1, chunks[1]))
+    .rejects.toThrow('Expected file chunk 0, received 1');
+
+  // A chunk delivered under another index fails authentication
+  await expect(bob.crypto.decryptFileChunk(stream, 0, chunks[1]))
+    .rejects.toThrow('Failed to decrypt file chunk - authentication failed');
+  expect(await bob.crypto.decryptFileChunk(stream, 0, chunks[0])).toBeNull();
+  await expect(bob.crypto.decryptFileChunk(stream, 0, chunks[0]))
+    .rejects.toThrow('Expected file chunk 1, received 0');
+});
+
+test('a truncated stream does not complete', async () => {
+  const file = makeFile(3 * alice.crypto.FILE_CHUNK_SIZE);
+
+  // The chunk count follows from the signed file size
+  const relabeled = await sendFile(file);
+  await expect(openStream({ ...relabeled.bundle, chunkCount: 2 }))
+    .rejects.toThrow('File manifest does not match the transfer');
+
+  // A middle chunk does not carry the final flag, so it cannot end the file
+  const { bundle, chunks } = await sendFile(file);
+  const stream = await openStream(bundle);
+  stream.chunkCount = 2;
+  expect(await bob.crypto.decryptFileChunk(stream, 0, chunks[0])).toBeNull();
+  await expect(bob.crypto.decryptFileChunk(stream, 1, chunks[1]))
+    .rejects.toThrow('Failed to decrypt file chunk - authentication failed');
+});
+
+test('a final chunk cannot be passed off as a middle one', async () => {
+  const { FILE_CHUNK_SIZE } = alice.crypto;
+  const { bundle, chunks } = await sendFile(makeFile(FILE_CHUNK_SIZE + 10));
+  const stream = await openStream(bundle);
+  stream.chunkCount = 3;
+  await bob.crypto.decryptFileChunk(stream, 0, chunks[0]);
+  await expect(bob.crypto.decryptFileChunk(stream, 1, chunks[1]))
+    .rejects.toThrow('Failed to decrypt file chunk - authentication failed');
+});
+
+test('a changed manifest fails verification', async () => {
+  const { bundle } = await sendFile(makeFile(1000));
+  const other = await sendFile(makeFile(1000));
+  await expect(openStream({ ...bundle, manifest: other.bundle.manifest }))
+    .rejects.toThrow('File signature verification failed');
+  await expect(openStream({ ...bundle, fileSize: 999 }))
+    .rejects.toThrow('File manifest does not match the transfer');
+});
+
+test('files over the size limit are refused', async () => {
+  const { MAX_FILE_SIZE } = alice.crypto;
+  await expect(alice.crypto.createFileStream({ name: 'big.bin', type: '', size: MAX_FILE_SIZE + 1 }))
+    .rejects.toThrow('File size must be at most 500MB');
+});
@@ -0,0 +1,153 @@
+// ============================================================================
+// GROUP RATCHET TREE LAYOUT
+// ============================================================================
+// Shape of the ratchet tree behind group keys (see GROUP RATCHET TREE in
+// crypto.js for the key schedule). The tree is full (leafCount is a power of
+// two) and stored as an array: leaf i is node 2i, parents sit at odd indices
+// and the root at leafCount - 1. A node's level is its number of trailing one
+// bits, so leaves are level 0. nodes[i] is null (blank) or { publicKey, kem,
+// unmerged, userId?, deviceId?, signature? }; the functions below only move
+// nodes around and never touch key material, apart from blankLeafPath
+// dropping the secret keys of the nodes it blanks.
+
+const nodeLevel = (node) => {
+  let level = 0;
+  while (((node >> level) & 1) === 1) level += 1;
+  return level;
+};
+
+const leftChild = (node) => node ^ (1 << (nodeLevel(node) - 1));
+const rightChild = (node) => node ^ (3 << (nodeLevel(node) - 1));
+
+/**
+ * Parent of a node
+ * @param {number} node - Node index (not the root)
+ * @returns {number}
+ */
+export const parentNode = (node) => {
+  const level = nodeLevel(node);
+  return (node | (1 << level)) & ~(1 << (level + 1));
+};
+
+/**
+ * Whether a node lies below (or is) another node
+ * @param {number} node - Subtree root
+ * @param {number} descendant - Node to look for
+ * @returns {boolean}
+ */
+export const isInSubtree = (node, descendant) => Math.abs(descendant - node) < (1 << nodeLevel(node));
+
+/**
+ * Parents from a leaf up to the root, each with its child off the path
+ * @param {number} leaf - Leaf node index
+ * @param {number} leafCount - Leaves in the tree
+ * @returns {object[]} [{ node, copath }], lowest first
+ */
+export const directPath = (leaf, leafCount) => {
+  const path = [];
+  let node = leaf;
+  while (node !== leafCount - 1) {
+    const parent = parentNode(node);
+    path.push({ node: parent, copath: node < parent ? rightChild(parent) : leftChild(parent) });
+    node = parent;
+  }
+  return path;
+};
+
+/**
+ * Nodes whose keys together reach every leaf below a node: the node itself
+ * with its unmerged leaves, or for a blank node the resolutions of its children
+ * @param {Array<object|null>} nodes - Tree nodes
+ * @param {number} node - Node to resolve
+ * @returns {number[]}
+ */
+export const resolveNode = (nodes, node) => {
+  if (nodes[node]) return [node, ...nodes[node].unmerged];
+  if (nodeLevel(node) === 0) return [];
+  return [...resolveNode(nodes, leftChild(node)), ...resolveNode(nodes, rightChild(node))];
+};
+
+/**
+ * Blank a leaf and every parent above it
+ * @param {object} tree - { leafCount, nodes, secrets }, changed in place
+ * @param {number} leaf - Leaf node index
+ * @returns {void}
+ */
+export const blankLeafPath = (tree, leaf) => {
+  [leaf, ...directPath(leaf, tree.leafCount).map(({ node }) => node)].forEach((node) => {
+    tree.nodes[node] = null;
+    delete tree.secrets[node];
+  });
+};
+
+/**
+ * Put a device in the leftmost blank leaf, doubling the tree when it is full
+ * The leaf is unmerged at every non-blank parent above it
+ * @param {object} tree - { leafCount, nodes }, changed in place
+ * @param {object} entry - { publicKey, kem, userId, deviceId }
+ * @returns {number} Leaf node index
+ */
+export const addTreeLeaf = (tree, entry) => {
+  let leaf = tree.nodes.findIndex((node, index) => index % 2 === 0 && node === null);
+  if (leaf === -1) {
+    leaf = tree.nodes.length + 1;
+    tree.nodes = [...tree.nodes, ...new Array(tree.nodes.length + 1).fill(null)];
+    tree.leafCount *= 2;
+  }
+  tree.nodes[leaf] = { ...entry, unmerged: [] };
+  directPath(leaf, tree.leafCount).forEach(({ node }) => {
+    if (tree.nodes[node]) tree.nodes[node].unmerged.push(leaf);
+  });
+  return leaf;
+};
+
+/**
+ * Halve the tree while its right half is blank
+ * @param {object} tree - { leafCount, nodes, secrets }, changed in place
+ * @returns {void}
+ */
+export const truncateTree = (tree) => {
+  while (tree.leafCount > 1 && tree.nodes.slice(tree.leafCount).every((node) => node === null)) {
+    tree.nodes = tree.nodes.slice(0, tree.leafCount - 1);
+    tree.leafCount /= 2;
+    Object.keys(tree.secrets).map(Number).filter((node) => node >= tree.nodes.length).forEach((node) => {
+      delete tree.secrets[node];
+    });
+  }
+};
+
+/**
+ * Leaves with their devices; the public part of nodes as commits carry it
+ * @param {object} tree - { leafCount, nodes }
+ * @returns {object} { leafCount, nodes }
+ */
+export const publicTree = (tree) => ({
+  leafCount: tree.leafCount,
+  nodes: tree.nodes.map((node) => (node
+    ? { publicKey: node.publicKey, kem: node.kem, unmerged: node.unmerged, userId: node.userId, deviceId: node.deviceId, signature: node.signature }
+    : null))
+});
+
+/**
+ * Non-blank leaves of a tree, leftmost first
+ * @param {Array<object|null>} nodes - Tree nodes
+ * @returns {object[]}
+ */
+export const treeLeaves = (nodes) => nodes.filter((node, index) => index % 2 === 0 && node);
+
+/**
+ * SHA-256 of the public tree, which every device checks after a commit
+ * @param {object} tree - { leafCount, nodes }
+ * @returns {Promise<string>} Base64 hash
+ */
+export const hashGroupTree = async (tree) => {
+  const { leafCount, nodes } = publicTree(tree);
+  const canonical = JSON.stringify([
+    leafCount,
+    nodes.map((node) => (node
+      ? [node.publicKey, node.kem, node.unmerged, node.userId ?? null, node.deviceId ?? null, node.signature ?? null]
+      : null))
+  ]);
+  const digest = new Uint8Array(await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonical)));
+  return window.btoa(String.fromCharCode(...digest));
+};
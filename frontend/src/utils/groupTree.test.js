@@ -0,0 +1,154 @@
+/**
+ * @jest-environment node
+ */
+import {
+  parentNode,
+  isInSubtree,
+  directPath,
+  resolveNode,
+  blankLeafPath,
+  addTreeLeaf,
+  truncateTree,
+  treeLeaves,
+  hashGroupTree
+} from './groupTree';
+
+// GROUP RATCHET TREE LAYOUT: indices, paths, resolutions and resizing
+
+let tree;
+
+const treeLeaf = (userId) => ({ publicKey: `pk${userId}`, kem: 'ML-KEM-1024', userId, deviceId: 'primary' });
+
+// A tree whose leaves were added one by one
+const buildTree = (leafCount) => {
+  tree = { leafCount: 1, nodes: [{ ...treeLeaf(0), unmerged: [] }], secrets: {} };
+  const leaves = [0];
+  for (let userId = 1; userId < leafCount; userId += 1) {
+    leaves.push(addTreeLeaf(tree, treeLeaf(userId)));
+  }
+  return leaves;
+};
+
+const paths = (leaves) => leaves.map((leaf) => directPath(leaf, tree.leafCount));
+
+test('a tree of 1 leaf is its own root', () => {
+  expect(buildTree(1)).toEqual([0]);
+  expect(tree.leafCount).toBe(1);
+  expect(tree.nodes).toHaveLength(1);
+  expect(directPath(0, 1)).toEqual([]);
+});
+
+test('a tree of 2 leaves', () => {
+  expect(buildTree(2)).toEqual([0, 2]);
+  expect(tree.leafCount).toBe(2);
+  expect(tree.nodes).toHaveLength(3);
+  expect([0, 2].map(parentNode)).toEqual([1, 1]);
+  expect(paths([0, 2])).toEqual([
+    [{ node: 1, copath: 2 }],
+    [{ node: 1, copath: 0 }]
+  ]);
+});
+
+test('a tree of 3 leaves doubles to 4 with a blank leaf', () => {
+  expect(buildTree(3)).toEqual([0, 2, 4]);
+  expect(tree.leafCount).toBe(4);
+  expect(tree.nodes).toHaveLength(7);
+  expect(tree.nodes[6]).toBeNull();
+  expect([0, 1, 2, 4, 5, 6].map(parentNode)).toEqual([1, 3, 1, 5, 3, 5]);
+  expect(paths([0, 2, 4])).toEqual([
+    [{ node: 1, copath: 2 }, { node: 3, copath: 5 }],
+    [{ node: 1, copath: 0 }, { node: 3, copath: 5 }],
+    [{ node: 5, copath: 6 }, { node: 3, copath: 1 }]
+  ]);
+  expect(resolveNode(tree.nodes, 3)).toEqual([0, 2, 4]);
+  expect(resolveNode(tree.nodes, 5)).toEqual([4]);
+  expect(treeLeaves(tree.nodes).map((leaf) => leaf.userId)).toEqual([0, 1, 2]);
+});
+
+test('a tree of 5 leaves doubles to 8', () => {
+  expect(buildTree(5)).toEqual([0, 2, 4, 6, 8]);
+  expect(tree.leafCount).toBe(8);
+  expect(tree.nodes).toHaveLength(15);
+  expect([8, 9, 11, 13, 3].map(parentNode)).toEqual([9, 11, 7, 11, 7]);
+  expect(paths([0, 8])).toEqual([
+    [{ node: 1, copath: 2 }, { node: 3, copath: 5 }, { node: 7, copath: 11 }],
+    [{ node: 9, copath: 10 }, { node: 11, copath: 13 }, { node: 7, copath: 3 }]
+  ]);
+  expect(resolveNode(tree.nodes, 7)).toEqual([0, 2, 4, 6, 8]);
+  expect(resolveNode(tree.nodes, 11)).toEqual([8]);
+  expect(resolveNode(tree.nodes, 13)).toEqual([]);
+});
+
+test('a tree of 8 leaves fills up without doubling', () => {
+  expect(buildTree(8)).toEqual([0, 2, 4, 6, 8, 10, 12, 14]);
+  expect(tree.leafCount).toBe(8);
+  expect(tree.nodes).toHaveLength(15);
+  expect(paths([6, 14])).toEqual([
+    [{ node: 5, copath: 4 }, { node: 3, copath: 1 }, { node: 7, copath: 11 }],
+    [{ node: 13, copath: 12 }, { node: 11, copath: 9 }, { node: 7, copath: 3 }]
+  ]);
+});
+
+test('subtrees span the leaves below their root', () => {
+  expect([0, 2, 4, 6].map((leaf) => isInSubtree(3, leaf))).toEqual([true, true, true, true]);
+  expect([0, 2, 4, 6].map((leaf) => isInSubtree(5, leaf))).toEqual([false, false, true, true]);
+  expect(isInSubtree(4, 4)).toBe(true);
+  expect(isInSubtree(11, 7)).toBe(false);
+});
+
+test('a non-blank parent resolves to itself and its unmerged leaves', () => {
+  buildTree(3);
+  tree.nodes[1] = { publicKey: 'parent', kem: 'ML-KEM-1024', unmerged: [] };
+  addTreeLeaf(tree, treeLeaf(3));
+  expect(tree.nodes[6].userId).toBe(3);
+  expect(resolveNode(tree.nodes, 3)).toEqual([1, 4, 6]);
+
+  tree.nodes[5] = { publicKey: 'parent', kem: 'ML-KEM-1024', unmerged: [] };
+  tree.secrets = { 5: 'secret', 1: 'secret' };
+  blankLeafPath(tree, 6);
+  expect(tree.nodes[5]).toBeNull();
+  expect(tree.nodes[3]).toBeNull();
+  expect(tree.secrets).toEqual({ 1: 'secret' });
+  expect(addTreeLeaf(tree, treeLeaf(4))).toBe(6);
+  expect(tree.nodes[1].unmerged).toEqual([]);
+});
+
+test('removed leaves on the right truncate the tree', () => {
+  buildTree(5);
+  blankLeafPath(tree, 8);
+  truncateTree(tree);
+  expect(tree.leafCount).toBe(4);
+  expect(tree.nodes).toHaveLength(7);
+
+  blankLeafPath(tree, 2);
+  truncateTree(tree);
+  expect(tree.leafCount).toBe(4); // Leaves 4 and 6 keep the right half
+
+  blankLeafPath(tree, 4);
+  blankLeafPath(tree, 6);
+  truncateTree(tree);
+  expect(tree.leafCount).toBe(1);
+  expect(tree.nodes).toHaveLength(1);
+});
+
+test('the tree hash covers every public field and ignores secret keys', async () => {
+  buildTree(3);
+  const hash = await hashGroupTree(tree);
+  expect(hash).toMatch(/^[A-Za-z0-9+/]{43}=$/);
+
+  tree.secrets = { 0: 'secret' };
+  expect(await hashGroupTree(tree)).toBe(hash);
+
+  const changes = [
+    (nodes) => { nodes[2].publicKey = 'other'; },
+    (nodes) => { nodes[2].deviceId = 'laptop'; },
+    (nodes) => { nodes[2].signature = 'signed'; },
+    (nodes) => { nodes[0].unmerged = [2]; },
+    (nodes) => { nodes[6] = { ...treeLeaf(3), unmerged: [] }; }
+  ];
+  for (const change of changes) {
+    const changed = JSON.parse(JSON.stringify(tree));
+    change(changed.nodes);
+    expect(await hashGroupTree(changed)).not.toBe(hash);
+  }
+});
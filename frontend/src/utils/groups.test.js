@@ -0,0 +1,156 @@
+/**
+ * @jest-environment node
+ */
+import { createDevice, closeDevices } from '../testing/devices';
+
+// GROUP RATCHET TREE: commits and welcomes between two member devices, with
+// more accounts added to and removed from the group
+
+const GROUP_ID = 7;
+const PRIMARY = 'primary';
+
+const members = new Set([1, 2]);
+const accounts = new Map();
+let alice;
+let bob;
+
+// Device lookups as ChatDashboard answers them from fetchDevices
+const directory = {
+  deviceKeys: async (userId, deviceId) => (deviceId === PRIMARY ? accounts.get(Number(userId))?.publicKeys || null : null),
+  isMemberDevice: async (userId, deviceId) => members.has(Number(userId)) && deviceId === PRIMARY
+};
+
+const deviceOf = (userId) => ({ userId, device: { deviceId: PRIMARY, keys: accounts.get(userId).publicKeys } });
+const sender = (device) => ({ senderId: device.userId, senderDeviceId: PRIMARY });
+
+// The commit as GET /api/groups/:groupId/handshakes relays it
+const asHandshake = (commit, committer) => ({
+  epoch: commit.epoch,
+  senderId: committer.userId,
+  senderDeviceId: commit.senderDeviceId,
+  body: commit.body,
+  sentAt: commit.sentAt,
+  nonce: commit.nonce,
+  signature: commit.signature
+});
+
+const commitFrom = async (device, changes) => {
+  const tree = await device.crypto.getGroupTreeMembers(GROUP_ID);
+  return device.crypto.createGroupCommit(GROUP_ID, tree ? tree.epoch : 0, changes, device.falconSecretKey, sender(device));
+};
+
+const applyTo = (device, commit, committer) =>
+  device.crypto.processGroupCommit(GROUP_ID, asHandshake(commit, committer), device.secretKeys, committer.publicKeys, directory);
+
+const leafOf = async (device, userId) => (await device.crypto.getGroupTreeMembers(GROUP_ID)).leaves
+  .find((leaf) => leaf.userId === userId).leaf;
+
+// Both devices hold the same tree, and messages of the epoch decrypt both ways
+const expectSameGroup = async (epoch) => {
+  const [treeA, treeB] = await Promise.all([alice, bob].map((device) => device.crypto.getGroupTreeMembers(GROUP_ID)));
+  expect(treeA.epoch).toBe(epoch);
+  expect(treeB.leaves).toEqual(treeA.leaves);
+  expect(treeB.epoch).toBe(epoch);
+  for (const [from, to] of [[alice, bob], [bob, alice]]) {
+    const message = await from.crypto.encryptGroupMessage(
+      GROUP_ID, `epoch ${epoch}`, from.crypto.createMessageId(), from.falconSecretKey, sender(from)
+    );
+    expect(message.epoch).toBe(epoch);
+    expect(await to.crypto.decryptGroupMessage({ ...message, ...sender(from) }, from.publicKeys)).toBe(`epoch ${epoch}`);
+  }
+};
+
+beforeAll(async () => {
+  for (const [userId, username] of [[1, 'alice'], [2, 'bob'], [3, 'carol'], [4, 'dave'], [5, 'erin']]) {
+    accounts.set(userId, await createDevice(userId, username));
+  }
+  alice = accounts.get(1);
+  bob = accounts.get(2);
+});
+
+afterAll(closeDevices);
+
+test('the creator welcomes the second device into the tree', async () => {
+  const commit = await commitFrom(alice, { adds: [deviceOf(2)], removes: [] });
+  expect(commit.welcomes).toHaveLength(1);
+  expect(await alice.crypto.confirmGroupCommit(GROUP_ID, commit.signature)).toBe(true);
+  expect(await alice.crypto.confirmGroupCommit(GROUP_ID, commit.signature)).toBe(false);
+
+  const epoch = await bob.crypto.processGroupWelcome(
+    GROUP_ID,
+    { ...commit.welcomes[0], epoch: commit.epoch },
+    asHandshake(commit, alice),
+    bob.secretKeys,
+    alice.publicKeys,
+    { ...sender(alice), receiverId: 2, recipientUserId: 2, recipientDeviceId: PRIMARY, stored: true },
+    directory
+  );
+  expect(epoch).toBe(1);
+  await expectSameGroup(1);
+});
+
+test('added leaves reach the other device', async () => {
+  members.add(3);
+  members.add(4);
+  const commit = await commitFrom(alice, { adds: [deviceOf(3), deviceOf(4)], removes: [] });
+  await alice.crypto.confirmGroupCommit(GROUP_ID, commit.signature);
+  expect(await applyTo(bob, commit, alice)).toEqual({ epoch: 2, removed: false });
+  await expectSameGroup(2);
+  expect((await bob.crypto.getGroupTreeMembers(GROUP_ID)).leaves.map((leaf) => leaf.userId)).toEqual([1, 2, 3, 4]);
+});
+
+test('a commit changed after signing is rejected', async () => {
+  const commit = await commitFrom(alice, { adds: [], removes: [] });
+  const body = JSON.parse(commit.body);
+  body.path[0].publicKey = accounts.get(5).publicKeys.kyberPublicKey;
+  await expect(applyTo(bob, { ...commit, body: JSON.stringify(body) }, alice))
+    .rejects.toThrow('Commit signature verification failed');
+  await expect(applyTo(bob, commit, bob)).rejects.toThrow('Commit signature verification failed');
+  await expectSameGroup(2);
+});
+
+test('a commit adding a key that is not the device\'s is rejected', async () => {
+  members.add(5);
+  const forged = { userId: 5, device: { deviceId: PRIMARY, keys: { ...accounts.get(5).publicKeys, kyberPublicKey: alice.publicKeys.kyberPublicKey } } };
+  const commit = await commitFrom(alice, { adds: [forged], removes: [] });
+  await expect(applyTo(bob, commit, alice)).rejects.toThrow('holds a key that is not device 5');
+  members.delete(5);
+  await expectSameGroup(2);
+});
+
+test('a commit listing a device twice is rejected', async () => {
+  const commit = await commitFrom(alice, { adds: [deviceOf(2)], removes: [] });
+  await expect(applyTo(bob, commit, alice)).rejects.toThrow('already in the tree');
+  await expectSameGroup(2);
+});
+
+test('a commit dropping a member\'s device is rejected', async () => {
+  const commit = await commitFrom(alice, { adds: [], removes: [await leafOf(alice, 4)] });
+  await expect(applyTo(bob, commit, alice)).rejects.toThrow('of a group member');
+  await expectSameGroup(2);
+});
+
+test('removed members\' leaves leave the tree on both devices', async () => {
+  members.delete(3);
+  const commit = await commitFrom(alice, { adds: [], removes: [await leafOf(alice, 3)] });
+  await alice.crypto.confirmGroupCommit(GROUP_ID, commit.signature);
+  expect(await applyTo(bob, commit, alice)).toEqual({ epoch: 3, removed: false });
+  await expectSameGroup(3);
+
+  // The other device commits the next removal; the tree shrinks back to two leaves
+  members.delete(4);
+  const next = await commitFrom(bob, { adds: [], removes: [await leafOf(bob, 4)] });
+  await bob.crypto.confirmGroupCommit(GROUP_ID, next.signature);
+  expect(await applyTo(alice, next, bob)).toEqual({ epoch: 4, removed: false });
+  await expectSameGroup(4);
+  expect((await alice.crypto.getGroupTreeMembers(GROUP_ID)).leaves.map((leaf) => [leaf.leaf, leaf.userId])).toEqual([[0, 1], [2, 2]]);
+});
+
+test('a device removed from the tree drops its state', async () => {
+  members.delete(2);
+  const commit = await commitFrom(alice, { adds: [], removes: [await leafOf(alice, 2)] });
+  await alice.crypto.confirmGroupCommit(GROUP_ID, commit.signature);
+  expect(await applyTo(bob, commit, alice)).toEqual({ epoch: 5, removed: true });
+  expect(await bob.crypto.getGroupTreeMembers(GROUP_ID)).toBeNull();
+  expect((await alice.crypto.getGroupTreeMembers(GROUP_ID)).leaves.map((leaf) => leaf.userId)).toEqual([1]);
+});
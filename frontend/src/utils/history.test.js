@@ -0,0 +1,114 @@
+/**
+ * @jest-environment node
+ */
+import { createDevice, closeDevices } from '../testing/devices';
+
+// MESSAGE HISTORY: encrypted records paged per conversation and account,
+// with disappearing messages dropped once they expire
+
+let deviceCount = 0;
+let alice;
+
+const message = (historyId, extra = {}) => ({ historyId, text: `text of ${historyId}`, ...extra });
+
+const saveAll = async (conversation, historyIds) => {
+  for (const historyId of historyIds) {
+    await alice.crypto.saveHistoryMessage(conversation, message(historyId));
+  }
+};
+
+const idsOf = (page) => page.messages.map((entry) => entry.historyId);
+
+// Raw records as they sit in IndexedDB
+const readRecords = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open('qs-keystore');
+  request.onsuccess = () => {
+    const db = request.result;
+    const read = db.transaction('history').objectStore('history').getAll();
+    read.onsuccess = () => {
+      db.close();
+      resolve(read.result);
+    };
+    read.onerror = () => reject(read.error);
+  };
+  request.onerror = () => reject(request.error);
+});
+
+beforeEach(async () => {
+  deviceCount += 1;
+  alice = await createDevice(1, `alice${deviceCount}`);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  closeDevices();
+});
+
+test('pages go back from the newest message, oldest first within a page', async () => {
+  await saveAll('contact_2', ['m1', 'm2', 'm3', 'm4', 'm5']);
+
+  const newest = await alice.crypto.loadHistoryPage('contact_2', { limit: 2 });
+  expect(idsOf(newest)).toEqual(['m4', 'm5']);
+  expect(newest.hasMore).toBe(true);
+
+  const middle = await alice.crypto.loadHistoryPage('contact_2', { before: newest.before, limit: 2 });
+  expect(idsOf(middle)).toEqual(['m2', 'm3']);
+  expect(middle.hasMore).toBe(true);
+
+  const oldest = await alice.crypto.loadHistoryPage('contact_2', { before: middle.before, limit: 2 });
+  expect(idsOf(oldest)).toEqual(['m1']);
+  expect(oldest.hasMore).toBe(false);
+});
+
+test('conversations and accounts keep separate histories', async () => {
+  await saveAll('contact_2', ['to bob']);
+  await saveAll('group_7', ['to group']);
+  const other = await createDevice(3, `carol${deviceCount}`);
+  await other.crypto.saveHistoryMessage('contact_2', message('carol to bob'));
+
+  expect(idsOf(await alice.crypto.loadHistoryPage('contact_2'))).toEqual(['to bob']);
+  expect(idsOf(await alice.crypto.loadHistoryPage('group_7'))).toEqual(['to group']);
+  expect(idsOf(await other.crypto.loadHistoryPage('contact_2'))).toEqual(['carol to bob']);
+
+  await alice.crypto.clearHistory('contact_2');
+  expect(idsOf(await alice.crypto.loadHistoryPage('contact_2'))).toEqual([]);
+  expect(idsOf(await alice.crypto.loadHistoryPage('group_7'))).toEqual(['to group']);
+  expect(idsOf(await other.crypto.loadHistoryPage('contact_2'))).toEqual(['carol to bob']);
+});
+
+test('messages are encrypted at rest', async () => {
+  await alice.crypto.saveHistoryMessage('contact_2', message('secret', { text: 'meet at noon' }));
+  const records = await readRecords();
+  expect(records.length).toBeGreaterThan(0);
+  expect(JSON.stringify(records)).not.toContain('meet at noon');
+});
+
+test('an update keeps the message in its place', async () => {
+  await saveAll('contact_2', ['m1', 'm2']);
+  expect(await alice.crypto.updateHistoryMessage('m1', (stored) => ({ ...stored, status: 'read' }))).toBe(true);
+  expect(await alice.crypto.updateHistoryMessage('unknown', (stored) => stored)).toBe(false);
+
+  // Saving a redelivered message again does not move it either
+  await alice.crypto.saveHistoryMessage('contact_2', message('m1', { status: 'read' }));
+  const page = await alice.crypto.loadHistoryPage('contact_2');
+  expect(idsOf(page)).toEqual(['m1', 'm2']);
+  expect(page.messages[0].status).toBe('read');
+});
+
+test('disappearing messages are hidden once they expire and purged', async () => {
+  const now = Date.now();
+  await alice.crypto.saveHistoryMessage('contact_2', message('stays'));
+  await alice.crypto.saveHistoryMessage('contact_2', message('disappears', { expiresAt: now + 60 * 1000 }));
+  expect(idsOf(await alice.crypto.loadHistoryPage('contact_2'))).toEqual(['stays', 'disappears']);
+
+  jest.spyOn(Date, 'now').mockReturnValue(now + 61 * 1000);
+  expect(idsOf(await alice.crypto.loadHistoryPage('contact_2'))).toEqual(['stays']);
+  const before = (await readRecords()).length;
+  await alice.crypto.purgeExpiredHistory();
+  expect((await readRecords()).length).toBe(before - 1);
+});
+
+test('history needs an unlocked session', async () => {
+  alice.crypto.clearSecureSession();
+  await expect(alice.crypto.loadHistoryPage('contact_2')).rejects.toThrow('Key session not initialized');
+});
@@ -0,0 +1,85 @@
+/**
+ * @jest-environment node
+ */
+import { createDevice, closeDevices } from '../testing/devices';
+
+// PREKEY HANDSHAKES: sessions started from a published prekey bundle
+
+let groupCount = 0;
+let alice;
+let bob;
+let carol;
+
+const route = (from, to) => ({ senderId: from.userId, receiverId: to.userId, recipientUserId: to.userId });
+
+const send = (from, to, text, bundle) =>
+  from.crypto.encryptSessionMessage(to.userId, text, to.publicKeys, from.falconSecretKey, route(from, to), {
+    fetchPrekeyBundle: async () => bundle
+  });
+
+const receive = (to, from, message, secretKeys = to.secretKeys) =>
+  to.crypto.decryptSessionMessage(from.userId, message, secretKeys, from.publicKeys, route(from, to));
+
+// What GET /api/users/:userId/prekey-bundle returns for a fresh upload
+const publishBundle = async (device) => {
+  const upload = await device.crypto.createPrekeyUpload(device.userId, { oneTimeCount: 1 });
+  return {
+    kemAlgorithm: device.publicKeys.kemAlgorithm,
+    signedPrekey: upload.signedPrekey,
+    oneTimePrekey: upload.oneTimePrekeys[0]
+  };
+};
+
+beforeEach(async () => {
+  groupCount += 1;
+  alice = await createDevice(1, `alice${groupCount}`);
+  bob = await createDevice(2, `bob${groupCount}`);
+  carol = await createDevice(3, `carol${groupCount}`);
+});
+
+afterEach(closeDevices);
+
+test('a session starts from the signed and one-time prekeys', async () => {
+  const bundle = await publishBundle(bob);
+  const first = await send(alice, bob, 'hello bob', bundle);
+  expect(first.ratchet.init.prekey.id).toBe(bundle.signedPrekey.keyId);
+  expect(first.ratchet.init.oneTimePrekey.id).toBe(bundle.oneTimePrekey.keyId);
+  expect(await receive(bob, alice, first)).toBe('hello bob');
+  expect(await receive(alice, bob, await send(bob, alice, 'hello alice'))).toBe('hello alice');
+});
+
+test('a bundle with a forged prekey signature is refused', async () => {
+  const bundle = await publishBundle(bob);
+  const forged = { ...bundle, oneTimePrekey: { ...bundle.oneTimePrekey, signature: bundle.signedPrekey.signature } };
+  await expect(send(alice, bob, 'hello bob', forged))
+    .rejects.toThrow('Prekey signature verification failed');
+});
+
+test('without a bundle the session uses the identity keys only', async () => {
+  const first = await alice.crypto.encryptSessionMessage(
+    bob.userId,
+    'hello bob',
+    bob.publicKeys,
+    alice.falconSecretKey,
+    route(alice, bob),
+    { fetchPrekeyBundle: async () => { throw new Error('Request failed with status code 404'); } }
+  );
+  expect(first.ratchet.init.prekey).toBeUndefined();
+  expect(await receive(bob, alice, first)).toBe('hello bob');
+});
+
+test('the one-time prekey is deleted only after the handshake authenticates', async () => {
+  const bundle = await publishBundle(bob);
+  const first = await send(alice, bob, 'hello bob', bundle);
+
+  // Decapsulating with the wrong identity key yields the wrong message key:
+  // the message fails authentication and the one-time prekey stays
+  await expect(receive(bob, alice, first, carol.secretKeys)).rejects.toThrow();
+  expect(await receive(bob, carol, await send(carol, bob, 'hello from carol', bundle))).toBe('hello from carol');
+
+  // Accepted now, so Alice's handshake with the same one-time prekey fails
+  const retried = await send(alice, bob, 'hello again', bundle);
+  expect(retried.ratchet.init.oneTimePrekey.id).toBe(bundle.oneTimePrekey.keyId);
+  await expect(receive(bob, alice, retried))
+    .rejects.toThrow('Handshake uses an unknown or already used one-time prekey');
+});
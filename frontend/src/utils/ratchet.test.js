@@ -0,0 +1,108 @@
+/**
+ * @jest-environment node
+ */
+import { createDevice, closeDevices } from '../testing/devices';
+
+// PQ RATCHET SESSIONS between two simulated devices
+
+let pairCount = 0;
+let alice;
+let bob;
+
+const route = (from, to) => ({ senderId: from.userId, receiverId: to.userId, recipientUserId: to.userId });
+
+const send = (from, to, text) =>
+  from.crypto.encryptSessionMessage(to.userId, text, to.publicKeys, from.falconSecretKey, route(from, to));
+
+const receive = (to, from, bundle) =>
+  to.crypto.decryptSessionMessage(from.userId, bundle, to.secretKeys, from.publicKeys, route(from, to));
+
+beforeEach(async () => {
+  pairCount += 1;
+  alice = await createDevice(1, `alice${pairCount}`);
+  bob = await createDevice(2, `bob${pairCount}`);
+});
+
+afterEach(closeDevices);
+
+test('a handshake message and its reply decrypt on both sides', async () => {
+  const first = await send(alice, bob, 'hello bob');
+  expect(first.ratchet.init).toBeDefined();
+  expect(await receive(bob, alice, first)).toBe('hello bob');
+
+  const reply = await send(bob, alice, 'hello alice');
+  expect(reply.ratchet.init).toBeUndefined();
+  expect(reply.ratchet.k).toBeDefined();
+  expect(await receive(alice, bob, reply)).toBe('hello alice');
+
+  const next = await send(alice, bob, 'handshake done');
+  expect(next.ratchet.init).toBeUndefined();
+  expect(await receive(bob, alice, next)).toBe('handshake done');
+});
+
+test('messages within a chain decrypt out of order', async () => {
+  const messages = [];
+  for (const text of ['one', 'two', 'three', 'four']) {
+    messages.push(await send(alice, bob, text));
+  }
+  expect(await receive(bob, alice, messages[2])).toBe('three');
+  expect(await receive(bob, alice, messages[0])).toBe('one');
+  expect(await receive(bob, alice, messages[3])).toBe('four');
+  expect(await receive(bob, alice, messages[1])).toBe('two');
+});
+
+test('skipped messages of the previous chain decrypt after a KEM step', async () => {
+  const first = await send(alice, bob, 'first');
+  const late = await send(alice, bob, 'late');
+  expect(await receive(bob, alice, first)).toBe('first');
+  expect(await receive(alice, bob, await send(bob, alice, 'reply'))).toBe('reply');
+
+  // The reply carried Bob's ratchet key, so Alice's next message starts a
+  // new chain with a KEM step; it arrives before the last of the old chain
+  const stepped = await send(alice, bob, 'stepped');
+  expect(stepped.ratchet.k).toBeDefined();
+  expect(stepped.ratchet.c).not.toBe(first.ratchet.c);
+  expect(stepped.ratchet.pn).toBe(2);
+  expect(await receive(bob, alice, stepped)).toBe('stepped');
+  expect(await receive(bob, alice, late)).toBe('late');
+});
+
+test('duplicate messages are rejected', async () => {
+  const first = await send(alice, bob, 'first');
+  const second = await send(alice, bob, 'second');
+  expect(await receive(bob, alice, second)).toBe('second');
+  expect(await receive(bob, alice, first)).toBe('first');
+
+  // Envelope nonces are accepted once, before the ratchet is consulted
+  await expect(receive(bob, alice, first)).rejects.toThrow('Replayed envelope');
+  await expect(receive(bob, alice, second)).rejects.toThrow('Replayed envelope');
+});
+
+test('a message whose ratchet header was changed fails verification', async () => {
+  const first = await send(alice, bob, 'first');
+  const tampered = { ...first, ratchet: { ...first.ratchet, n: first.ratchet.n + 1 } };
+  await expect(receive(bob, alice, tampered)).rejects.toThrow();
+  expect(await receive(bob, alice, first)).toBe('first');
+});
+
+test('simultaneous handshakes settle on the session with the smaller id', async () => {
+  const fromAlice = await send(alice, bob, 'from alice');
+  const fromBob = await send(bob, alice, 'from bob');
+  expect(fromAlice.ratchet.id).not.toBe(fromBob.ratchet.id);
+  const kept = fromAlice.ratchet.id < fromBob.ratchet.id ? fromAlice.ratchet.id : fromBob.ratchet.id;
+
+  // Both handshakes decrypt; each side then keeps the same session
+  expect(await receive(alice, bob, fromBob)).toBe('from bob');
+  expect(await receive(bob, alice, fromAlice)).toBe('from alice');
+
+  const aliceNext = await send(alice, bob, 'alice again');
+  const bobNext = await send(bob, alice, 'bob again');
+  expect(aliceNext.ratchet.id).toBe(kept);
+  expect(bobNext.ratchet.id).toBe(kept);
+  expect(await receive(bob, alice, aliceNext)).toBe('alice again');
+  expect(await receive(alice, bob, bobNext)).toBe('bob again');
+
+  const settled = await send(bob, alice, 'settled');
+  expect(settled.ratchet.id).toBe(kept);
+  expect(await receive(alice, bob, settled)).toBe('settled');
+});
@@ -0,0 +1,67 @@
+/**
+ * @jest-environment node
+ */
+import { createDevice, closeDevices } from '../testing/devices';
+
+// RECEIPTS: signed by the receiving device over type, message IDs and both parties
+
+let pairCount = 0;
+let alice;
+let bob;
+
+// Bob's phone acknowledges messages Alice sent him
+const bobRoute = { senderId: 2, senderDeviceId: 'primary', receiverId: 1 };
+
+// What the relay hands Alice: the receipt with the signing device added
+const relayed = (receipt) => ({ ...receipt, senderId: 2, senderDeviceId: 'primary' });
+
+const signByBob = (type, messageIds) =>
+  bob.crypto.signReceipt(type, messageIds, bobRoute, bob.falconSecretKey);
+
+beforeEach(async () => {
+  pairCount += 1;
+  alice = await createDevice(1, `alice${pairCount}`);
+  bob = await createDevice(2, `bob${pairCount}`);
+});
+
+afterEach(closeDevices);
+
+test('a receipt verifies with the key of the device that signed it', async () => {
+  const messageIds = [alice.crypto.createMessageId(), alice.crypto.createMessageId()];
+  const receipt = await signByBob('delivered', messageIds);
+  expect(receipt).toEqual({ type: 'delivered', messageIds, receiverId: 1, sentAt: expect.any(Number), signature: expect.any(String) });
+  expect(await alice.crypto.verifyReceipt(relayed(receipt), 1, bob.publicKeys)).toBe(true);
+  expect(await alice.crypto.verifyReceipt(relayed(receipt), 1, alice.publicKeys)).toBe(false);
+});
+
+test.each([
+  ['type', { type: 'read' }],
+  ['message IDs', { messageIds: ['another-message'] }],
+  ['sending device', { senderDeviceId: 'laptop' }],
+  ['sender', { senderId: 3 }],
+  ['send time', { sentAt: 1 }]
+])('a receipt with a changed %s fails verification', async (name, change) => {
+  const receipt = relayed(await signByBob('delivered', [alice.crypto.createMessageId()]));
+  expect(await alice.crypto.verifyReceipt({ ...receipt, ...change }, 1, bob.publicKeys)).toBe(false);
+});
+
+test('a receipt addressed to another account is refused', async () => {
+  const receipt = relayed(await signByBob('read', [alice.crypto.createMessageId()]));
+  expect(await alice.crypto.verifyReceipt({ ...receipt, receiverId: 3 }, 3, bob.publicKeys)).toBe(false);
+  expect(await alice.crypto.verifyReceipt(receipt, 3, bob.publicKeys)).toBe(false);
+  expect(await alice.crypto.verifyReceipt({ ...receipt, messageIds: 'not-a-list' }, 1, bob.publicKeys)).toBe(false);
+});
+
+test('a receipt covers between one and MAX_RECEIPT_MESSAGE_IDS messages', async () => {
+  const { MAX_RECEIPT_MESSAGE_IDS } = bob.crypto;
+  await expect(signByBob('delivered', [])).rejects.toThrow('A receipt covers between 1 and');
+  const tooMany = Array.from({ length: MAX_RECEIPT_MESSAGE_IDS + 1 }, () => bob.crypto.createMessageId());
+  await expect(signByBob('delivered', tooMany)).rejects.toThrow('A receipt covers between 1 and');
+  expect(await signByBob('delivered', tooMany.slice(1))).toEqual(expect.objectContaining({ type: 'delivered' }));
+});
+
+test('message IDs are random base64url strings', () => {
+  const id = alice.crypto.createMessageId();
+  expect(id).toMatch(/^[A-Za-z0-9_-]{22}$/);
+  expect(alice.crypto.createMessageId()).not.toBe(id);
+});
@@ -0,0 +1,106 @@
+/**
+ * @jest-environment node
+ */
+import { createDevice, closeDevices } from '../testing/devices';
+
+// MESSAGE SEARCH: an encrypted word index over the history, per account
+
+let deviceCount = 0;
+let alice;
+
+const save = (conversation, historyId, text, extra = {}) =>
+  alice.crypto.saveHistoryMessage(conversation, { historyId, message: text, ...extra });
+
+const found = async (device, query) =>
+  (await device.crypto.searchHistory(query)).map(({ conversation, message }) => [conversation, message.historyId]);
+
+// Raw records of a keystore store as they sit in IndexedDB
+const readRecords = (storeName) => new Promise((resolve, reject) => {
+  const request = indexedDB.open('qs-keystore');
+  request.onsuccess = () => {
+    const db = request.result;
+    const read = db.transaction(storeName).objectStore(storeName).getAll();
+    read.onsuccess = () => {
+      db.close();
+      resolve(read.result);
+    };
+    read.onerror = () => reject(read.error);
+  };
+  request.onerror = () => reject(request.error);
+});
+
+beforeEach(async () => {
+  deviceCount += 1;
+  alice = await createDevice(1, `alice${deviceCount}`);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  closeDevices();
+});
+
+test('a query finds messages with all of its words, newest first', async () => {
+  await save('contact_2', 'm1', 'Lunch at the Harbour café?');
+  await save('group_7', 'm2', 'lunch moved to Friday');
+  await save('contact_2', 'm3', 'See you at lunch, friday!');
+
+  expect(await found(alice, 'LUNCH')).toEqual([['contact_2', 'm3'], ['group_7', 'm2'], ['contact_2', 'm1']]);
+  expect(await found(alice, 'friday lunch')).toEqual([['contact_2', 'm3'], ['group_7', 'm2']]);
+  expect(await found(alice, 'café')).toEqual([['contact_2', 'm1']]);
+  expect(await found(alice, 'dinner')).toEqual([]);
+  expect(await found(alice, ' ?! ')).toEqual([]);
+});
+
+test('the index holds neither words nor message IDs in the clear', async () => {
+  await save('contact_2', 'secret-id', 'rendezvous tomorrow');
+  const index = JSON.stringify(await readRecords('search_index'));
+  expect(index).not.toContain('rendezvous');
+  expect(index).not.toContain('secret-id');
+});
+
+test('each account searches only its own history', async () => {
+  await save('contact_2', 'm1', 'shared word');
+  const other = await createDevice(3, `carol${deviceCount}`);
+  await other.crypto.saveHistoryMessage('contact_2', { historyId: 'c1', message: 'shared word' });
+
+  expect(await found(alice, 'shared')).toEqual([['contact_2', 'm1']]);
+  expect(await found(other, 'shared')).toEqual([['contact_2', 'c1']]);
+});
+
+test('notices are not indexed and a redelivered message is found once', async () => {
+  await save('contact_2', 'notice', 'keys changed', { isNotice: true });
+  await save('contact_2', 'm1', 'keys are fine');
+  await save('contact_2', 'm1', 'keys are fine');
+  expect(await found(alice, 'keys')).toEqual([['contact_2', 'm1']]);
+});
+
+test('cleared and expired messages leave the index', async () => {
+  const now = Date.now();
+  await save('contact_2', 'm1', 'budget draft');
+  await save('group_7', 'm2', 'budget final', { expiresAt: now + 60 * 1000 });
+  await save('group_7', 'm3', 'budget archive');
+
+  await alice.crypto.clearHistory('contact_2');
+  expect(await found(alice, 'budget')).toEqual([['group_7', 'm3'], ['group_7', 'm2']]);
+
+  jest.spyOn(Date, 'now').mockReturnValue(now + 61 * 1000);
+  expect(await found(alice, 'final')).toEqual([]);
+  await alice.crypto.purgeExpiredHistory();
+  expect(await found(alice, 'budget')).toEqual([['group_7', 'm3']]);
+  const ownIndex = (await readRecords('search_index')).filter((record) => record.id.startsWith(`search_${alice.username}_`));
+  expect(ownIndex).toHaveLength(2); // 'budget' and 'archive'
+});
+
+test('a match opens with the messages around it', async () => {
+  for (let i = 1; i <= 5; i += 1) {
+    await save('contact_2', `m${i}`, `message ${i}`);
+  }
+  const around = await alice.crypto.loadHistoryAround('contact_2', 'm3', { limit: 1 });
+  expect(around.messages.map((message) => message.historyId)).toEqual(['m2', 'm3', 'm4', 'm5']);
+  expect(around.hasMore).toBe(true);
+  const earlier = await alice.crypto.loadHistoryPage('contact_2', { before: around.before });
+  expect(earlier.messages.map((message) => message.historyId)).toEqual(['m1']);
+
+  expect(await alice.crypto.loadHistoryAround('group_7', 'm3')).toBeNull();
+  expect(await alice.crypto.loadHistoryAround('contact_2', 'unknown')).toBeNull();
+});